@@ -22,7 +22,14 @@ import suggestionsRoutes from './routes/suggestions.routes.js';
 import insightsRoutes from './routes/insights.routes.js';
 import logsRoutes from './routes/logs.routes.js';
 import locationHistoryRoutes from './routes/locationHistory.routes.js';
+import budgetRoutes from './routes/budget.routes.js';
+import accountRoutes from './routes/account.routes.js';
+import parsingRuleRoutes from './routes/parsingRule.routes.js';
+import categoryRuleRoutes from './routes/categoryRule.routes.js';
+import statementPasswordRoutes from './routes/statementPassword.routes.js';
+import inboundEmailRoutes from './routes/inboundEmail.routes.js';
 import { requestLogger, errorLogger } from './middleware/requestLogger.middleware.js';
+import { redactQuery, redactUrl } from './utils/monitoring.js';
 
 
 
@@ -42,12 +49,16 @@ app.use(compression());
 // CORS configuration
 app.use(cors({
   origin: process.env.CORS_ORIGIN || '*', // Fallback for safety, but env should be set
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['X-Has-More', 'X-Next-Cursor', 'X-Total-Count'] // Transaction search paging
 }));
 
 // Body parsing
-app.use(express.json({ limit: '10kb' })); // Limit body size to prevent DoS
-app.use(express.urlencoded({ extended: true, limit: '10kb' }));
+// Inbound emails are far larger than API bodies; their route parses them with its own limit
+const skipInboundEmail = (parser) => (req, res, next) =>
+  (req.path === '/api/v1/inbound-email' ? next() : parser(req, res, next));
+app.use(skipInboundEmail(express.json({ limit: '10kb' }))); // Limit body size to prevent DoS
+app.use(skipInboundEmail(express.urlencoded({ extended: true, limit: '10kb' })));
 app.use(cookieParser());
 
 // Security: Data sanitization against NoSQL query injection
@@ -82,6 +93,8 @@ const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // Limit each IP to 100 requests per windowMs
   message: 'Too many requests from this IP, please try again later.',
+  // Gmail push notifications and inbound emails for every user come from the providers' addresses
+  skip: (req) => ['/v1/gmail/push', '/v1/inbound-email'].includes(req.path),
   handler: (req, res) => {
     // Alert on rate limit hit
     Sentry.captureMessage('Rate limit exceeded', {
@@ -145,7 +158,7 @@ app.use((req, res, next) => {
         },
         extra: {
           userId: req.user?.id,
-          query: req.query,
+          query: redactQuery(req.query),
           params: req.params
         }
       });
@@ -215,6 +228,12 @@ app.use('/api/v1/suggestions', suggestionsRoutes);  // AI suggestions from learn
 app.use('/api/v1/insights', insightsRoutes);  // Spending insights and analytics
 app.use('/api/v1/logs', logsRoutes);  // Log viewer API
 app.use('/api/v1/location', locationHistoryRoutes);  // Background location tracking
+app.use('/api/v1/budgets', budgetRoutes);  // Category/tag budgets and alerts
+app.use('/api/v1/accounts', accountRoutes);  // Bank accounts, cards and balances
+app.use('/api/v1/parsing-rules', parsingRuleRoutes);  // User-defined parsing rules for unsupported banks
+app.use('/api/v1/category-rules', categoryRuleRoutes);  // Categorization, tagging and renaming rules
+app.use('/api/v1/statement-passwords', statementPasswordRoutes);  // Passwords for protected statement PDFs
+app.use('/api/v1/inbound-email', inboundEmailRoutes);  // Raw MIME emails from an inbound mail provider
 
 // Error logging middleware (captures errors with request context)
 app.use(errorLogger);
@@ -233,8 +252,9 @@ app.use((err, req, res, next) => {
       statusCode: err.statusCode || 500
     },
     extra: {
-      body: req.body,
-      query: req.query,
+      // Raw bodies (inbound emails) are not useful in an error report
+      body: Buffer.isBuffer(req.body) ? `<${req.body.length} bytes>` : req.body,
+      query: redactQuery(req.query),
       params: req.params,
       ip: req.ip
     }
@@ -245,8 +265,8 @@ app.use((err, req, res, next) => {
     message: err.message,
     stack: err.stack,
     method: req.method,
-    url: req.originalUrl,
-    body: req.body,
+    url: redactUrl(req.originalUrl),
+    body: Buffer.isBuffer(req.body) ? `<${req.body.length} bytes>` : req.body,
     userId: req.user ? req.user.id : null,
   });
 
@@ -0,0 +1,139 @@
+import { once } from 'events';
+import { Transaction } from '../models/Transaction.model.js';
+import { PendingTransaction } from '../models/PendingTransaction.model.js';
+import { buildTransactionFilter, TransactionFilterError } from '../utils/transactionFilter.helper.js';
+import { DEFAULT_CURRENCY } from '../utils/currency.helper.js';
+import {
+  EXPORT_FORMATS,
+  csvHeader, csvRow, csvFooter,
+  ofxHeader, ofxRow, ofxFooter,
+  jsonHeader, jsonRow, jsonFooter
+} from '../utils/export.formatters.js';
+import { logInfo, logError } from '../utils/logService.js';
+
+const PROVENANCE_BATCH_SIZE = 500;
+
+/**
+ * Attach provenance to a batch of transactions:
+ * 'pending' when it was approved from a PendingTransaction (SMS/Gmail/email review flow),
+ * otherwise 'direct' (manual entry, SMS webhook, import)
+ */
+const attachProvenance = async (userId, transactions) => {
+  const pending = await PendingTransaction.find({
+    user: userId,
+    approvedTransaction: { $in: transactions.map(t => t._id) }
+  }).select('approvedTransaction status userFeedback.correctedData source.parsingStrategy source.type').lean();
+
+  const byTransaction = new Map(pending.map(p => [p.approvedTransaction.toString(), p]));
+
+  return transactions.map(txn => {
+    const origin = byTransaction.get(txn._id.toString());
+    return {
+      ...txn,
+      provenance: origin ? {
+        origin: 'pending',
+        status: origin.status,
+        pendingTransactionId: origin._id,
+        userCorrected: !!origin.userFeedback?.correctedData,
+        parsingStrategy: origin.source?.parsingStrategy,
+        pendingSource: origin.source?.type
+      } : {
+        origin: 'direct'
+      }
+    };
+  });
+};
+
+/**
+ * Write a chunk, waiting for the socket to drain when its buffer is full
+ */
+const write = async (res, chunk) => {
+  if (!res.write(chunk)) {
+    await Promise.race([once(res, 'drain'), once(res, 'close')]);
+  }
+};
+
+/**
+ * Stream the user's transactions as CSV, OFX or JSON
+ * Query: format (csv|ofx|json, default csv) plus the same filters as GET /transactions
+ */
+export const exportTransactions = async (req, res) => {
+  const format = (req.query.format || 'csv').toLowerCase();
+  const formatInfo = EXPORT_FORMATS[format];
+
+  if (!formatInfo) {
+    return res.status(400).json({ error: `Unsupported export format. Use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+  }
+
+  const userId = req.user._id;
+  let filter;
+  try {
+    filter = buildTransactionFilter(userId, req.query);
+  } catch (err) {
+    if (err instanceof TransactionFilterError) return res.status(400).json({ error: err.message });
+    throw err;
+  }
+  const generatedAt = new Date();
+  const stamp = generatedAt.toISOString().slice(0, 10).replace(/-/g, '');
+
+  let cursor;
+  let count = 0;
+  let aborted = false;
+  res.on('close', () => { aborted = !res.writableEnded; });
+
+  try {
+    cursor = Transaction.find(filter).sort({ timestamp: -1, _id: -1 }).lean().cursor();
+
+    res.status(200);
+    res.setHeader('Content-Type', formatInfo.contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="spendtrail-transactions-${stamp}.${formatInfo.extension}"`);
+
+    const { start, end, category, tags, source, q } = req.query;
+    if (format === 'csv') await write(res, csvHeader());
+    const currency = req.user.baseCurrency || DEFAULT_CURRENCY;
+    if (format === 'ofx') await write(res, ofxHeader({ currency, start, end, generatedAt }));
+    if (format === 'json') await write(res, jsonHeader({ filters: { start, end, category, tags, source, q }, generatedAt }));
+
+    const flush = async (batch) => {
+      const withProvenance = await attachProvenance(userId, batch);
+      for (const txn of withProvenance) {
+        if (format === 'csv') await write(res, csvRow(txn));
+        if (format === 'ofx') await write(res, ofxRow(txn, { currency }));
+        if (format === 'json') await write(res, jsonRow(txn, count));
+        count++;
+      }
+    };
+
+    let batch = [];
+    for await (const txn of cursor) {
+      if (aborted) break;
+      batch.push(txn);
+      if (batch.length >= PROVENANCE_BATCH_SIZE) {
+        await flush(batch);
+        batch = [];
+      }
+    }
+    if (batch.length > 0 && !aborted) await flush(batch);
+
+    if (aborted) {
+      await cursor.close();
+      return;
+    }
+
+    if (format === 'csv') await write(res, csvFooter());
+    if (format === 'ofx') await write(res, ofxFooter());
+    if (format === 'json') await write(res, jsonFooter(count));
+    res.end();
+
+    logInfo('Transactions exported', req, { format, count });
+  } catch (err) {
+    logError('Failed to export transactions', err, req, { format, exported: count });
+    if (cursor) await cursor.close().catch(() => {});
+
+    if (!res.headersSent) {
+      return res.status(500).json({ error: 'Failed to export transactions' });
+    }
+    // Headers already went out; cut the stream so the client sees a truncated download
+    res.destroy(err);
+  }
+};
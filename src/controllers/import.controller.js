@@ -0,0 +1,158 @@
+import mongoose from 'mongoose';
+import { ImportBatch } from '../models/ImportBatch.model.js';
+import { ImportProfile } from '../models/ImportProfile.model.js';
+import { transactionImportService, ImportError } from '../services/transactionImport.service.js';
+import { logInfo, logError } from '../utils/logService.js';
+
+const PROFILE_FIELDS = ['name', 'bankName', 'mapping', 'dateFormat', 'delimiter', 'hasHeader', 'skipRows', 'amountSign', 'currency'];
+
+const pickProfileFields = (body) => {
+  const data = {};
+  for (const field of PROFILE_FIELDS) {
+    if (body[field] !== undefined) data[field] = body[field];
+  }
+  return data;
+};
+
+const handleImportError = (err, req, res, fallbackMessage) => {
+  if (err instanceof ImportError) {
+    return res.status(err.statusCode).json({ error: err.message });
+  }
+  if (err instanceof mongoose.Error.ValidationError) {
+    return res.status(400).json({ error: err.message });
+  }
+  if (err.code === 11000) {
+    return res.status(409).json({ error: 'An import profile with this name already exists' });
+  }
+  logError(fallbackMessage, err, req);
+  res.status(500).json({ error: fallbackMessage });
+};
+
+/**
+ * Parse an uploaded statement and return a dry-run preview
+ * Body: raw CSV/OFX/QIF text, or a JSON array of transactions
+ * Query: format (csv|ofx|qif|json), profileId, fileName
+ */
+export const previewImport = async (req, res) => {
+  try {
+    const isJsonBody = Array.isArray(req.body);
+    const format = (req.query.format || (isJsonBody ? 'json' : '')).toLowerCase();
+
+    const batch = await transactionImportService.createPreview(req.user._id, {
+      format,
+      content: req.body,
+      profileId: req.query.profileId,
+      fileName: req.query.fileName
+    });
+
+    logInfo('Import preview created', req, { batchId: batch._id, summary: batch.summary });
+    res.status(201).json({
+      message: 'Import preview created. Review the rows and commit to import.',
+      importId: batch._id,
+      summary: batch.summary,
+      rows: batch.rows,
+      expiresAt: batch.expiresAt
+    });
+  } catch (err) {
+    handleImportError(err, req, res, 'Failed to parse statement');
+  }
+};
+
+export const getImport = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.importId)) {
+      return res.status(400).json({ error: 'Invalid import id' });
+    }
+    const batch = await ImportBatch.findOne({ _id: req.params.importId, user: req.user._id });
+    if (!batch) return res.status(404).json({ error: 'Import not found or expired' });
+
+    res.json(batch);
+  } catch (err) {
+    handleImportError(err, req, res, 'Failed to fetch import');
+  }
+};
+
+export const commitImport = async (req, res) => {
+  try {
+    const { skipLines = [] } = req.body || {};
+    if (!Array.isArray(skipLines)) {
+      return res.status(400).json({ error: 'skipLines must be an array of line numbers' });
+    }
+
+    const batch = await transactionImportService.commitBatch(req.user._id, req.params.importId, { skipLines });
+
+    logInfo('Import committed', req, { batchId: batch._id, imported: batch.summary.imported });
+    res.status(201).json({
+      message: `Imported ${batch.summary.imported} transactions`,
+      importId: batch._id,
+      summary: batch.summary
+    });
+  } catch (err) {
+    handleImportError(err, req, res, 'Failed to commit import');
+  }
+};
+
+export const discardImport = async (req, res) => {
+  try {
+    await transactionImportService.discardBatch(req.user._id, req.params.importId);
+    res.json({ message: 'Import discarded' });
+  } catch (err) {
+    handleImportError(err, req, res, 'Failed to discard import');
+  }
+};
+
+export const getImportProfiles = async (req, res) => {
+  try {
+    const profiles = await ImportProfile.find({ user: req.user._id }).sort({ lastUsedAt: -1, name: 1 });
+    res.json(profiles);
+  } catch (err) {
+    handleImportError(err, req, res, 'Failed to fetch import profiles');
+  }
+};
+
+export const createImportProfile = async (req, res) => {
+  try {
+    const data = pickProfileFields(req.body || {});
+    if (!data.name || !data.mapping?.date) {
+      return res.status(400).json({ error: 'Profile name and a date column mapping are required' });
+    }
+
+    const profile = await ImportProfile.create({ ...data, user: req.user._id });
+    logInfo('Import profile created', req, { profileId: profile._id });
+    res.status(201).json(profile);
+  } catch (err) {
+    handleImportError(err, req, res, 'Failed to create import profile');
+  }
+};
+
+export const updateImportProfile = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.profileId)) {
+      return res.status(400).json({ error: 'Invalid profile id' });
+    }
+    const profile = await ImportProfile.findOneAndUpdate(
+      { _id: req.params.profileId, user: req.user._id },
+      pickProfileFields(req.body || {}),
+      { new: true, runValidators: true }
+    );
+    if (!profile) return res.status(404).json({ error: 'Import profile not found' });
+
+    res.json(profile);
+  } catch (err) {
+    handleImportError(err, req, res, 'Failed to update import profile');
+  }
+};
+
+export const deleteImportProfile = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.profileId)) {
+      return res.status(400).json({ error: 'Invalid profile id' });
+    }
+    const deleted = await ImportProfile.findOneAndDelete({ _id: req.params.profileId, user: req.user._id });
+    if (!deleted) return res.status(404).json({ error: 'Import profile not found' });
+
+    res.json({ message: 'Import profile deleted' });
+  } catch (err) {
+    handleImportError(err, req, res, 'Failed to delete import profile');
+  }
+};
@@ -1,8 +1,13 @@
 import { Transaction } from '../models/Transaction.model.js';
-import { parseTransactionMessage } from '../utils/transaction.parser.js';
+import { parseTransaction } from '../utils/bankParser.registry.js';
 import { reverseGeocode } from '../utils/geocode.helper.js';
 import { MerchantLocation } from '../models/MerchantLocation.model.js';
-import crypto from 'crypto';
+import { FilteredMessage } from '../models/FilteredMessage.model.js';
+import { buildTransactionHash, buildDuplicateFilter } from '../utils/dedupe.helper.js';
+import { resolveTransactionTime } from '../utils/transaction.parser.js';
+import { transactionEventsService } from '../services/transactionEvents.service.js';
+import { parsingRuleService } from '../services/parsingRule.service.js';
+import { categoryModelService } from '../services/categoryModel.service.js';
 
 export const handleSmsWebhook = async (req, res) => {
   const { message, sender, receivedAt, lat, lng } = req.body;
@@ -11,8 +16,28 @@ export const handleSmsWebhook = async (req, res) => {
       return res.status(401).json({ error: 'Unauthorized: user context missing' });
     }
 
-    // Use shared parser
-    const parsedData = parseTransactionMessage(message);
+    // User's own rules for the sender, then the bank parser registered for the sender ID,
+    // falling back to the generic parser
+    const userRules = await parsingRuleService.getParsersForSource(req.user.id, { sender });
+    // Trained category model when the keyword list has no category
+    const parsedData = await categoryModelService.categorize(
+      req.user.id,
+      parseTransaction(message, { sender, userRules }),
+      message
+    );
+
+    // OTPs, offers, declined payments etc. are expected traffic, not client errors
+    if (parsedData.filtered) {
+      await FilteredMessage.record({
+        user: req.user.id,
+        channel: 'sms',
+        label: parsedData.label,
+        reason: parsedData.reason,
+        sender,
+        text: message
+      });
+      return res.status(200).json({ success: true, filtered: true, label: parsedData.label });
+    }
 
     if (parsedData.error) {
       return res.status(400).json({ error: parsedData.error });
@@ -23,17 +48,27 @@ export const handleSmsWebhook = async (req, res) => {
       merchant,
       paymentMethod,
       category,
-      subCategory
+      subCategory,
+      categorizedBy,
+      categoryConfidence,
+      currency,
+      accountNumber,
+      accountType,
+      balance,
+      bankName,
+      parsedBy,
+      reference,
+      label
     } = parsedData;
 
-    // 5. Deduplication (Composite Key)
-    // Create a hash based on core transaction details to catch duplicates even if message format varies slightly
-    const txnDate = receivedAt ? new Date(receivedAt) : new Date();
-    const dateStr = txnDate.toISOString().slice(0, 10); // YYYY-MM-DD
-    const dedupeKey = `${amount}_${merchant}_${dateStr}`;
-    const messageHash = crypto.createHash('sha256').update(dedupeKey).digest('hex');
+    // 5. Deduplication
+    // Bank reference number when the SMS has one; otherwise a hash of amount + merchant + day
+    const txnDate = resolveTransactionTime(parsedData, receivedAt ? new Date(receivedAt) : new Date());
+    const messageHash = buildTransactionHash({ amount: finalAmount, merchant, date: txnDate });
 
-    const isDuplicate = await Transaction.findOne({ user: req.user.id, messageHash });
+    const isDuplicate = await Transaction.findOne(
+      buildDuplicateFilter(req.user.id, { reference, amount: finalAmount, messageHash })
+    );
     if (isDuplicate) {
       return res.status(200).json({
         success: true,
@@ -43,6 +78,12 @@ export const handleSmsWebhook = async (req, res) => {
       });
     }
 
+    // A new reference may still share amount, merchant and day with a stored spend
+    // (two same-day purchases): it takes the next free occurrence of the hash
+    const storedHash = reference
+      ? await Transaction.findFreeHash(req.user.id, { amount: finalAmount, merchant, date: txnDate })
+      : messageHash;
+
     // 6. Location Handling + Merchant Learning
     let location = {
       lat: lat || null,
@@ -136,23 +177,35 @@ export const handleSmsWebhook = async (req, res) => {
     const transaction = new Transaction({
       user: req.user.id,
       amount: finalAmount,
-      currency: 'INR',
+      currency,
+      baseCurrency: req.user.baseCurrency,
       category,
       subCategory,
+      categorizedBy,
+      categoryConfidence,
       merchant,
       note: `Parsed from SMS: ${sender}`,
-      paymentMethod: detectedPaymentMethod,
+      paymentMethod,
       source: 'sms',
-      tags: ['parsed', detectedPaymentMethod],
+      tags: ['parsed', paymentMethod],
       timestamp: txnDate,
       location,
-      messageHash,
+      messageHash: storedHash,
+      reference,
+      parsedBy,
+      messageLabel: label,
     });
 
     await transaction.save();
+    await parsingRuleService.recordMatch(parsedData);
+    await transactionEventsService.onTransactionCreated(transaction, { accountNumber, accountType, balance, sender, bankName });
 
     res.status(200).json({ success: true, transaction });
   } catch (err) {
+    if (err.code === 11000) {
+      // The same alert delivered twice at once: the unique dedupe index rejected the second save
+      return res.status(200).json({ success: true, duplicate: true, message: 'Transaction already processed' });
+    }
     console.error('Failed SMS parse', err);
     res.status(500).json({ error: 'Internal server error' });
   }
@@ -1,13 +1,24 @@
+import mongoose from 'mongoose';
 import {Transaction} from '../models/Transaction.model.js';
+import { Account } from '../models/Account.model.js';
 import { reverseGeocode } from '../utils/geocode.helper.js';
 import { logInfo, logError, logWarn } from '../utils/logService.js';
+import { paginate, wantsTotal, setPaginationHeaders, PaginationError } from '../utils/pagination.helper.js';
+import { buildTransactionFilter, excludeTransfers, TransactionFilterError } from '../utils/transactionFilter.helper.js';
+import { expandSplitLines, splitLineStages } from '../utils/splitLines.helper.js';
 import moment from 'moment-timezone'
+import { transactionEventsService } from '../services/transactionEvents.service.js';
+import { transferService, TransferError } from '../services/transfer.service.js';
+
+// Fields a user may edit on a transaction. Ownership, provenance and the stored base amount are
+// not editable; kind and transfer links are handled separately.
+const UPDATABLE_FIELDS = ['amount', 'currency', 'category', 'subCategory', 'merchant', 'note', 'paymentMethod', 'tags', 'splits', 'account', 'location', 'timestamp'];
 
 
 
 
 export const addTransaction = async (req, res) => {
-    const {amount,currency,category,subCategory,merchant,note,paymentMethod,tags=[],location,source="manual", timestamp } = req.body;
+    const {amount,currency,category,subCategory,merchant,note,paymentMethod,tags=[],splits,account,location,source="manual", timestamp } = req.body;
     const user = req.user._id; // Assuming user ID is available in req.user
     if (!amount || !category || !location) {
         logWarn("required field missing",req);
@@ -31,26 +42,36 @@ export const addTransaction = async (req, res) => {
       };
     }
     try {
+        if (account && !(mongoose.Types.ObjectId.isValid(account) && await Account.exists({ _id: account, user }))) {
+            return res.status(400).json({ message: 'Account not found' });
+        }
         const transaction = await Transaction.create({
       user,
+      account,
       amount,
       currency,
+      baseCurrency: req.user.baseCurrency,
       category,
       subCategory:subCategory||'',
       merchant,
       note,
       paymentMethod,
       tags,
+      splits,
       location:locationData,
       timestamp:timestamp||new Date(),
       source,
     });
     logInfo('Transaction created', req, { transactionId: transaction._id });
+    await transactionEventsService.onTransactionCreated(transaction);
         res.status(201).json({
             message: 'Transaction created successfully',
             transaction
         });
     } catch (error) {
+        if (error instanceof mongoose.Error.ValidationError) {
+            return res.status(400).json({ message: error.message });
+        }
         logError('Failed to create transaction', error, req);
         res.status(500).json({
             message: 'Error creating transaction'
@@ -60,14 +81,25 @@ export const addTransaction = async (req, res) => {
 
 export const getTransactionByUser = async (req, res) => {
     const user = req.user._id; // Assuming user ID is available in req.user
+    const { cursor, skip, limit, fields, includeTotal } = req.query;
     try {
-        const transactions = await Transaction.find({ user }).sort({ timestamp: -1 });
+        const { items, pagination } = await paginate(Transaction, { user }, {
+            cursor,
+            skip,
+            limit,
+            fields,
+            includeTotal: wantsTotal(includeTotal)
+        });
         res.status(200).json({
             message: 'Transactions retrieved successfully',
-            transactions
+            transactions: items,
+            pagination
         }); 
     }
     catch (error) {
+        if (error instanceof PaginationError) {
+            return res.status(400).json({ message: error.message });
+        }
         res.status(500).json({
             message: 'Error retrieving transactions'
         });
@@ -92,39 +124,39 @@ export const getTransactionById = async (req, res) => {
     }
 }
 
-export const importTransactions = async (req, res) => {
-    const user=req.user.id
-  try {
-    const transactions = req.body.map(tx => ({
-      ...tx,
-      user,
-    }));
-
-    const result = await Transaction.insertMany(transactions);
-
-    res.status(201).json(result);
-  } catch (err) {
-    res.status(500).json({ error: 'Batch import failed' });
-  }
-};
-
-
 export const updateTransaction = async (req, res) => {
   try {
     const id = req.params.id;
-    const update = req.body;
+    // Transfer links are managed through /:id/transfer so both legs stay consistent;
+    // kind can only be switched between standard and ignored here
+    const update = Object.fromEntries(Object.entries(req.body || {}).filter(([field]) => UPDATABLE_FIELDS.includes(field)));
+    const { kind } = req.body || {};
     const user= req.user.id;
 
-    const transaction = await Transaction.findOneAndUpdate(
-      { _id: id, user },
-      update,
-      { new: true }
-    );
+    if (update.account && !(mongoose.Types.ObjectId.isValid(update.account) && await Account.exists({ _id: update.account, user }))) {
+      return res.status(400).json({ error: 'Account not found' });
+    }
+
+    // Load and save (rather than findOneAndUpdate) so split totals are validated against the amount
+    const transaction = await Transaction.findOne({ _id: id, user });
 
     if (!transaction) return res.status(404).json({ error: 'Transaction not found' });
 
+    if (kind !== undefined) {
+      if (!['standard', 'ignored'].includes(kind) || transaction.kind === 'transfer') {
+        return res.status(400).json({ error: 'kind can only be set to standard or ignored on a non-transfer transaction' });
+      }
+      transaction.kind = kind;
+    }
+
+    transaction.set(update);
+    await transaction.save();
+
     res.json(transaction);
   } catch (err) {
+    if (err instanceof mongoose.Error.ValidationError) {
+      return res.status(400).json({ error: err.message });
+    }
     res.status(500).json({ error: 'Failed to update transaction' });
   }
 };
@@ -141,6 +173,11 @@ export const deleteTransaction = async (req, res) => {
 
     if (!deleted) return res.status(404).json({ error: 'Transaction not found' });
 
+    // The other leg of a transfer counts as a normal transaction again
+    if (deleted.kind === 'transfer' && deleted.transfer?.counterpart) {
+      await transferService.releaseLeg(deleted.transfer.counterpart);
+    }
+
     res.json({ message: 'Transaction deleted' });
   } catch (err) {
     res.status(500).json({ error: 'Failed to delete transaction' });
@@ -149,29 +186,24 @@ export const deleteTransaction = async (req, res) => {
 
 export const getTransactionsBySearch = async (req, res) => {
   try {
-    const { start, end, category, tags, source, q } = req.query;
-
-    const filter = { user: req.user.id };
-
-    if (start || end) {
-      filter.timestamp = {};
-      if (start) filter.timestamp.$gte = new Date(start);
-      if (end) filter.timestamp.$lte = new Date(end);
-    }
-
-    if (category) filter.category = category;
-    if (source) filter.source = source;
-    if (tags) filter.tags = { $in: tags.split(',') };
-
-    let query = Transaction.find(filter).sort({ timestamp: -1 });
-
-    if (q) {
-      query = query.find({ $text: { $search: q } });
-    }
+    const { cursor, skip, limit, fields, includeTotal } = req.query;
+    const filter = buildTransactionFilter(req.user._id, req.query);
+
+    const { items, pagination } = await paginate(Transaction, filter, {
+      cursor,
+      skip,
+      limit,
+      fields,
+      includeTotal: wantsTotal(includeTotal)
+    });
 
-    const transactions = await query.exec();
-    res.json(transactions);
+    // The body stays the plain array existing clients read; the page details go in headers
+    setPaginationHeaders(res, pagination);
+    res.json(items);
   } catch (err) {
+    if (err instanceof PaginationError || err instanceof TransactionFilterError) {
+      return res.status(400).json({ error: err.message });
+    }
     res.status(500).json({ error: 'Failed to fetch transactions' });
   }
 };
@@ -190,11 +222,11 @@ export const dayWeeklyTransactionSumm= async(req,res)=>{
   return res.status(403).json({ message: 'Data older than 6 months requires premium access.' });
 }
 
-// Fetch today's transactions
-const todayTransactions = await Transaction.find({
+// Fetch today's transactions (split transactions counted per line, in base currency)
+const todayTransactions = expandSplitLines(await Transaction.find(excludeTransfers({
   user,
   timestamp: { $gte: startOfToday, $lte: now }
-}).select('amount timestamp');
+})).select('amount currency baseCurrency exchangeRate timestamp splits').lean(), { inBaseCurrency: true });
 
 // Separate income and expenses for today
 const todayExpenses = todayTransactions.filter(txn => txn.amount > 0);
@@ -203,11 +235,12 @@ const todayIncome = todayTransactions.filter(txn => txn.amount < 0);
 // Weekly aggregation grouped by day
 const weekAggregation = await Transaction.aggregate([
   {
-    $match: {
+    $match: excludeTransfers({
       user,
       timestamp: { $gte: startOfWeek, $lte: now }
-    }
+    })
   },
+  ...splitLineStages({ inBaseCurrency: true }),
   {
     $group: {
       _id: { $dayOfWeek: "$timestamp" }, // 1 (Sun) - 7 (Sat)
@@ -228,6 +261,7 @@ const totalWeekIncome = weekAggregation.reduce((acc, t) => acc + t.income, 0);
 
 // Response
 res.json({
+  currency: req.user.baseCurrency,
   today: {
     expenses: totalTodayExpenses,
     income: totalTodayIncome,
@@ -253,4 +287,37 @@ catch(err){
   console.log(err);
 }
 
-}
\ No newline at end of file
+}
+
+// Manually pair a transaction with the other leg of a transfer between own accounts
+export const markTransfer = async (req, res) => {
+  try {
+    const { counterpartId } = req.body;
+    if (!counterpartId) {
+      return res.status(400).json({ error: 'counterpartId is required' });
+    }
+
+    const legs = await transferService.markTransfer(req.user._id, req.params.id, String(counterpartId));
+    res.json({ message: 'Transfer linked', transactions: legs });
+  } catch (err) {
+    if (err instanceof TransferError) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    logError('Failed to link transfer', err, req);
+    res.status(500).json({ error: 'Failed to link transfer' });
+  }
+};
+
+// Unlink a transfer; both legs count towards spend/income again
+export const unmarkTransfer = async (req, res) => {
+  try {
+    await transferService.unmarkTransfer(req.user._id, req.params.id);
+    res.json({ message: 'Transfer unlinked' });
+  } catch (err) {
+    if (err instanceof TransferError) {
+      return res.status(err.statusCode).json({ error: err.message });
+    }
+    logError('Failed to unlink transfer', err, req);
+    res.status(500).json({ error: 'Failed to unlink transfer' });
+  }
+};
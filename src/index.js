@@ -2,6 +2,7 @@
 import * as Sentry from '@sentry/node';
 import * as SentryProfiling from '@sentry/profiling-node';
 import dotenv from 'dotenv';
+import { scrubSentryEvent } from './utils/monitoring.js';
 dotenv.config();
 
 // Initialize Sentry BEFORE importing app
@@ -19,6 +20,10 @@ Sentry.init({
         SentryProfiling.nodeProfilingIntegration(),
     ],
 
+    // Webhook tokens travel in the URL; keep them out of events
+    beforeSend: scrubSentryEvent,
+    beforeSendTransaction: scrubSentryEvent,
+
     // Release tracking (optional, uncomment if you use releases)
     // release: process.env.npm_package_version,
 });
@@ -38,6 +43,13 @@ let server;
 
 import { emailPoller } from './services/emailPoller.service.js';
 import { multiUserGmailPoller } from './services/multiUserGmailPoller.service.js';
+import { recurringDetectionService } from './services/recurringDetection.service.js';
+import { creditCardService } from './services/creditCard.service.js';
+import { categoryModelService } from './services/categoryModel.service.js';
+import { currencyRebaseService } from './services/currencyRebase.service.js';
+import { gmailBackfillService } from './services/gmailBackfill.service.js';
+import { gmailWatchService } from './services/gmailWatch.service.js';
+import { jobQueue } from './services/jobQueue.service.js';
 
 connectDB()
     .then(() => {
@@ -60,9 +72,30 @@ connectDB()
             if (process.env.GMAIL_ENABLED !== 'false') {
                 multiUserGmailPoller.start();
                 logger.info('Multi-user Gmail poller started');
+
+                // Imports of older emails requested after connecting Gmail
+                gmailBackfillService.start();
+
+                // Gmail push watches (only when Pub/Sub is configured; polling otherwise)
+                gmailWatchService.start();
             } else {
                 logger.info('Gmail integration is disabled');
             }
+
+            // Daily recurring charge detection and missed-charge alerts
+            recurringDetectionService.start();
+
+            // Daily credit card cycle close and due-date reminders
+            creditCardService.start();
+
+            // Daily retraining of the category classifiers
+            categoryModelService.start();
+
+            // Re-conversion of transactions after a base currency change
+            currencyRebaseService.start();
+
+            // Workers for the jobs registered above; scheduling runs on one instance
+            jobQueue.start();
         });
         
         server.on('error', (error) => {
@@ -96,6 +129,12 @@ process.on('SIGTERM', () => {
             console.log('💥 Process terminated!');
             // Stop Email Poller
             if (emailPoller) emailPoller.isPolling = false;
+            recurringDetectionService.stop();
+            creditCardService.stop();
+            categoryModelService.stop();
+            gmailBackfillService.stop();
+            gmailWatchService.stop();
+            jobQueue.stop();
 
             try {
                 await mongoose.connection.close();
@@ -117,6 +156,12 @@ process.on('SIGINT', () => {
             console.log('💥 Process terminated!');
             // Stop Email Poller
             if (emailPoller) emailPoller.isPolling = false;
+            recurringDetectionService.stop();
+            creditCardService.stop();
+            categoryModelService.stop();
+            gmailBackfillService.stop();
+            gmailWatchService.stop();
+            jobQueue.stop();
 
             try {
                 await mongoose.connection.close();
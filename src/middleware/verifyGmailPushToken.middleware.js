@@ -0,0 +1,19 @@
+import crypto from 'crypto';
+
+// Pub/Sub push subscriptions are created with ?token=<GMAIL_PUSH_TOKEN> in the endpoint URL
+export const verifyGmailPushToken = (req, res, next) => {
+  const expected = process.env.GMAIL_PUSH_TOKEN;
+  const token = typeof req.query.token === 'string' ? req.query.token : '';
+
+  if (!expected) {
+    return res.status(404).json({ success: false, message: 'Gmail push is not configured' });
+  }
+
+  const given = Buffer.from(token);
+  const wanted = Buffer.from(expected);
+  const matches = given.length === wanted.length && crypto.timingSafeEqual(given, wanted);
+  if (!matches) {
+    return res.status(401).json({ success: false, message: 'Unauthorized - Invalid push token' });
+  }
+  next();
+};
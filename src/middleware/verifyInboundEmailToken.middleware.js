@@ -0,0 +1,19 @@
+import crypto from 'crypto';
+
+// Inbound mail providers are configured to post to .../inbound-email?token=<INBOUND_EMAIL_TOKEN>
+export const verifyInboundEmailToken = (req, res, next) => {
+  const expected = process.env.INBOUND_EMAIL_TOKEN;
+  const token = typeof req.query.token === 'string' ? req.query.token : '';
+
+  if (!expected) {
+    return res.status(404).json({ success: false, message: 'Inbound email is not configured' });
+  }
+
+  const given = Buffer.from(token);
+  const wanted = Buffer.from(expected);
+  const matches = given.length === wanted.length && crypto.timingSafeEqual(given, wanted);
+  if (!matches) {
+    return res.status(401).json({ success: false, message: 'Unauthorized - Invalid inbound email token' });
+  }
+  next();
+};
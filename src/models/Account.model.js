@@ -0,0 +1,127 @@
+import mongoose from 'mongoose';
+
+const MAX_BALANCE_HISTORY = 200;
+const MAX_SENDERS = 10;
+
+/**
+ * Account Model
+ * A bank account, credit card, wallet or cash pocket that transactions belong to.
+ * Parsed SMS/emails are linked by the last 4 digits of the account/card number
+ * (or by a known sender), and bank-reported balances are tracked over time.
+ * For credit cards the balance is the outstanding amount.
+ */
+const accountSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+
+    name: {
+        type: String,
+        required: true,
+        trim: true
+    },
+
+    type: {
+        type: String,
+        enum: ['bank', 'credit_card', 'wallet', 'cash'],
+        default: 'bank'
+    },
+
+    // Bank or issuer, e.g. "HDFC Bank"
+    institution: {
+        type: String,
+        trim: true
+    },
+
+    // Last 4 digits of the account / card number as seen in alerts
+    last4: {
+        type: String,
+        trim: true,
+        match: [/^\d{3,4}$/, 'last4 must be 3-4 digits']
+    },
+
+    // SMS sender IDs / email addresses that send alerts for this account
+    senders: [{
+        type: String,
+        lowercase: true,
+        trim: true
+    }],
+
+    currency: {
+        type: String,
+        default: 'INR',
+        uppercase: true
+    },
+
+    currentBalance: {
+        type: Number,
+        default: null
+    },
+    balanceUpdatedAt: Date,
+
+    // reported: from a bank alert, computed: previous balance adjusted by a transaction, manual: set by the user
+    balanceSource: {
+        type: String,
+        enum: ['reported', 'computed', 'manual']
+    },
+
+    balanceHistory: [{
+        balance: Number,
+        date: Date,
+        source: { type: String, enum: ['reported', 'computed', 'manual'] },
+        transaction: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction' }
+    }],
+
+    // Billing cycle settings for credit cards
+    creditCard: {
+        statementDay: { type: Number, min: 1, max: 31 }, // Day of month the cycle closes
+        dueDays: { type: Number, min: 1, max: 60, default: 20 }, // Days from statement date to due date
+        creditLimit: Number,
+        reminderDays: { type: [Number], default: [5, 1] } // Remind this many days before the due date
+    },
+
+    // Created automatically from a parsed alert rather than by the user
+    autoCreated: {
+        type: Boolean,
+        default: false
+    },
+
+    active: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+accountSchema.index(
+    { user: 1, type: 1, last4: 1 },
+    { unique: true, partialFilterExpression: { last4: { $type: 'string' } } }
+);
+accountSchema.index({ user: 1, senders: 1 });
+
+// Record a balance; only moves currentBalance forward in time
+accountSchema.methods.recordBalance = function (balance, { date = new Date(), source = 'reported', transaction } = {}) {
+    this.balanceHistory.push({ balance, date, source, transaction });
+    if (this.balanceHistory.length > MAX_BALANCE_HISTORY) {
+        this.balanceHistory = this.balanceHistory.slice(-MAX_BALANCE_HISTORY);
+    }
+
+    if (!this.balanceUpdatedAt || date >= this.balanceUpdatedAt) {
+        this.currentBalance = balance;
+        this.balanceUpdatedAt = date;
+        this.balanceSource = source;
+    }
+};
+
+// Remember a sender for future sender-based matching
+accountSchema.methods.addSender = function (sender) {
+    const value = sender?.toLowerCase().trim();
+    if (!value || this.senders.includes(value)) return;
+    this.senders = [...this.senders, value].slice(-MAX_SENDERS);
+};
+
+export const Account = mongoose.model('Account', accountSchema);
@@ -0,0 +1,126 @@
+import mongoose from 'mongoose';
+
+/**
+ * Budget Model
+ * Spending limit for a category or tag over a repeating period:
+ * - monthly (calendar month), weekly (ISO week) or custom (every N days from startDate)
+ * - optional rollover of unspent amount into the next period
+ * - threshold alerts (percent of limit) sent once per period
+ */
+const budgetSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+
+    name: {
+        type: String,
+        trim: true
+    },
+
+    // What the budget tracks
+    scope: {
+        type: {
+            type: String,
+            enum: ['category', 'tag'],
+            required: true
+        },
+        value: {
+            type: String,
+            required: true,
+            trim: true
+        }
+    },
+
+    amount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+
+    currency: {
+        type: String,
+        default: 'INR'
+    },
+
+    period: {
+        type: String,
+        enum: ['weekly', 'monthly', 'custom'],
+        default: 'monthly'
+    },
+
+    // Custom periods repeat every periodDays starting at startDate
+    periodDays: {
+        type: Number,
+        min: 1
+    },
+
+    // First period the budget applies to (rollover is never carried from before this)
+    startDate: {
+        type: Date,
+        default: Date.now
+    },
+
+    // Optional end of the budget
+    endDate: Date,
+
+    rollover: {
+        type: Boolean,
+        default: false
+    },
+
+    // Percent-of-limit thresholds that trigger alerts
+    alertThresholds: {
+        type: [Number],
+        default: [80, 100]
+    },
+
+    // Alerts already delivered, so each threshold fires once per period
+    alertsSent: [{
+        periodStart: Date,
+        threshold: Number,
+        spent: Number,
+        sentAt: { type: Date, default: Date.now }
+    }],
+
+    active: {
+        type: Boolean,
+        default: true,
+        index: true
+    }
+}, {
+    timestamps: true
+});
+
+budgetSchema.index({ user: 1, active: 1, 'scope.type': 1, 'scope.value': 1 });
+
+budgetSchema.pre('validate', function () {
+    if (this.period === 'custom' && !this.periodDays) {
+        this.invalidate('periodDays', 'periodDays is required for custom period budgets');
+    }
+    if (this.endDate && this.startDate && this.endDate <= this.startDate) {
+        this.invalidate('endDate', 'endDate must be after startDate');
+    }
+    if (this.alertThresholds?.some(t => t <= 0 || t > 500)) {
+        this.invalidate('alertThresholds', 'alertThresholds must be percentages between 1 and 500');
+    }
+});
+
+// Check whether an alert was already sent for this period + threshold
+budgetSchema.methods.hasAlerted = function (periodStart, threshold) {
+    return this.alertsSent.some(a =>
+        a.threshold === threshold && a.periodStart?.getTime() === periodStart.getTime()
+    );
+};
+
+// Record a sent alert, keeping only the recent history
+budgetSchema.methods.recordAlert = function (periodStart, threshold, spent) {
+    this.alertsSent.push({ periodStart, threshold, spent, sentAt: new Date() });
+    if (this.alertsSent.length > 50) {
+        this.alertsSent = this.alertsSent.slice(-50);
+    }
+};
+
+export const Budget = mongoose.model('Budget', budgetSchema);
@@ -0,0 +1,76 @@
+import mongoose from 'mongoose';
+
+/**
+ * CardStatement Model
+ * One billing cycle of a credit-card Account. Amounts are computed from the
+ * card's transactions when the cycle closes and overwritten by the bank's
+ * figures when a statement email arrives.
+ */
+const cardStatementSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+
+    account: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Account',
+        required: true
+    },
+
+    // Cycle covers cycleStart (inclusive) to cycleEnd (the statement date, inclusive)
+    cycleStart: { type: Date, required: true },
+    cycleEnd: { type: Date, required: true },
+    dueDate: { type: Date, required: true },
+
+    // Net spend on the card during the cycle (purchases minus refunds)
+    spent: { type: Number, default: 0 },
+    transactionCount: { type: Number, default: 0 },
+
+    // Bank figures when known, otherwise derived from spent
+    statementAmount: { type: Number, default: 0 },
+    minimumDue: { type: Number, default: 0 },
+
+    // Payments made to the card after the statement date
+    paidAmount: { type: Number, default: 0 },
+
+    status: {
+        type: String,
+        enum: ['billed', 'paid', 'overdue'],
+        default: 'billed'
+    },
+
+    // computed: from transactions, email: from the bank's statement email
+    source: {
+        type: String,
+        enum: ['computed', 'email'],
+        default: 'computed'
+    },
+    emailId: String,
+
+    remindersSent: [{
+        daysBefore: Number,
+        sentAt: { type: Date, default: Date.now }
+    }]
+}, {
+    timestamps: true
+});
+
+cardStatementSchema.index({ account: 1, cycleEnd: 1 }, { unique: true });
+cardStatementSchema.index({ user: 1, status: 1, dueDate: 1 });
+
+cardStatementSchema.virtual('outstanding').get(function () {
+    return Math.max(Math.round((this.statementAmount - this.paidAmount) * 100) / 100, 0);
+});
+
+cardStatementSchema.set('toJSON', { virtuals: true });
+cardStatementSchema.set('toObject', { virtuals: true });
+
+// Check whether a reminder was already sent for this many days before the due date
+cardStatementSchema.methods.hasReminded = function (daysBefore) {
+    return this.remindersSent.some(r => r.daysBefore === daysBefore);
+};
+
+export const CardStatement = mongoose.model('CardStatement', cardStatementSchema);
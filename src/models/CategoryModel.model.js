@@ -0,0 +1,55 @@
+import mongoose from 'mongoose';
+
+/**
+ * CategoryModel Model
+ * Trained naive Bayes category classifiers (see utils/categoryModel.helper.js):
+ * one per user from their approved and corrected transactions, plus one global model
+ * (user: null) from merchant names across all users.
+ */
+const categoryClassSchema = new mongoose.Schema({
+    category: { type: String, required: true },
+    subCategory: String, // Most common subcategory, when one dominates
+    docCount: Number, // Weighted number of training examples
+    tokenTotal: Number,
+    tokens: { type: Map, of: Number } // token -> weighted count
+}, { _id: false });
+
+const categoryModelSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null // null = global model
+    },
+
+    scope: {
+        type: String,
+        enum: ['user', 'global'],
+        required: true
+    },
+
+    classes: [categoryClassSchema],
+    totalDocs: Number,
+    vocabularySize: Number,
+
+    // Training run statistics
+    exampleCount: Number,
+    trainedAt: {
+        type: Date,
+        default: Date.now
+    }
+}, {
+    timestamps: true
+});
+
+categoryModelSchema.index({ scope: 1, user: 1 }, { unique: true });
+
+// Replace the stored model of a scope with a freshly trained one
+categoryModelSchema.statics.store = function (scope, userId, model, exampleCount) {
+    return this.findOneAndUpdate(
+        { scope, user: userId || null },
+        { $set: { ...model, exampleCount, trainedAt: new Date() } },
+        { upsert: true, new: true }
+    );
+};
+
+export const CategoryModel = mongoose.model('CategoryModel', categoryModelSchema);
@@ -0,0 +1,131 @@
+import mongoose from 'mongoose';
+import { MERCHANT_OPERATORS, RULE_MARKS, checkRuleConditions } from '../utils/categoryRule.helper.js';
+
+/**
+ * CategoryRule Model
+ * Per-user rules that categorize, tag and rename transactions (see utils/categoryRule.helper.js).
+ * Run on every new transaction, and on history through the re-apply endpoints.
+ */
+const categoryRuleSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100
+    },
+
+    // Lower runs first
+    priority: {
+        type: Number,
+        default: 100
+    },
+    // Skip lower-priority rules once this one matched
+    stopProcessing: {
+        type: Boolean,
+        default: false
+    },
+
+    // All set conditions must hold
+    conditions: {
+        merchant: {
+            operator: { type: String, enum: MERCHANT_OPERATORS, default: 'contains' },
+            value: { type: String, trim: true }
+        },
+        amount: {
+            min: { type: Number, min: 0 }, // Absolute amount, either direction
+            max: { type: Number, min: 0 }
+        },
+        direction: { type: String, enum: ['expense', 'income'] },
+        paymentMethods: [{ type: String, enum: ['cash', 'card', 'upi', 'netbanking', 'wallet', 'other'] }],
+        sources: [{ type: String, enum: ['manual', 'sms', 'email', 'gmail', 'imported'] }],
+        accounts: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Account' }],
+        timeOfDay: {
+            from: String, // "HH:mm" in IST; from > to wraps past midnight
+            to: String
+        },
+        location: {
+            city: { type: String, trim: true },
+            lat: Number,
+            lng: Number,
+            radiusMeters: { type: Number, min: 10, max: 50000 }
+        }
+    },
+
+    actions: {
+        category: { type: String, trim: true },
+        subCategory: { type: String, trim: true },
+        merchant: { type: String, trim: true }, // Rename
+        note: { type: String, trim: true },
+        addTags: [{ type: String, trim: true }],
+        markAs: { type: String, enum: RULE_MARKS }
+    },
+
+    active: {
+        type: Boolean,
+        default: true
+    },
+
+    // Usage statistics
+    matchCount: {
+        type: Number,
+        default: 0
+    },
+    lastMatchedAt: Date
+}, {
+    timestamps: true
+});
+
+categoryRuleSchema.index({ user: 1, active: 1, priority: 1 });
+
+const hasCondition = (conditions = {}) => !!(
+    conditions.merchant?.value ||
+    conditions.amount?.min !== undefined || conditions.amount?.max !== undefined ||
+    conditions.direction ||
+    conditions.paymentMethods?.length || conditions.sources?.length || conditions.accounts?.length ||
+    conditions.timeOfDay?.from ||
+    conditions.location?.city || conditions.location?.lat !== undefined
+);
+
+const hasAction = (actions = {}) => !!(
+    actions.category || actions.subCategory || actions.merchant || actions.note ||
+    actions.addTags?.length || actions.markAs
+);
+
+categoryRuleSchema.pre('validate', function () {
+    if (!hasCondition(this.conditions)) {
+        this.invalidate('conditions', 'A rule needs at least one condition');
+    } else {
+        const error = checkRuleConditions(this.conditions);
+        if (error) this.invalidate('conditions', error);
+    }
+    if (!hasAction(this.actions)) {
+        this.invalidate('actions', 'A rule needs at least one action');
+    }
+});
+
+// Active rules of a user in the order they run
+categoryRuleSchema.statics.findActive = function (userId, ruleIds) {
+    const query = { user: userId, active: true };
+    if (ruleIds?.length) query._id = { $in: ruleIds };
+    return this.find(query).sort({ priority: 1, createdAt: 1 }).lean();
+};
+
+// Count matches per rule after a run
+categoryRuleSchema.statics.recordMatches = function (counts) {
+    const ops = [...counts].map(([ruleId, count]) => ({
+        updateOne: {
+            filter: { _id: ruleId },
+            update: { $inc: { matchCount: count }, $set: { lastMatchedAt: new Date() } }
+        }
+    }));
+    return ops.length ? this.bulkWrite(ops, { ordered: false }) : null;
+};
+
+export const CategoryRule = mongoose.model('CategoryRule', categoryRuleSchema);
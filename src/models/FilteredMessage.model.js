@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+import logger from '../utils/logger.js';
+import { MESSAGE_LABELS } from '../utils/message.classifier.js';
+
+const PREVIEW_LENGTH = 300;
+const RETENTION_DAYS = 30;
+
+/**
+ * FilteredMessage Model
+ * SMS / emails the message classifier kept out of the transaction pipeline
+ * (OTPs, offers, declined payments, balance-only alerts, bill reminders),
+ * kept for a while so filtering mistakes can be spotted and the rules tuned.
+ */
+const filteredMessageSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+
+    channel: {
+        type: String,
+        enum: ['sms', 'email', 'gmail'],
+        required: true
+    },
+
+    label: {
+        type: String,
+        enum: MESSAGE_LABELS,
+        required: true
+    },
+    reason: String, // Phrase that triggered the label, e.g. "declined"
+
+    sender: String, // SMS sender ID or email From
+    subject: String,
+    preview: String, // Start of the message; digits masked for OTPs
+
+    expiresAt: {
+        type: Date,
+        default: () => new Date(Date.now() + RETENTION_DAYS * 24 * 60 * 60 * 1000)
+    }
+}, {
+    timestamps: true
+});
+
+filteredMessageSchema.index({ user: 1, label: 1, createdAt: -1 });
+filteredMessageSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // TTL index
+
+/**
+ * Record a filtered message. A failed write is logged and returns null, and ingestion carries on.
+ */
+filteredMessageSchema.statics.record = async function ({ user, channel, label, reason, sender, subject, text }) {
+    try {
+        let preview = (text || '').replace(/\s+/g, ' ').trim().slice(0, PREVIEW_LENGTH);
+        if (label === 'otp') preview = preview.replace(/[0-9]/g, '•');
+
+        return await this.create({ user, channel, label, reason, sender, subject, preview });
+    } catch (error) {
+        logger.error('Failed to record filtered message', { error: error.message, label });
+        return null;
+    }
+};
+
+export const FilteredMessage = mongoose.model('FilteredMessage', filteredMessageSchema);
@@ -0,0 +1,65 @@
+import mongoose from 'mongoose';
+
+export const BACKFILL_ACTIVE_STATUSES = ['queued', 'running'];
+
+/**
+ * GmailBackfill Model
+ * A walk over a user's older transaction emails for a date range, one page of
+ * Gmail results at a time. pageToken is saved after each page, so a restart
+ * resumes where the job stopped.
+ */
+const gmailBackfillSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    range: {
+        start: { type: Date, required: true },
+        end: { type: Date, required: true }
+    },
+
+    status: {
+        type: String,
+        enum: ['queued', 'running', 'completed', 'cancelled', 'failed'],
+        default: 'queued'
+    },
+
+    pageToken: String, // Next Gmail results page; null once the last page is done
+    pages: { type: Number, default: 0 },
+    estimatedTotal: Number, // Gmail's resultSizeEstimate for the range
+
+    // Outcome per message (see MultiUserGmailPollerService.processMessage)
+    counts: {
+        scanned: { type: Number, default: 0 },
+        pending: { type: Number, default: 0 },
+        duplicate: { type: Number, default: 0 },
+        filtered: { type: Number, default: 0 },
+        unparsed: { type: Number, default: 0 },
+        statement: { type: Number, default: 0 },
+        locked: { type: Number, default: 0 },
+        alreadyProcessed: { type: Number, default: 0 },
+        errors: { type: Number, default: 0 }
+    },
+
+    error: String, // Last error
+    failures: { type: Number, default: 0 }, // Consecutive failed pages
+    startedAt: Date,
+    finishedAt: Date
+}, {
+    timestamps: true
+});
+
+gmailBackfillSchema.index({ user: 1, createdAt: -1 });
+gmailBackfillSchema.index({ status: 1, updatedAt: 1 });
+
+gmailBackfillSchema.virtual('progress').get(function () {
+    if (this.status === 'completed') return 1;
+    if (!this.estimatedTotal) return 0;
+    return Math.min(Math.round((this.counts.scanned / this.estimatedTotal) * 100) / 100, 0.99);
+});
+
+gmailBackfillSchema.set('toJSON', { virtuals: true });
+
+export const GmailBackfill = mongoose.model('GmailBackfill', gmailBackfillSchema);
@@ -0,0 +1,78 @@
+import mongoose from 'mongoose';
+
+/**
+ * ImportBatch Model
+ * Holds a parsed statement file as a dry-run preview until the user commits it.
+ * Rows are already normalized to the Transaction schema and flagged as
+ * new / duplicate / invalid so the client can show exactly what will be added.
+ */
+const importRowSchema = new mongoose.Schema({
+    line: Number,
+    status: {
+        type: String,
+        enum: ['new', 'duplicate', 'invalid'],
+        default: 'new'
+    },
+    error: String,
+    duplicateOf: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Transaction'
+    },
+    // Normalized transaction fields (see TransactionImportService.normalizeRow)
+    transaction: mongoose.Schema.Types.Mixed,
+    // Which learned patterns changed the row
+    suggestionsApplied: [String]
+}, { _id: false });
+
+const importBatchSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+
+    format: {
+        type: String,
+        enum: ['csv', 'ofx', 'qif', 'json'],
+        required: true
+    },
+
+    profile: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ImportProfile'
+    },
+
+    fileName: String,
+
+    rows: [importRowSchema],
+
+    summary: {
+        total: { type: Number, default: 0 },
+        new: { type: Number, default: 0 },
+        duplicate: { type: Number, default: 0 },
+        invalid: { type: Number, default: 0 },
+        imported: { type: Number, default: 0 }
+    },
+
+    status: {
+        type: String,
+        enum: ['preview', 'committed', 'discarded'],
+        default: 'preview',
+        index: true
+    },
+
+    committedAt: Date,
+
+    // Previews are throwaway - clean them up after a day
+    expiresAt: {
+        type: Date,
+        default: () => new Date(Date.now() + 24 * 60 * 60 * 1000)
+    }
+}, {
+    timestamps: true
+});
+
+importBatchSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // TTL index
+
+export const ImportBatch = mongoose.model('ImportBatch', importBatchSchema);
@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+
+/**
+ * ImportProfile Model
+ * Saved CSV column mapping for a bank's statement export, so users only
+ * describe their bank's layout once:
+ * - Which column holds date / narration / debit / credit / balance
+ * - Date format and delimiter
+ * - How the bank signs amounts
+ */
+const importProfileSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+
+    name: {
+        type: String, // e.g. "HDFC Savings", "ICICI Credit Card"
+        required: true,
+        trim: true
+    },
+
+    bankName: String,
+
+    // Column mapping: header name or 0-based column index per field
+    mapping: {
+        date: mongoose.Schema.Types.Mixed,
+        description: mongoose.Schema.Types.Mixed,
+        merchant: mongoose.Schema.Types.Mixed,
+        amount: mongoose.Schema.Types.Mixed,   // Single signed amount column
+        debit: mongoose.Schema.Types.Mixed,    // Or separate debit/credit columns
+        credit: mongoose.Schema.Types.Mixed,
+        type: mongoose.Schema.Types.Mixed,     // "Dr"/"Cr" indicator column
+        reference: mongoose.Schema.Types.Mixed,
+        balance: mongoose.Schema.Types.Mixed,
+        category: mongoose.Schema.Types.Mixed
+    },
+
+    dateFormat: {
+        type: String, // moment format, e.g. "DD/MM/YY"
+        default: 'DD/MM/YYYY'
+    },
+
+    delimiter: {
+        type: String,
+        default: ','
+    },
+
+    hasHeader: {
+        type: Boolean,
+        default: true
+    },
+
+    // Rows to skip before the header (bank name, account details, etc.)
+    skipRows: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+
+    // How the single amount column is signed
+    amountSign: {
+        type: String,
+        enum: ['debit_negative', 'debit_positive'],
+        default: 'debit_negative'
+    },
+
+    currency: {
+        type: String,
+        default: 'INR'
+    },
+
+    lastUsedAt: Date
+}, {
+    timestamps: true
+});
+
+importProfileSchema.index({ user: 1, name: 1 }, { unique: true });
+
+export const ImportProfile = mongoose.model('ImportProfile', importProfileSchema);
@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+
+/**
+ * Job Model
+ * Background work queued in MongoDB (see jobQueue.service), so work survives a crash or
+ * restart and is shared by all app instances. A failed job is retried with backoff until
+ * maxAttempts, then kept as a dead letter for inspection.
+ */
+const jobSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        required: true
+    },
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+
+    // Jobs sharing a key (usually a user ID) are limited to a few running at once across instances
+    concurrencyKey: {
+        type: String,
+        default: null
+    },
+    // At most one queued job per key; enqueueing again returns the queued one
+    dedupeKey: String,
+
+    status: {
+        type: String,
+        enum: ['queued', 'running', 'completed', 'dead'],
+        default: 'queued'
+    },
+    runAt: {
+        type: Date,
+        default: Date.now
+    },
+    attempts: { type: Number, default: 0 },
+    maxAttempts: { type: Number, default: 5 },
+
+    lockedBy: String,      // Worker running the job
+    lockExpiresAt: Date,   // Extended while the job runs; a job past it is requeued
+
+    lastError: String,
+    failures: [{ // Last few errors
+        message: String,
+        at: { type: Date, default: Date.now },
+        _id: false
+    }],
+
+    startedAt: Date,
+    completedAt: Date,
+    deadAt: Date,
+    expiresAt: Date // Set once the job is finished
+}, {
+    timestamps: true
+});
+
+jobSchema.index({ status: 1, runAt: 1 });
+jobSchema.index({ status: 1, concurrencyKey: 1 });
+jobSchema.index({ status: 1, lockExpiresAt: 1 });
+jobSchema.index({ dedupeKey: 1 }, { unique: true, partialFilterExpression: { status: 'queued' } });
+jobSchema.index({ dedupeKey: 1, type: 1 });
+jobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // TTL index
+
+export const Job = mongoose.model('Job', jobSchema);
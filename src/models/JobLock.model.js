@@ -0,0 +1,46 @@
+import mongoose from 'mongoose';
+
+/**
+ * JobLock Model
+ * A named lease held by one app instance, e.g. the job scheduler leader. The holder renews
+ * it before expiresAt; once it lapses any instance may take it over.
+ */
+const jobLockSchema = new mongoose.Schema({
+    _id: String, // Lock name
+    owner: {
+        type: String,
+        required: true
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+/**
+ * Take or renew a lock
+ * @returns {Promise<boolean>} true when owner holds the lock for the next ttlMs
+ */
+jobLockSchema.statics.acquire = async function (name, owner, ttlMs) {
+    const now = new Date();
+    try {
+        const lock = await this.findOneAndUpdate(
+            { _id: name, $or: [{ owner }, { expiresAt: { $lte: now } }] },
+            { $set: { owner, expiresAt: new Date(now.getTime() + ttlMs) } },
+            { upsert: true, new: true }
+        );
+        return lock.owner === owner;
+    } catch (error) {
+        // Held by another instance: the upsert collides with the existing lock
+        if (error.code === 11000) return false;
+        throw error;
+    }
+};
+
+jobLockSchema.statics.release = function (name, owner) {
+    return this.deleteOne({ _id: name, owner });
+};
+
+export const JobLock = mongoose.model('JobLock', jobLockSchema);
@@ -170,16 +170,8 @@ merchantPatternSchema.methods.learnPaymentMethod = function(parsedMethod, correc
     this.paymentMethodPattern.confidence = mostCommon[1] / this.paymentMethodPattern.history.length;
 };
 
-// Static method to suggest corrections for a parsed transaction
-merchantPatternSchema.statics.suggestCorrections = async function(userId, parsedData) {
-    const merchantKey = parsedData.merchant?.toLowerCase().trim();
-    
-    if (!merchantKey) return null;
-
-    const pattern = await this.findOne({ user: userId, merchantKey });
-
-    if (!pattern) return null;
-
+// Corrections a pattern suggests: the canonical name always, category and payment method once confident
+const buildSuggestions = (pattern) => {
     const suggestions = {};
 
     // Suggest canonical merchant name
@@ -205,6 +197,37 @@ merchantPatternSchema.statics.suggestCorrections = async function(userId, parsed
     };
 };
 
+const toMerchantKey = (merchant) => merchant?.toLowerCase().trim();
+
+// Static method to suggest corrections for a parsed transaction
+merchantPatternSchema.statics.suggestCorrections = async function(userId, parsedData) {
+    const merchantKey = toMerchantKey(parsedData.merchant);
+    
+    if (!merchantKey) return null;
+
+    const pattern = await this.findOne({ user: userId, merchantKey });
+
+    if (!pattern) return null;
+
+    return buildSuggestions(pattern);
+};
+
+// Static method to suggest corrections for many merchants with one query (statement imports)
+// Returns a Map of merchant name -> suggestCorrections result, for the merchants that have a pattern
+merchantPatternSchema.statics.suggestCorrectionsForMerchants = async function(userId, merchants) {
+    const keys = [...new Set(merchants.map(toMerchantKey).filter(Boolean))];
+    if (keys.length === 0) return new Map();
+
+    const patterns = await this.find({ user: userId, merchantKey: { $in: keys } })
+        .select('merchantKey merchantName categoryPattern.preferredCategory categoryPattern.confidence paymentMethodPattern.preferredMethod paymentMethodPattern.confidence')
+        .lean();
+    const byKey = new Map(patterns.map(pattern => [pattern.merchantKey, buildSuggestions(pattern)]));
+
+    return new Map(merchants
+        .filter(merchant => byKey.has(toMerchantKey(merchant)))
+        .map(merchant => [merchant, byKey.get(toMerchantKey(merchant))]));
+};
+
 // Static method to find pattern by variation (with fuzzy matching)
 merchantPatternSchema.statics.findByVariation = async function(userId, parsedMerchant) {
     const patterns = await this.find({ user: userId });
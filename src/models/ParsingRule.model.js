@@ -0,0 +1,99 @@
+import mongoose from 'mongoose';
+import { RULE_FIELDS, checkRulePattern, ruleMatchesSource } from '../utils/bankParsers/userRule.helper.js';
+
+const MAX_SENDERS = 20;
+
+/**
+ * ParsingRule Model
+ * User-written parsing rules for banks and wallets the built-in parsers don't know
+ * (co-op banks, new fintechs). Applied to messages from the rule's senders before
+ * the bank parsers and the generic parser.
+ */
+const parsingRuleSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100
+    },
+    bankName: {
+        type: String,
+        trim: true // Reported as the transaction's bank; defaults to the rule name
+    },
+
+    // SMS sender IDs ("ABCBNK", operator prefix optional), email addresses or email domains
+    senders: {
+        type: [{ type: String, lowercase: true, trim: true }],
+        validate: [
+            { validator: v => v.length > 0, message: 'At least one sender is required' },
+            { validator: v => v.length <= MAX_SENDERS, message: `At most ${MAX_SENDERS} senders` }
+        ]
+    },
+
+    // Regex sources, each with a named group of the field's name, e.g. "Rs\\.?\\s*(?<amount>[0-9,.]+)"
+    patterns: {
+        amount: { type: String, required: true },
+        merchant: String,
+        type: { type: String }, // (?<type>...) captured text containing "credit"/"received"/"cr" means income
+        account: String, // last 4 digits of the captured text are used
+        date: String // (?<date>...) and optionally (?<time>...)
+    },
+
+    defaultType: {
+        type: String,
+        enum: ['expense', 'income'],
+        default: 'expense' // Used when there is no type pattern or it doesn't match
+    },
+    currency: String, // ISO code when the alerts aren't in INR
+    paymentMethod: {
+        type: String,
+        enum: ['cash', 'card', 'upi', 'netbanking', 'wallet', 'other']
+    },
+
+    active: {
+        type: Boolean,
+        default: true
+    },
+
+    // Usage statistics
+    matchCount: {
+        type: Number,
+        default: 0
+    },
+    lastMatchedAt: Date
+}, {
+    timestamps: true
+});
+
+parsingRuleSchema.index({ user: 1, active: 1 });
+
+// Reject patterns that don't compile, lack their named group or could backtrack badly
+parsingRuleSchema.pre('validate', function () {
+    RULE_FIELDS.forEach(field => {
+        const source = this.patterns?.[field];
+        if (source === undefined || source === null || source === '') return;
+        const error = checkRulePattern(field, source);
+        if (error) this.invalidate(`patterns.${field}`, error, source);
+    });
+});
+
+// Active rules of a user that apply to an SMS sender ID / email From address
+parsingRuleSchema.statics.findForSource = async function (userId, { sender, from } = {}) {
+    if (!sender && !from) return [];
+    const rules = await this.find({ user: userId, active: true }).sort({ createdAt: 1 }).lean();
+    return rules.filter(rule => ruleMatchesSource(rule.senders, { sender, from }));
+};
+
+// Record that a rule parsed a message
+parsingRuleSchema.statics.recordMatch = function (ruleId) {
+    return this.updateOne({ _id: ruleId }, { $inc: { matchCount: 1 }, $set: { lastMatchedAt: new Date() } });
+};
+
+export const ParsingRule = mongoose.model('ParsingRule', parsingRuleSchema);
@@ -13,13 +13,18 @@ const pendingTransactionSchema = new mongoose.Schema({
     // Original parsed data
     parsedData: {
         amount: { type: Number, required: true },
+        currency: { type: String, default: 'INR' },
         type: { type: String, enum: ['income', 'expense'], required: true },
         category: String,
+        categorizedBy: String, // 'model:user' | 'model:global' when the category model chose the category
+        categoryConfidence: Number,
         description: String,
         merchant: String,
         date: Date,
-        accountNumber: String,
-        balance: Number,
+        accountNumber: String, // Last 4 digits of the account / card
+        accountType: { type: String, enum: ['bank', 'credit_card'] },
+        balance: Number, // Bank-reported balance after this transaction
+        reference: String, // Bank UPI / IMPS / NEFT reference number
         paymentMethod: String,
         location: {
             type: { type: String, enum: ['Point'], default: 'Point' },
@@ -34,7 +39,9 @@ const pendingTransactionSchema = new mongoose.Schema({
         rawContent: String, // Original email/SMS content
         subject: String, // Email subject
         from: String, // Email sender
-        parsingStrategy: String // Which parser was used: 'bank-pattern', 'generic-parser', 'learned-pattern', 'testmail_forwarded', 'failed'
+        parsingStrategy: String, // Which parser was used: 'user-rule', 'bank-pattern', 'generic-parser', 'learned-pattern', 'statement-attachment', 'testmail_forwarded', 'failed'
+        parsedBy: String, // Registry parser that produced parsedData, e.g. 'hdfc:upi-sent' or 'generic'
+        messageLabel: String // Classifier label of the message (message.classifier)
     },
 
     // Additional metadata for learning
@@ -93,6 +100,8 @@ const pendingTransactionSchema = new mongoose.Schema({
 
 // Index for efficient queries
 pendingTransactionSchema.index({ user: 1, status: 1, createdAt: -1 });
+pendingTransactionSchema.index({ user: 1, 'parsedData.reference': 1 }, { sparse: true }); // Reference-number dedupe
+pendingTransactionSchema.index({ approvedTransaction: 1 }, { sparse: true }); // Provenance lookups on export
 pendingTransactionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // TTL index
 
 // Virtual for formatted amount
@@ -103,6 +112,7 @@ pendingTransactionSchema.virtual('formattedAmount').get(function () {
 // Method to approve transaction
 pendingTransactionSchema.methods.approve = async function (correctedData = null) {
     const Transaction = mongoose.model('Transaction');
+    const User = mongoose.model('User');
     const MerchantLocation = mongoose.model('MerchantLocation');
     const EmailParsingPattern = mongoose.model('EmailParsingPattern');
 
@@ -225,14 +235,23 @@ pendingTransactionSchema.methods.approve = async function (correctedData = null)
     }
 
     // Create actual transaction
+    const owner = await User.findById(this.user).select('baseCurrency');
     const transaction = await Transaction.create({
         user: this.user,
         amount: transactionData.amount,
+        currency: transactionData.currency || this.parsedData.currency,
+        baseCurrency: owner?.baseCurrency,
         category: transactionData.category || 'Other',
+        // Keep the model provenance only if the user kept its category
+        categorizedBy: transactionData.category === this.parsedData.category ? this.parsedData.categorizedBy : undefined,
+        categoryConfidence: transactionData.category === this.parsedData.category ? this.parsedData.categoryConfidence : undefined,
         note: transactionData.description,
         merchant: transactionData.merchant,
+        reference: this.parsedData.reference,
         timestamp: transactionData.date || new Date(),
         source: this.source.type,
+        parsedBy: this.source.parsedBy,
+        messageLabel: this.source.messageLabel,
         location: transactionData.location?.coordinates ? {
             type: 'exact',
             lat: transactionData.location.coordinates[1],
@@ -261,6 +280,17 @@ pendingTransactionSchema.methods.approve = async function (correctedData = null)
     return transaction;
 };
 
+// Parser details used to link the approved transaction to an account
+pendingTransactionSchema.methods.getAccountContext = function () {
+    return {
+        accountNumber: this.parsedData.accountNumber,
+        accountType: this.parsedData.accountType,
+        balance: this.parsedData.balance,
+        sender: this.source.from,
+        bankName: this.metadata?.bankName
+    };
+};
+
 // Method to reject transaction
 pendingTransactionSchema.methods.reject = async function (reason = null) {
     this.status = 'rejected';
@@ -0,0 +1,92 @@
+import mongoose from 'mongoose';
+
+const RETENTION_DAYS = 90; // Well beyond the Gmail full-sync window, so nothing is seen twice
+const MAX_ATTEMPTS = 3;
+
+/**
+ * ProcessedEmail Model
+ * Gmail messages the poller has handled, so restarts and history re-reads
+ * never process a message twice. Failed messages are retried a few times.
+ */
+const processedEmailSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+
+    messageId: {
+        type: String,
+        required: true
+    },
+
+    status: {
+        type: String,
+        // skipped = not a transaction email; locked = statement PDF no statement password opened yet;
+        // unparsed = read, but no transaction or statement could be parsed from it
+        enum: ['processed', 'skipped', 'locked', 'unparsed', 'failed'],
+        required: true
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    lastError: String,
+
+    expiresAt: {
+        type: Date,
+        default: () => new Date(Date.now() + RETENTION_DAYS * 24 * 60 * 60 * 1000)
+    }
+}, {
+    timestamps: true
+});
+
+processedEmailSchema.index({ user: 1, messageId: 1 }, { unique: true });
+processedEmailSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // TTL index
+
+/**
+ * IDs among messageIds that need no more work (handled, or failed too often)
+ * @returns {Promise<Set<string>>}
+ */
+processedEmailSchema.statics.findHandled = async function (userId, messageIds) {
+    if (messageIds.length === 0) return new Set();
+
+    const records = await this.find({
+        user: userId,
+        messageId: { $in: messageIds },
+        $or: [{ status: { $ne: 'failed' } }, { attempts: { $gte: MAX_ATTEMPTS } }]
+    }).select('messageId').lean();
+
+    return new Set(records.map(record => record.messageId));
+};
+
+/**
+ * Status to record for a processMessage outcome (multiUserGmailPoller)
+ */
+processedEmailSchema.statics.statusForOutcome = function (outcome) {
+    if (outcome === 'locked' || outcome === 'unparsed') return outcome;
+    return 'processed';
+};
+
+processedEmailSchema.statics.markDone = function (userId, messageId, status = 'processed') {
+    return this.updateOne(
+        { user: userId, messageId },
+        { $set: { status }, $inc: { attempts: 1 }, $unset: { lastError: '' } },
+        { upsert: true }
+    );
+};
+
+/**
+ * Record a failed attempt
+ * @returns {Promise<boolean>} true when the message will not be retried
+ */
+processedEmailSchema.statics.recordFailure = async function (userId, messageId, error) {
+    const record = await this.findOneAndUpdate(
+        { user: userId, messageId },
+        { $set: { status: 'failed', lastError: String(error?.message || error).slice(0, 500) }, $inc: { attempts: 1 } },
+        { upsert: true, new: true }
+    );
+    return record.attempts >= MAX_ATTEMPTS;
+};
+
+export const ProcessedEmail = mongoose.model('ProcessedEmail', processedEmailSchema);
@@ -0,0 +1,106 @@
+import mongoose from 'mongoose';
+
+/**
+ * RecurringSeries Model
+ * A merchant the user pays on a regular cadence (subscriptions, rent, SIPs, EMIs).
+ * Detected from Transaction history by RecurringDetectionService and used to
+ * predict the next charge and alert when it is missing or the amount jumps.
+ */
+const recurringSeriesSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+
+    // Normalized merchant used for grouping (e.g. "netflix")
+    merchantKey: {
+        type: String,
+        required: true,
+        lowercase: true,
+        trim: true
+    },
+
+    merchantName: String,
+    category: String,
+
+    // Best guess of what kind of commitment this is
+    kind: {
+        type: String,
+        enum: ['subscription', 'rent', 'investment', 'loan', 'utility', 'other'],
+        default: 'other'
+    },
+
+    cadence: {
+        type: String,
+        enum: ['weekly', 'biweekly', 'monthly', 'quarterly', 'yearly'],
+        required: true
+    },
+
+    intervalDays: Number,       // Median observed gap between charges
+
+    averageAmount: Number,
+    lastAmount: Number,
+    amountDeviation: Number,    // Relative spread of amounts (0 = identical)
+
+    firstDate: Date,
+    lastDate: Date,
+    nextExpectedDate: { type: Date, index: true },
+    nextExpectedAmount: Number,
+
+    occurrences: {
+        type: Number,
+        default: 0
+    },
+
+    // Most recent matching transactions
+    transactions: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Transaction'
+    }],
+
+    confidence: {
+        type: Number,
+        min: 0,
+        max: 1,
+        default: 0
+    },
+
+    status: {
+        type: String,
+        enum: ['active', 'missed', 'ended', 'dismissed'],
+        default: 'active',
+        index: true
+    },
+
+    // Alerts already delivered (one per expected charge / jump)
+    alertsSent: [{
+        type: { type: String, enum: ['missed', 'amount_jump'] },
+        expectedDate: Date,
+        amount: Number,
+        sentAt: { type: Date, default: Date.now }
+    }],
+
+    lastDetectedAt: Date
+}, {
+    timestamps: true
+});
+
+recurringSeriesSchema.index({ user: 1, merchantKey: 1 }, { unique: true });
+
+// Check whether an alert of this type was already sent for an expected charge
+recurringSeriesSchema.methods.hasAlerted = function (type, expectedDate) {
+    return this.alertsSent.some(a =>
+        a.type === type && a.expectedDate?.getTime() === expectedDate?.getTime()
+    );
+};
+
+recurringSeriesSchema.methods.recordAlert = function (type, expectedDate, amount) {
+    this.alertsSent.push({ type, expectedDate, amount, sentAt: new Date() });
+    if (this.alertsSent.length > 30) {
+        this.alertsSent = this.alertsSent.slice(-30);
+    }
+};
+
+export const RecurringSeries = mongoose.model('RecurringSeries', recurringSeriesSchema);
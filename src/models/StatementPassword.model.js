@@ -0,0 +1,87 @@
+import mongoose from 'mongoose';
+import { encryptSecret, decryptSecret } from '../utils/secret.helper.js';
+import { validatePasswordTemplate, requiredSecrets, SECRET_FIELDS } from '../utils/statementPassword.helper.js';
+
+const MAX_SENDERS = 20;
+
+/**
+ * StatementPassword Model
+ * How to open a user's password-protected statement PDFs from some senders: a template such
+ * as "{NAME4}{DOB:DDMM}" (see statementPassword.helper) and the details it is built from.
+ * The details are stored encrypted and never returned by the API.
+ */
+const statementPasswordSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 100
+    },
+
+    // Email addresses or domains the statements come from; empty = any sender
+    senders: {
+        type: [{ type: String, lowercase: true, trim: true }],
+        validate: { validator: v => v.length <= MAX_SENDERS, message: `At most ${MAX_SENDERS} senders` }
+    },
+
+    template: {
+        type: String,
+        required: true,
+        trim: true,
+        validate: {
+            validator: v => !validatePasswordTemplate(v),
+            message: props => validatePasswordTemplate(props.value)
+        }
+    },
+
+    // encryptSecret({ name, dob, pan, mobile, customerId })
+    encryptedSecrets: {
+        type: String,
+        select: false
+    },
+    // Which details are stored, so the app can show them without decrypting
+    secretFields: [{ type: String, enum: SECRET_FIELDS }],
+
+    lastUsedAt: Date, // Last time it opened a statement
+    active: {
+        type: Boolean,
+        default: true
+    }
+}, {
+    timestamps: true
+});
+
+statementPasswordSchema.methods.setSecrets = function (secrets = {}) {
+    const values = Object.fromEntries(Object.entries(secrets || {})
+        .filter(([field, value]) => SECRET_FIELDS.includes(field) && value !== undefined && value !== null && String(value).trim())
+        .map(([field, value]) => [field, String(value).trim()]));
+    this.encryptedSecrets = encryptSecret(values);
+    this.secretFields = Object.keys(values);
+};
+
+statementPasswordSchema.methods.getSecrets = function () {
+    return decryptSecret(this.encryptedSecrets) || {};
+};
+
+/**
+ * Details the template uses that were not provided
+ */
+statementPasswordSchema.methods.missingSecrets = function () {
+    return requiredSecrets(this.template).filter(field => !(this.secretFields || []).includes(field));
+};
+
+statementPasswordSchema.set('toJSON', {
+    transform: (doc, ret) => {
+        delete ret.encryptedSecrets;
+        return ret;
+    }
+});
+
+export const StatementPassword = mongoose.model('StatementPassword', statementPasswordSchema);
@@ -1,20 +1,55 @@
 import mongoose from 'mongoose';
+import { convertAmount, DEFAULT_CURRENCY } from '../utils/currency.helper.js';
+import { MESSAGE_LABELS } from '../utils/message.classifier.js';
+import { buildTransactionHash } from '../utils/dedupe.helper.js';
+
+// One line of a split transaction, e.g. the "Household" part of a supermarket bill
+const splitSchema = new mongoose.Schema({
+  amount: { type: Number, required: true },         // Same sign convention as the parent
+  category: { type: String, required: true },
+  subCategory: { type: String },
+  note: { type: String },
+  tags: [{ type: String }],
+}, { _id: true });
 
 const transactionSchema = new mongoose.Schema({
   user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   amount: { type: Number, required: true },
-  currency: { type: String, default: 'INR' },
+  currency: { type: String, default: 'INR', uppercase: true, trim: true },
+
+  // Amount in the user's base currency, converted with the rate in effect at transaction time
+  baseCurrency: { type: String, default: DEFAULT_CURRENCY, uppercase: true, trim: true },
+  baseAmount: { type: Number },
+  exchangeRate: { type: Number },                  // baseAmount / amount; null when no rate was available
 
   category: { type: String, required: true },       // e.g. "Food"
   subCategory: { type: String },                    // e.g. "Dining"
+  categorizedBy: { type: String },                  // Set when the category model chose it: 'model:user' | 'model:global'
+  categoryConfidence: { type: Number },             // Model confidence (0-1) for categorizedBy
 
   merchant: { type: String },                       // e.g. "Starbucks"
   note: { type: String },
 
-  paymentMethod: { type: String, enum: ['cash', 'card', 'upi', 'wallet', 'other'], default: 'other' },
+  account: { type: mongoose.Schema.Types.ObjectId, ref: 'Account' }, // Bank account / card it was paid from
+
+  // transfer: money moved between the user's own accounts; ignored: hidden by the user or a rule.
+  // Both are excluded from income/expense totals
+  kind: { type: String, enum: ['standard', 'transfer', 'ignored'], default: 'standard' },
+  transfer: {
+    counterpart: { type: mongoose.Schema.Types.ObjectId, ref: 'Transaction' }, // The other leg
+    direction: { type: String, enum: ['out', 'in'] },                         // out = debit leg, in = credit leg
+    detectedBy: { type: String, enum: ['auto', 'manual', 'rule'] },             // rule = marked by a category rule, may have no counterpart
+    dismissed: { type: Boolean },                                               // User unlinked an auto-detected pair
+  },
+
+  paymentMethod: { type: String, enum: ['cash', 'card', 'upi', 'netbanking', 'wallet', 'other'], default: 'other' },
   source: { type: String, enum: ['manual', 'sms', 'email', 'gmail', 'imported'], default: 'manual' },
 
   tags: [{ type: String }],
+  appliedRules: [{ type: mongoose.Schema.Types.ObjectId, ref: 'CategoryRule' }], // Category rules that changed this transaction
+
+  // Optional breakdown across categories; when present, insights count these lines instead of the parent
+  splits: { type: [splitSchema], default: undefined },
 
   location: {
     type: { 
@@ -43,13 +78,99 @@ const transactionSchema = new mongoose.Schema({
 
   timestamp: { type: Date, default: Date.now },
   messageHash: { type: String },
+  reference: { type: String, trim: true }, // Bank UPI / IMPS / NEFT reference number from the alert
+  parsedBy: { type: String }, // Parser that read the SMS/email, e.g. 'hdfc:upi-sent' or 'generic'
+  messageLabel: { type: String, enum: MESSAGE_LABELS }, // Classifier label of the SMS/email (message.classifier)
 }, {
   timestamps: true,
 });
 
-transactionSchema.index({ user: 1, messageHash: 1 }); // Deduplication scope
+// Splits must cover the whole amount, with the same sign as the parent
+transactionSchema.pre('validate', function () {
+  if (!this.splits || this.splits.length === 0) return;
+
+  if (this.splits.length < 2) {
+    this.invalidate('splits', 'A split transaction needs at least two lines');
+  }
+
+  const total = this.splits.reduce((sum, s) => sum + s.amount, 0);
+  if (Math.abs(total - this.amount) > 0.01) {
+    this.invalidate('splits', `Split amounts add up to ${total.toFixed(2)} but the transaction is ${this.amount.toFixed(2)}`);
+  }
+
+  if (this.splits.some(s => Math.sign(s.amount) !== Math.sign(this.amount))) {
+    this.invalidate('splits', 'Split amounts must have the same sign as the transaction');
+  }
+});
+
+// Store the base-currency amount; kept as-is unless amount, currency, date or base currency change
+transactionSchema.pre('validate', function () {
+  if (!this.isNew && !['amount', 'currency', 'timestamp', 'baseCurrency'].some(field => this.isModified(field))) return;
+
+  const converted = convertAmount(this.amount, this.currency || DEFAULT_CURRENCY, this.baseCurrency || DEFAULT_CURRENCY, this.timestamp);
+  this.baseAmount = converted ? converted.amount : null;
+  this.exchangeRate = converted ? converted.rate : null;
+});
+
+/**
+ * Recompute base amounts after a user changes base currency.
+ * Uses each transaction's own date so historical rates are kept.
+ * @returns {Promise<number>} Number of transactions updated
+ */
+transactionSchema.statics.rebaseForUser = async function (userId, baseCurrency) {
+  const cursor = this.find({ user: userId }).select('amount currency timestamp').lean().cursor();
+  let ops = [];
+  let updated = 0;
+
+  const flush = async () => {
+    if (ops.length === 0) return;
+    await this.bulkWrite(ops, { ordered: false });
+    updated += ops.length;
+    ops = [];
+  };
+
+  for await (const txn of cursor) {
+    const converted = convertAmount(txn.amount, txn.currency || DEFAULT_CURRENCY, baseCurrency, txn.timestamp);
+    ops.push({
+      updateOne: {
+        filter: { _id: txn._id },
+        update: {
+          $set: {
+            baseCurrency,
+            baseAmount: converted ? converted.amount : null,
+            exchangeRate: converted ? converted.rate : null
+          }
+        }
+      }
+    });
+    if (ops.length >= 500) await flush();
+  }
+  await flush();
+
+  return updated;
+};
+
+/**
+ * First dedupe hash not yet taken for a spend, counting up the occurrence number.
+ * For a separate transaction that shares amount, merchant and day with a stored one,
+ * e.g. two same-day purchases with different bank references.
+ * @param {Set<string>} [reserved] - Hashes the caller has already claimed (rows of the same import)
+ * @returns {Promise<string>}
+ */
+transactionSchema.statics.findFreeHash = async function (userId, fields, reserved = new Set()) {
+  for (let occurrence = 0; ; occurrence++) {
+    const messageHash = buildTransactionHash(fields, occurrence);
+    if (!reserved.has(messageHash) && !(await this.exists({ user: userId, messageHash }))) return messageHash;
+  }
+};
+
+transactionSchema.index({ user: 1, messageHash: 1 }, { unique: true, partialFilterExpression: { messageHash: { $type: 'string' } } }); // Deduplication scope
+transactionSchema.index({ user: 1, reference: 1 }, { partialFilterExpression: { reference: { $type: 'string' } } }); // Primary dedupe key
 transactionSchema.index({ user: 1, timestamp: -1 }); // Fast recent lookups
 transactionSchema.index({ note: 'text', merchant: 'text' }); // Text search
+transactionSchema.index({ user: 1, 'splits.category': 1 }); // Category budgets / insights on split lines
+transactionSchema.index({ user: 1, account: 1, timestamp: -1 }); // Per-account transaction lists
+transactionSchema.index({ user: 1, amount: 1, timestamp: -1 }); // Transfer pair lookups
 
 export const Transaction = mongoose.model('Transaction', transactionSchema);
 // This code defines a Mongoose schema for a Transaction model with fields for user ID, amount, category, note, timestamp, and location details.
\ No newline at end of file
@@ -12,6 +12,12 @@ const userSchema = new mongoose.Schema({
     // Google OAuth
     googleId: { type: String, sparse: true, unique: true },
     profilePicture: { type: String },
+
+    // Currency insights and budgets are reported in; transactions store a converted amount
+    baseCurrency: { type: String, default: 'INR', uppercase: true, trim: true },
+
+    // Names the user's email forwarding inbox (see forwardingAddress.helper); assigned on first use
+    forwardingToken: { type: String, unique: true, sparse: true, lowercase: true, trim: true },
     
     // Gmail Integration for transaction emails
     gmailIntegration: {
@@ -22,7 +28,17 @@ const userSchema = new mongoose.Schema({
             refresh_token: { type: String },
             expiry_date: { type: Number }
         },
-        lastSync: { type: Date }
+        lastSync: { type: Date },
+        historyId: { type: String }, // Mailbox position of the last incremental sync
+        // Gmail push (users.watch) for this mailbox; expiration is when Gmail stops sending notifications
+        watch: {
+            expiration: { type: Date },
+            renewedAt: { type: Date }
+        },
+        // Set when the integration was turned off because Google rejected the grant
+        // (e.g. the user revoked access); cleared on reconnect
+        disabledReason: { type: String, enum: ['token_revoked', 'unauthorized'], default: null },
+        disabledAt: { type: Date }
     },
     
     // Push notification device tokens
@@ -0,0 +1,351 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { auth as protect } from '../middleware/auth.middleware.js';
+import { Account } from '../models/Account.model.js';
+import { Transaction } from '../models/Transaction.model.js';
+import { creditCardService } from '../services/creditCard.service.js';
+import { paginate, wantsTotal, PaginationError } from '../utils/pagination.helper.js';
+import logger from '../utils/logger.js';
+import * as Sentry from '@sentry/node';
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = ['name', 'type', 'institution', 'last4', 'senders', 'currency', 'creditCard', 'active'];
+
+const pickAccountFields = (body) => {
+    const data = {};
+    EDITABLE_FIELDS.forEach(field => {
+        if (body[field] !== undefined) data[field] = body[field];
+    });
+    return data;
+};
+
+// Load an account owned by the current user, or send the error response
+const findUserAccount = async (req, res, projection) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(400).json({ success: false, message: 'Invalid account id' });
+        return null;
+    }
+
+    const account = await Account.findOne({ _id: req.params.id, user: req.user._id }).select(projection);
+    if (!account) {
+        res.status(404).json({ success: false, message: 'Account not found' });
+        return null;
+    }
+    return account;
+};
+
+/**
+ * @route   GET /api/v1/accounts
+ * @desc    Get accounts and cards with current balances
+ * @access  Private
+ */
+router.get('/', protect, async (req, res) => {
+    try {
+        const query = { user: req.user._id };
+        if (req.query.includeInactive !== 'true') query.active = true;
+
+        const accounts = await Account.find(query).select('-balanceHistory').sort({ type: 1, name: 1 });
+
+        res.json({ success: true, count: accounts.length, data: accounts });
+    } catch (error) {
+        logger.error('Error fetching accounts', {
+            error: error.message,
+            userId: req.user._id
+        });
+        Sentry.captureException(error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch accounts'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/v1/accounts
+ * @desc    Create an account, optionally with an opening balance
+ * @access  Private
+ */
+router.post('/', protect, async (req, res) => {
+    try {
+        const data = pickAccountFields(req.body);
+
+        if (!data.name) {
+            return res.status(400).json({
+                success: false,
+                message: 'name is required'
+            });
+        }
+
+        const account = new Account({ ...data, user: req.user._id });
+        if (req.body.balance !== undefined) {
+            account.recordBalance(Number(req.body.balance), { source: 'manual' });
+        }
+        await account.save();
+
+        logger.info('Account created', {
+            userId: req.user._id,
+            accountId: account._id,
+            type: account.type
+        });
+
+        res.status(201).json({ success: true, data: account });
+    } catch (error) {
+        if (error instanceof mongoose.Error.ValidationError) {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        if (error.code === 11000) {
+            return res.status(409).json({ success: false, message: 'An account of this type with these last 4 digits already exists' });
+        }
+        logger.error('Error creating account', {
+            error: error.message,
+            userId: req.user._id
+        });
+        Sentry.captureException(error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create account'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/v1/accounts/dues
+ * @desc    Get unpaid credit card statements, soonest due first
+ * @access  Private
+ */
+router.get('/dues', protect, async (req, res) => {
+    try {
+        const dues = await creditCardService.getUpcomingDues(req.user._id);
+        const totalOutstanding = dues.reduce((sum, d) => sum + d.outstanding, 0);
+
+        res.json({
+            success: true,
+            count: dues.length,
+            totalOutstanding: Math.round(totalOutstanding * 100) / 100,
+            data: dues
+        });
+    } catch (error) {
+        logger.error('Error fetching card dues', {
+            error: error.message,
+            userId: req.user._id
+        });
+        Sentry.captureException(error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch card dues'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/v1/accounts/:id
+ * @desc    Get an account with recent balance history
+ * @access  Private
+ */
+router.get('/:id', protect, async (req, res) => {
+    try {
+        const account = await findUserAccount(req, res);
+        if (!account) return;
+
+        const transactionCount = await Transaction.countDocuments({ user: req.user._id, account: account._id });
+
+        res.json({
+            success: true,
+            data: {
+                ...account.toObject(),
+                balanceHistory: account.balanceHistory.slice(-30).reverse(),
+                transactionCount
+            }
+        });
+    } catch (error) {
+        logger.error('Error fetching account', {
+            error: error.message,
+            accountId: req.params.id
+        });
+        Sentry.captureException(error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch account'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/v1/accounts/:id/transactions
+ * @desc    Get transactions linked to an account (cursor paginated)
+ * @access  Private
+ */
+router.get('/:id/transactions', protect, async (req, res) => {
+    try {
+        const account = await findUserAccount(req, res, '_id');
+        if (!account) return;
+
+        const { cursor, limit, fields, includeTotal } = req.query;
+        const { items, pagination } = await paginate(Transaction, { user: req.user._id, account: account._id }, {
+            cursor,
+            limit,
+            fields,
+            includeTotal: wantsTotal(includeTotal)
+        });
+
+        res.json({ success: true, data: items, pagination });
+    } catch (error) {
+        if (error instanceof PaginationError) {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        logger.error('Error fetching account transactions', {
+            error: error.message,
+            accountId: req.params.id
+        });
+        Sentry.captureException(error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch account transactions'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/v1/accounts/:id/cycles
+ * @desc    Get a credit card's open billing cycle and past statements
+ * @access  Private
+ */
+router.get('/:id/cycles', protect, async (req, res) => {
+    try {
+        const account = await findUserAccount(req, res, '-balanceHistory');
+        if (!account) return;
+
+        if (account.type !== 'credit_card') {
+            return res.status(400).json({ success: false, message: 'Billing cycles are only available for credit cards' });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit) || 6, 24);
+        const { current, statements } = await creditCardService.getCycles(account, limit);
+
+        res.json({
+            success: true,
+            data: {
+                current,
+                statements
+            }
+        });
+    } catch (error) {
+        logger.error('Error fetching card cycles', {
+            error: error.message,
+            accountId: req.params.id
+        });
+        Sentry.captureException(error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch billing cycles'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/v1/accounts/:id/balance-history
+ * @desc    Get balance history, oldest first (optionally from / to dates)
+ * @access  Private
+ */
+router.get('/:id/balance-history', protect, async (req, res) => {
+    try {
+        const account = await findUserAccount(req, res, 'balanceHistory currency currentBalance');
+        if (!account) return;
+
+        const from = req.query.from ? new Date(req.query.from) : null;
+        const to = req.query.to ? new Date(req.query.to) : null;
+
+        const history = account.balanceHistory
+            .filter(h => (!from || h.date >= from) && (!to || h.date <= to))
+            .sort((a, b) => a.date - b.date);
+
+        res.json({
+            success: true,
+            currency: account.currency,
+            currentBalance: account.currentBalance,
+            count: history.length,
+            data: history
+        });
+    } catch (error) {
+        logger.error('Error fetching balance history', {
+            error: error.message,
+            accountId: req.params.id
+        });
+        Sentry.captureException(error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch balance history'
+        });
+    }
+});
+
+/**
+ * @route   PUT /api/v1/accounts/:id
+ * @desc    Update an account, or correct its balance with `balance`
+ * @access  Private
+ */
+router.put('/:id', protect, async (req, res) => {
+    try {
+        const account = await findUserAccount(req, res);
+        if (!account) return;
+
+        account.set(pickAccountFields(req.body));
+        if (req.body.balance !== undefined) {
+            account.recordBalance(Number(req.body.balance), { source: 'manual' });
+        }
+        await account.save();
+
+        res.json({ success: true, data: account });
+    } catch (error) {
+        if (error instanceof mongoose.Error.ValidationError) {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        if (error.code === 11000) {
+            return res.status(409).json({ success: false, message: 'An account of this type with these last 4 digits already exists' });
+        }
+        logger.error('Error updating account', {
+            error: error.message,
+            accountId: req.params.id
+        });
+        Sentry.captureException(error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update account'
+        });
+    }
+});
+
+/**
+ * @route   DELETE /api/v1/accounts/:id
+ * @desc    Delete an account; its transactions are kept but unlinked
+ * @access  Private
+ */
+router.delete('/:id', protect, async (req, res) => {
+    try {
+        const account = await findUserAccount(req, res, '_id');
+        if (!account) return;
+
+        await Transaction.updateMany(
+            { user: req.user._id, account: account._id },
+            { $unset: { account: 1 } }
+        );
+        await account.deleteOne();
+
+        logger.info('Account deleted', {
+            userId: req.user._id,
+            accountId: account._id
+        });
+
+        res.json({
+            success: true,
+            message: 'Account deleted'
+        });
+    } catch (error) {
+        logger.error('Error deleting account', { error: error.message });
+        Sentry.captureException(error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+export default router;
@@ -0,0 +1,248 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { auth as protect } from '../middleware/auth.middleware.js';
+import { Budget } from '../models/Budget.model.js';
+import { budgetService } from '../services/budget.service.js';
+import logger from '../utils/logger.js';
+import * as Sentry from '@sentry/node';
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = ['name', 'scope', 'amount', 'currency', 'period', 'periodDays', 'startDate', 'endDate', 'rollover', 'alertThresholds', 'active'];
+
+// Progress is measured against spending in the user's base currency, so a budget in another
+// currency is only accepted when there is a rate to convert it
+const unsupportedCurrencyMessage = (currency, user) =>
+    (budgetService.isCurrencySupported(currency, user.baseCurrency)
+        ? null
+        : `No exchange rate from ${currency} to your base currency ${user.baseCurrency}`);
+
+const pickBudgetFields = (body) => {
+    const data = {};
+    EDITABLE_FIELDS.forEach(field => {
+        if (body[field] !== undefined) data[field] = body[field];
+    });
+    return data;
+};
+
+/**
+ * @route   GET /api/v1/budgets
+ * @desc    Get all budgets with progress for the current period
+ * @access  Private
+ */
+router.get('/', protect, async (req, res) => {
+    try {
+        const { includeInactive } = req.query;
+
+        const query = { user: req.user._id };
+        if (includeInactive !== 'true') query.active = true;
+
+        const budgets = await Budget.find(query).select('-alertsSent').sort({ createdAt: -1 });
+
+        const data = await Promise.all(budgets.map(async budget => ({
+            ...budget.toObject(),
+            progress: await budgetService.getProgress(budget, new Date(), req.user.baseCurrency)
+        })));
+
+        res.json({ success: true, count: data.length, data });
+    } catch (error) {
+        logger.error('Error fetching budgets', {
+            error: error.message,
+            userId: req.user._id
+        });
+        Sentry.captureException(error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch budgets'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/v1/budgets
+ * @desc    Create a budget for a category or tag
+ * @access  Private
+ */
+router.post('/', protect, async (req, res) => {
+    try {
+        const data = pickBudgetFields(req.body);
+
+        if (!data.scope?.type || !data.scope?.value || data.amount === undefined) {
+            return res.status(400).json({
+                success: false,
+                message: 'scope.type (category|tag), scope.value and amount are required'
+            });
+        }
+
+        data.currency = data.currency || req.user.baseCurrency;
+        const currencyError = unsupportedCurrencyMessage(data.currency, req.user);
+        if (currencyError) {
+            return res.status(400).json({ success: false, message: currencyError });
+        }
+
+        const budget = await Budget.create({ ...data, user: req.user._id });
+
+        logger.info('Budget created', {
+            userId: req.user._id,
+            budgetId: budget._id,
+            scope: budget.scope,
+            period: budget.period
+        });
+
+        res.status(201).json({
+            success: true,
+            data: {
+                ...budget.toObject(),
+                progress: await budgetService.getProgress(budget, new Date(), req.user.baseCurrency)
+            }
+        });
+    } catch (error) {
+        if (error instanceof mongoose.Error.ValidationError) {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        logger.error('Error creating budget', {
+            error: error.message,
+            userId: req.user._id
+        });
+        Sentry.captureException(error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create budget'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/v1/budgets/:id
+ * @desc    Get a budget with current progress and past periods
+ * @access  Private
+ */
+router.get('/:id', protect, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'Invalid budget id' });
+        }
+
+        const budget = await Budget.findOne({ _id: req.params.id, user: req.user._id });
+
+        if (!budget) {
+            return res.status(404).json({
+                success: false,
+                message: 'Budget not found'
+            });
+        }
+
+        const periods = Math.min(parseInt(req.query.periods) || 6, 24);
+        const history = await budgetService.getHistory(budget, periods, req.user.baseCurrency);
+
+        res.json({
+            success: true,
+            data: {
+                ...budget.toObject(),
+                progress: history[0],
+                history
+            }
+        });
+    } catch (error) {
+        logger.error('Error fetching budget', {
+            error: error.message,
+            budgetId: req.params.id
+        });
+        Sentry.captureException(error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch budget'
+        });
+    }
+});
+
+/**
+ * @route   PUT /api/v1/budgets/:id
+ * @desc    Update a budget
+ * @access  Private
+ */
+router.put('/:id', protect, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'Invalid budget id' });
+        }
+
+        const budget = await Budget.findOne({ _id: req.params.id, user: req.user._id });
+
+        if (!budget) {
+            return res.status(404).json({
+                success: false,
+                message: 'Budget not found'
+            });
+        }
+
+        budget.set(pickBudgetFields(req.body));
+        const currencyError = budget.isModified('currency') && unsupportedCurrencyMessage(budget.currency, req.user);
+        if (currencyError) {
+            return res.status(400).json({ success: false, message: currencyError });
+        }
+        await budget.save();
+
+        res.json({
+            success: true,
+            data: {
+                ...budget.toObject(),
+                progress: await budgetService.getProgress(budget, new Date(), req.user.baseCurrency)
+            }
+        });
+    } catch (error) {
+        if (error instanceof mongoose.Error.ValidationError) {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        logger.error('Error updating budget', {
+            error: error.message,
+            budgetId: req.params.id
+        });
+        Sentry.captureException(error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update budget'
+        });
+    }
+});
+
+/**
+ * @route   DELETE /api/v1/budgets/:id
+ * @desc    Delete a budget
+ * @access  Private
+ */
+router.delete('/:id', protect, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'Invalid budget id' });
+        }
+
+        const budget = await Budget.findOneAndDelete({
+            _id: req.params.id,
+            user: req.user._id
+        });
+
+        if (!budget) {
+            return res.status(404).json({
+                success: false,
+                message: 'Budget not found'
+            });
+        }
+
+        logger.info('Budget deleted', {
+            userId: req.user._id,
+            budgetId: budget._id
+        });
+
+        res.json({
+            success: true,
+            message: 'Budget deleted'
+        });
+    } catch (error) {
+        logger.error('Error deleting budget', { error: error.message });
+        Sentry.captureException(error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+export default router;
@@ -0,0 +1,228 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { auth as protect } from '../middleware/auth.middleware.js';
+import { CategoryRule } from '../models/CategoryRule.model.js';
+import { categoryRuleService, CategoryRuleError } from '../services/categoryRule.service.js';
+import logger from '../utils/logger.js';
+import * as Sentry from '@sentry/node';
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = ['name', 'priority', 'stopProcessing', 'conditions', 'actions', 'active'];
+
+const pickRuleFields = (body) => {
+    const data = {};
+    EDITABLE_FIELDS.forEach(field => {
+        if (body[field] !== undefined) data[field] = body[field];
+    });
+    return data;
+};
+
+// Run the rules over history; dryRun only reports the changes
+const reapply = (dryRun) => async (req, res) => {
+    try {
+        const { ruleIds, start, end } = req.body;
+        const result = await categoryRuleService.reapply(req.user._id, { ruleIds, start, end, dryRun });
+
+        res.json({ success: true, data: result });
+    } catch (error) {
+        if (error instanceof CategoryRuleError) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
+        logger.error('Error re-applying category rules', {
+            error: error.message,
+            userId: req.user._id,
+            dryRun
+        });
+        Sentry.captureException(error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to apply category rules'
+        });
+    }
+};
+
+/**
+ * @route   GET /api/v1/category-rules
+ * @desc    Get the user's category rules in the order they run
+ * @access  Private
+ */
+router.get('/', protect, async (req, res) => {
+    try {
+        const rules = await CategoryRule.find({ user: req.user._id }).sort({ priority: 1, createdAt: 1 });
+
+        res.json({ success: true, count: rules.length, data: rules });
+    } catch (error) {
+        logger.error('Error fetching category rules', {
+            error: error.message,
+            userId: req.user._id
+        });
+        Sentry.captureException(error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch category rules'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/v1/category-rules
+ * @desc    Create a category rule; it runs on transactions created from now on
+ * @access  Private
+ */
+router.post('/', protect, async (req, res) => {
+    try {
+        const rule = await CategoryRule.create({ ...pickRuleFields(req.body), user: req.user._id });
+
+        logger.info('Category rule created', {
+            userId: req.user._id,
+            ruleId: rule._id
+        });
+
+        res.status(201).json({ success: true, data: rule });
+    } catch (error) {
+        if (error instanceof mongoose.Error.ValidationError) {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        logger.error('Error creating category rule', {
+            error: error.message,
+            userId: req.user._id
+        });
+        Sentry.captureException(error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create category rule'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/v1/category-rules/preview
+ * @desc    Show what the rules would change in existing transactions, without saving
+ * @body    { ruleIds?: [id], start?: date, end?: date }
+ * @access  Private
+ */
+router.post('/preview', protect, reapply(true));
+
+/**
+ * @route   POST /api/v1/category-rules/apply
+ * @desc    Apply the rules to existing transactions
+ * @body    { ruleIds?: [id], start?: date, end?: date }
+ * @access  Private
+ */
+router.post('/apply', protect, reapply(false));
+
+/**
+ * @route   GET /api/v1/category-rules/:id
+ * @desc    Get a category rule
+ * @access  Private
+ */
+router.get('/:id', protect, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'Invalid rule id' });
+        }
+
+        const rule = await CategoryRule.findOne({ _id: req.params.id, user: req.user._id });
+
+        if (!rule) {
+            return res.status(404).json({
+                success: false,
+                message: 'Category rule not found'
+            });
+        }
+
+        res.json({ success: true, data: rule });
+    } catch (error) {
+        logger.error('Error fetching category rule', {
+            error: error.message,
+            ruleId: req.params.id
+        });
+        Sentry.captureException(error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch category rule'
+        });
+    }
+});
+
+/**
+ * @route   PUT /api/v1/category-rules/:id
+ * @desc    Update a category rule
+ * @access  Private
+ */
+router.put('/:id', protect, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'Invalid rule id' });
+        }
+
+        const rule = await CategoryRule.findOne({ _id: req.params.id, user: req.user._id });
+
+        if (!rule) {
+            return res.status(404).json({
+                success: false,
+                message: 'Category rule not found'
+            });
+        }
+
+        rule.set(pickRuleFields(req.body));
+        await rule.save();
+
+        res.json({ success: true, data: rule });
+    } catch (error) {
+        if (error instanceof mongoose.Error.ValidationError) {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        logger.error('Error updating category rule', {
+            error: error.message,
+            ruleId: req.params.id
+        });
+        Sentry.captureException(error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update category rule'
+        });
+    }
+});
+
+/**
+ * @route   DELETE /api/v1/category-rules/:id
+ * @desc    Delete a category rule; transactions it already changed keep their values
+ * @access  Private
+ */
+router.delete('/:id', protect, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'Invalid rule id' });
+        }
+
+        const rule = await CategoryRule.findOneAndDelete({
+            _id: req.params.id,
+            user: req.user._id
+        });
+
+        if (!rule) {
+            return res.status(404).json({
+                success: false,
+                message: 'Category rule not found'
+            });
+        }
+
+        logger.info('Category rule deleted', {
+            userId: req.user._id,
+            ruleId: rule._id
+        });
+
+        res.json({
+            success: true,
+            message: 'Category rule deleted'
+        });
+    } catch (error) {
+        logger.error('Error deleting category rule', { error: error.message });
+        Sentry.captureException(error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+export default router;
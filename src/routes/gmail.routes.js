@@ -1,5 +1,7 @@
 import express from 'express';
 import { gmailPoller } from '../services/gmailPoller.service.js';
+import { gmailWatchService } from '../services/gmailWatch.service.js';
+import { verifyGmailPushToken } from '../middleware/verifyGmailPushToken.middleware.js';
 import logger from '../utils/logger.js';
 
 const router = express.Router();
@@ -111,6 +113,28 @@ router.get('/status', (req, res) => {
     });
 });
 
+/**
+ * POST /gmail/push
+ * Pub/Sub push endpoint for Gmail watch notifications. Anything other than a 2xx makes
+ * Pub/Sub redeliver, so notifications that cannot be used are acknowledged too.
+ */
+router.post('/push', verifyGmailPushToken, async (req, res) => {
+    try {
+        const result = await gmailWatchService.handleNotification(req.body);
+        if (!result.accepted) {
+            logger.debug('Gmail push notification ignored', { reason: result.reason });
+        }
+        res.status(204).end();
+    } catch (error) {
+        // Pub/Sub redelivers it, and the poller sweep catches up otherwise
+        logger.error('Error handling Gmail push notification', { error: error.message });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to handle Gmail push notification'
+        });
+    }
+});
+
 /**
  * GET /gmail/test-query
  * Test Gmail query to see what emails are found (Development only)
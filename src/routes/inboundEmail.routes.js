@@ -0,0 +1,148 @@
+import express from 'express';
+import busboy from 'busboy';
+import { emailForwardingService } from '../services/emailForwarding.service.js';
+import { verifyInboundEmailToken } from '../middleware/verifyInboundEmailToken.middleware.js';
+import logger from '../utils/logger.js';
+import * as Sentry from '@sentry/node';
+
+const router = express.Router();
+
+const MAX_EMAIL_SIZE = '10mb';
+const MAX_EMAIL_BYTES = 10 * 1024 * 1024;
+
+// Form fields the providers put the raw MIME email and the envelope recipient in
+const MIME_FIELDS = ['body-mime', 'email']; // Mailgun ("store and notify" with MIME), SendGrid Inbound Parse (raw)
+const RECIPIENT_FIELD = 'recipient'; // Mailgun
+const ENVELOPE_FIELD = 'envelope'; // SendGrid: JSON {"to": [...], "from": "..."}
+
+class InboundEmailFormError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'InboundEmailFormError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Read a multipart/form-data post into a Map of fields; the MIME email may come as a field or a file
+ */
+const readMultipart = (req) => new Promise((resolve, reject) => {
+    const fields = new Map();
+    let form;
+    try {
+        form = busboy({ headers: req.headers, limits: { fieldSize: MAX_EMAIL_BYTES, fileSize: MAX_EMAIL_BYTES } });
+    } catch (error) {
+        return reject(new InboundEmailFormError(error.message));
+    }
+
+    form.on('field', (name, value, info) => {
+        if (info.valueTruncated) return reject(new InboundEmailFormError('Inbound email is too large', 413));
+        fields.set(name, value);
+    });
+    form.on('file', (name, stream) => {
+        if (!MIME_FIELDS.includes(name)) return stream.resume();
+        const chunks = [];
+        stream.on('data', chunk => chunks.push(chunk));
+        stream.on('limit', () => reject(new InboundEmailFormError('Inbound email is too large', 413)));
+        stream.on('end', () => fields.set(name, Buffer.concat(chunks)));
+    });
+    form.on('error', error => reject(new InboundEmailFormError(error.message)));
+    form.on('close', () => resolve(fields));
+    req.pipe(form);
+});
+
+const parseUrlencoded = express.urlencoded({ extended: false, limit: MAX_EMAIL_SIZE });
+const parseRaw = express.raw({ type: () => true, limit: MAX_EMAIL_SIZE });
+
+/**
+ * Body parsing for the three shapes providers post: multipart/form-data, URL-encoded form, or the
+ * raw message itself. Form posts leave a Map of their fields in req.body; raw posts leave a Buffer.
+ */
+const parseInboundEmail = async (req, res, next) => {
+    if (req.is('multipart/form-data')) {
+        try {
+            req.body = await readMultipart(req);
+            return next();
+        } catch (error) {
+            return next(error);
+        }
+    }
+    if (req.is('application/x-www-form-urlencoded')) {
+        return parseUrlencoded(req, res, (error) => {
+            if (!error) req.body = new Map(Object.entries(req.body || {}));
+            next(error);
+        });
+    }
+    return parseRaw(req, res, next);
+};
+
+/**
+ * The raw email and envelope recipient from the parsed body
+ * @returns {{raw: Buffer|string|null, recipient: string|string[]|undefined}}
+ */
+const readInboundEmail = (req) => {
+    const recipient = typeof req.query.recipient === 'string' ? req.query.recipient : undefined;
+    if (Buffer.isBuffer(req.body)) return { raw: req.body.length ? req.body : null, recipient };
+
+    const fields = req.body instanceof Map ? req.body : new Map();
+    const raw = MIME_FIELDS.map(name => fields.get(name)).find(value => value && value.length) || null;
+
+    let envelopeTo;
+    if (typeof fields.get(ENVELOPE_FIELD) === 'string') {
+        try {
+            envelopeTo = JSON.parse(fields.get(ENVELOPE_FIELD)).to;
+        } catch {
+            envelopeTo = undefined;
+        }
+    }
+    const formRecipient = typeof fields.get(RECIPIENT_FIELD) === 'string' ? fields.get(RECIPIENT_FIELD) : envelopeTo;
+    return { raw, recipient: formRecipient || recipient };
+};
+
+/**
+ * POST /inbound-email?token=<INBOUND_EMAIL_TOKEN>[&recipient=<envelope recipient>]
+ * An email forwarded by an inbound mail provider, as either
+ *   - the raw MIME message as the body (message/rfc822 or any other non-form content type), or
+ *   - a multipart or URL-encoded form with the raw message in "body-mime" (Mailgun) or "email"
+ *     (SendGrid Inbound Parse with "POST the raw, full MIME message"), and the recipient in
+ *     "recipient" (Mailgun) or "envelope" (SendGrid).
+ * Providers' parsed-fields formats (without the raw message) are not supported.
+ * Mail that names no forwarding address, or an unknown one, is rejected with 406, which Mailgun
+ * takes as "do not retry".
+ */
+router.post('/', verifyInboundEmailToken, parseInboundEmail, async (req, res) => {
+    try {
+        const { raw, recipient } = readInboundEmail(req);
+        if (!raw) {
+            return res.status(400).json({
+                success: false,
+                message: 'Raw MIME email is required (request body, or the "body-mime" or "email" form field)'
+            });
+        }
+
+        const result = await emailForwardingService.receiveRawEmail(raw, { recipient });
+        if (!result.accepted) {
+            logger.info('Inbound email rejected', { reason: result.reason });
+            return res.status(406).json({ success: false, data: result, message: 'Inbound email not accepted' });
+        }
+
+        res.status(202).json({ success: true, data: result });
+    } catch (error) {
+        // The provider retries the delivery
+        logger.error('Error handling inbound email', { error: error.message });
+        Sentry.captureException(error, { tags: { service: 'inbound_email' } });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to handle inbound email'
+        });
+    }
+});
+
+// Malformed or oversized posts
+router.use((error, req, res, next) => {
+    const status = error.statusCode || error.status;
+    if (!status || status >= 500) return next(error);
+    res.status(status).json({ success: false, message: error.message });
+});
+
+export default router;
@@ -1,6 +1,11 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import { auth as protect } from '../middleware/auth.middleware.js';
 import { Transaction } from '../models/Transaction.model.js';
+import { RecurringSeries } from '../models/RecurringSeries.model.js';
+import { recurringDetectionService } from '../services/recurringDetection.service.js';
+import { expandSplitLines, splitLineStages } from '../utils/splitLines.helper.js';
+import { excludeTransfers } from '../utils/transactionFilter.helper.js';
 import logger from '../utils/logger.js';
 import * as Sentry from '@sentry/node';
 
@@ -52,11 +57,11 @@ router.get('/summary', protect, async (req, res) => {
             }
         }
         
-        // Get all transactions for period
-        const transactions = await Transaction.find({
+        // Get all transactions for period, split transactions counted per line, in base currency
+        const transactions = expandSplitLines(await Transaction.find(excludeTransfers({
             user: req.user._id,
             ...dateFilter
-        });
+        })).lean(), { inBaseCurrency: true });
         
         // Calculate totals
         const income = transactions
@@ -104,6 +109,7 @@ router.get('/summary', protect, async (req, res) => {
         res.json({
             success: true,
             period,
+            currency: req.user.baseCurrency,
             summary: {
                 income,
                 expenses,
@@ -152,10 +158,10 @@ router.get('/trends', protect, async (req, res) => {
                 startDate = new Date(now.getFullYear(), now.getMonth(), 1);
         }
         
-        const transactions = await Transaction.find({
+        const transactions = expandSplitLines(await Transaction.find(excludeTransfers({
             user: req.user._id,
             date: { $gte: startDate }
-        }).sort({ date: 1 });
+        })).sort({ date: 1 }).lean(), { inBaseCurrency: true });
         
         // Group by date
         const trendMap = {};
@@ -197,6 +203,7 @@ router.get('/trends', protect, async (req, res) => {
             success: true,
             period,
             groupBy,
+            currency: req.user.baseCurrency,
             trends
         });
     } catch (error) {
@@ -238,9 +245,14 @@ router.get('/categories', protect, async (req, res) => {
         
         const transactions = await Transaction.aggregate([
             {
-                $match: {
+                $match: excludeTransfers({
                     user: req.user._id,
-                    date: { $gte: startDate },
+                    date: { $gte: startDate }
+                })
+            },
+            ...splitLineStages({ inBaseCurrency: true }), // Each split line counts towards its own category
+            {
+                $match: {
                     amount: { $lt: 0 } // Only expenses
                 }
             },
@@ -270,6 +282,7 @@ router.get('/categories', protect, async (req, res) => {
         res.json({
             success: true,
             period,
+            currency: req.user.baseCurrency,
             totalExpenses,
             categories
         });
@@ -319,16 +332,16 @@ router.get('/comparison', protect, async (req, res) => {
                 previousEnd = new Date(now.getFullYear(), now.getMonth(), 0);
         }
         
-        const [currentPeriod, previousPeriod] = await Promise.all([
-            Transaction.find({
+        const [currentPeriod, previousPeriod] = (await Promise.all([
+            Transaction.find(excludeTransfers({
                 user: req.user._id,
                 date: { $gte: currentStart, $lte: currentEnd }
-            }),
-            Transaction.find({
+            })).lean(),
+            Transaction.find(excludeTransfers({
                 user: req.user._id,
                 date: { $gte: previousStart, $lte: previousEnd }
-            })
-        ]);
+            })).lean()
+        ])).map(transactions => expandSplitLines(transactions, { inBaseCurrency: true }));
         
         const calculateStats = (transactions) => {
             const income = transactions.filter(t => t.amount > 0).reduce((sum, t) => sum + t.amount, 0);
@@ -348,6 +361,7 @@ router.get('/comparison', protect, async (req, res) => {
         res.json({
             success: true,
             period,
+            currency: req.user.baseCurrency,
             current,
             previous,
             changes
@@ -365,4 +379,116 @@ router.get('/comparison', protect, async (req, res) => {
     }
 });
 
+/**
+ * @route   GET /api/v1/insights/recurring
+ * @desc    Get detected recurring charges (subscriptions, rent, SIPs, EMIs)
+ * @access  Private
+ */
+router.get('/recurring', protect, async (req, res) => {
+    try {
+        const { status, kind } = req.query;
+
+        const query = { user: req.user._id };
+        query.status = status ? { $in: String(status).split(',') } : { $ne: 'dismissed' };
+        if (kind) query.kind = kind;
+
+        const series = await RecurringSeries.find(query)
+            .select('-alertsSent -transactions')
+            .sort({ nextExpectedDate: 1 });
+
+        // Rough monthly cost of everything still active
+        const MONTHLY_FACTOR = { weekly: 30.4 / 7, biweekly: 30.4 / 14, monthly: 1, quarterly: 1 / 3, yearly: 1 / 12 };
+        const monthlyTotal = series
+            .filter(s => s.status === 'active')
+            .reduce((sum, s) => sum + (s.nextExpectedAmount || s.averageAmount) * (MONTHLY_FACTOR[s.cadence] || 1), 0);
+
+        res.json({
+            success: true,
+            count: series.length,
+            monthlyTotal: Math.round(monthlyTotal * 100) / 100,
+            data: series
+        });
+    } catch (error) {
+        logger.error('Error getting recurring series', {
+            error: error.message,
+            userId: req.user._id
+        });
+        Sentry.captureException(error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get recurring charges'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/v1/insights/recurring/refresh
+ * @desc    Re-run recurring detection over the user's history
+ * @access  Private
+ */
+router.post('/recurring/refresh', protect, async (req, res) => {
+    try {
+        const detected = await recurringDetectionService.detectForUser(req.user._id);
+        const missed = await recurringDetectionService.checkMissedCharges(req.user._id);
+
+        res.json({
+            success: true,
+            detected: detected.length,
+            missed: missed.length
+        });
+    } catch (error) {
+        logger.error('Error refreshing recurring series', {
+            error: error.message,
+            userId: req.user._id
+        });
+        Sentry.captureException(error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to refresh recurring charges'
+        });
+    }
+});
+
+/**
+ * @route   PUT /api/v1/insights/recurring/:id
+ * @desc    Dismiss / restore a recurring series or correct its kind
+ * @access  Private
+ */
+router.put('/recurring/:id', protect, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'Invalid series id' });
+        }
+
+        const series = await RecurringSeries.findOne({ _id: req.params.id, user: req.user._id });
+
+        if (!series) {
+            return res.status(404).json({
+                success: false,
+                message: 'Recurring series not found'
+            });
+        }
+
+        const { status, kind } = req.body;
+        if (status !== undefined) series.status = status;
+        if (kind !== undefined) series.kind = kind;
+        await series.save();
+
+        res.json({ success: true, data: series });
+    } catch (error) {
+        if (error instanceof mongoose.Error.ValidationError) {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        logger.error('Error updating recurring series', {
+            error: error.message,
+            seriesId: req.params.id
+        });
+        Sentry.captureException(error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update recurring series'
+        });
+    }
+});
+
 export default router;
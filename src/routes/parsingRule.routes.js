@@ -0,0 +1,259 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { auth as protect } from '../middleware/auth.middleware.js';
+import { ParsingRule } from '../models/ParsingRule.model.js';
+import { parsingRuleService, MAX_TEST_SAMPLES } from '../services/parsingRule.service.js';
+import logger from '../utils/logger.js';
+import * as Sentry from '@sentry/node';
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = ['name', 'bankName', 'senders', 'patterns', 'defaultType', 'currency', 'paymentMethod', 'active'];
+
+const pickRuleFields = (body = {}) => {
+    const data = {};
+    EDITABLE_FIELDS.forEach(field => {
+        if (body[field] !== undefined) data[field] = body[field];
+    });
+    return data;
+};
+
+// Validate the samples of a test request, or send the error response
+const readSamples = (req, res) => {
+    const { samples } = req.body;
+    const valid = Array.isArray(samples) && samples.length > 0 && samples.length <= MAX_TEST_SAMPLES &&
+        samples.every(sample => typeof sample === 'string' || typeof sample?.text === 'string');
+
+    if (!valid) {
+        res.status(400).json({
+            success: false,
+            message: `samples must be 1-${MAX_TEST_SAMPLES} messages (strings or { text, sender, from })`
+        });
+        return null;
+    }
+    return samples;
+};
+
+// Load a rule owned by the current user, or send the error response
+const findUserRule = async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(400).json({ success: false, message: 'Invalid rule id' });
+        return null;
+    }
+
+    const rule = await ParsingRule.findOne({ _id: req.params.id, user: req.user._id });
+    if (!rule) {
+        res.status(404).json({ success: false, message: 'Parsing rule not found' });
+        return null;
+    }
+    return rule;
+};
+
+/**
+ * @route   GET /api/v1/parsing-rules
+ * @desc    Get the user's parsing rules
+ * @access  Private
+ */
+router.get('/', protect, async (req, res) => {
+    try {
+        const rules = await ParsingRule.find({ user: req.user._id }).sort({ createdAt: -1 });
+
+        res.json({ success: true, count: rules.length, data: rules });
+    } catch (error) {
+        logger.error('Error fetching parsing rules', {
+            error: error.message,
+            userId: req.user._id
+        });
+        Sentry.captureException(error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch parsing rules'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/v1/parsing-rules
+ * @desc    Create a parsing rule for a sender the built-in parsers don't support
+ * @access  Private
+ */
+router.post('/', protect, async (req, res) => {
+    try {
+        const rule = await ParsingRule.create({ ...pickRuleFields(req.body), user: req.user._id });
+
+        logger.info('Parsing rule created', {
+            userId: req.user._id,
+            ruleId: rule._id,
+            senders: rule.senders
+        });
+
+        res.status(201).json({ success: true, data: rule });
+    } catch (error) {
+        if (error instanceof mongoose.Error.ValidationError) {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        logger.error('Error creating parsing rule', {
+            error: error.message,
+            userId: req.user._id
+        });
+        Sentry.captureException(error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create parsing rule'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/v1/parsing-rules/test
+ * @desc    Try an unsaved rule against sample messages
+ * @body    { rule: { senders, patterns, ... }, samples: [string | { text, sender, from }] }
+ * @access  Private
+ */
+router.post('/test', protect, async (req, res) => {
+    try {
+        const samples = readSamples(req, res);
+        if (!samples) return;
+
+        const rule = new ParsingRule({ ...pickRuleFields(req.body.rule), user: req.user._id });
+        await rule.validate();
+
+        res.json({ success: true, data: parsingRuleService.testRule(rule, samples) });
+    } catch (error) {
+        if (error instanceof mongoose.Error.ValidationError) {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        logger.error('Error testing parsing rule', {
+            error: error.message,
+            userId: req.user._id
+        });
+        Sentry.captureException(error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to test parsing rule'
+        });
+    }
+});
+
+/**
+ * @route   GET /api/v1/parsing-rules/:id
+ * @desc    Get a parsing rule
+ * @access  Private
+ */
+router.get('/:id', protect, async (req, res) => {
+    try {
+        const rule = await findUserRule(req, res);
+        if (!rule) return;
+
+        res.json({ success: true, data: rule });
+    } catch (error) {
+        logger.error('Error fetching parsing rule', {
+            error: error.message,
+            ruleId: req.params.id
+        });
+        Sentry.captureException(error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch parsing rule'
+        });
+    }
+});
+
+/**
+ * @route   PUT /api/v1/parsing-rules/:id
+ * @desc    Update a parsing rule
+ * @access  Private
+ */
+router.put('/:id', protect, async (req, res) => {
+    try {
+        const rule = await findUserRule(req, res);
+        if (!rule) return;
+
+        rule.set(pickRuleFields(req.body));
+        await rule.save();
+
+        res.json({ success: true, data: rule });
+    } catch (error) {
+        if (error instanceof mongoose.Error.ValidationError) {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        logger.error('Error updating parsing rule', {
+            error: error.message,
+            ruleId: req.params.id
+        });
+        Sentry.captureException(error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update parsing rule'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/v1/parsing-rules/:id/test
+ * @desc    Try a saved rule against sample messages
+ * @body    { samples: [string | { text, sender, from }] }
+ * @access  Private
+ */
+router.post('/:id/test', protect, async (req, res) => {
+    try {
+        const samples = readSamples(req, res);
+        if (!samples) return;
+
+        const rule = await findUserRule(req, res);
+        if (!rule) return;
+
+        res.json({ success: true, data: parsingRuleService.testRule(rule, samples) });
+    } catch (error) {
+        logger.error('Error testing parsing rule', {
+            error: error.message,
+            ruleId: req.params.id
+        });
+        Sentry.captureException(error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to test parsing rule'
+        });
+    }
+});
+
+/**
+ * @route   DELETE /api/v1/parsing-rules/:id
+ * @desc    Delete a parsing rule
+ * @access  Private
+ */
+router.delete('/:id', protect, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'Invalid rule id' });
+        }
+
+        const rule = await ParsingRule.findOneAndDelete({
+            _id: req.params.id,
+            user: req.user._id
+        });
+
+        if (!rule) {
+            return res.status(404).json({
+                success: false,
+                message: 'Parsing rule not found'
+            });
+        }
+
+        logger.info('Parsing rule deleted', {
+            userId: req.user._id,
+            ruleId: rule._id
+        });
+
+        res.json({
+            success: true,
+            message: 'Parsing rule deleted'
+        });
+    } catch (error) {
+        logger.error('Error deleting parsing rule', { error: error.message });
+        Sentry.captureException(error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+export default router;
@@ -7,42 +7,45 @@ import logger from '../utils/logger.js';
 import * as Sentry from '@sentry/node';
 import { notificationService } from '../services/notification.service.js';
 import { locationMatchingService } from '../services/locationMatching.service.js';
+import { transactionEventsService } from '../services/transactionEvents.service.js';
+import { paginate, wantsTotal, PaginationError } from '../utils/pagination.helper.js';
 
 const router = express.Router();
 
 /**
  * @route   GET /api/v1/pending-transactions
- * @desc    Get all pending transactions for authenticated user
+ * @desc    Get pending transactions for authenticated user (cursor or skip/limit paginated)
  * @access  Private
  */
 router.get('/', protect, async (req, res) => {
     try {
-        const { status = 'pending', limit = 50, skip = 0 } = req.query;
+        const { status = 'pending', cursor, skip, limit, fields, includeTotal } = req.query;
 
         const query = { user: req.user._id };
         if (status) query.status = status;
 
-        const pendingTransactions = await PendingTransaction.find(query)
-            .sort({ createdAt: -1 })
-            .limit(parseInt(limit))
-            .skip(parseInt(skip))
-            .lean();
+        // skip/limit clients always got the total; cursor clients ask for it
+        const { items, pagination } = await paginate(PendingTransaction, query, {
+            sortField: 'createdAt',
+            cursor,
+            skip,
+            limit,
+            fields,
+            includeTotal: !cursor || wantsTotal(includeTotal)
+        });
 
-        const total = await PendingTransaction.countDocuments(query);
         const pendingCount = await PendingTransaction.getPendingCount(req.user._id);
 
         res.json({
             success: true,
-            data: pendingTransactions,
-            pagination: {
-                total,
-                limit: parseInt(limit),
-                skip: parseInt(skip),
-                hasMore: total > parseInt(skip) + parseInt(limit)
-            },
+            data: items,
+            pagination,
             pendingCount
         });
     } catch (error) {
+        if (error instanceof PaginationError) {
+            return res.status(400).json({ success: false, message: error.message });
+        }
         logger.error('Error fetching pending transactions', { 
             error: error.message, 
             userId: req.user._id 
@@ -275,6 +278,9 @@ router.post('/:id/approve', protect, async (req, res) => {
             hasCorrectedData: !!correctedData
         });
 
+        // Account linking, budget and recurring-charge checks for the newly added spend
+        await transactionEventsService.onTransactionCreated(transaction, pendingTransaction.getAccountContext());
+
         // Send approval notification
         if (req.user.deviceTokens && req.user.deviceTokens.length > 0) {
             await notificationService.sendTransactionApprovedNotification(
@@ -384,6 +390,7 @@ router.post('/bulk-approve', protect, async (req, res) => {
 
                 if (pendingTransaction) {
                     const transaction = await pendingTransaction.approve();
+                    await transactionEventsService.onTransactionCreated(transaction, pendingTransaction.getAccountContext());
                     results.approved.push({ 
                         pendingId: id, 
                         transactionId: transaction._id 
@@ -1,6 +1,8 @@
 import express from 'express';
 import { auth as protect } from '../middleware/auth.middleware.js';
 import { User } from '../models/User.model.js';
+import { normalizeCurrency } from '../utils/currency.helper.js';
+import { currencyRebaseService } from '../services/currencyRebase.service.js';
 import logger from '../utils/logger.js';
 import * as Sentry from '@sentry/node';
 import bcrypt from 'bcryptjs';
@@ -39,12 +41,12 @@ router.get('/', protect, async (req, res) => {
 
 /**
  * @route   PUT /api/v1/profile
- * @desc    Update user profile (name, email)
+ * @desc    Update user profile (name, email, baseCurrency)
  * @access  Private
  */
 router.put('/', protect, async (req, res) => {
     try {
-        const { name, email } = req.body;
+        const { name, email, baseCurrency } = req.body;
         
         const updateData = {};
         
@@ -103,6 +105,18 @@ router.put('/', protect, async (req, res) => {
             });
         }
 
+        // Update base currency if provided (existing transactions are re-converted by a job)
+        if (baseCurrency !== undefined) {
+            const code = normalizeCurrency(baseCurrency);
+            if (!code) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Unsupported base currency'
+                });
+            }
+            updateData.baseCurrency = code;
+        }
+
         if (Object.keys(updateData).length === 0) {
             return res.status(400).json({
                 success: false,
@@ -116,10 +130,17 @@ router.put('/', protect, async (req, res) => {
             { new: true, runValidators: true }
         ).select('-password');
 
+        // Existing transactions are re-converted in the background
+        const rebaseQueued = Boolean(updateData.baseCurrency && updateData.baseCurrency !== req.user.baseCurrency);
+        if (rebaseQueued) {
+            await currencyRebaseService.queueRebase(req.user._id);
+        }
+
         logger.info('Profile updated', {
             userId: req.user._id,
             updates: Object.keys(updateData),
-            emailChanged: updateData.email ? true : false
+            emailChanged: updateData.email ? true : false,
+            rebaseQueued
         });
 
         res.json({
@@ -127,7 +148,8 @@ router.put('/', protect, async (req, res) => {
             message: updateData.email ? 'Profile updated. Please verify your new email with the OTP sent.' : 'Profile updated successfully',
             data: updatedUser,
             emailChanged: updateData.email ? true : false,
-            requiresOTP: updateData.email ? true : false
+            requiresOTP: updateData.email ? true : false,
+            rebaseQueued
         });
     } catch (error) {
         logger.error('Error updating profile', { 
@@ -4,6 +4,9 @@ import { google } from 'googleapis';
 import logger from '../utils/logger.js';
 import crypto from 'crypto';
 import { auth } from '../middleware/auth.middleware.js';
+import { gmailBackfillService, BackfillError } from '../services/gmailBackfill.service.js';
+import { gmailWatchService } from '../services/gmailWatch.service.js';
+import { emailForwardingService } from '../services/emailForwarding.service.js';
 
 const router = express.Router();
 
@@ -148,9 +151,17 @@ router.get('/gmail/callback', async (req, res) => {
                 refresh_token: tokens.refresh_token,
                 expiry_date: tokens.expiry_date
             },
-            'gmailIntegration.lastSync': new Date()
+            'gmailIntegration.lastSync': new Date(),
+            'gmailIntegration.disabledReason': null,
+            'gmailIntegration.disabledAt': null,
+            // First sync after connecting is a bounded full sync
+            'gmailIntegration.historyId': null,
+            'gmailIntegration.watch': null
         });
 
+        // Push notifications for the new mailbox; polled until the watch is active
+        gmailWatchService.watchUserById(userId);
+
         logger.info(`Gmail integration enabled for user ${userId}, email: ${authorizedEmail}`);
 
         res.send(`
@@ -237,9 +248,17 @@ router.post('/gmail/mobile', async (req, res) => {
                 refresh_token: tokens.refresh_token,
                 expiry_date: tokens.expiry_date
             },
-            'gmailIntegration.lastSync': new Date()
+            'gmailIntegration.lastSync': new Date(),
+            'gmailIntegration.disabledReason': null,
+            'gmailIntegration.disabledAt': null,
+            // First sync after connecting is a bounded full sync
+            'gmailIntegration.historyId': null,
+            'gmailIntegration.watch': null
         });
 
+        // Push notifications for the new mailbox; polled until the watch is active
+        gmailWatchService.watchUserById(userId);
+
         logger.info(`Gmail integration enabled for user ${userId}, email: ${authorizedEmail}`);
 
         res.json({
@@ -271,9 +290,16 @@ router.post('/gmail/disable', auth, async (req, res) => {
             });
         }
 
+        // Stop push notifications while the tokens still work
+        const user = await User.findById(req.user.id).select('_id email gmailIntegration');
+        await gmailWatchService.stopUser(user);
+
         await User.findByIdAndUpdate(req.user.id, {
             'gmailIntegration.enabled': false,
-            'gmailIntegration.tokens': null
+            'gmailIntegration.tokens': null,
+            'gmailIntegration.disabledReason': null,
+            'gmailIntegration.disabledAt': null,
+            'gmailIntegration.watch': null
         });
 
         logger.info(`Gmail integration disabled for user ${req.user.id}`);
@@ -310,7 +336,12 @@ router.get('/gmail/status', auth, async (req, res) => {
             success: true,
             enabled: user.gmailIntegration?.enabled || false,
             authorizedEmail: user.gmailIntegration?.authorizedEmail || null,
-            lastSync: user.gmailIntegration?.lastSync || null
+            lastSync: user.gmailIntegration?.lastSync || null,
+            // The app asks the user to reconnect when this is set
+            disabledReason: user.gmailIntegration?.disabledReason || null,
+            disabledAt: user.gmailIntegration?.disabledAt || null,
+            // New mail arrives by Gmail push rather than polling
+            pushActive: user.gmailIntegration?.watch?.expiration > new Date()
         });
     } catch (error) {
         logger.error('Error fetching Gmail status', { error: error.message });
@@ -321,4 +352,127 @@ router.get('/gmail/status', auth, async (req, res) => {
     }
 });
 
+/**
+ * POST /settings/gmail/backfill
+ * Import older transaction emails for a date range (default: the last 90 days)
+ * Body: { start?: date, end?: date }
+ */
+router.post('/gmail/backfill', auth, async (req, res) => {
+    try {
+        const { start, end } = req.body || {};
+        const backfill = await gmailBackfillService.startBackfill(req.user.id, { start, end });
+
+        res.status(202).json({
+            success: true,
+            backfill,
+            message: 'Importing older Gmail transactions'
+        });
+    } catch (error) {
+        if (error instanceof BackfillError) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
+        logger.error('Error starting Gmail backfill', { error: error.message });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to start Gmail backfill'
+        });
+    }
+});
+
+/**
+ * GET /settings/gmail/backfill
+ * Progress of the most recent backfill
+ */
+router.get('/gmail/backfill', auth, async (req, res) => {
+    try {
+        const backfill = await gmailBackfillService.getLatest(req.user.id);
+
+        res.json({
+            success: true,
+            backfill
+        });
+    } catch (error) {
+        logger.error('Error fetching Gmail backfill', { error: error.message });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch Gmail backfill'
+        });
+    }
+});
+
+/**
+ * DELETE /settings/gmail/backfill
+ * Cancel the running backfill; transactions already imported stay pending for review
+ */
+router.delete('/gmail/backfill', auth, async (req, res) => {
+    try {
+        const backfill = await gmailBackfillService.cancel(req.user.id);
+
+        res.json({
+            success: true,
+            backfill,
+            message: 'Gmail backfill cancelled'
+        });
+    } catch (error) {
+        if (error instanceof BackfillError) {
+            return res.status(error.statusCode).json({ success: false, message: error.message });
+        }
+        logger.error('Error cancelling Gmail backfill', { error: error.message });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to cancel Gmail backfill'
+        });
+    }
+});
+
+/**
+ * GET /settings/forwarding-address
+ * The user's own address to forward bank emails to (assigned on first request)
+ */
+router.get('/forwarding-address', auth, async (req, res) => {
+    try {
+        const forwarding = await emailForwardingService.getForwardingAddress(req.user.id);
+        if (!forwarding) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+
+        res.json({
+            success: true,
+            address: forwarding.address,
+            message: 'Forward bank emails to this address'
+        });
+    } catch (error) {
+        logger.error('Error fetching forwarding address', { error: error.message });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch forwarding address'
+        });
+    }
+});
+
+/**
+ * POST /settings/forwarding-address/regenerate
+ * Replace the forwarding address, e.g. after it leaked; the old one stops working
+ */
+router.post('/forwarding-address/regenerate', auth, async (req, res) => {
+    try {
+        const forwarding = await emailForwardingService.regenerateForwardingAddress(req.user.id);
+        if (!forwarding) {
+            return res.status(404).json({ success: false, message: 'User not found' });
+        }
+
+        res.json({
+            success: true,
+            address: forwarding.address,
+            message: 'Forwarding address changed; update your forwarding rules'
+        });
+    } catch (error) {
+        logger.error('Error regenerating forwarding address', { error: error.message });
+        res.status(500).json({
+            success: false,
+            message: 'Failed to regenerate forwarding address'
+        });
+    }
+});
+
 export default router;
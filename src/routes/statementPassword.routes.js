@@ -0,0 +1,188 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import { auth as protect } from '../middleware/auth.middleware.js';
+import { StatementPassword } from '../models/StatementPassword.model.js';
+import { ProcessedEmail } from '../models/ProcessedEmail.model.js';
+import { multiUserGmailPoller } from '../services/multiUserGmailPoller.service.js';
+import logger from '../utils/logger.js';
+import * as Sentry from '@sentry/node';
+
+const router = express.Router();
+
+const EDITABLE_FIELDS = ['name', 'senders', 'template', 'active'];
+
+const pickPasswordFields = (body = {}) => {
+    const data = {};
+    EDITABLE_FIELDS.forEach(field => {
+        if (body[field] !== undefined) data[field] = body[field];
+    });
+    return data;
+};
+
+// Secrets are never returned; the app sees which ones are stored and which the template still needs
+const toResponse = (record) => ({ ...record.toJSON(), missingSecrets: record.missingSecrets() });
+
+// Statements that could not be opened are retried with the new password
+const retryLockedStatements = async (userId) => {
+    try {
+        if (await ProcessedEmail.exists({ user: userId, status: 'locked' })) {
+            await multiUserGmailPoller.retryLockedMessages(userId);
+        }
+    } catch (error) {
+        logger.error('Error queueing locked statement retry', { error: error.message, userId });
+        Sentry.captureException(error);
+    }
+};
+
+const isSecretsBody = (secrets) => secrets === undefined ||
+    (secrets !== null && typeof secrets === 'object' && !Array.isArray(secrets));
+
+/**
+ * @route   GET /api/v1/statement-passwords
+ * @desc    Get the user's statement passwords, and how many statement emails are waiting for one
+ * @access  Private
+ */
+router.get('/', protect, async (req, res) => {
+    try {
+        const [records, locked] = await Promise.all([
+            StatementPassword.find({ user: req.user._id }).sort({ createdAt: -1 }),
+            ProcessedEmail.countDocuments({ user: req.user._id, status: 'locked' })
+        ]);
+
+        res.json({ success: true, count: records.length, locked, data: records.map(toResponse) });
+    } catch (error) {
+        logger.error('Error fetching statement passwords', {
+            error: error.message,
+            userId: req.user._id
+        });
+        Sentry.captureException(error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch statement passwords'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/v1/statement-passwords
+ * @desc    Save how to open password-protected statements, e.g. template "{NAME4}{DOB:DDMM}"
+ * @body    { name, senders, template, secrets: { name, dob, pan, mobile, customerId } }
+ * @access  Private
+ */
+router.post('/', protect, async (req, res) => {
+    try {
+        if (!isSecretsBody(req.body.secrets)) {
+            return res.status(400).json({ success: false, message: 'secrets must be an object' });
+        }
+
+        const record = new StatementPassword({ ...pickPasswordFields(req.body), user: req.user._id });
+        record.setSecrets(req.body.secrets);
+        await record.save();
+
+        logger.info('Statement password created', {
+            userId: req.user._id,
+            statementPasswordId: record._id,
+            senders: record.senders
+        });
+
+        await retryLockedStatements(req.user._id);
+
+        res.status(201).json({ success: true, data: toResponse(record) });
+    } catch (error) {
+        if (error instanceof mongoose.Error.ValidationError) {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        logger.error('Error creating statement password', {
+            error: error.message,
+            userId: req.user._id
+        });
+        Sentry.captureException(error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create statement password'
+        });
+    }
+});
+
+/**
+ * @route   PUT /api/v1/statement-passwords/:id
+ * @desc    Update a statement password; secrets are merged, an empty value removes one
+ * @access  Private
+ */
+router.put('/:id', protect, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'Invalid statement password id' });
+        }
+        if (!isSecretsBody(req.body.secrets)) {
+            return res.status(400).json({ success: false, message: 'secrets must be an object' });
+        }
+
+        const record = await StatementPassword.findOne({ _id: req.params.id, user: req.user._id }).select('+encryptedSecrets');
+        if (!record) {
+            return res.status(404).json({ success: false, message: 'Statement password not found' });
+        }
+
+        record.set(pickPasswordFields(req.body));
+        if (req.body.secrets) record.setSecrets({ ...record.getSecrets(), ...req.body.secrets });
+        await record.save();
+
+        if (record.active) await retryLockedStatements(req.user._id);
+
+        res.json({ success: true, data: toResponse(record) });
+    } catch (error) {
+        if (error instanceof mongoose.Error.ValidationError) {
+            return res.status(400).json({ success: false, message: error.message });
+        }
+        logger.error('Error updating statement password', {
+            error: error.message,
+            statementPasswordId: req.params.id
+        });
+        Sentry.captureException(error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update statement password'
+        });
+    }
+});
+
+/**
+ * @route   DELETE /api/v1/statement-passwords/:id
+ * @desc    Delete a statement password and the details stored with it
+ * @access  Private
+ */
+router.delete('/:id', protect, async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(400).json({ success: false, message: 'Invalid statement password id' });
+        }
+
+        const record = await StatementPassword.findOneAndDelete({
+            _id: req.params.id,
+            user: req.user._id
+        });
+
+        if (!record) {
+            return res.status(404).json({
+                success: false,
+                message: 'Statement password not found'
+            });
+        }
+
+        logger.info('Statement password deleted', {
+            userId: req.user._id,
+            statementPasswordId: record._id
+        });
+
+        res.json({
+            success: true,
+            message: 'Statement password deleted'
+        });
+    } catch (error) {
+        logger.error('Error deleting statement password', { error: error.message });
+        Sentry.captureException(error);
+        res.status(500).json({ success: false, message: 'Server error' });
+    }
+});
+
+export default router;
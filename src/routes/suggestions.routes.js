@@ -2,6 +2,8 @@ import express from 'express';
 import { auth as protect } from '../middleware/auth.middleware.js';
 import { PendingTransaction } from '../models/PendingTransaction.model.js';
 import { MerchantPattern } from '../models/MerchantPattern.model.js';
+import { CategoryModel } from '../models/CategoryModel.model.js';
+import { categoryModelService } from '../services/categoryModel.service.js';
 import logger from '../utils/logger.js';
 import * as Sentry from '@sentry/node';
 
@@ -46,6 +48,66 @@ router.get('/all', protect, async (req, res) => {
     }
 });
 
+/**
+ * @route   GET /api/v1/suggestions/category-model
+ * @desc    Status of the user's trained category classifier
+ * @access  Private
+ */
+router.get('/category-model', protect, async (req, res) => {
+    try {
+        const [userModel, globalModel] = await Promise.all([
+            CategoryModel.findOne({ scope: 'user', user: req.user._id }).select('-classes.tokens').lean(),
+            CategoryModel.findOne({ scope: 'global', user: null }).select('trainedAt exampleCount').lean()
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                user: userModel ? {
+                    trainedAt: userModel.trainedAt,
+                    exampleCount: userModel.exampleCount,
+                    vocabularySize: userModel.vocabularySize,
+                    categories: userModel.classes.map(c => ({ category: c.category, examples: c.docCount }))
+                } : null,
+                global: globalModel ? { trainedAt: globalModel.trainedAt, exampleCount: globalModel.exampleCount } : null
+            }
+        });
+    } catch (error) {
+        logger.error('Error getting category model status', {
+            error: error.message,
+            userId: req.user._id
+        });
+        Sentry.captureException(error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to get category model'
+        });
+    }
+});
+
+/**
+ * @route   POST /api/v1/suggestions/category-model/retrain
+ * @desc    Retrain the user's category classifier now (it also retrains daily)
+ * @access  Private
+ */
+router.post('/category-model/retrain', protect, async (req, res) => {
+    try {
+        const result = await categoryModelService.trainForUser(req.user._id);
+
+        res.json({ success: true, data: result });
+    } catch (error) {
+        logger.error('Error retraining category model', {
+            error: error.message,
+            userId: req.user._id
+        });
+        Sentry.captureException(error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to retrain category model'
+        });
+    }
+});
+
 /**
  * @route   GET /api/v1/suggestions/:transactionId
  * @desc    Get AI suggestions for pending transaction based on learned patterns
@@ -4,20 +4,48 @@ import {
     getTransactionById, 
     updateTransaction,
     deleteTransaction,
-    importTransactions,
     getTransactionByUser,
     getTransactionsBySearch,
-    dayWeeklyTransactionSumm
+    dayWeeklyTransactionSumm,
+    markTransfer,
+    unmarkTransfer
 } from '../controllers/transaction.controller.js';
+import {
+    previewImport,
+    getImport,
+    commitImport,
+    discardImport,
+    getImportProfiles,
+    createImportProfile,
+    updateImportProfile,
+    deleteImportProfile
+} from '../controllers/import.controller.js';
+import { exportTransactions } from '../controllers/export.controller.js';
 import {auth} from '../middleware/auth.middleware.js';
 
 const router = express.Router();
 
+// Statement files are sent as raw text and are far larger than the global 10kb JSON limit
+const statementBody = express.text({
+    type: ['text/*', 'application/ofx', 'application/x-ofx', 'application/qif', 'application/x-qif', 'application/octet-stream'],
+    limit: '5mb'
+});
+
 router.post('/', auth, addTransaction); // Add a new transaction
 router.get('/user', auth, getTransactionByUser); // Get all transactions for the authenticated user
-router.post('/import', auth, importTransactions);
+router.get('/import/profiles', auth, getImportProfiles); // Saved CSV column mappings
+router.post('/import/profiles', auth, createImportProfile);
+router.put('/import/profiles/:profileId', auth, updateImportProfile);
+router.delete('/import/profiles/:profileId', auth, deleteImportProfile);
+router.post('/import', auth, statementBody, previewImport); // Parse statement into a dry-run preview
+router.get('/import/:importId', auth, getImport);
+router.post('/import/:importId/commit', auth, commitImport); // Insert the previewed rows
+router.delete('/import/:importId', auth, discardImport);
 router.get('/summary',auth,dayWeeklyTransactionSumm);
+router.get('/export', auth, exportTransactions); // Stream CSV / OFX / JSON with search filters
 router.get('/', auth, getTransactionsBySearch);
+router.post('/:id/transfer', auth, markTransfer); // Link with the other leg of a transfer between own accounts
+router.delete('/:id/transfer', auth, unmarkTransfer);
 router.get('/:id', auth, getTransactionById); // Get a specific transaction by ID
 router.put('/:id', auth, updateTransaction);
 router.delete('/:id', auth, deleteTransaction);
@@ -0,0 +1,142 @@
+import { Account } from '../models/Account.model.js';
+import logger from '../utils/logger.js';
+import * as Sentry from '@sentry/node';
+
+const ACCOUNT_TYPE_LABELS = {
+    bank: 'Account',
+    credit_card: 'Card',
+    wallet: 'Wallet',
+    cash: 'Cash'
+};
+
+/**
+ * Account Service
+ * Links parsed transactions to accounts and keeps running balances
+ */
+class AccountService {
+    /**
+     * Normalize an SMS sender ID ("VM-HDFCBK" -> "hdfcbk") or email address
+     */
+    normalizeSender(sender) {
+        if (!sender) return null;
+        const value = String(sender).trim().toLowerCase();
+        if (value.includes('@')) return value.match(/<([^>]+)>/)?.[1] || value;
+        return value.replace(/^[a-z]{2}-/, '');
+    }
+
+    /**
+     * Find the account a parsed alert belongs to, creating one from the
+     * last-4 digits when it is seen for the first time.
+     * @param {ObjectId} userId
+     * @param {Object} info
+     * @param {String} info.accountNumber - Last 3-4 digits from the alert
+     * @param {String} info.accountType - bank | credit_card (parser hint)
+     * @param {String} info.sender - SMS sender ID or email address
+     * @param {String} info.bankName - Issuer, when known
+     * @param {String} info.currency
+     * @param {Boolean} info.strictType - Only match (or create) an account of accountType
+     * @returns {Promise<Account|null>}
+     */
+    async resolveAccount(userId, { accountNumber, accountType, sender, bankName, currency, strictType = false } = {}) {
+        const normalizedSender = this.normalizeSender(sender);
+        const typeFilter = strictType && accountType ? { type: accountType } : {};
+        let account = null;
+
+        if (accountNumber) {
+            const candidates = await Account.find({ user: userId, last4: accountNumber, active: true, ...typeFilter });
+            account = candidates.find(a => a.type === accountType) ||
+                (candidates.length === 1 ? candidates[0] : null);
+
+            if (!account && candidates.length === 0) {
+                const type = accountType || 'bank';
+                account = new Account({
+                    user: userId,
+                    name: `${bankName || ACCOUNT_TYPE_LABELS[type]} ••${accountNumber}`,
+                    type,
+                    institution: bankName,
+                    last4: accountNumber,
+                    currency: currency || undefined,
+                    autoCreated: true
+                });
+                logger.info('Account auto-created from parsed alert', {
+                    userId,
+                    type,
+                    last4: accountNumber
+                });
+            }
+        } else if (normalizedSender) {
+            // Without a number, only link when the sender maps to exactly one account
+            const candidates = await Account.find({ user: userId, senders: normalizedSender, active: true, ...typeFilter }).limit(2);
+            if (candidates.length === 1) account = candidates[0];
+        }
+
+        if (account) {
+            account.addSender(normalizedSender);
+            if (!account.institution && bankName) account.institution = bankName;
+        }
+
+        return account;
+    }
+
+    /**
+     * Balance after applying a transaction to the account's running balance.
+     * Expenses are positive: they lower bank/wallet/cash balances and raise
+     * a credit card's outstanding.
+     */
+    applyTransaction(account, amount) {
+        return account.type === 'credit_card'
+            ? account.currentBalance + amount
+            : account.currentBalance - amount;
+    }
+
+    /**
+     * Attach a saved transaction to its account and update the balance.
+     * A bank-reported balance wins; otherwise the running balance is adjusted.
+     * Errors are logged and reported and return null; the transaction is already saved.
+     * @param {Transaction} transaction
+     * @param {Object} context - accountNumber, accountType, balance, sender, bankName from the parser
+     */
+    async linkTransaction(transaction, context = {}) {
+        try {
+            let account = null;
+
+            if (transaction.account) {
+                account = await Account.findOne({ _id: transaction.account, user: transaction.user });
+            } else if (context.accountNumber || context.sender) {
+                account = await this.resolveAccount(transaction.user, {
+                    ...context,
+                    currency: transaction.currency
+                });
+            }
+
+            if (!account) return null;
+
+            const date = transaction.timestamp || new Date();
+            if (Number.isFinite(context.balance)) {
+                account.recordBalance(context.balance, { date, source: 'reported', transaction: transaction._id });
+            } else if (account.currentBalance !== null && (!account.balanceUpdatedAt || date >= account.balanceUpdatedAt)) {
+                const balance = Math.round(this.applyTransaction(account, transaction.amount) * 100) / 100;
+                account.recordBalance(balance, { date, source: 'computed', transaction: transaction._id });
+            }
+
+            await account.save();
+
+            if (!transaction.account || transaction.account.toString() !== account._id.toString()) {
+                transaction.account = account._id;
+                await transaction.save();
+            }
+
+            return account;
+        } catch (error) {
+            logger.error('Error linking transaction to account', {
+                error: error.message,
+                transactionId: transaction?._id
+            });
+            Sentry.captureException(error, { tags: { service: 'accounts' } });
+            return null;
+        }
+    }
+}
+
+// Export singleton instance
+export const accountService = new AccountService();
@@ -0,0 +1,341 @@
+import moment from 'moment-timezone';
+import { Budget } from '../models/Budget.model.js';
+import { Transaction } from '../models/Transaction.model.js';
+import { User } from '../models/User.model.js';
+import { notificationService } from './notification.service.js';
+import { splitLineStages } from '../utils/splitLines.helper.js';
+import { excludeTransfers } from '../utils/transactionFilter.helper.js';
+import { convertAmount, getExchangeRate, DEFAULT_CURRENCY } from '../utils/currency.helper.js';
+import logger from '../utils/logger.js';
+import * as Sentry from '@sentry/node';
+
+const TIMEZONE = 'Asia/Kolkata';
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Rollover is recomputed from history; never walk back further than this
+const MAX_ROLLOVER_PERIODS = 24;
+
+/**
+ * Budget Service
+ * Period math, progress from Transaction aggregates, and threshold alerts
+ */
+class BudgetService {
+    /**
+     * Get the period containing `date` for a budget
+     * @returns {{ start: Date, end: Date }} end is exclusive
+     */
+    getPeriodBounds(budget, date = new Date()) {
+        if (budget.period === 'custom') {
+            const anchor = new Date(budget.startDate).getTime();
+            const length = budget.periodDays * DAY_MS;
+            const index = Math.floor((date.getTime() - anchor) / length);
+            const start = new Date(anchor + index * length);
+            return { start, end: new Date(start.getTime() + length) };
+        }
+
+        const unit = budget.period === 'weekly' ? 'isoWeek' : 'month';
+        const start = moment(date).tz(TIMEZONE).startOf(unit);
+        const end = start.clone().add(1, budget.period === 'weekly' ? 'week' : 'month');
+        return { start: start.toDate(), end: end.toDate() };
+    }
+
+    /**
+     * Period immediately before the one starting at periodStart
+     */
+    getPreviousPeriod(budget, periodStart) {
+        return this.getPeriodBounds(budget, new Date(periodStart.getTime() - 1));
+    }
+
+    /**
+     * Mongo match for transactions (or split lines) counted by a budget
+     * @returns {{ parent: Object, line: Object }} parent narrows the scan, line filters split lines
+     */
+    buildMatch(budget, start, end) {
+        const field = budget.scope.type === 'tag' ? 'tags' : 'category';
+        const value = budget.scope.value;
+
+        return {
+            parent: excludeTransfers({
+                user: budget.user,
+                timestamp: { $gte: start, $lt: end },
+                $or: [{ [field]: value }, { [`splits.${field}`]: value }]
+            }),
+            line: { [field]: value }
+        };
+    }
+
+    /**
+     * Net spend (expenses minus refunds) for a budget between two dates, in the user's base currency
+     */
+    async getSpent(budget, start, end) {
+        const [spent] = await this.getSpentByPeriod(budget, [{ start, end }]);
+        return spent;
+    }
+
+    /**
+     * Net spend for consecutive periods with a single aggregate over their whole range
+     * @param {Array<{start: Date, end: Date}>} periods - Oldest first, each starting where the last ended
+     * @returns {Promise<Array<{spent: number, count: number}>>} In the order of periods
+     */
+    async getSpentByPeriod(budget, periods) {
+        if (periods.length === 0) return [];
+
+        const { parent, line } = this.buildMatch(budget, periods[0].start, periods.at(-1).end);
+        const buckets = await Transaction.aggregate([
+            { $match: parent },
+            ...splitLineStages({ inBaseCurrency: true }),
+            { $match: line },
+            {
+                $bucket: {
+                    groupBy: '$timestamp',
+                    boundaries: [...periods.map(period => period.start), periods.at(-1).end],
+                    default: 'outside',
+                    output: { total: { $sum: '$amount' }, count: { $sum: 1 } }
+                }
+            }
+        ]);
+
+        const byStart = new Map(buckets
+            .filter(bucket => bucket._id instanceof Date)
+            .map(bucket => [bucket._id.getTime(), bucket]));
+
+        return periods.map(period => {
+            const bucket = byStart.get(period.start.getTime());
+            return { spent: Math.max(bucket?.total || 0, 0), count: bucket?.count || 0 };
+        });
+    }
+
+    /**
+     * The user's base currency, which budget progress is reported in
+     */
+    async getBaseCurrency(userId) {
+        const user = await User.findById(userId).select('baseCurrency').lean();
+        return user?.baseCurrency || DEFAULT_CURRENCY;
+    }
+
+    /**
+     * The budget amount in the base currency at a date. Budgets are saved only in currencies
+     * with a rate (see isCurrencySupported); should the rate table lose one, the amount is
+     * used as is.
+     */
+    getLimit(budget, baseCurrency, date) {
+        const converted = convertAmount(budget.amount, budget.currency || DEFAULT_CURRENCY, baseCurrency, date);
+        return converted ? converted.amount : budget.amount;
+    }
+
+    /**
+     * Whether a budget in `currency` can be tracked against spending in `baseCurrency`
+     */
+    isCurrencySupported(currency, baseCurrency) {
+        return getExchangeRate(currency || DEFAULT_CURRENCY, baseCurrency || DEFAULT_CURRENCY) !== null;
+    }
+
+    /**
+     * Periods before the one starting at periodStart that can carry a rollover into it, oldest
+     * first: back to the budget's first period, at most `max` of them
+     */
+    getRolloverPeriods(budget, periodStart, max = MAX_ROLLOVER_PERIODS) {
+        if (!budget.rollover) return [];
+
+        const budgetStart = new Date(budget.startDate || budget.createdAt);
+        const periods = [];
+        let bounds = this.getPreviousPeriod(budget, periodStart);
+
+        while (bounds.end > budgetStart && periods.length < max) {
+            periods.unshift(bounds);
+            bounds = this.getPreviousPeriod(budget, bounds.start);
+        }
+
+        return periods;
+    }
+
+    /**
+     * Unspent amount carried out of a period: max(0, limit + carried in - spent)
+     */
+    carryForward(budget, baseCurrency, period, spent, carried) {
+        return Math.max(this.getLimit(budget, baseCurrency, period.start) + carried - spent, 0);
+    }
+
+    /**
+     * Unspent amount carried into the period starting at periodStart
+     * Walks forward from the budget's first period, carrying max(0, limit - spent)
+     */
+    async getRolloverAmount(budget, periodStart, baseCurrency) {
+        const periods = this.getRolloverPeriods(budget, periodStart);
+        const spentByPeriod = await this.getSpentByPeriod(budget, periods);
+
+        return spentByPeriod.reduce(
+            (carried, { spent }, i) => this.carryForward(budget, baseCurrency, periods.at(i), spent, carried),
+            0
+        );
+    }
+
+    /**
+     * Progress figures for one period
+     */
+    buildProgress(budget, baseCurrency, { start, end }, { spent, count }, rolloverAmount) {
+        const baseAmount = this.getLimit(budget, baseCurrency, start);
+        const limit = baseAmount + rolloverAmount;
+        const percentUsed = limit > 0 ? (spent / limit) * 100 : (spent > 0 ? 100 : 0);
+
+        return {
+            periodStart: start,
+            periodEnd: end,
+            currency: baseCurrency,
+            limit,
+            baseAmount,
+            rolloverAmount,
+            spent,
+            remaining: limit - spent,
+            percentUsed: Math.round(percentUsed * 10) / 10,
+            transactionCount: count,
+            status: percentUsed >= 100 ? 'exceeded' : percentUsed >= 80 ? 'warning' : 'on_track'
+        };
+    }
+
+    /**
+     * Progress for the period containing `date`, in the user's base currency
+     * @param {string} [baseCurrency] - Looked up when not given
+     */
+    async getProgress(budget, date = new Date(), baseCurrency) {
+        baseCurrency = baseCurrency || await this.getBaseCurrency(budget.user);
+        const period = this.getPeriodBounds(budget, date);
+        const [spent, rolloverAmount] = await Promise.all([
+            this.getSpent(budget, period.start, period.end),
+            this.getRolloverAmount(budget, period.start, baseCurrency)
+        ]);
+
+        return this.buildProgress(budget, baseCurrency, period, spent, rolloverAmount);
+    }
+
+    /**
+     * Progress for the last N periods, newest first. One aggregate covers them and the
+     * periods whose rollover they carry; the newest matches getProgress.
+     * @param {string} [baseCurrency] - Looked up when not given
+     */
+    async getHistory(budget, periods = 6, baseCurrency) {
+        baseCurrency = baseCurrency || await this.getBaseCurrency(budget.user);
+        const budgetStart = new Date(budget.startDate || budget.createdAt);
+
+        const shown = [this.getPeriodBounds(budget, new Date())];
+        while (shown.length < periods && shown.at(-1).start > budgetStart) {
+            shown.push(this.getPreviousPeriod(budget, shown.at(-1).start));
+        }
+        shown.reverse();
+
+        // The current period's rollover looks back at most MAX_ROLLOVER_PERIODS periods
+        const earlier = this.getRolloverPeriods(budget, shown[0].start, Math.max(MAX_ROLLOVER_PERIODS - shown.length + 1, 0));
+        const spentByPeriod = await this.getSpentByPeriod(budget, [...earlier, ...shown]);
+
+        let carried = 0;
+        const history = [];
+        [...earlier, ...shown].forEach((period, i) => {
+            const spent = spentByPeriod.at(i);
+            if (i >= earlier.length) {
+                history.unshift(this.buildProgress(budget, baseCurrency, period, spent, budget.rollover ? carried : 0));
+            }
+            carried = this.carryForward(budget, baseCurrency, period, spent.spent, carried);
+        });
+
+        return history;
+    }
+
+    /**
+     * Active budgets that a transaction counts towards
+     */
+    async findBudgetsForTransaction(transaction) {
+        const splits = transaction.splits || [];
+        const categories = [transaction.category, ...splits.map(s => s.category)];
+        const tags = [...(transaction.tags || []), ...splits.flatMap(s => s.tags || [])];
+
+        const scopes = [{ 'scope.type': 'category', 'scope.value': { $in: categories } }];
+        if (tags.length) {
+            scopes.push({ 'scope.type': 'tag', 'scope.value': { $in: tags } });
+        }
+
+        const txnDate = transaction.timestamp || new Date();
+        return Budget.find({
+            user: transaction.user,
+            active: true,
+            startDate: { $lte: txnDate },
+            $and: [
+                { $or: scopes },
+                { $or: [{ endDate: null }, { endDate: { $gt: txnDate } }] }
+            ]
+        });
+    }
+
+    /**
+     * Re-check budgets after a transaction is created or approved and
+     * send alerts for thresholds crossed for the first time this period.
+     * @returns {Promise<Array>} The alerts sent; empty when the check failed (logged and reported)
+     */
+    async checkTransaction(transaction) {
+        try {
+            if (!transaction || transaction.amount <= 0) return []; // Income never pushes a budget over
+
+            const budgets = await this.findBudgetsForTransaction(transaction);
+            if (budgets.length === 0) return [];
+
+            const alerts = [];
+            for (const budget of budgets) {
+                const progress = await this.getProgress(budget, transaction.timestamp || new Date(), transaction.baseCurrency);
+                const crossed = [...budget.alertThresholds]
+                    .sort((a, b) => a - b)
+                    .filter(t => progress.percentUsed >= t && !budget.hasAlerted(progress.periodStart, t));
+
+                if (crossed.length === 0) continue;
+
+                // Only notify for the highest threshold crossed, but mark all as sent
+                const threshold = crossed[crossed.length - 1];
+                crossed.forEach(t => budget.recordAlert(progress.periodStart, t, progress.spent));
+                await budget.save();
+
+                alerts.push({ budget, threshold, progress });
+            }
+
+            if (alerts.length > 0) {
+                await this.sendAlerts(transaction.user, alerts);
+            }
+
+            return alerts;
+        } catch (error) {
+            logger.error('Error checking budgets for transaction', {
+                error: error.message,
+                transactionId: transaction?._id
+            });
+            Sentry.captureException(error, { tags: { service: 'budgets' } });
+            return [];
+        }
+    }
+
+    /**
+     * Deliver budget alerts through push notifications
+     */
+    async sendAlerts(userId, alerts) {
+        const user = await User.findById(userId).select('deviceTokens');
+        const deviceToken = user?.deviceTokens?.[0]?.token;
+
+        for (const { budget, threshold, progress } of alerts) {
+            logger.info('Budget threshold crossed', {
+                userId,
+                budgetId: budget._id,
+                threshold,
+                spent: progress.spent,
+                limit: progress.limit
+            });
+
+            if (deviceToken) {
+                await notificationService.sendBudgetAlertNotification(deviceToken, {
+                    budgetId: budget._id,
+                    name: budget.name || budget.scope.value,
+                    threshold,
+                    spent: progress.spent,
+                    limit: progress.limit
+                });
+            }
+        }
+    }
+}
+
+// Export singleton instance
+export const budgetService = new BudgetService();
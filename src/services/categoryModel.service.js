@@ -0,0 +1,306 @@
+import { CategoryModel } from '../models/CategoryModel.model.js';
+import { PendingTransaction } from '../models/PendingTransaction.model.js';
+import { Transaction } from '../models/Transaction.model.js';
+import { MerchantPattern } from '../models/MerchantPattern.model.js';
+import { LearningPattern } from '../models/LearningPattern.model.js';
+import {
+    FALLBACK_CATEGORIES,
+    tokenizeTransaction,
+    trainCategoryModel,
+    predictCategory
+} from '../utils/categoryModel.helper.js';
+import { NON_SPEND_KINDS } from '../utils/transactionFilter.helper.js';
+import { jobQueue } from './jobQueue.service.js';
+import logger from '../utils/logger.js';
+import * as Sentry from '@sentry/node';
+
+const TRAINING = {
+    MIN_USER_EXAMPLES: 20,       // Fewer and the global model is used alone
+    MIN_GLOBAL_USERS: 3,         // A merchant token must come from this many users to enter the global model
+    MAX_EXAMPLES_PER_SOURCE: 5000,
+    CORRECTION_WEIGHT: 2,        // A category the user changed counts more than one they accepted
+    RAW_TEXT_CHARS: 1000,
+    FIRST_RUN_DELAY_MS: 60 * 60 * 1000
+};
+
+const JOB_TYPE = 'category-model.train';
+const MIN_CONFIDENCE = 0.6;
+const CACHE_TTL_MS = 10 * 60 * 1000;
+const MAX_CACHED_USERS = 500;
+const GLOBAL_CACHE_KEY = 'global';
+
+const usable = (category) => !!category && !FALLBACK_CATEGORIES.includes(category);
+
+/**
+ * Category Model Service
+ * Trains the naive Bayes category classifiers from approved and corrected transactions
+ * (daily, or on request) and uses them when the keyword list has no category for a message.
+ */
+class CategoryModelService {
+    constructor() {
+        this.isRunning = false;
+        this.runInterval = 24 * 60 * 60 * 1000; // Daily
+        this.cache = new Map(); // key -> { model, loadedAt }
+    }
+
+    /**
+     * Labelled examples for a user: approved pending transactions, manual entries,
+     * merchant category corrections and email parsing corrections
+     * @returns {Promise<Array<{text?: string, merchant?: string, amount?: number, category: string, subCategory?: string, weight: number}>>}
+     */
+    async collectExamples(userId) {
+        const limit = TRAINING.MAX_EXAMPLES_PER_SOURCE;
+
+        const [approved, manual, merchantPatterns, learningPatterns] = await Promise.all([
+            PendingTransaction.find({ user: userId, status: 'approved' })
+                .select('parsedData source.subject source.rawContent userFeedback.correctedData')
+                .sort({ updatedAt: -1 })
+                .limit(limit)
+                .lean(),
+            Transaction.find({ user: userId, source: 'manual', kind: { $nin: NON_SPEND_KINDS } })
+                .select('amount merchant note category subCategory')
+                .sort({ timestamp: -1 })
+                .limit(limit)
+                .lean(),
+            MerchantPattern.find({ user: userId, 'categoryPattern.history.0': { $exists: true } })
+                .select('merchantName categoryPattern.history')
+                .limit(limit)
+                .lean(),
+            LearningPattern.find({ user: userId, 'corrections.categoryChanged': true })
+                .select('rawContent correctedData metadata.emailSubject')
+                .sort({ createdAt: -1 })
+                .limit(limit)
+                .lean()
+        ]);
+
+        const examples = [];
+
+        approved.forEach(pending => {
+            const corrected = pending.userFeedback?.correctedData || {};
+            const category = corrected.category || pending.parsedData?.category;
+            examples.push({
+                text: `${pending.source?.subject || ''} ${(pending.source?.rawContent || '').slice(0, TRAINING.RAW_TEXT_CHARS)}`,
+                merchant: corrected.merchant || pending.parsedData?.merchant,
+                amount: corrected.amount ?? pending.parsedData?.amount,
+                category,
+                weight: corrected.category && corrected.category !== pending.parsedData?.category ? TRAINING.CORRECTION_WEIGHT : 1
+            });
+        });
+
+        manual.forEach(txn => examples.push({
+            text: txn.note,
+            merchant: txn.merchant,
+            amount: txn.amount,
+            category: txn.category,
+            subCategory: txn.subCategory,
+            weight: 1
+        }));
+
+        merchantPatterns.forEach(pattern => {
+            pattern.categoryPattern.history.forEach(entry => examples.push({
+                merchant: pattern.merchantName,
+                category: entry.correctedCategory,
+                weight: TRAINING.CORRECTION_WEIGHT
+            }));
+        });
+
+        learningPatterns.forEach(pattern => examples.push({
+            text: `${pattern.metadata?.emailSubject || ''} ${(pattern.rawContent || '').slice(0, TRAINING.RAW_TEXT_CHARS)}`,
+            merchant: pattern.correctedData?.merchant,
+            amount: pattern.correctedData?.amount,
+            category: pattern.correctedData?.category,
+            weight: TRAINING.CORRECTION_WEIGHT
+        }));
+
+        return examples.filter(example => usable(example.category));
+    }
+
+    /**
+     * Train and store a user's model
+     * @param {Array} [examples] - From collectExamples, when the caller already has them
+     * @returns {Promise<{trained: boolean, exampleCount: number, categories?: number, reason?: string}>}
+     */
+    async trainForUser(userId, examples) {
+        examples = examples || await this.collectExamples(userId);
+        const categories = new Set(examples.map(example => example.category)).size;
+
+        if (examples.length < TRAINING.MIN_USER_EXAMPLES || categories < 2) {
+            return {
+                trained: false,
+                exampleCount: examples.length,
+                reason: `Needs at least ${TRAINING.MIN_USER_EXAMPLES} approved or corrected transactions in 2+ categories`
+            };
+        }
+
+        const model = trainCategoryModel(examples.map(example => ({ ...example, tokens: tokenizeTransaction(example) })));
+        await CategoryModel.store('user', userId, model, examples.length);
+        this.cache.delete(String(userId));
+
+        logger.info('Category model trained', { userId, examples: examples.length, categories });
+        return { trained: true, exampleCount: examples.length, categories };
+    }
+
+    /**
+     * Add a user's examples to the global model's counts. Only merchant names are used (no
+     * message text leaves a user's model), and examples with the same merchant tokens and
+     * category are merged, so the counts stay small however many users there are.
+     * @param {{users: number, tokenUsers: Map, groups: Map}} counts - Counts being built by trainAll
+     */
+    addGlobalExamples(counts, examples) {
+        const userTokens = new Set();
+
+        examples.forEach(example => {
+            const tokens = tokenizeTransaction({ ...example, merchantOnly: true });
+            if (!tokens.some(token => !token.startsWith('d_'))) return;
+            tokens.forEach(token => userTokens.add(token));
+
+            const key = `${example.category}|${example.subCategory || ''}|${tokens.join(' ')}`;
+            const group = counts.groups.get(key)
+                || { tokens, category: example.category, subCategory: example.subCategory, weight: 0, count: 0 };
+            group.weight += example.weight;
+            group.count += 1;
+            counts.groups.set(key, group);
+        });
+
+        userTokens.forEach(token => counts.tokenUsers.set(token, (counts.tokenUsers.get(token) || 0) + 1));
+        counts.users += 1;
+    }
+
+    /**
+     * Train the global model from the merged merchant examples, keeping tokens seen for several users
+     * @param {{users: number, tokenUsers: Map, groups: Map}} counts - Filled by addGlobalExamples
+     */
+    async trainGlobal(counts) {
+        let exampleCount = 0;
+        const shared = [];
+
+        counts.groups.forEach(group => {
+            const tokens = group.tokens
+                .filter(token => token.startsWith('d_') || counts.tokenUsers.get(token) >= TRAINING.MIN_GLOBAL_USERS);
+            if (!tokens.some(token => !token.startsWith('d_'))) return;
+
+            shared.push({ ...group, tokens });
+            exampleCount += group.count;
+        });
+
+        if (new Set(shared.map(example => example.category)).size < 2) {
+            return { trained: false, exampleCount };
+        }
+
+        const model = trainCategoryModel(shared);
+        await CategoryModel.store('global', null, model, exampleCount);
+        this.cache.delete(GLOBAL_CACHE_KEY);
+
+        logger.info('Global category model trained', { users: counts.users, examples: exampleCount });
+        return { trained: true, exampleCount };
+    }
+
+    /**
+     * category-model.train job: retrain every user's model, then the global model. Each user's
+     * examples are read once and feed both.
+     */
+    async trainAll() {
+        const [pendingUsers, manualUsers] = await Promise.all([
+            PendingTransaction.distinct('user', { status: 'approved' }),
+            Transaction.distinct('user', { source: 'manual' })
+        ]);
+        const userIds = [...new Map([...pendingUsers, ...manualUsers].map(id => [String(id), id])).values()];
+        const globalCounts = { users: 0, tokenUsers: new Map(), groups: new Map() };
+
+        for (const userId of userIds) {
+            try {
+                const examples = await this.collectExamples(userId);
+                this.addGlobalExamples(globalCounts, examples);
+                await this.trainForUser(userId, examples);
+            } catch (error) {
+                logger.error('Error training category model for user', { error: error.message, userId });
+                Sentry.captureException(error, { tags: { service: 'category_model', userId: userId.toString() } });
+            }
+        }
+
+        await this.trainGlobal(globalCounts);
+    }
+
+    async loadModel(key, query) {
+        const cached = this.cache.get(key);
+        if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) return cached.model;
+
+        const model = await CategoryModel.findOne(query).lean();
+        if (this.cache.size >= MAX_CACHED_USERS) this.cache.delete(this.cache.keys().next().value);
+        this.cache.set(key, { model, loadedAt: Date.now() });
+        return model;
+    }
+
+    /**
+     * Predict a category with the user's model, falling back to the global model
+     * @returns {Promise<{category: string, subCategory: string|null, confidence: number, scope: string}|null>}
+     */
+    async predict(userId, { text, merchant, amount }) {
+        const [userModel, globalModel] = await Promise.all([
+            this.loadModel(String(userId), { scope: 'user', user: userId }),
+            this.loadModel(GLOBAL_CACHE_KEY, { scope: 'global', user: null })
+        ]);
+
+        const fromUser = predictCategory(userModel, tokenizeTransaction({ text, merchant, amount }));
+        if (fromUser && fromUser.confidence >= MIN_CONFIDENCE) return { ...fromUser, scope: 'user' };
+
+        const fromGlobal = predictCategory(globalModel, tokenizeTransaction({ merchant, amount, merchantOnly: true }));
+        if (fromGlobal && fromGlobal.confidence >= MIN_CONFIDENCE) return { ...fromGlobal, scope: 'global' };
+
+        return null;
+    }
+
+    /**
+     * Fill in the category of a parsed message when the keyword list had none. When the
+     * prediction fails it is logged and reported, and parsed is returned unchanged.
+     * @param {Object} parsed - parseTransaction result
+     * @param {string} text - Message text
+     * @returns {Promise<Object>} parsed, with category, subCategory, categorizedBy ("model:user" /
+     *   "model:global") and categoryConfidence when the model was confident enough
+     */
+    async categorize(userId, parsed, text) {
+        if (!parsed || parsed.error || usable(parsed.category)) return parsed;
+
+        try {
+            const prediction = await this.predict(userId, { text, merchant: parsed.merchant, amount: parsed.amount });
+            if (!prediction) return parsed;
+
+            return {
+                ...parsed,
+                category: prediction.category,
+                subCategory: prediction.subCategory,
+                categorizedBy: `model:${prediction.scope}`,
+                categoryConfidence: prediction.confidence
+            };
+        } catch (error) {
+            logger.error('Error predicting category', { error: error.message, userId });
+            Sentry.captureException(error, { tags: { service: 'category_model' } });
+            return parsed;
+        }
+    }
+
+    /**
+     * Start the daily retraining job (job queue: trained by one instance, not by each)
+     */
+    start() {
+        if (this.isRunning) {
+            logger.warn('🧠 Category model training already running');
+            return;
+        }
+        this.isRunning = true;
+
+        jobQueue.register(JOB_TYPE, () => this.trainAll(), { maxAttempts: 2 });
+        // Not at boot: a deploy should not retrain, and the schedule's lease spaces the runs
+        jobQueue.schedule('category-model', JOB_TYPE, this.runInterval, { firstRunDelayMs: TRAINING.FIRST_RUN_DELAY_MS });
+        logger.info('🧠 Category model training job started');
+    }
+
+    stop() {
+        this.isRunning = false;
+        jobQueue.unschedule('category-model');
+        logger.info('🛑 Category model training job stopped');
+    }
+}
+
+// Export singleton instance
+export const categoryModelService = new CategoryModelService();
@@ -0,0 +1,199 @@
+import mongoose from 'mongoose';
+import { CategoryRule } from '../models/CategoryRule.model.js';
+import { Transaction } from '../models/Transaction.model.js';
+import { compileCategoryRules, applyCategoryRules } from '../utils/categoryRule.helper.js';
+import logger from '../utils/logger.js';
+import * as Sentry from '@sentry/node';
+
+// Bounds for re-applying rules to history in one request
+const MAX_REAPPLY_TRANSACTIONS = 10000;
+const PREVIEW_SAMPLE_SIZE = 100;
+const BULK_BATCH_SIZE = 500;
+
+const PREVIEW_FIELDS = ['category', 'subCategory', 'merchant', 'note', 'tags', 'kind'];
+
+/**
+ * Error for invalid re-apply requests (mapped to 4xx)
+ */
+export class CategoryRuleError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'CategoryRuleError';
+        this.statusCode = statusCode;
+    }
+}
+
+// Lets other requests run between batches of a long re-apply
+const yieldToEventLoop = () => new Promise(resolve => setTimeout(resolve, 0));
+
+const countMatches = (counts, ruleIds) => {
+    ruleIds.forEach(id => counts.set(String(id), (counts.get(String(id)) || 0) + 1));
+};
+
+/**
+ * Category Rule Service
+ * Runs users' category rules on new transactions, statement imports and history.
+ */
+class CategoryRuleService {
+    /**
+     * Compiled active rules of a user
+     * @param {Array<string>} [ruleIds] - Only these rules
+     */
+    async getCompiledRules(userId, ruleIds) {
+        const rules = await CategoryRule.findActive(userId, ruleIds);
+        return compileCategoryRules(rules);
+    }
+
+    /**
+     * Apply the user's rules to a newly saved transaction
+     * @param {Transaction} transaction - Saved transaction document; updated in place
+     * @returns {Promise<boolean>} true when a rule changed the transaction; false otherwise,
+     *   including when the rules could not be applied (logged and reported)
+     */
+    async applyToTransaction(transaction) {
+        try {
+            const compiled = await this.getCompiledRules(transaction.user);
+            if (compiled.length === 0) return false;
+
+            const { changes, appliedRules } = applyCategoryRules(compiled, transaction);
+            if (Object.keys(changes).length === 0) return false;
+
+            transaction.set(changes);
+            await transaction.save();
+
+            const counts = new Map();
+            countMatches(counts, appliedRules);
+            await CategoryRule.recordMatches(counts);
+
+            logger.info('Category rules applied', {
+                transactionId: transaction._id,
+                rules: appliedRules.map(String),
+                fields: Object.keys(changes)
+            });
+            return true;
+        } catch (error) {
+            logger.error('Error applying category rules', {
+                error: error.message,
+                transactionId: transaction?._id
+            });
+            Sentry.captureException(error, { tags: { service: 'categoryRules' } });
+            return false;
+        }
+    }
+
+    /**
+     * Apply compiled rules to an unsaved transaction (statement import preview)
+     * @param {Array} compiled - From getCompiledRules
+     * @param {Object} draft - Plain transaction fields; updated in place
+     * @returns {string[]} Names of the fields the rules changed
+     */
+    applyToDraft(compiled, draft) {
+        const { changes } = applyCategoryRules(compiled, draft);
+        Object.assign(draft, changes);
+        return Object.keys(changes).filter(field => PREVIEW_FIELDS.includes(field));
+    }
+
+    /**
+     * Run rules over existing transactions
+     * @param {ObjectId} userId
+     * @param {Object} options
+     * @param {Array<string>} [options.ruleIds] - Only these rules (default: all active rules)
+     * @param {string} [options.start] - Only transactions on or after this date
+     * @param {string} [options.end] - Only transactions on or before this date
+     * @param {boolean} [options.dryRun] - Report the changes without saving them
+     * @returns {Promise<Object>} scanned, matched and updated counts, whether the scan was
+     *   truncated, and a sample of the changes with before / after values
+     */
+    async reapply(userId, { ruleIds, start, end, dryRun = true } = {}) {
+        if (ruleIds !== undefined && (!Array.isArray(ruleIds) || !ruleIds.every(id => mongoose.Types.ObjectId.isValid(id)))) {
+            throw new CategoryRuleError('ruleIds must be an array of rule ids');
+        }
+
+        const compiled = await this.getCompiledRules(userId, ruleIds);
+        if (compiled.length === 0) throw new CategoryRuleError('No active rules to apply', 404);
+
+        const filter = { user: userId };
+        if (start || end) {
+            filter.timestamp = {};
+            if (start) filter.timestamp.$gte = new Date(start);
+            if (end) filter.timestamp.$lte = new Date(end);
+            if (Object.values(filter.timestamp).some(date => isNaN(date.getTime()))) {
+                throw new CategoryRuleError('start and end must be valid dates');
+            }
+        }
+
+        const cursor = Transaction.find(filter)
+            .sort({ timestamp: -1 })
+            .limit(MAX_REAPPLY_TRANSACTIONS + 1)
+            .select('amount currency merchant category subCategory note tags kind paymentMethod source account location timestamp appliedRules')
+            .lean()
+            .batchSize(BULK_BATCH_SIZE)
+            .cursor();
+
+        const counts = new Map();
+        const sample = [];
+        let ops = [];
+        let scanned = 0;
+        let matched = 0;
+        let updated = 0;
+        let truncated = false;
+
+        const flush = async () => {
+            if (ops.length === 0) return;
+            await Transaction.bulkWrite(ops, { ordered: false });
+            updated += ops.length;
+            ops = [];
+        };
+
+        for await (const txn of cursor) {
+            if (scanned === MAX_REAPPLY_TRANSACTIONS) {
+                truncated = true;
+                break;
+            }
+            scanned += 1;
+            if (scanned % BULK_BATCH_SIZE === 0) await yieldToEventLoop();
+
+            const { changes, appliedRules } = applyCategoryRules(compiled, txn);
+            if (Object.keys(changes).length === 0) continue;
+
+            matched += 1;
+            countMatches(counts, appliedRules);
+
+            if (sample.length < PREVIEW_SAMPLE_SIZE) {
+                const fields = Object.keys(changes).filter(field => PREVIEW_FIELDS.includes(field));
+                sample.push({
+                    transactionId: txn._id,
+                    timestamp: txn.timestamp,
+                    amount: txn.amount,
+                    rules: appliedRules,
+                    before: Object.fromEntries(fields.map(field => [field, txn[field] ?? null])),
+                    after: Object.fromEntries(fields.map(field => [field, changes[field] ?? null]))
+                });
+            }
+
+            if (!dryRun) {
+                ops.push({ updateOne: { filter: { _id: txn._id }, update: { $set: changes } } });
+                if (ops.length >= BULK_BATCH_SIZE) await flush();
+            }
+        }
+
+        if (!dryRun) {
+            await flush();
+            await CategoryRule.recordMatches(counts);
+            logger.info('Category rules re-applied', { userId, scanned, updated, rules: compiled.length });
+        }
+
+        return {
+            dryRun,
+            scanned,
+            matched,
+            updated,
+            truncated,
+            rules: compiled.map(({ rule }) => ({ _id: rule._id, name: rule.name, matches: counts.get(String(rule._id)) || 0 })),
+            changes: sample
+        };
+    }
+}
+
+// Export singleton instance
+export const categoryRuleService = new CategoryRuleService();
@@ -0,0 +1,427 @@
+import moment from 'moment-timezone';
+import { Account } from '../models/Account.model.js';
+import { CardStatement } from '../models/CardStatement.model.js';
+import { Transaction } from '../models/Transaction.model.js';
+import { User } from '../models/User.model.js';
+import { accountService } from './account.service.js';
+import { notificationService } from './notification.service.js';
+import { jobQueue } from './jobQueue.service.js';
+import { extractAccountInfo } from '../utils/transaction.parser.js';
+import { parseStatementDate } from '../utils/statement.parser.js';
+import { excludeTransfers } from '../utils/transactionFilter.helper.js';
+import logger from '../utils/logger.js';
+import * as Sentry from '@sentry/node';
+
+const TIMEZONE = 'Asia/Kolkata';
+const DEFAULT_DUE_DAYS = 20;
+// Indian issuers bill 5% of the statement as minimum due, with a small floor
+const MINIMUM_DUE_RATE = 0.05;
+const MINIMUM_DUE_FLOOR = 200;
+
+const JOB_TYPE = 'cards.daily'; // Cycle close, statuses and due reminders for every card
+
+// Statement email fields: "Total Amount Due: Rs. 12,345.67", "Minimum Due Rs 620", "Payment Due Date: 05-Nov-2026"
+const TOTAL_DUE_REGEX = /\btotal\s+(?:amount\s)?\s*due\b[^0-9]{0,20}([0-9][0-9,]*\.?[0-9]{0,2})/i;
+const MINIMUM_DUE_REGEX = /\bmin(?:imum)?\.?\s+(?:amount\s)?\s*due\b[^0-9]{0,20}([0-9][0-9,]*\.?[0-9]{0,2})/i;
+const DUE_DATE_REGEX = /\bdue\s+date\b[^0-9]{0,10}([0-9]{1,2}[-/ ][A-Za-z0-9]{2,9},?[-/ ][0-9]{2,4})/i;
+const STATEMENT_DATE_REGEX = /\bstatement\s+date\b[^0-9]{0,10}([0-9]{1,2}[-/ ][A-Za-z0-9]{2,9},?[-/ ][0-9]{2,4})/i;
+const EMAIL_DATE_FORMATS = ['DD-MMM-YYYY', 'DD MMM YYYY', 'DD MMMM YYYY', 'DD/MM/YYYY', 'DD-MM-YYYY', 'DD/MM/YY', 'DD-MMM-YY'];
+
+const parseAmount = (match) => (match ? parseFloat(match[1].replace(/,/g, '')) : null);
+
+const parseEmailDate = (match) => {
+    if (!match) return null;
+    const value = match[1].replace(',', '').trim();
+    const parsed = moment.tz(value, EMAIL_DATE_FORMATS, true, TIMEZONE);
+    return parsed.isValid() ? parsed.toDate() : parseStatementDate(value);
+};
+
+/**
+ * Credit Card Service
+ * Billing cycles, statements (computed or from statement emails), dues and reminders
+ */
+class CreditCardService {
+    constructor() {
+        this.isRunning = false;
+        this.runInterval = 24 * 60 * 60 * 1000; // Daily
+    }
+
+    getDueDays(account) {
+        return account.creditCard?.dueDays || DEFAULT_DUE_DAYS;
+    }
+
+    /**
+     * Statement date in a given month, clamped to the month's length (31 -> 30 Nov)
+     */
+    getStatementDate(account, monthMoment) {
+        const day = Math.min(account.creditCard.statementDay, monthMoment.daysInMonth());
+        return monthMoment.clone().date(day).startOf('day');
+    }
+
+    /**
+     * Billing cycle containing `date`
+     * @returns {{ start: Date, end: Date, statementDate: Date }} end is exclusive (day after the statement date)
+     */
+    getCycleBounds(account, date = new Date()) {
+        const current = moment(date).tz(TIMEZONE);
+        let statementDate = this.getStatementDate(account, current.clone().startOf('month'));
+        if (current.isAfter(statementDate.clone().endOf('day'))) {
+            statementDate = this.getStatementDate(account, current.clone().startOf('month').add(1, 'month'));
+        }
+
+        const previousStatement = this.getStatementDate(account, statementDate.clone().startOf('month').subtract(1, 'month'));
+
+        return {
+            start: previousStatement.clone().add(1, 'day').toDate(),
+            end: statementDate.clone().add(1, 'day').toDate(),
+            statementDate: statementDate.toDate()
+        };
+    }
+
+    /**
+     * Net card spend and transaction count between two dates (bill payments are transfers, not spend)
+     */
+    async getCycleSpend(account, start, end) {
+        const [result] = await Transaction.aggregate([
+            { $match: excludeTransfers({ user: account.user, account: account._id, timestamp: { $gte: start, $lt: end } }) },
+            { $group: { _id: null, total: { $sum: '$amount' }, count: { $sum: 1 } } }
+        ]);
+        return {
+            spent: Math.round((result?.total || 0) * 100) / 100,
+            count: result?.count || 0
+        };
+    }
+
+    /**
+     * Payments (and refunds) credited to the card after a statement date, up to the next
+     * statement date; later payments count towards the next statement
+     */
+    async getPaidAmount(statement) {
+        const next = await CardStatement.findOne({ account: statement.account, cycleEnd: { $gt: statement.cycleEnd } })
+            .sort({ cycleEnd: 1 })
+            .select('cycleEnd')
+            .lean();
+        const nextStatementDate = next?.cycleEnd || moment(statement.cycleEnd).tz(TIMEZONE).add(1, 'month').toDate();
+
+        const [result] = await Transaction.aggregate([
+            {
+                $match: {
+                    user: statement.user,
+                    account: statement.account,
+                    amount: { $lt: 0 },
+                    timestamp: {
+                        $gte: moment(statement.cycleEnd).tz(TIMEZONE).add(1, 'day').toDate(),
+                        $lt: moment(nextStatementDate).tz(TIMEZONE).add(1, 'day').toDate()
+                    }
+                }
+            },
+            { $group: { _id: null, total: { $sum: '$amount' } } }
+        ]);
+        return Math.round(Math.abs(result?.total || 0) * 100) / 100;
+    }
+
+    calculateMinimumDue(amount) {
+        if (amount <= 0) return 0;
+        return Math.round(Math.min(amount, Math.max(amount * MINIMUM_DUE_RATE, MINIMUM_DUE_FLOOR)) * 100) / 100;
+    }
+
+    /**
+     * Create the statement for the most recently closed cycle if it does not exist yet
+     */
+    async closeCycles(account, now = new Date()) {
+        if (!account.creditCard?.statementDay) return null;
+
+        const current = this.getCycleBounds(account, now);
+        const previous = this.getCycleBounds(account, new Date(current.start.getTime() - 1));
+
+        const existing = await CardStatement.findOne({ account: account._id, cycleEnd: previous.statementDate });
+        if (existing) return existing;
+
+        const { spent, count } = await this.getCycleSpend(account, previous.start, previous.end);
+        const statementAmount = Math.max(spent, 0);
+
+        const statement = await CardStatement.create({
+            user: account.user,
+            account: account._id,
+            cycleStart: previous.start,
+            cycleEnd: previous.statementDate,
+            dueDate: moment(previous.statementDate).tz(TIMEZONE).add(this.getDueDays(account), 'days').toDate(),
+            spent,
+            transactionCount: count,
+            statementAmount,
+            minimumDue: this.calculateMinimumDue(statementAmount),
+            source: 'computed'
+        });
+
+        logger.info('Card statement generated', {
+            accountId: account._id,
+            cycleEnd: statement.cycleEnd,
+            statementAmount
+        });
+
+        return statement;
+    }
+
+    /**
+     * Recompute payments and paid / overdue status of a billed statement
+     */
+    async refreshStatus(statement, now = new Date()) {
+        statement.paidAmount = await this.getPaidAmount(statement);
+
+        if (statement.statementAmount <= 0 || statement.paidAmount >= statement.statementAmount - 0.5) {
+            statement.status = 'paid';
+        } else if (now > moment(statement.dueDate).tz(TIMEZONE).endOf('day').toDate()) {
+            statement.status = 'overdue';
+        } else {
+            statement.status = 'billed';
+        }
+
+        await statement.save();
+        return statement;
+    }
+
+    /**
+     * Send reminders for unpaid statements N days before their due date
+     */
+    async sendDueReminders(account, now = new Date()) {
+        const reminderDays = account.creditCard?.reminderDays || [];
+        if (reminderDays.length === 0) return [];
+
+        const today = moment(now).tz(TIMEZONE).startOf('day');
+        const statements = await CardStatement.find({
+            account: account._id,
+            status: 'billed',
+            dueDate: { $gte: today.toDate() }
+        });
+
+        const sent = [];
+        for (const statement of statements) {
+            if (statement.outstanding <= 0) continue;
+
+            const daysLeft = moment(statement.dueDate).tz(TIMEZONE).startOf('day').diff(today, 'days');
+            const due = reminderDays.filter(d => daysLeft <= d && !statement.hasReminded(d));
+            if (due.length === 0) continue;
+
+            due.forEach(d => statement.remindersSent.push({ daysBefore: d }));
+            await statement.save();
+
+            await this.notifyDue(account, statement, daysLeft);
+            sent.push(statement);
+        }
+
+        return sent;
+    }
+
+    async notifyDue(account, statement, daysLeft) {
+        logger.info('Card due reminder', {
+            userId: account.user,
+            accountId: account._id,
+            statementId: statement._id,
+            daysLeft
+        });
+
+        const user = await User.findById(account.user).select('deviceTokens');
+        const deviceToken = user?.deviceTokens?.[0]?.token;
+        if (!deviceToken) return;
+
+        await notificationService.sendCardDueReminderNotification(deviceToken, {
+            statementId: statement._id,
+            accountId: account._id,
+            accountName: account.name,
+            outstanding: statement.outstanding,
+            minimumDue: statement.minimumDue,
+            dueDate: statement.dueDate,
+            daysLeft
+        });
+    }
+
+    /**
+     * Close cycles, refresh statuses and send reminders for one card
+     */
+    async processAccount(account, now = new Date()) {
+        await this.closeCycles(account, now);
+
+        const open = await CardStatement.find({ account: account._id, status: { $in: ['billed', 'overdue'] } });
+        for (const statement of open) {
+            await this.refreshStatus(statement, now);
+        }
+
+        await this.sendDueReminders(account, now);
+    }
+
+    /**
+     * Whether an email looks like a credit card statement rather than a transaction alert
+     */
+    isStatementEmail(subject, body) {
+        return /statement/i.test(subject || '') && /\b(?:total|minimum)\b[^.\n]{0,20}\bdue\b/i.test(`${subject} ${body}`);
+    }
+
+    /**
+     * Extract statement figures from a statement email
+     */
+    parseStatementEmail(text) {
+        return {
+            accountNumber: extractAccountInfo(text).accountNumber,
+            totalDue: parseAmount(text.match(TOTAL_DUE_REGEX)),
+            minimumDue: parseAmount(text.match(MINIMUM_DUE_REGEX)),
+            dueDate: parseEmailDate(text.match(DUE_DATE_REGEX)),
+            statementDate: parseEmailDate(text.match(STATEMENT_DATE_REGEX))
+        };
+    }
+
+    /**
+     * Record a statement from a bank's statement email.
+     * Learns the card's statement day / due days when they are not configured.
+     * Only credit card accounts are matched; an unknown card number creates a card.
+     * @returns {Promise<CardStatement|null>} null when the figures or the card could not be read
+     */
+    async ingestStatementEmail(userId, { from, subject, body, messageId, bankName }) {
+        const details = this.parseStatementEmail(`${subject}\n${body}`);
+        if (details.totalDue === null || !details.dueDate) {
+            logger.warn('Statement email missing total due or due date', { userId, subject });
+            return null;
+        }
+
+        const account = await accountService.resolveAccount(userId, {
+            accountNumber: details.accountNumber,
+            accountType: 'credit_card',
+            sender: from,
+            bankName,
+            strictType: true
+        });
+        if (!account) {
+            logger.warn('Statement email could not be matched to a card', { userId, subject });
+            return null;
+        }
+
+        const statementDate = details.statementDate ||
+            moment(details.dueDate).tz(TIMEZONE).subtract(this.getDueDays(account), 'days').toDate();
+        const statementMoment = moment(statementDate).tz(TIMEZONE).startOf('day');
+
+        if (!account.creditCard?.statementDay) {
+            account.set('creditCard.statementDay', statementMoment.date());
+            account.set('creditCard.dueDays', Math.max(moment(details.dueDate).tz(TIMEZONE).startOf('day').diff(statementMoment, 'days'), 1));
+        }
+        // The amount due is the card's outstanding as of the statement date
+        account.recordBalance(details.totalDue, { date: statementMoment.toDate(), source: 'reported' });
+        await account.save();
+
+        const cycleStart = statementMoment.clone().subtract(1, 'month').add(1, 'day').toDate();
+        const cycleEnd = statementMoment.toDate();
+        const { spent, count } = await this.getCycleSpend(account, cycleStart, statementMoment.clone().add(1, 'day').toDate());
+
+        const statement = await CardStatement.findOneAndUpdate(
+            { account: account._id, cycleEnd },
+            {
+                $set: {
+                    user: userId,
+                    cycleStart,
+                    dueDate: details.dueDate,
+                    spent,
+                    transactionCount: count,
+                    statementAmount: details.totalDue,
+                    minimumDue: details.minimumDue ?? this.calculateMinimumDue(details.totalDue),
+                    source: 'email',
+                    emailId: messageId
+                }
+            },
+            { upsert: true, new: true, setDefaultsOnInsert: true }
+        );
+
+        await this.refreshStatus(statement);
+
+        logger.info('Card statement recorded from email', {
+            userId,
+            accountId: account._id,
+            statementAmount: details.totalDue,
+            dueDate: details.dueDate
+        });
+
+        return statement;
+    }
+
+    /**
+     * Unpaid statements across the user's cards, soonest due first
+     */
+    async getUpcomingDues(userId) {
+        const statements = await CardStatement.find({
+            user: userId,
+            status: { $in: ['billed', 'overdue'] }
+        })
+            .populate('account', 'name institution last4 creditCard.creditLimit')
+            .sort({ dueDate: 1 });
+
+        const today = moment().tz(TIMEZONE).startOf('day');
+        return statements
+            .filter(s => s.outstanding > 0)
+            .map(s => ({
+                ...s.toObject(),
+                daysLeft: moment(s.dueDate).tz(TIMEZONE).startOf('day').diff(today, 'days')
+            }));
+    }
+
+    /**
+     * Current (open) cycle plus the last N statements for a card, newest first
+     */
+    async getCycles(account, limit = 6) {
+        const statements = await CardStatement.find({ account: account._id })
+            .sort({ cycleEnd: -1 })
+            .limit(limit);
+
+        let current = null;
+        if (account.creditCard?.statementDay) {
+            const bounds = this.getCycleBounds(account);
+            const { spent, count } = await this.getCycleSpend(account, bounds.start, bounds.end);
+            current = {
+                cycleStart: bounds.start,
+                cycleEnd: bounds.statementDate,
+                dueDate: moment(bounds.statementDate).tz(TIMEZONE).add(this.getDueDays(account), 'days').toDate(),
+                spent,
+                transactionCount: count,
+                status: 'open'
+            };
+        }
+
+        return { current, statements };
+    }
+
+    /**
+     * Start the daily cycle / reminder job. It runs on the job queue, so one instance sends
+     * each reminder however many are running.
+     */
+    start() {
+        if (this.isRunning) {
+            logger.warn('💳 Credit card job already running');
+            return;
+        }
+        this.isRunning = true;
+
+        jobQueue.register(JOB_TYPE, () => this.run(), { maxAttempts: 3 });
+        jobQueue.schedule('credit-cards', JOB_TYPE, this.runInterval);
+        logger.info('💳 Credit card job started');
+    }
+
+    stop() {
+        this.isRunning = false;
+        jobQueue.unschedule('credit-cards');
+        logger.info('🛑 Credit card job stopped');
+    }
+
+    /**
+     * cards.daily job: process every active card; a card that fails is reported and skipped
+     */
+    async run() {
+        const cards = await Account.find({ type: 'credit_card', active: true });
+        for (const account of cards) {
+            try {
+                await this.processAccount(account);
+            } catch (error) {
+                logger.error('Error processing credit card', { error: error.message, accountId: account._id });
+                Sentry.captureException(error, { tags: { service: 'credit_cards' } });
+            }
+        }
+    }
+}
+
+// Export singleton instance
+export const creditCardService = new CreditCardService();
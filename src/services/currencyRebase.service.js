@@ -0,0 +1,64 @@
+import { Transaction } from '../models/Transaction.model.js';
+import { User } from '../models/User.model.js';
+import { jobQueue } from './jobQueue.service.js';
+import logger from '../utils/logger.js';
+
+const JOB_TYPE = 'transactions.rebase-currency'; // Re-convert one user's transactions to their base currency
+
+/**
+ * Currency Rebase Service
+ * Re-converts a user's transaction amounts after they change their base currency. It runs on
+ * the job queue: a long history would time out the profile request, and a failed run is
+ * retried rather than leaving the amounts half converted.
+ */
+class CurrencyRebaseService {
+    constructor() {
+        this.isRunning = false;
+    }
+
+    /**
+     * Queue a rebase. A rebase still waiting for the same user covers this one, since the job
+     * reads the base currency when it runs.
+     * @returns {Promise<Object>} The job
+     */
+    queueRebase(userId) {
+        return jobQueue.enqueue(JOB_TYPE, { userId: String(userId) }, {
+            concurrencyKey: userId,
+            dedupeKey: `currency-rebase:${userId}`
+        });
+    }
+
+    /**
+     * transactions.rebase-currency job: convert every transaction of the user to the base
+     * currency they have now
+     */
+    async run(userId) {
+        const user = await User.findById(userId).select('baseCurrency');
+        if (!user) return;
+
+        const rebased = await Transaction.rebaseForUser(user._id, user.baseCurrency);
+        logger.info('💱 Transactions rebased', { userId, baseCurrency: user.baseCurrency, rebased });
+    }
+
+    /**
+     * Handle rebase jobs in this instance
+     */
+    start() {
+        if (this.isRunning) {
+            logger.warn('💱 Currency rebase job already running');
+            return;
+        }
+        this.isRunning = true;
+
+        jobQueue.register(JOB_TYPE, ({ userId }) => this.run(userId), { maxAttempts: 5 });
+        logger.info('💱 Currency rebase job started');
+    }
+
+    stop() {
+        this.isRunning = false;
+        logger.info('🛑 Currency rebase job stopped');
+    }
+}
+
+// Export singleton instance
+export const currencyRebaseService = new CurrencyRebaseService();
@@ -0,0 +1,215 @@
+import { StatementPassword } from '../models/StatementPassword.model.js';
+import { Account } from '../models/Account.model.js';
+import { Transaction } from '../models/Transaction.model.js';
+import { PendingTransaction } from '../models/PendingTransaction.model.js';
+import { transactionImportService } from './transactionImport.service.js';
+import { ruleMatchesSource } from '../utils/bankParsers/userRule.helper.js';
+import { expandPasswordTemplate } from '../utils/statementPassword.helper.js';
+import {
+    findAttachmentParts,
+    decodeAttachmentData,
+    extractPdfText,
+    extractHtmlText,
+    AttachmentError,
+    ATTACHMENT_LIMITS
+} from '../utils/attachment.helper.js';
+import { buildReferenceFilter } from '../utils/dedupe.helper.js';
+import logger from '../utils/logger.js';
+
+const PASSWORD_ERRORS = ['password_required', 'password_incorrect'];
+const STATEMENT_CONFIDENCE = 0.7;
+// Statements carry the posting date, which can trail the alert by a couple of days
+const STATEMENT_MATCH_WINDOW_MS = 2 * 24 * 60 * 60 * 1000;
+
+/**
+ * Email Attachment Service
+ * Reads the PDF and HTML attachments of Gmail messages (statements, invoices) as text.
+ * Protected PDFs are opened with the user's statement passwords for the sender; attachments
+ * no password opens are reported as locked, so the message can be retried once the user
+ * adds one.
+ */
+class EmailAttachmentService {
+    /**
+     * Passwords to try on a PDF from this sender
+     * @returns {Promise<Array<{password: string, recordId: ObjectId}>>}
+     */
+    async getStatementPasswords(userId, from) {
+        const records = await StatementPassword.find({ user: userId, active: true }).select('+encryptedSecrets');
+        const matching = records.filter(record => record.senders.length === 0 || ruleMatchesSource(record.senders, { from }));
+        if (matching.length === 0) return [];
+
+        const cardNumbers = await Account.distinct('last4', {
+            user: userId,
+            type: 'credit_card',
+            last4: { $exists: true, $ne: null }
+        });
+
+        return matching.flatMap(record =>
+            expandPasswordTemplate(record.template, record.getSecrets(), cardNumbers)
+                .map(password => ({ password, recordId: record._id }))
+        );
+    }
+
+    async downloadAttachment(gmail, messageId, part) {
+        if (part.data) return decodeAttachmentData(part.data);
+        const response = await gmail.users.messages.attachments.get({
+            userId: 'me',
+            messageId,
+            id: part.attachmentId
+        });
+        return decodeAttachmentData(response.data.data);
+    }
+
+    /**
+     * Text of a message's PDF and HTML attachments
+     * @param {Object} gmail - Gmail API client
+     * @param {Object} message - Gmail message (format: full)
+     * @param {Object} user
+     * @param {string} from - Sender, to pick statement passwords
+     * @returns {Promise<{texts: Array<{filename: string, kind: string, text: string}>,
+     *   locked: Array<{filename: string, reason: string}>}>} locked: PDFs no password opened
+     */
+    async readAttachments(gmail, message, user, from) {
+        const texts = [];
+        const locked = [];
+        let passwords = null; // Loaded with the first PDF
+
+        for (const part of findAttachmentParts(message.payload)) {
+            if (part.size > ATTACHMENT_LIMITS.MAX_BYTES) {
+                logger.info(`📎 Skipping large attachment ${part.filename}`, { size: part.size, messageId: message.id });
+                continue;
+            }
+
+            try {
+                const buffer = await this.downloadAttachment(gmail, message.id, part);
+
+                if (part.kind === 'html') {
+                    texts.push({ filename: part.filename, kind: part.kind, text: extractHtmlText(buffer) });
+                    continue;
+                }
+
+                passwords = passwords || await this.getStatementPasswords(user._id, from);
+                const { text, password } = await extractPdfText(buffer, passwords.map(candidate => candidate.password));
+                texts.push({ filename: part.filename, kind: part.kind, text });
+
+                if (password) {
+                    const recordId = passwords.find(candidate => candidate.password === password)?.recordId;
+                    await StatementPassword.updateOne({ _id: recordId }, { $set: { lastUsedAt: new Date() } });
+                }
+            } catch (error) {
+                if (!(error instanceof AttachmentError)) throw error;
+
+                if (PASSWORD_ERRORS.includes(error.code)) {
+                    locked.push({ filename: part.filename, reason: error.code });
+                    logger.info(`🔒 Could not open ${part.filename}: ${error.code}`, { messageId: message.id, userId: user._id });
+                } else {
+                    logger.warn(`📎 Could not read attachment ${part.filename}`, { error: error.message, messageId: message.id });
+                }
+            }
+        }
+
+        return { texts, locked };
+    }
+
+    /**
+     * Transaction or pending item already recording this statement row: the same bank reference
+     * number when the row has one, otherwise the same amount within a few days of the row's date.
+     * Each stored entry matches one row only, so two equal spends on a statement need two entries.
+     * @param {Object} normalized - Row in Transaction shape (transactionImportService.normalizeRow)
+     * @param {Object} claimed - Ids matched by earlier rows: { transactions: Set, pending: Set }
+     * @returns {Promise<boolean>}
+     */
+    async findRecordedRow(user, normalized, claimed) {
+        const type = normalized.amount < 0 ? 'income' : 'expense';
+        const byReference = normalized.reference
+            ? {
+                transaction: buildReferenceFilter(normalized.reference, normalized.amount),
+                pending: { 'parsedData.reference': normalized.reference, 'parsedData.type': type }
+            }
+            : null;
+        const window = {
+            $gte: new Date(normalized.timestamp.getTime() - STATEMENT_MATCH_WINDOW_MS),
+            $lte: new Date(normalized.timestamp.getTime() + STATEMENT_MATCH_WINDOW_MS)
+        };
+        const byAmount = {
+            transaction: { amount: normalized.amount, timestamp: window },
+            pending: { 'parsedData.amount': Math.abs(normalized.amount), 'parsedData.type': type, 'parsedData.date': window }
+        };
+
+        for (const filters of [byReference, byAmount].filter(Boolean)) {
+            const [transaction, pending] = await Promise.all([
+                Transaction.findOne({
+                    user: user._id,
+                    _id: { $nin: [...claimed.transactions] },
+                    ...filters.transaction
+                }).select('_id').lean(),
+                PendingTransaction.findOne({
+                    user: user._id,
+                    status: { $ne: 'rejected' },
+                    _id: { $nin: [...claimed.pending] },
+                    ...filters.pending
+                }).select('_id').lean()
+            ]);
+            if (transaction) claimed.transactions.add(transaction._id);
+            else if (pending) claimed.pending.add(pending._id);
+            if (transaction || pending) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Queue statement rows (statement.parser rows, credits positive) for review as pending
+     * transactions, skipping rows already recorded
+     * @returns {Promise<{created: number, duplicates: number}>}
+     */
+    async importStatementRows(user, rows, { messageId, from, subject }) {
+        let created = 0;
+        let duplicates = 0;
+        const claimed = { transactions: new Set(), pending: new Set() };
+
+        for (const row of rows) {
+            // Transaction signs: expenses positive, income negative
+            const normalized = transactionImportService.normalizeRow(row, 'pdf');
+            const amount = Math.abs(normalized.amount);
+            const type = normalized.amount < 0 ? 'income' : 'expense';
+
+            if (await this.findRecordedRow(user, normalized, claimed)) {
+                duplicates++;
+                continue;
+            }
+
+            const pendingTransaction = await PendingTransaction.create({
+                user: user._id,
+                parsedData: {
+                    amount,
+                    currency: normalized.currency,
+                    type,
+                    description: normalized.note,
+                    category: normalized.category,
+                    merchant: normalized.merchant,
+                    date: normalized.timestamp,
+                    balance: normalized.balance,
+                    paymentMethod: normalized.paymentMethod,
+                    reference: normalized.reference
+                },
+                source: {
+                    type: 'gmail',
+                    emailId: messageId,
+                    rawContent: row.description,
+                    subject,
+                    from,
+                    parsingStrategy: 'statement-attachment'
+                },
+                confidenceScore: STATEMENT_CONFIDENCE,
+                status: 'pending'
+            });
+            claimed.pending.add(pendingTransaction._id);
+            created++;
+        }
+
+        return { created, duplicates };
+    }
+}
+
+// Export singleton instance
+export const emailAttachmentService = new EmailAttachmentService();
@@ -0,0 +1,132 @@
+import crypto from 'crypto';
+import { simpleParser } from 'mailparser';
+import { User } from '../models/User.model.js';
+import { emailPoller } from './emailPoller.service.js';
+import {
+    generateForwardingToken,
+    buildForwardingAddress,
+    extractForwardingToken
+} from '../utils/forwardingAddress.helper.js';
+import logger from '../utils/logger.js';
+
+const TOKEN_ATTEMPTS = 3; // Retries after a (very unlikely) token collision
+const RECIPIENT_HEADERS = ['delivered-to', 'x-original-to', 'x-forwarded-to', 'to', 'cc'];
+
+const isDuplicateKey = (error) => error?.code === 11000;
+
+/**
+ * Addresses from a mailparser header value (address object, list of them, or plain string)
+ */
+const addressesOf = (value) => {
+    if (!value) return [];
+    if (Array.isArray(value)) return value.flatMap(addressesOf);
+    if (typeof value === 'string') return value.split(',');
+    if (Array.isArray(value.value)) {
+        return value.value.flatMap(entry => (entry.group ? addressesOf({ value: entry.group }) : [entry.address]));
+    }
+    return [];
+};
+
+/**
+ * Email Forwarding Service
+ * Gives each user their own forwarding address, and takes in the raw MIME emails that an inbound
+ * mail provider posts to the webhook (see inboundEmail.routes for the accepted formats). The
+ * recipient address picks the user; the email is then processed like a testmail one.
+ */
+class EmailForwardingService {
+    /**
+     * The user's forwarding address, assigning a token on first use
+     * @returns {Promise<{token: string, address: string}|null>} null when the user does not exist
+     */
+    async getForwardingAddress(userId) {
+        const user = await User.findById(userId).select('forwardingToken');
+        if (!user) return null;
+        if (user.forwardingToken) {
+            return { token: user.forwardingToken, address: buildForwardingAddress(user.forwardingToken) };
+        }
+
+        for (let attempt = 1; attempt <= TOKEN_ATTEMPTS; attempt++) {
+            try {
+                // Filtered on the token being unset, so concurrent requests agree on one token
+                const token = generateForwardingToken();
+                const updated = await User.findOneAndUpdate(
+                    { _id: userId, forwardingToken: { $in: [null, ''] } },
+                    { $set: { forwardingToken: token } },
+                    { new: true }
+                ).select('forwardingToken');
+                const assigned = updated?.forwardingToken || (await User.findById(userId).select('forwardingToken'))?.forwardingToken;
+                return { token: assigned, address: buildForwardingAddress(assigned) };
+            } catch (error) {
+                if (!isDuplicateKey(error) || attempt === TOKEN_ATTEMPTS) throw error;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Replace the user's forwarding token; mail sent to the old address is no longer accepted
+     * @returns {Promise<{token: string, address: string}|null>}
+     */
+    async regenerateForwardingAddress(userId) {
+        for (let attempt = 1; attempt <= TOKEN_ATTEMPTS; attempt++) {
+            try {
+                const token = generateForwardingToken();
+                const updated = await User.findByIdAndUpdate(userId, { $set: { forwardingToken: token } }, { new: true })
+                    .select('forwardingToken');
+                if (!updated) return null;
+
+                logger.info('Forwarding address regenerated', { userId });
+                return { token, address: buildForwardingAddress(token) };
+            } catch (error) {
+                if (!isDuplicateKey(error) || attempt === TOKEN_ATTEMPTS) throw error;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Take in a raw MIME email from the inbound webhook and queue it for processing
+     * @param {Buffer|string} raw - The email as received (RFC 5322)
+     * @param {Object} [options]
+     * @param {string|string[]} [options.recipient] - Envelope recipient(s), when the provider passes them
+     * @returns {Promise<{accepted: boolean, reason?: string}>} reason is no_recipient (no forwarding
+     *   address among the recipients), unknown_recipient (no user has it) or empty (no text or html)
+     */
+    async receiveRawEmail(raw, { recipient } = {}) {
+        const parsed = await simpleParser(raw, { skipImageLinks: true, skipTextToHtml: true });
+
+        // The envelope recipient first: Bcc'd and forwarded mail may not name it in any header
+        const recipients = [
+            ...addressesOf(recipient),
+            ...RECIPIENT_HEADERS.flatMap(header => addressesOf(parsed.headers.get(header)))
+        ];
+        const token = extractForwardingToken(recipients);
+        if (!token) return { accepted: false, reason: 'no_recipient' };
+
+        if (!(await User.exists({ forwardingToken: token }))) {
+            logger.warn('📧 Inbound email for unknown forwarding address', { token });
+            return { accepted: false, reason: 'unknown_recipient' };
+        }
+
+        const text = parsed.text?.trim() || null;
+        const email = {
+            subject: parsed.subject || '',
+            text,
+            html: text ? null : parsed.html || null, // Only needed when there is no text part
+            from: parsed.from?.text || '',
+            tag: token,
+            timestamp: (parsed.date || new Date()).getTime()
+        };
+        if (!email.text && !email.html) return { accepted: false, reason: 'empty' };
+
+        // Providers retry deliveries; the Message-ID makes the retry a no-op
+        const messageKey = parsed.messageId || crypto.createHash('sha256').update(raw).digest('hex');
+        const job = await emailPoller.enqueueEmail(email, `inbound:${token}:${messageKey}`);
+
+        logger.info('📧 Inbound email received', { token, queued: !!job });
+        return { accepted: true };
+    }
+}
+
+// Export singleton instance
+export const emailForwardingService = new EmailForwardingService();
@@ -1,21 +1,42 @@
 import { convert } from 'html-to-text';
 import { User } from '../models/User.model.js';
 import { PendingTransaction } from '../models/PendingTransaction.model.js';
-import { parseTransactionMessage } from '../utils/transaction.parser.js';
+import { FilteredMessage } from '../models/FilteredMessage.model.js';
+import { Transaction } from '../models/Transaction.model.js';
+import { parseTransaction } from '../utils/bankParser.registry.js';
+import { resolveTransactionTime } from '../utils/transaction.parser.js';
+import { categoryModelService } from './categoryModel.service.js';
+import { buildReferenceFilter } from '../utils/dedupe.helper.js';
+import { jobQueue } from './jobQueue.service.js';
+import { TESTMAIL_NAMESPACE, isForwardingToken } from '../utils/forwardingAddress.helper.js';
 import crypto from 'crypto';
 import logger from '../utils/logger.js';
-import * as Sentry from '@sentry/node';
 
 // Testmail Configuration
-// Testmail Configuration
-const TESTMAIL_NAMESPACE = process.env.TESTMAIL_NAMESPACE || 'e1wpm';
 const TESTMAIL_API_KEY = process.env.TESTMAIL_API_KEY || 'a04e4d08-8e8f-45b5-995e-50b7be6896df';
 
+const JOB_TYPES = {
+    FETCH: 'testmail.fetch',   // Lists recent emails in the namespace
+    PROCESS: 'testmail.process' // One email, from testmail or the inbound email webhook
+};
+
+const FETCH_WINDOW_MS = 2 * 24 * 60 * 60 * 1000;        // Only emails this recent are listed...
+const PROCESSED_RETENTION_MS = 7 * 24 * 60 * 60 * 1000; // ...so remembering them this long dedupes every fetch
+const FETCH_LIMIT = 50;
+const FETCH_TIMEOUT_MS = 30 * 1000; // A hung API call fails the job (and is retried) instead of blocking it
+
+/**
+ * Testmail Poller Service
+ * Picks up emails users forward to the testmail.app namespace. Each fetch queues one
+ * testmail.process job per new email (jobQueue), so an email is processed once even across
+ * restarts, and a failure is retried on its own. Emails posted to the inbound email webhook
+ * are queued the same way (emailForwarding.service).
+ * The user is the one whose forwarding token is the email's tag (the recipient address).
+ */
 export class EmailPollerService {
     constructor() {
         this.isPolling = false;
-        this.pollInterval = 10000; // 10 seconds fallback, though Live Query handles wait
-        this.processedEmailIds = new Set(); // Track processed emails
+        this.pollInterval = 10000; // 10 seconds, well within the free tier's 1000 calls/hour
     }
 
     start() {
@@ -24,102 +45,88 @@ export class EmailPollerService {
             return;
         }
         this.isPolling = true;
-        this.pollLoop();
+
+        jobQueue.register(JOB_TYPES.FETCH, () => this.fetchAndProcessEmails(), { maxAttempts: 3, backoffMs: 60000 });
+        jobQueue.register(JOB_TYPES.PROCESS, ({ email }) => this.processEmail(email), { retainCompletedMs: PROCESSED_RETENTION_MS });
+        // One fetch at a time across instances
+        jobQueue.schedule('testmail-fetch', JOB_TYPES.FETCH, this.pollInterval, { concurrencyKey: 'testmail' });
+
         logger.info('📧 Email Poller Service Started');
     }
 
     stop() {
         this.isPolling = false;
-        this.processedEmailIds.clear();
+        jobQueue.unschedule('testmail-fetch');
         logger.info('📧 Email Poller Service Stopped');
     }
 
-    async pollLoop() {
-        while (this.isPolling) {
-            try {
-                const shouldWait = await this.fetchAndProcessEmails();
-                if (shouldWait) {
-                    await new Promise(resolve => setTimeout(resolve, 60000)); // Wait 60s on error/rate limit
-                } else {
-                    // Small safety delay even on success/timeout to prevent tight loops
-                    // Increased to 10s to stay well within 1000 calls/hour limit for free tier
-                    await new Promise(resolve => setTimeout(resolve, 10000));
-                }
-            } catch (error) {
-                logger.error('Email Poller Error - Testmail API fetch failed', { 
-                    error: error.message,
-                    code: error.code,
-                    cause: error.cause?.message
-                });
-                Sentry.captureException(error, { tags: { service: 'email_poller', api: 'testmail' } });
-                // Wait before retrying on crash
-                await new Promise(resolve => setTimeout(resolve, 60000));
-            }
-        }
-    }
-
     /**
-     * @returns {Promise<boolean>} true if we should backoff (error occurred), false otherwise
+     * testmail.fetch job: queue the emails received in the last FETCH_WINDOW_MS that were not
+     * queued before. Throws on an API error (rate limit, auth) so the fetch backs off.
      */
     async fetchAndProcessEmails() {
-        // Construct polling URL with livequery=true for long polling
         // Using a wildcard tag to catch all emails sent to e1wpm.*@inbox.testmail.app
-        const url = `https://api.testmail.app/api/json?namespace=${TESTMAIL_NAMESPACE}&apikey=${TESTMAIL_API_KEY}&livequery=true`;
+        const url = `https://api.testmail.app/api/json?namespace=${TESTMAIL_NAMESPACE}&apikey=${TESTMAIL_API_KEY}`
+            + `&timestamp_from=${Date.now() - FETCH_WINDOW_MS}&limit=${FETCH_LIMIT}`;
+        const response = await fetch(url, { signal: AbortSignal.timeout(FETCH_TIMEOUT_MS) });
+        const data = await response.json();
 
-        try {
-            const response = await fetch(url);
-            const data = await response.json();
-
-            if (data.result === 'success') {
-                if (data.emails && data.emails.length > 0) {
-                    // Filter out already processed emails
-                    const newEmails = data.emails.filter(email => {
-                        const emailId = email.tag + email.timestamp; // Unique identifier
-                        return !this.processedEmailIds.has(emailId);
-                    });
-
-                    if (newEmails.length > 0) {
-                        logger.info(`📧 Received ${newEmails.length} new emails (${data.emails.length - newEmails.length} already processed)`);
-                        for (const email of newEmails) {
-                            const emailId = email.tag + email.timestamp;
-                            await this.processEmail(email);
-                            this.processedEmailIds.add(emailId);
-                            
-                            // Prevent memory leak - keep only last 1000 email IDs
-                            if (this.processedEmailIds.size > 1000) {
-                                const firstItem = this.processedEmailIds.values().next().value;
-                                this.processedEmailIds.delete(firstItem);
-                            }
-                        }
-                    }
-                }
-                return false; // Success, continue polling
-            } else if (data.message === 'Timeout') {
-                return false; // Timeout is normal for livequery, continue polling
-            } else {
-                // Log unexpected errors (rate limits, auth errors, etc)
-                logger.warn('Testmail API response:', data);
-                return true; // Request backoff
-            }
-        } catch (err) {
-            throw err; // Let outer loop catch network errors
+        if (data.result !== 'success') {
+            // Log unexpected errors (rate limits, auth errors, etc)
+            logger.warn('Testmail API response:', data);
+            throw new Error(`Testmail API error: ${data.message || 'unknown'}`);
+        }
+
+        let queued = 0;
+        for (const email of data.emails || []) {
+            const { subject, html, text, from, tag, timestamp } = email;
+            // Unique identifier
+            const job = await this.enqueueEmail({ subject, html, text, from, tag, timestamp }, `testmail:${tag}:${timestamp}`);
+            if (job) queued++;
+        }
+
+        if (queued > 0) {
+            logger.info(`📧 Received ${queued} new emails (${(data.emails?.length || 0) - queued} already processed)`);
         }
     }
 
+    /**
+     * Queue an email for processing, once per dedupeKey
+     * @param {Object} email - { subject, html, text, from, tag, timestamp }; tag is the forwarding token
+     * @returns {Promise<Object|null>} The job, or null when the email was queued before
+     */
+    enqueueEmail(email, dedupeKey) {
+        return jobQueue.enqueue(JOB_TYPES.PROCESS, { email }, { dedupeKey, once: true });
+    }
+
+    /**
+     * The user an email is for: the owner of the forwarding token it was sent to. Only
+     * verification emails are matched by sender, since From headers can be forged.
+     * @returns {Promise<Object|null>} null for other tags, or tokens no user has
+     */
+    async resolveUser(tag, senderEmail) {
+        if (!tag) return null;
+        if (tag.toLowerCase().startsWith('verify')) return User.findOne({ email: senderEmail });
+        if (isForwardingToken(tag)) return User.findOne({ forwardingToken: tag.toLowerCase() });
+        return null;
+    }
+
+    /**
+     * testmail.process job: verify the sender or create a pending transaction from the email.
+     * Throws on errors so the job is retried.
+     */
     async processEmail(emailData) {
         try {
-            const { subject, html, text, from, tag } = emailData;
+            const { subject, html, text, from = '', tag } = emailData;
 
-            // Strategy 1: Match by Sender Email (Forwarding use case)
             // Extract pure email from "Name <email@domain.com>" format
             const senderMatch = from.match(/<(.+)>/);
             const senderEmail = senderMatch ? senderMatch[1] : from;
 
-            // Find user who has this email registered
-            const user = await User.findOne({ email: senderEmail });
+            const user = await this.resolveUser(tag, senderEmail);
 
             if (!user) {
-                logger.warn(`📧 Received email from unknown user: ${senderEmail}`);
+                logger.warn(`📧 Received email for unknown user`, { tag, sender: senderEmail });
                 return;
             }
 
@@ -146,9 +153,20 @@ export class EmailPollerService {
             const emailSubject = subject || 'Transaction Email';
 
             // Parse Transaction Details
-            // Combine subject and body for better context
-            const fullMessage = `${emailSubject} ${rawMessage}`;
-            const parsedData = parseTransactionMessage(fullMessage);
+            // Forwarded by the user, so the bank is recognised from the text rather than the sender
+            const parsedData = await categoryModelService.categorize(
+                user.id,
+                parseTransaction(rawMessage, { subject: emailSubject }),
+                `${emailSubject} ${rawMessage}`
+            );
+
+            if (parsedData.filtered) {
+                logger.info(`📧 Skipping ${parsedData.label} email: ${emailSubject}`);
+                await FilteredMessage.record({
+                    user: user.id, channel: 'email', label: parsedData.label, reason: parsedData.reason, sender: from, subject: emailSubject, text: rawMessage
+                });
+                return;
+            }
 
             if (parsedData.error || !parsedData.isParsed) {
                 logger.warn(`📧 Could not parse transaction from email: ${emailSubject}`);
@@ -156,10 +174,28 @@ export class EmailPollerService {
             }
 
             const {
-                amount, merchant, paymentMethod, category, subCategory, type, location
+                amount, currency, merchant, paymentMethod, category, subCategory, type, location,
+                accountNumber, accountType, balance, bankName, parsedBy, reference,
+                categorizedBy, categoryConfidence, label
             } = parsedData;
 
             // Deduplication - Check both pending and existing transactions
+            // A bank reference number identifies the transaction however it reached us
+            if (reference) {
+                const [pendingDuplicate, existingDuplicate] = await Promise.all([
+                    PendingTransaction.findOne({
+                        user: user.id,
+                        status: { $ne: 'rejected' },
+                        ...buildReferenceFilter(reference, amount, 'parsedData.')
+                    }),
+                    Transaction.findOne({ user: user.id, ...buildReferenceFilter(reference, amount) })
+                ]);
+                if (pendingDuplicate || existingDuplicate) {
+                    logger.info(`📧 Duplicate transaction (reference ${reference}) detected for user ${user.id}`);
+                    return;
+                }
+            }
+
             const dateStr = new Date().toISOString().slice(0, 10);
             const dedupeKey = `${amount}_${merchant}_${dateStr}_${user.id}`;
             const messageHash = crypto.createHash('sha256').update(dedupeKey).digest('hex');
@@ -182,11 +218,18 @@ export class EmailPollerService {
                 user: user.id,
                 parsedData: {
                     amount,
+                    currency,
                     type: type || 'expense',
                     description: `Parsed from Email: ${emailSubject}`,
                     category: category || 'Other',
+                    categorizedBy,
+                    categoryConfidence,
                     merchant: merchant || 'Unknown',
-                    date: new Date(emailData.timestamp || Date.now()),
+                    date: resolveTransactionTime(parsedData, new Date(emailData.timestamp || Date.now())),
+                    accountNumber,
+                    accountType,
+                    balance,
+                    reference,
                     paymentMethod: paymentMethod || 'email',
                     location: location || null
                 },
@@ -196,7 +239,12 @@ export class EmailPollerService {
                     rawContent: rawMessage,
                     subject: emailSubject,
                     from: from,
-                    parsingStrategy: 'testmail_forwarded'
+                    parsingStrategy: 'testmail_forwarded',
+                    parsedBy,
+                    messageLabel: label
+                },
+                metadata: {
+                    bankName
                 },
                 confidenceScore: confidenceScore,
                 status: 'pending'
@@ -211,7 +259,7 @@ export class EmailPollerService {
 
         } catch (error) {
             logger.error('Error processing individual email', { error: error.message });
-            Sentry.captureException(error);
+            throw error;
         }
     }
 }
@@ -0,0 +1,296 @@
+import { google } from 'googleapis';
+import { GmailBackfill, BACKFILL_ACTIVE_STATUSES } from '../models/GmailBackfill.model.js';
+import { ProcessedEmail } from '../models/ProcessedEmail.model.js';
+import { PendingTransaction } from '../models/PendingTransaction.model.js';
+import { User } from '../models/User.model.js';
+import { multiUserGmailPoller, TRANSACTION_EMAIL_QUERY } from './multiUserGmailPoller.service.js';
+import { jobQueue, backoffDelay } from './jobQueue.service.js';
+import logger from '../utils/logger.js';
+import * as Sentry from '@sentry/node';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const JOB_TYPES = {
+    PAGE: 'gmail.backfill-page', // One page of one backfill; queues the next page when done
+    SWEEP: 'gmail.backfill-sweep' // Queues a page for active backfills whose chain of page jobs was lost
+};
+
+const BACKFILL = {
+    DEFAULT_DAYS: 90,
+    MAX_DAYS: 365,
+    PAGE_SIZE: 50,
+    PAGE_INTERVAL_MS: 15 * 1000,     // Between pages of a backfill
+    SWEEP_INTERVAL_MS: 5 * 60 * 1000,
+    MAX_PAGE_FAILURES: 5             // Consecutive failed pages before the backfill is given up
+};
+
+/**
+ * Error for invalid backfill requests (mapped to 4xx)
+ */
+export class BackfillError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'BackfillError';
+        this.statusCode = statusCode;
+    }
+}
+
+const toEpochSeconds = (date) => Math.floor(date.getTime() / 1000);
+
+/**
+ * Gmail Backfill Service
+ * Imports a user's older transaction emails through the poller's parse / pending pipeline,
+ * so the first months in the app are not empty after connecting Gmail. Each page is a job
+ * (jobQueue) deduped per backfill and keyed by the user, so one page of a backfill runs at a
+ * time across instances.
+ */
+class GmailBackfillService {
+    constructor() {
+        this.isRunning = false;
+    }
+
+    /**
+     * Queue a backfill for a user
+     * @param {Object} range
+     * @param {string} [range.start] - Default: DEFAULT_DAYS before end
+     * @param {string} [range.end] - Default: now
+     */
+    async startBackfill(userId, { start, end } = {}) {
+        const user = await User.findById(userId).select('gmailIntegration.enabled');
+        if (!user?.gmailIntegration?.enabled) {
+            throw new BackfillError('Connect Gmail before importing older emails');
+        }
+
+        const rangeEnd = end ? new Date(end) : new Date();
+        const rangeStart = start ? new Date(start) : new Date(rangeEnd.getTime() - BACKFILL.DEFAULT_DAYS * DAY_MS);
+
+        if (isNaN(rangeStart.getTime()) || isNaN(rangeEnd.getTime())) {
+            throw new BackfillError('start and end must be valid dates');
+        }
+        if (rangeStart >= rangeEnd) {
+            throw new BackfillError('start must be before end');
+        }
+        if (rangeEnd.getTime() - rangeStart.getTime() > BACKFILL.MAX_DAYS * DAY_MS) {
+            throw new BackfillError(`A backfill can cover at most ${BACKFILL.MAX_DAYS} days`);
+        }
+
+        const active = await GmailBackfill.exists({ user: userId, status: { $in: BACKFILL_ACTIVE_STATUSES } });
+        if (active) {
+            throw new BackfillError('A backfill is already running; cancel it first', 409);
+        }
+
+        const backfill = await GmailBackfill.create({
+            user: userId,
+            range: { start: rangeStart, end: rangeEnd }
+        });
+
+        await this.enqueuePage(backfill);
+
+        logger.info('Gmail backfill queued', { userId, backfillId: backfill._id, start: rangeStart, end: rangeEnd });
+        return backfill;
+    }
+
+    /**
+     * Queue the next page of a backfill; a page already queued for it is kept instead
+     */
+    enqueuePage(backfill, runAt = new Date()) {
+        return jobQueue.enqueue(JOB_TYPES.PAGE, { backfillId: String(backfill._id) }, {
+            concurrencyKey: String(backfill.user),
+            dedupeKey: `backfill:${backfill._id}`,
+            runAt
+        });
+    }
+
+    /**
+     * gmail.backfill-page job: process one page, then queue the next while the backfill is active.
+     * A failed page is counted on the backfill (recordFailure) and tried again by the next job.
+     */
+    async runPage(backfillId) {
+        const backfill = await GmailBackfill.findOne({ _id: backfillId, status: { $in: BACKFILL_ACTIVE_STATUSES } });
+        if (!backfill) return;
+
+        let delay = BACKFILL.PAGE_INTERVAL_MS;
+        try {
+            if (backfill.status === 'queued') {
+                await GmailBackfill.updateOne(
+                    { _id: backfill._id, status: 'queued' },
+                    { $set: { status: 'running', startedAt: new Date() } }
+                );
+            }
+            await this.processPage(backfill);
+        } catch (error) {
+            const failures = await this.recordFailure(backfill, error);
+            delay = backoffDelay(failures);
+        }
+
+        if (await GmailBackfill.exists({ _id: backfill._id, status: { $in: BACKFILL_ACTIVE_STATUSES } })) {
+            await this.enqueuePage(backfill, new Date(Date.now() + delay));
+        }
+    }
+
+    /**
+     * gmail.backfill-sweep job: queue a page for every active backfill (after a lost job, or
+     * backfills queued before page jobs existed); backfills with a page queued keep it
+     */
+    async sweep() {
+        const backfills = await GmailBackfill.find({ status: { $in: BACKFILL_ACTIVE_STATUSES } }).select('_id user');
+        for (const backfill of backfills) {
+            await this.enqueuePage(backfill);
+        }
+    }
+
+    /**
+     * The user's most recent backfill, or null
+     */
+    getLatest(userId) {
+        return GmailBackfill.findOne({ user: userId }).sort({ createdAt: -1 });
+    }
+
+    /**
+     * Cancel the user's active backfill; emails already imported stay
+     */
+    async cancel(userId) {
+        const backfill = await GmailBackfill.findOneAndUpdate(
+            { user: userId, status: { $in: BACKFILL_ACTIVE_STATUSES } },
+            { $set: { status: 'cancelled', finishedAt: new Date() } },
+            { new: true }
+        );
+        if (!backfill) throw new BackfillError('No backfill is running', 404);
+
+        logger.info('Gmail backfill cancelled', { userId, backfillId: backfill._id });
+        return backfill;
+    }
+
+    /**
+     * Process the next page of a backfill and save where it stopped
+     */
+    async processPage(backfill) {
+        const user = await User.findById(backfill.user).select('_id email deviceTokens gmailIntegration');
+        if (!user?.gmailIntegration?.enabled || !user.gmailIntegration.tokens?.access_token) {
+            await GmailBackfill.updateOne(
+                { _id: backfill._id },
+                { $set: { status: 'failed', error: 'Gmail is no longer connected', finishedAt: new Date() } }
+            );
+            return;
+        }
+
+        const gmail = google.gmail({
+            version: 'v1',
+            auth: multiUserGmailPoller.createOAuth2Client(user.gmailIntegration.tokens, user._id)
+        });
+
+        // before: is exclusive, so the end day is included
+        const query = `${TRANSACTION_EMAIL_QUERY} after:${toEpochSeconds(backfill.range.start)} before:${toEpochSeconds(backfill.range.end) + 1}`;
+        const response = await gmail.users.messages.list({
+            userId: 'me',
+            q: query,
+            maxResults: BACKFILL.PAGE_SIZE,
+            pageToken: backfill.pageToken || undefined
+        });
+
+        const messageIds = (response.data.messages || []).map(message => message.id);
+        const [handled, pending] = await Promise.all([
+            ProcessedEmail.findHandled(user._id, messageIds),
+            PendingTransaction.distinct('source.emailId', { user: user._id, 'source.emailId': { $in: messageIds } })
+        ]);
+        const counts = new Map([['scanned', messageIds.length]]);
+        const count = (outcome) => counts.set(outcome, (counts.get(outcome) || 0) + 1);
+
+        for (const messageId of messageIds) {
+            if (handled.has(messageId) || pending.includes(messageId)) {
+                count('alreadyProcessed');
+                continue;
+            }
+
+            // Stop between messages when the user cancelled
+            const current = await GmailBackfill.findById(backfill._id).select('status').lean();
+            if (current?.status === 'cancelled') return;
+
+            try {
+                const fullMessage = await gmail.users.messages.get({ userId: 'me', id: messageId, format: 'full' });
+                const outcome = await multiUserGmailPoller.processMessage(fullMessage.data, user, { historical: true, gmail });
+                await ProcessedEmail.markDone(user._id, messageId, ProcessedEmail.statusForOutcome(outcome));
+                count(outcome);
+            } catch (error) {
+                if (multiUserGmailPoller.getAuthFailureReason(error)) throw error;
+
+                logger.error('Error backfilling Gmail message', { error: error.message, messageId, userId: user._id });
+                await ProcessedEmail.recordFailure(user._id, messageId, error);
+                count('errors');
+            }
+        }
+
+        const nextPageToken = response.data.nextPageToken || null;
+        const $inc = Object.fromEntries([...counts].map(([key, value]) => [`counts.${key}`, value]));
+        const $set = { pageToken: nextPageToken, failures: 0 };
+        if (!backfill.pageToken && response.data.resultSizeEstimate !== undefined) {
+            $set.estimatedTotal = response.data.resultSizeEstimate;
+        }
+        if (!nextPageToken) {
+            $set.status = 'completed';
+            $set.finishedAt = new Date();
+        }
+
+        // Filtered on status, so a cancel during the page is not overwritten
+        await GmailBackfill.updateOne(
+            { _id: backfill._id, status: 'running' },
+            { $set, $inc: { ...$inc, pages: 1 } }
+        );
+
+        if (!nextPageToken) {
+            logger.info('Gmail backfill completed', { userId: user._id, backfillId: backfill._id });
+        }
+    }
+
+    /**
+     * A failed page is retried by the next page job; a revoked grant or repeated failures end the backfill
+     * @returns {Promise<number>} Consecutive failed pages
+     */
+    async recordFailure(backfill, error) {
+        const authFailure = multiUserGmailPoller.getAuthFailureReason(error);
+        if (authFailure) {
+            const user = await User.findById(backfill.user).select('_id email');
+            if (user) await multiUserGmailPoller.disableRevokedIntegration(user, authFailure);
+        } else {
+            logger.error('Error in Gmail backfill', { error: error.message, backfillId: backfill._id });
+            Sentry.captureException(error, { tags: { service: 'gmail_backfill', userId: backfill.user.toString() } });
+        }
+
+        const updated = await GmailBackfill.findOneAndUpdate(
+            { _id: backfill._id, status: { $in: BACKFILL_ACTIVE_STATUSES } },
+            { $set: { error: error.message }, $inc: { failures: 1 } },
+            { new: true }
+        );
+        if (updated && (authFailure || updated.failures >= BACKFILL.MAX_PAGE_FAILURES)) {
+            await GmailBackfill.updateOne(
+                { _id: backfill._id },
+                { $set: { status: 'failed', finishedAt: new Date() } }
+            );
+        }
+        return updated?.failures || 1;
+    }
+
+    /**
+     * Handle backfill page jobs, and sweep for backfills without one
+     */
+    start() {
+        if (this.isRunning) {
+            logger.warn('📥 Gmail backfill job already running');
+            return;
+        }
+        this.isRunning = true;
+
+        jobQueue.register(JOB_TYPES.PAGE, ({ backfillId }) => this.runPage(backfillId), { maxAttempts: 3 });
+        jobQueue.register(JOB_TYPES.SWEEP, () => this.sweep(), { maxAttempts: 2 });
+        jobQueue.schedule('gmail-backfill-sweep', JOB_TYPES.SWEEP, BACKFILL.SWEEP_INTERVAL_MS);
+        logger.info('📥 Gmail backfill job started');
+    }
+
+    stop() {
+        this.isRunning = false;
+        jobQueue.unschedule('gmail-backfill-sweep');
+        logger.info('🛑 Gmail backfill job stopped');
+    }
+}
+
+// Export singleton instance
+export const gmailBackfillService = new GmailBackfillService();
@@ -2,7 +2,13 @@ import { google } from 'googleapis';
 import { convert } from 'html-to-text';
 import { User } from '../models/User.model.js';
 import { Transaction } from '../models/Transaction.model.js';
-import { parseTransactionMessage } from '../utils/transaction.parser.js';
+import { FilteredMessage } from '../models/FilteredMessage.model.js';
+import { parseTransaction } from '../utils/bankParser.registry.js';
+import { transactionEventsService } from './transactionEvents.service.js';
+import { parsingRuleService } from './parsingRule.service.js';
+import { categoryModelService } from './categoryModel.service.js';
+import { buildReferenceFilter } from '../utils/dedupe.helper.js';
+import { resolveTransactionTime } from '../utils/transaction.parser.js';
 import crypto from 'crypto';
 import logger from '../utils/logger.js';
 import * as Sentry from '@sentry/node';
@@ -288,7 +294,7 @@ export class GmailPollerService {
                 return;
             }
 
-            await this.parseAndCreateTransaction(user, subject, emailBody, messageId, internalDate);
+            await this.parseAndCreateTransaction(user, subject, emailBody, messageId, internalDate, from);
 
             // Mark as read after successful processing
             await this.markAsRead(messageId);
@@ -305,11 +311,23 @@ export class GmailPollerService {
     /**
      * Parse email content and create transaction
      */
-    async parseAndCreateTransaction(user, subject, body, messageId, timestamp) {
+    async parseAndCreateTransaction(user, subject, body, messageId, timestamp, from) {
         try {
-            // Combine subject and body for better parsing
-            const fullMessage = `${subject} ${body}`;
-            const parsedData = parseTransactionMessage(fullMessage);
+            // User's own rules, then the bank parser for the sender domain; subject and body parsed together
+            const userRules = await parsingRuleService.getParsersForSource(user.id, { from });
+            const parsedData = await categoryModelService.categorize(
+                user.id,
+                parseTransaction(body, { from, subject, userRules }),
+                `${subject} ${body}`
+            );
+
+            if (parsedData.filtered) {
+                logger.info(`📧 Skipping ${parsedData.label} Gmail message: ${subject}`);
+                await FilteredMessage.record({
+                    user: user.id, channel: 'gmail', label: parsedData.label, reason: parsedData.reason, sender: from, subject, text: body
+                });
+                return;
+            }
 
             if (parsedData.error || !parsedData.isParsed) {
                 logger.warn(`📧 Could not parse transaction from Gmail: ${subject}`);
@@ -317,13 +335,18 @@ export class GmailPollerService {
             }
 
             const {
-                amount, merchant, paymentMethod, category, subCategory, type
+                amount, currency, merchant, paymentMethod, category, subCategory, type,
+                accountNumber, accountType, balance, bankName, parsedBy, reference,
+                categorizedBy, categoryConfidence, label
             } = parsedData;
 
-            // Deduplication using messageId
+            // Deduplication: bank reference number first (same alert via SMS and email), then messageId
             const messageHash = crypto.createHash('sha256').update(messageId).digest('hex');
 
-            const isDuplicate = await Transaction.findOne({ 
+            const isDuplicate = (reference && await Transaction.findOne({
+                user: user.id,
+                ...buildReferenceFilter(reference, amount)
+            })) || await Transaction.findOne({ 
                 user: user.id, 
                 messageHash 
             });
@@ -337,22 +360,35 @@ export class GmailPollerService {
             const transaction = new Transaction({
                 user: user.id,
                 amount,
-                currency: 'INR',
+                currency,
+                baseCurrency: user.baseCurrency,
                 category,
                 subCategory,
+                categorizedBy,
+                categoryConfidence,
                 merchant,
                 note: `Parsed from Gmail: ${subject}`,
                 paymentMethod,
                 source: 'gmail',
                 tags: ['parsed', 'gmail'],
-                timestamp: new Date(parseInt(timestamp)),
-                messageHash
+                timestamp: resolveTransactionTime(parsedData, new Date(parseInt(timestamp))),
+                messageHash,
+                reference,
+                parsedBy,
+                messageLabel: label
             });
 
             await transaction.save();
+            await parsingRuleService.recordMatch(parsedData);
+            await transactionEventsService.onTransactionCreated(transaction, { accountNumber, accountType, balance, sender: from, bankName });
             logger.info(`✅ Created transaction via Gmail for user ${user.email}: ${amount} at ${merchant}`);
 
         } catch (error) {
+            if (error.code === 11000) {
+                // Same message processed twice at once: the unique dedupe index rejected the second save
+                logger.info(`📧 Duplicate Gmail transaction detected for user ${user.id}`);
+                return;
+            }
             logger.error('Error creating transaction from Gmail', { error: error.message });
             Sentry.captureException(error);
         }
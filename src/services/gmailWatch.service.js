@@ -0,0 +1,196 @@
+import { google } from 'googleapis';
+import { User } from '../models/User.model.js';
+import { multiUserGmailPoller, isGmailPushConfigured } from './multiUserGmailPoller.service.js';
+import { jobQueue } from './jobQueue.service.js';
+import { decodePushMessage } from '../utils/gmailPush.helper.js';
+import logger from '../utils/logger.js';
+import * as Sentry from '@sentry/node';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const JOB_TYPE = 'gmail.renew-watches';
+
+const WATCH = {
+    RENEW_BEFORE_MS: DAY_MS,       // Gmail watches last 7 days; renewed once less than this is left
+    MAX_RENEWALS_PER_RUN: 200,
+    LABEL_IDS: ['INBOX']           // Mail that skips the inbox is picked up by the poller's sweep
+};
+
+/**
+ * Whether a notification's historyId is past the one already synced (Gmail history IDs
+ * are numeric strings that only grow)
+ */
+const isNewerHistory = (historyId, syncedHistoryId) => {
+    if (!syncedHistoryId) return true;
+    try {
+        return BigInt(historyId) > BigInt(syncedHistoryId);
+    } catch {
+        return true;
+    }
+};
+
+/**
+ * Gmail Watch Service
+ * Registers a Gmail push watch (users.watch) for every connected mailbox, renews it before
+ * it expires, and turns Pub/Sub notifications into an incremental sync of that user. Users
+ * without a live watch are left to the poller, which is also all that runs when push is not
+ * configured (GMAIL_PUBSUB_TOPIC and GMAIL_PUSH_TOKEN).
+ */
+class GmailWatchService {
+    constructor() {
+        this.isRunning = false;
+        this.runInterval = 60 * 60 * 1000; // Hourly
+    }
+
+    /**
+     * Start or renew the watch on a user's mailbox
+     * @returns {Promise<Date|null>} When the watch expires, or null when push is off
+     */
+    async watchUser(user) {
+        if (!isGmailPushConfigured()) return null;
+
+        const gmail = google.gmail({
+            version: 'v1',
+            auth: multiUserGmailPoller.createOAuth2Client(user.gmailIntegration.tokens, user._id)
+        });
+
+        const response = await gmail.users.watch({
+            userId: 'me',
+            requestBody: {
+                topicName: process.env.GMAIL_PUBSUB_TOPIC,
+                labelIds: WATCH.LABEL_IDS,
+                labelFilterBehavior: 'include'
+            }
+        });
+
+        const expiration = new Date(Number(response.data.expiration));
+        await User.updateOne(
+            { _id: user._id, 'gmailIntegration.enabled': true },
+            { $set: { 'gmailIntegration.watch': { expiration, renewedAt: new Date() } } }
+        );
+
+        logger.info(`Gmail watch active for ${user.email}`, { userId: user._id, expiration });
+        return expiration;
+    }
+
+    /**
+     * Watch a user's mailbox right after they connect Gmail. A failure is only logged and
+     * reported: the renewal job retries the watch and the poller covers the user meanwhile.
+     */
+    async watchUserById(userId) {
+        if (!isGmailPushConfigured()) return;
+
+        try {
+            const user = await User.findById(userId).select('_id email gmailIntegration');
+            if (user?.gmailIntegration?.enabled) await this.watchUser(user);
+        } catch (error) {
+            logger.error('Error starting Gmail watch', { error: error.message, userId });
+            Sentry.captureException(error, { tags: { service: 'gmail_watch', userId: String(userId) } });
+        }
+    }
+
+    /**
+     * Stop push notifications for a mailbox, before its tokens are discarded. A failed stop
+     * is logged as a warning; the watch lapses within 7 days anyway.
+     */
+    async stopUser(user) {
+        if (!user?.gmailIntegration?.watch?.expiration || !user.gmailIntegration.tokens?.access_token) return;
+
+        try {
+            const gmail = google.gmail({
+                version: 'v1',
+                auth: multiUserGmailPoller.createOAuth2Client(user.gmailIntegration.tokens, user._id)
+            });
+            await gmail.users.stop({ userId: 'me' });
+            logger.info(`Gmail watch stopped for ${user.email}`, { userId: user._id });
+        } catch (error) {
+            // The watch lapses by itself within 7 days and notifications for disabled users are ignored
+            logger.warn('Error stopping Gmail watch', { error: error.message, userId: user._id });
+        }
+    }
+
+    /**
+     * Handle a Pub/Sub push request: find the user the notification is for and queue a sync
+     * of their mailbox, so Pub/Sub gets its ack right away
+     * @param {Object} body - Push request body
+     * @returns {Promise<{accepted: boolean, reason?: string}>}
+     */
+    async handleNotification(body) {
+        const notification = decodePushMessage(body);
+        if (!notification) return { accepted: false, reason: 'invalid_message' };
+
+        const user = await User.findOne({
+            'gmailIntegration.enabled': true,
+            'gmailIntegration.authorizedEmail': notification.emailAddress
+        }).select('_id email gmailIntegration.historyId');
+
+        if (!user) {
+            logger.debug('Gmail push for unknown or disconnected mailbox', { emailAddress: notification.emailAddress });
+            return { accepted: false, reason: 'unknown_mailbox' };
+        }
+
+        // Redelivered or out-of-order notifications for changes already synced
+        if (!isNewerHistory(notification.historyId, user.gmailIntegration.historyId)) {
+            return { accepted: false, reason: 'already_synced' };
+        }
+
+        await multiUserGmailPoller.syncUser(user._id);
+        return { accepted: true };
+    }
+
+    /**
+     * gmail.renew-watches job: watch mailboxes without a watch, or whose watch expires soon
+     */
+    async renewWatches() {
+        const users = await User.find({
+            'gmailIntegration.enabled': true,
+            'gmailIntegration.tokens.access_token': { $exists: true },
+            'gmailIntegration.watch.expiration': { $not: { $gt: new Date(Date.now() + WATCH.RENEW_BEFORE_MS) } }
+        })
+            .select('_id email gmailIntegration')
+            .limit(WATCH.MAX_RENEWALS_PER_RUN);
+
+        for (const user of users) {
+            try {
+                await this.watchUser(user);
+            } catch (error) {
+                const authFailure = multiUserGmailPoller.getAuthFailureReason(error);
+                if (authFailure) {
+                    await multiUserGmailPoller.disableRevokedIntegration(user, authFailure);
+                    continue;
+                }
+
+                logger.error(`Error renewing Gmail watch for user ${user.email}`, { error: error.message, userId: user._id });
+                Sentry.captureException(error, { tags: { service: 'gmail_watch', userId: user._id.toString() } });
+            }
+        }
+    }
+
+    /**
+     * Schedule the watch renewal job on the job queue; does nothing when push is not configured
+     */
+    start() {
+        if (this.isRunning) {
+            logger.warn('🔔 Gmail watch job already running');
+            return;
+        }
+        if (!isGmailPushConfigured()) {
+            logger.info('🔔 Gmail push not configured (GMAIL_PUBSUB_TOPIC, GMAIL_PUSH_TOKEN); using polling only');
+            return;
+        }
+        this.isRunning = true;
+
+        jobQueue.register(JOB_TYPE, () => this.renewWatches(), { maxAttempts: 3 });
+        jobQueue.schedule('gmail-watch', JOB_TYPE, this.runInterval);
+        logger.info('🔔 Gmail watch job started');
+    }
+
+    stop() {
+        if (!this.isRunning) return;
+        this.isRunning = false;
+        jobQueue.unschedule('gmail-watch');
+        logger.info('🛑 Gmail watch job stopped');
+    }
+}
+
+// Export singleton instance
+export const gmailWatchService = new GmailWatchService();
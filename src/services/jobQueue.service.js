@@ -0,0 +1,378 @@
+import os from 'os';
+import crypto from 'crypto';
+import { Job } from '../models/Job.model.js';
+import { JobLock } from '../models/JobLock.model.js';
+import logger from '../utils/logger.js';
+import * as Sentry from '@sentry/node';
+
+const MINUTE_MS = 60 * 1000;
+
+const QUEUE = {
+    CONCURRENCY: Number(process.env.JOB_QUEUE_CONCURRENCY) || 3, // Jobs this instance runs at once
+    PER_KEY_CONCURRENCY: 1,             // Jobs running at once per concurrency key, across instances
+    POLL_INTERVAL_MS: 1000,
+    LOCK_MS: 2 * MINUTE_MS,             // Renewed while a job runs; a job whose lock lapsed is requeued
+    DEFAULT_MAX_ATTEMPTS: 5,
+    BACKOFF_BASE_MS: 30 * 1000,         // 30s, 1m, 2m, 4m, ...
+    BACKOFF_MAX_MS: 60 * MINUTE_MS,
+    COMPLETED_RETENTION_MS: 60 * MINUTE_MS,
+    DEAD_RETENTION_MS: 30 * 24 * 60 * MINUTE_MS,
+    SCHEDULER_LOCK: 'job-scheduler',
+    SCHEDULER_TICK_MS: 5000,
+    SCHEDULER_LOCK_MS: 30 * 1000,
+    MAX_STALE_PER_TICK: 100
+};
+
+const MAX_FAILURES_KEPT = 5;
+
+/**
+ * Delay before the retry after the given attempt (1-based): doubles from baseMs up to an hour,
+ * with ±20% jitter so jobs that failed together do not retry together
+ */
+export const backoffDelay = (attempt, baseMs = QUEUE.BACKOFF_BASE_MS) => {
+    const delay = Math.min(baseMs * 2 ** (attempt - 1), QUEUE.BACKOFF_MAX_MS);
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
+
+/**
+ * Job Queue Service
+ * MongoDB-backed queue for background work. Every instance runs workers that claim due jobs;
+ * a job that throws is retried with exponential backoff and moved to the dead letters after
+ * maxAttempts. Jobs sharing a concurrency key (a user) run one at a time across instances.
+ * Recurring jobs are enqueued by the one instance holding the scheduler lock, which also
+ * requeues jobs whose worker died mid-run.
+ */
+class JobQueueService {
+    constructor() {
+        this.isRunning = false;
+        this.isLeader = false;
+        this.workerId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+        this.handlers = new Map();  // type -> { run, maxAttempts, backoffMs, retainCompletedMs }
+        this.schedules = new Map(); // name -> { type, intervalMs, payload, concurrencyKey, nextRunAt }
+        this.active = new Set();    // Jobs running in this instance
+    }
+
+    /**
+     * Handle jobs of a type in this instance
+     * @param {string} type
+     * @param {function(Object, Object): Promise} run - Called with the payload and the job; throw to retry
+     * @param {Object} [options]
+     * @param {number} [options.maxAttempts]
+     * @param {number} [options.backoffMs] - First retry delay
+     * @param {number} [options.retainCompletedMs] - How long a completed job is kept (dedupe with `once`)
+     */
+    register(type, run, {
+        maxAttempts = QUEUE.DEFAULT_MAX_ATTEMPTS,
+        backoffMs = QUEUE.BACKOFF_BASE_MS,
+        retainCompletedMs = QUEUE.COMPLETED_RETENTION_MS
+    } = {}) {
+        this.handlers.set(type, { run, maxAttempts, backoffMs, retainCompletedMs });
+    }
+
+    /**
+     * Enqueue a job every intervalMs, from the scheduler leader only. The next run is not
+     * enqueued while the previous one is still queued, and a lease per schedule (JobLock) keeps
+     * restarts and leader changes from running it again before intervalMs has passed.
+     * @param {Object} [options]
+     * @param {number} [options.firstRunDelayMs] - Wait this long after start before the first run
+     */
+    schedule(name, type, intervalMs, { payload = {}, concurrencyKey = null, firstRunDelayMs = 0 } = {}) {
+        this.schedules.set(name, { type, intervalMs, payload, concurrencyKey, nextRunAt: Date.now() + firstRunDelayMs });
+    }
+
+    unschedule(name) {
+        this.schedules.delete(name);
+    }
+
+    /**
+     * Add a job to the queue
+     * @param {string} type
+     * @param {Object} [payload] - Stored as is; keep it small and JSON-like
+     * @param {Object} [options]
+     * @param {string} [options.concurrencyKey] - Usually the user ID
+     * @param {string} [options.dedupeKey] - Returns the queued job with this key instead of adding one
+     * @param {boolean} [options.once] - With dedupeKey: skip when any job with the key is still stored
+     * @param {Date} [options.runAt]
+     * @param {number} [options.maxAttempts]
+     * @returns {Promise<Object|null>} The job, or null when skipped by `once`
+     */
+    async enqueue(type, payload = {}, { concurrencyKey = null, dedupeKey, once = false, runAt = new Date(), maxAttempts } = {}) {
+        if (once && dedupeKey && await Job.exists({ dedupeKey, type })) return null;
+
+        try {
+            return await Job.create({
+                type,
+                payload,
+                concurrencyKey: concurrencyKey ? String(concurrencyKey) : null,
+                dedupeKey,
+                runAt,
+                maxAttempts: maxAttempts || this.handlers.get(type)?.maxAttempts || QUEUE.DEFAULT_MAX_ATTEMPTS
+            });
+        } catch (error) {
+            if (error.code === 11000 && dedupeKey) {
+                return Job.findOne({ dedupeKey, status: 'queued' });
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Put a running job back in the queue. When a job with the same dedupeKey was queued
+     * meanwhile, that job covers this one and this one is dropped.
+     */
+    async requeue(filter, update) {
+        try {
+            await Job.updateOne(filter, update);
+        } catch (error) {
+            if (error.code !== 11000) throw error;
+            await Job.deleteOne(filter);
+        }
+    }
+
+    /**
+     * Claim the next due job this instance has a handler for
+     * @returns {Promise<Object|null>}
+     */
+    async claimNext() {
+        const types = [...this.handlers.keys()];
+        if (types.length === 0) return null;
+
+        const busyKeys = await Job.aggregate([
+            { $match: { status: 'running', concurrencyKey: { $ne: null } } },
+            { $group: { _id: '$concurrencyKey', running: { $sum: 1 } } },
+            { $match: { running: { $gte: QUEUE.PER_KEY_CONCURRENCY } } }
+        ]);
+
+        const now = new Date();
+        const job = await Job.findOneAndUpdate(
+            {
+                status: 'queued',
+                runAt: { $lte: now },
+                type: { $in: types },
+                concurrencyKey: { $nin: busyKeys.map(key => key._id) }
+            },
+            {
+                $set: {
+                    status: 'running',
+                    lockedBy: this.workerId,
+                    lockExpiresAt: new Date(now.getTime() + QUEUE.LOCK_MS),
+                    startedAt: now
+                },
+                $inc: { attempts: 1 }
+            },
+            { sort: { runAt: 1 }, new: true }
+        );
+        if (!job?.concurrencyKey) return job;
+
+        // Another instance may have claimed a job with the same key at the same time;
+        // the earliest claims keep theirs
+        const first = await Job.find({ status: 'running', concurrencyKey: job.concurrencyKey })
+            .sort({ startedAt: 1, _id: 1 })
+            .limit(QUEUE.PER_KEY_CONCURRENCY)
+            .select('_id')
+            .lean();
+        if (first.some(running => running._id.equals(job._id))) return job;
+
+        await this.requeue(
+            { _id: job._id, lockedBy: this.workerId, status: 'running' },
+            { $set: { status: 'queued', lockedBy: null, lockExpiresAt: null }, $inc: { attempts: -1 } }
+        );
+        return null;
+    }
+
+    /**
+     * Run a claimed job, renewing its lock meanwhile. The handler's error is recorded on the
+     * job (recordFailure) rather than passed to the worker loop.
+     */
+    async execute(job) {
+        const handler = this.handlers.get(job.type);
+        const owned = { _id: job._id, lockedBy: this.workerId, status: 'running' };
+
+        const heartbeat = setInterval(() => {
+            Job.updateOne(owned, { $set: { lockExpiresAt: new Date(Date.now() + QUEUE.LOCK_MS) } })
+                .catch(error => logger.warn('Error renewing job lock', { error: error.message, jobId: job._id }));
+        }, QUEUE.LOCK_MS / 3);
+
+        try {
+            await handler.run(job.payload || {}, job);
+            await Job.updateOne(owned, {
+                $set: {
+                    status: 'completed',
+                    completedAt: new Date(),
+                    lockedBy: null,
+                    lockExpiresAt: null,
+                    expiresAt: new Date(Date.now() + handler.retainCompletedMs)
+                }
+            });
+        } catch (error) {
+            await this.recordFailure(job, error);
+        } finally {
+            clearInterval(heartbeat);
+        }
+    }
+
+    /**
+     * Schedule a retry of a failed job, or move it to the dead letters after its last attempt.
+     * If the job can't be updated, that is logged and the expired lock has it recovered later.
+     */
+    async recordFailure(job, error) {
+        const message = String(error?.message || error).slice(0, 1000);
+        const owned = { _id: job._id, lockedBy: job.lockedBy, status: 'running' };
+        const failure = { $push: { failures: { $each: [{ message, at: new Date() }], $slice: -MAX_FAILURES_KEPT } } };
+
+        try {
+            if (job.attempts >= job.maxAttempts) {
+                await Job.updateOne(owned, {
+                    $set: {
+                        status: 'dead',
+                        lastError: message,
+                        deadAt: new Date(),
+                        lockedBy: null,
+                        lockExpiresAt: null,
+                        expiresAt: new Date(Date.now() + QUEUE.DEAD_RETENTION_MS)
+                    },
+                    ...failure
+                });
+                logger.error(`Job ${job.type} failed ${job.attempts} time(s), moved to dead letters`, {
+                    error: message,
+                    jobId: job._id
+                });
+                Sentry.captureException(error, { tags: { service: 'job_queue', jobType: job.type } });
+                return;
+            }
+
+            const runAt = new Date(Date.now() + backoffDelay(job.attempts, this.handlers.get(job.type)?.backoffMs));
+            await this.requeue(owned, {
+                $set: { status: 'queued', runAt, lastError: message, lockedBy: null, lockExpiresAt: null },
+                ...failure
+            });
+            logger.warn(`Job ${job.type} failed (attempt ${job.attempts}/${job.maxAttempts}), retrying at ${runAt.toISOString()}`, {
+                error: message,
+                jobId: job._id
+            });
+        } catch (updateError) {
+            // The lock lapses and the scheduler requeues the job
+            logger.error('Error recording job failure', { error: updateError.message, jobId: job._id });
+            Sentry.captureException(updateError, { tags: { service: 'job_queue' } });
+        }
+    }
+
+    /**
+     * Enqueue the schedules that are due (leader only)
+     */
+    async enqueueDueSchedules() {
+        for (const [name, schedule] of this.schedules) {
+            if (Date.now() < schedule.nextRunAt) continue;
+            // Held by an earlier leader (or this instance before a restart) until the interval is up
+            if (!(await JobLock.acquire(`schedule:${name}`, this.workerId, schedule.intervalMs))) continue;
+
+            await this.enqueue(schedule.type, schedule.payload, {
+                concurrencyKey: schedule.concurrencyKey,
+                dedupeKey: `schedule:${name}`
+            });
+            schedule.nextRunAt = Date.now() + schedule.intervalMs;
+        }
+    }
+
+    /**
+     * Requeue jobs whose worker stopped renewing the lock (crash, deploy); each counts as a
+     * failed attempt so a job that kills its worker ends in the dead letters
+     */
+    async recoverStaleJobs() {
+        const stale = await Job.find({ status: 'running', lockExpiresAt: { $lt: new Date() } })
+            .limit(QUEUE.MAX_STALE_PER_TICK);
+
+        for (const job of stale) {
+            logger.warn(`Job ${job.type} lost its worker ${job.lockedBy}`, { jobId: job._id });
+            await this.recordFailure(job, new Error('Worker stopped before the job finished'));
+        }
+    }
+
+    /**
+     * Start the workers and the scheduler; register handlers and schedules first
+     */
+    start() {
+        if (this.isRunning) {
+            logger.warn('🗂️ Job queue already running');
+            return;
+        }
+        this.isRunning = true;
+        logger.info(`🗂️ Job queue started (worker ${this.workerId}, concurrency ${QUEUE.CONCURRENCY})`, {
+            types: [...this.handlers.keys()]
+        });
+        this.work();
+        this.lead();
+    }
+
+    /**
+     * Stop claiming jobs. Jobs still running keep their lock until it lapses, then another
+     * instance retries them.
+     */
+    stop() {
+        if (!this.isRunning) return;
+        this.isRunning = false;
+        clearTimeout(this.workTimeout);
+        clearTimeout(this.leadTimeout);
+
+        if (this.isLeader) {
+            this.isLeader = false;
+            JobLock.release(QUEUE.SCHEDULER_LOCK, this.workerId)
+                .catch(error => logger.warn('Error releasing job scheduler lock', { error: error.message }));
+        }
+        logger.info('🛑 Job queue stopped');
+    }
+
+    /**
+     * Worker loop: claim jobs while this instance has free slots
+     */
+    async work() {
+        if (!this.isRunning) return;
+
+        let claimed = false;
+        try {
+            while (this.isRunning && this.active.size < QUEUE.CONCURRENCY) {
+                const job = await this.claimNext();
+                if (!job) break;
+
+                claimed = true;
+                const running = this.execute(job).finally(() => this.active.delete(running));
+                this.active.add(running);
+            }
+        } catch (error) {
+            logger.error('Error claiming jobs', { error: error.message });
+            Sentry.captureException(error, { tags: { service: 'job_queue' } });
+        }
+
+        if (!this.isRunning) return;
+        this.workTimeout = setTimeout(() => this.work(), claimed ? 0 : QUEUE.POLL_INTERVAL_MS);
+    }
+
+    /**
+     * Scheduler loop: take or renew the leader lock, then run the leader's duties
+     */
+    async lead() {
+        if (!this.isRunning) return;
+
+        try {
+            const wasLeader = this.isLeader;
+            this.isLeader = await JobLock.acquire(QUEUE.SCHEDULER_LOCK, this.workerId, QUEUE.SCHEDULER_LOCK_MS);
+            if (this.isLeader !== wasLeader) {
+                logger.info(this.isLeader ? '⏱️ This instance now schedules jobs' : '⏱️ Job scheduling moved to another instance');
+            }
+
+            if (this.isLeader) {
+                await this.enqueueDueSchedules();
+                await this.recoverStaleJobs();
+            }
+        } catch (error) {
+            logger.error('Error in job scheduler loop', { error: error.message });
+            Sentry.captureException(error, { tags: { service: 'job_queue' } });
+        }
+
+        if (!this.isRunning) return;
+        this.leadTimeout = setTimeout(() => this.lead(), QUEUE.SCHEDULER_TICK_MS);
+    }
+}
+
+// Export singleton instance
+export const jobQueue = new JobQueueService();
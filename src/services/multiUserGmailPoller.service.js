@@ -3,29 +3,79 @@ import { convert } from 'html-to-text';
 import { User } from '../models/User.model.js';
 import { Transaction } from '../models/Transaction.model.js';
 import { PendingTransaction } from '../models/PendingTransaction.model.js';
-import { parseTransactionMessage } from '../utils/transaction.parser.js';
-import { parseBankEmail } from '../utils/bank.patterns.js';
+import { FilteredMessage } from '../models/FilteredMessage.model.js';
+import { ProcessedEmail } from '../models/ProcessedEmail.model.js';
+import { parseTransaction, GENERIC_PARSER_ID } from '../utils/bankParser.registry.js';
+import { USER_RULE_PREFIX } from '../utils/bankParsers/userRule.helper.js';
 import { EmailParsingPattern } from '../models/EmailParsingPattern.model.js';
 import { notificationService } from './notification.service.js';
+import sendEmail from '../utils/email.helper.js';
+import { getGmailReconnectEmailTemplate } from '../utils/email.templates.js';
 import logger from '../utils/logger.js';
 import * as Sentry from '@sentry/node';
 import { locationMatchingService } from './locationMatching.service.js';
+import { creditCardService } from './creditCard.service.js';
+import { parsingRuleService } from './parsingRule.service.js';
+import { categoryModelService } from './categoryModel.service.js';
+import { jobQueue } from './jobQueue.service.js';
+import { emailAttachmentService } from './emailAttachment.service.js';
+import { parseTextStatement } from '../utils/statement.parser.js';
+import { resolveTransactionTime } from '../utils/transaction.parser.js';
+import { buildReferenceFilter, buildTransactionHash, buildDuplicateFilter } from '../utils/dedupe.helper.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SYNC = {
+    PAGE_SIZE: 100,
+    FULL_SYNC_MAX_DAYS: 7,          // How far back a full sync looks
+    FULL_SYNC_MAX_MESSAGES: 100,
+    HISTORY_BATCH_MESSAGES: 500     // A larger delta is synced in batches of about this many, one sync job each
+};
+
+// Transaction emails by subject; promotions and social tabs are skipped
+export const TRANSACTION_EMAIL_QUERY = [
+    '(subject:transaction OR subject:debited OR subject:credited OR subject:payment OR subject:statement OR subject:invoice)',
+    '-category:promotions',
+    '-category:social'
+].join(' ');
+const TRANSACTION_SUBJECT_REGEX = /\b(?:transaction|debited|credited|payment|statement|invoice)\b/i;
+const STATEMENT_SUBJECT_REGEX = /\bstatement\b/i;
+const SKIPPED_LABELS = ['CATEGORY_PROMOTIONS', 'CATEGORY_SOCIAL', 'SPAM', 'TRASH', 'DRAFT', 'SENT'];
+
+// With push on, users with a live watch are still polled this often in case a notification was lost
+const PUSH_SWEEP_INTERVAL_MS = 15 * 60 * 1000;
+
+const JOB_TYPES = {
+    POLL: 'gmail.poll', // Picks the users to sync
+    SYNC: 'gmail.sync', // One user's mailbox
+    RETRY_LOCKED: 'gmail.retry-locked' // A user's statements that no password opened yet
+};
+
+/**
+ * Whether Gmail push notifications (users.watch + Pub/Sub) are set up; without them every user is polled
+ */
+export const isGmailPushConfigured = () => !!(process.env.GMAIL_PUBSUB_TOPIC && process.env.GMAIL_PUSH_TOKEN);
 
 /**
  * Multi-User Gmail API Email Poller Service
- * Fetches and processes transaction emails from Gmail for all users with enabled integration
+ * Fetches and processes transaction emails from Gmail for all users with enabled integration.
+ * Each poll reads only what changed since the user's stored historyId; handled message IDs
+ * are stored (ProcessedEmail), so restarts neither reprocess nor skip emails.
+ * When push is configured, users with a live Gmail watch are synced on notification
+ * (gmailWatch.service) and only swept occasionally here.
+ * Polls and per-user syncs run as jobQueue jobs, so a failed sync is retried with backoff
+ * and a user's mailbox is never synced by two instances at once.
  */
 export class MultiUserGmailPollerService {
     constructor() {
         this.isPolling = false;
         this.pollInterval = 60000; // 60 seconds
-        this.processedMessageIds = new Map(); // userId -> Set of message IDs
     }
 
     /**
-     * Create OAuth2 client for a user
+     * Create OAuth2 client for a user; refreshed tokens are saved back to the user
      */
-    createOAuth2Client(tokens) {
+    createOAuth2Client(tokens, userId) {
         const oauth2Client = new google.auth.OAuth2(
             process.env.GMAIL_CLIENT_ID || process.env.GOOGLE_CLIENT_ID,
             process.env.GMAIL_CLIENT_SECRET || process.env.GOOGLE_CLIENT_SECRET,
@@ -38,15 +88,90 @@ export class MultiUserGmailPollerService {
             expiry_date: tokens.expiry_date
         });
 
-        // Setup automatic token refresh
-        oauth2Client.on('tokens', async (newTokens) => {
-            logger.info('Token refreshed for user, updating in database');
-            // Note: Need userId context to update - handled in processUserEmails
+        oauth2Client.on('tokens', (newTokens) => {
+            this.saveRefreshedTokens(userId, newTokens);
         });
 
         return oauth2Client;
     }
 
+    /**
+     * Persist tokens from an automatic refresh. Google only sends a refresh token
+     * when it rotates it, so the stored one is kept otherwise. A failed write is logged and
+     * reported; the next refresh saves the tokens again.
+     */
+    async saveRefreshedTokens(userId, newTokens) {
+        const update = {};
+        if (newTokens.access_token) update['gmailIntegration.tokens.access_token'] = newTokens.access_token;
+        if (newTokens.expiry_date) update['gmailIntegration.tokens.expiry_date'] = newTokens.expiry_date;
+        if (newTokens.refresh_token) update['gmailIntegration.tokens.refresh_token'] = newTokens.refresh_token;
+        if (Object.keys(update).length === 0) return;
+
+        try {
+            await User.updateOne({ _id: userId }, { $set: update });
+            logger.info('Gmail tokens refreshed and saved', { userId });
+        } catch (error) {
+            logger.error('Error saving refreshed Gmail tokens', { error: error.message, userId });
+            Sentry.captureException(error, { tags: { service: 'gmail_poller', userId: String(userId) } });
+        }
+    }
+
+    /**
+     * Why Google rejected the user's authorization, or null for other errors
+     * @returns {string|null} 'token_revoked' (refresh token revoked or expired) or 'unauthorized'
+     */
+    getAuthFailureReason(error) {
+        const oauthError = error?.response?.data?.error;
+        if (oauthError === 'invalid_grant' || /invalid_grant/.test(error?.message || '')) return 'token_revoked';
+        if (error?.code === 401 || error?.response?.status === 401) return 'unauthorized';
+        return null;
+    }
+
+    /**
+     * Turn off a user's integration after Google rejected the grant, and ask them to reconnect
+     * by push and email. Only the first failure notifies; the user is no longer polled after it.
+     */
+    async disableRevokedIntegration(user, reason) {
+        const updated = await User.findOneAndUpdate(
+            { _id: user._id, 'gmailIntegration.enabled': true },
+            {
+                $set: {
+                    'gmailIntegration.enabled': false,
+                    'gmailIntegration.tokens': null,
+                    'gmailIntegration.disabledReason': reason,
+                    'gmailIntegration.disabledAt': new Date(),
+                    'gmailIntegration.watch': null
+                }
+            },
+            { new: true }
+        ).select('email deviceTokens gmailIntegration.authorizedEmail');
+
+        if (!updated) return;
+
+        logger.warn(`Gmail authorization rejected for user ${user.email}, integration disabled`, {
+            userId: user._id,
+            reason
+        });
+
+        const authorizedEmail = updated.gmailIntegration?.authorizedEmail || updated.email;
+        const deviceToken = updated.deviceTokens?.[0]?.token;
+
+        if (deviceToken) {
+            await notificationService.sendGmailDisconnectedNotification(deviceToken, { authorizedEmail, reason });
+        }
+
+        try {
+            await sendEmail(
+                updated.email,
+                'Reconnect Gmail to SpendTrail',
+                `SpendTrail lost access to ${authorizedEmail}. Open Settings > Gmail in the app to reconnect.`,
+                getGmailReconnectEmailTemplate(authorizedEmail)
+            );
+        } catch (error) {
+            logger.error('Error sending Gmail reconnect email', { error: error.message, userId: user._id });
+        }
+    }
+
     /**
      * Start polling for all users
      */
@@ -65,10 +190,19 @@ export class MultiUserGmailPollerService {
         }
 
         this.isPolling = true;
-        logger.info('🚀 Multi-user Gmail poller is now ACTIVE and will poll every 60 seconds');
-        
-        // Start polling loop
-        this.poll();
+
+        jobQueue.register(JOB_TYPES.POLL, ({ sweep }) => this.fetchAndProcessAllUsers({ sweep }), { maxAttempts: 2 });
+        jobQueue.register(JOB_TYPES.SYNC, ({ userId }) => this.runSync(userId));
+        jobQueue.register(JOB_TYPES.RETRY_LOCKED, ({ userId }) => this.runRetryLocked(userId));
+
+        if (isGmailPushConfigured()) {
+            jobQueue.schedule('gmail-poll', JOB_TYPES.POLL, this.pollInterval, { payload: { sweep: false } });
+            jobQueue.schedule('gmail-sweep', JOB_TYPES.POLL, PUSH_SWEEP_INTERVAL_MS, { payload: { sweep: true } });
+            logger.info('🚀 Multi-user Gmail poller is now ACTIVE; watched mailboxes are synced on push, others every 60 seconds');
+        } else {
+            jobQueue.schedule('gmail-poll', JOB_TYPES.POLL, this.pollInterval, { payload: { sweep: true } });
+            logger.info('🚀 Multi-user Gmail poller is now ACTIVE and will poll every 60 seconds');
+        }
     }
 
     /**
@@ -76,171 +210,300 @@ export class MultiUserGmailPollerService {
      */
     stop() {
         this.isPolling = false;
-        if (this.pollTimeout) {
-            clearTimeout(this.pollTimeout);
-        }
+        jobQueue.unschedule('gmail-poll');
+        jobQueue.unschedule('gmail-sweep');
         logger.info('🛑 Multi-user Gmail poller stopped');
     }
 
     /**
-     * Main polling loop
+     * Queue a sync for every user with Gmail integration enabled
+     * @param {Object} [options]
+     * @param {boolean} [options.sweep] - Include users with a live push watch
      */
-    async poll() {
-        if (!this.isPolling) return;
+    async fetchAndProcessAllUsers({ sweep = true } = {}) {
+        const filter = {
+            'gmailIntegration.enabled': true,
+            'gmailIntegration.tokens.access_token': { $exists: true }
+        };
+        // Push delivers changes for watched mailboxes; between sweeps only poll the rest
+        if (!sweep) {
+            filter['gmailIntegration.watch.expiration'] = { $not: { $gt: new Date() } };
+        }
 
-        try {
-            await this.fetchAndProcessAllUsers();
-        } catch (error) {
-            logger.error('Error in Gmail polling loop', { error: error.message });
-            Sentry.captureException(error, { tags: { service: 'gmail_poller' } });
+        // Find all users with Gmail integration enabled
+        const users = await User.find(filter).select('_id email');
+
+        logger.info(`📧 Gmail poll cycle - Found ${users.length} user(s) with Gmail enabled`, { sweep });
+
+        if (users.length === 0) {
+            logger.debug('No users with Gmail integration enabled');
+            return;
         }
 
-        // Schedule next poll
-        this.pollTimeout = setTimeout(() => this.poll(), this.pollInterval);
+        for (const user of users) {
+            try {
+                await this.syncUser(user._id);
+            } catch (error) {
+                logger.error(`Error queueing Gmail sync for user ${user.email}`, { 
+                    error: error.message,
+                    userId: user._id 
+                });
+                Sentry.captureException(error, { 
+                    tags: { service: 'gmail_poller', userId: user._id.toString() },
+                    user: { id: user._id.toString(), email: user.email }
+                });
+            }
+        }
     }
 
     /**
-     * Fetch and process emails for all users with Gmail integration enabled
+     * Queue a sync of one user's mailbox. A sync already queued for the user covers this
+     * request; one that is running is followed by another, so no new mail is missed.
      */
-    async fetchAndProcessAllUsers() {
-        try {
-            // Find all users with Gmail integration enabled
-            const users = await User.find({ 
-                'gmailIntegration.enabled': true,
-                'gmailIntegration.tokens.access_token': { $exists: true }
-            }).select('_id email gmailIntegration');
+    syncUser(userId) {
+        return jobQueue.enqueue(JOB_TYPES.SYNC, { userId: String(userId) }, {
+            concurrencyKey: String(userId),
+            dedupeKey: `${JOB_TYPES.SYNC}:${userId}`
+        });
+    }
 
-            logger.info(`📧 Gmail poll cycle - Found ${users.length} user(s) with Gmail enabled`);
+    /**
+     * gmail.sync job: sync the mailbox of a user who still has Gmail connected
+     */
+    async runSync(userId) {
+        const user = await User.findOne({ _id: userId, 'gmailIntegration.enabled': true })
+            .select('_id email deviceTokens gmailIntegration');
+        if (!user?.gmailIntegration?.tokens?.access_token) return;
 
-            if (users.length === 0) {
-                logger.debug('No users with Gmail integration enabled');
-                return;
+        await this.processUserEmails(user);
+    }
+
+    /**
+     * Queue another try at the user's password-protected statements, after they added or
+     * changed a statement password
+     */
+    retryLockedMessages(userId) {
+        return jobQueue.enqueue(JOB_TYPES.RETRY_LOCKED, { userId: String(userId) }, {
+            concurrencyKey: String(userId),
+            dedupeKey: `${JOB_TYPES.RETRY_LOCKED}:${userId}`
+        });
+    }
+
+    /**
+     * gmail.retry-locked job: process the user's locked messages again
+     */
+    async runRetryLocked(userId) {
+        const user = await User.findOne({ _id: userId, 'gmailIntegration.enabled': true })
+            .select('_id email deviceTokens gmailIntegration');
+        if (!user?.gmailIntegration?.tokens?.access_token) return;
+
+        const messageIds = await ProcessedEmail.find({ user: user._id, status: 'locked' }).distinct('messageId');
+        if (messageIds.length === 0) return;
+
+        const gmail = google.gmail({ version: 'v1', auth: this.createOAuth2Client(user.gmailIntegration.tokens, user._id) });
+        let opened = 0;
+
+        for (const messageId of messageIds) {
+            try {
+                const fullMessage = await gmail.users.messages.get({ userId: 'me', id: messageId, format: 'full' });
+                const outcome = await this.processMessage(fullMessage.data, user, { historical: true, gmail });
+                if (outcome !== 'locked') {
+                    await ProcessedEmail.markDone(user._id, messageId, ProcessedEmail.statusForOutcome(outcome));
+                    opened++;
+                }
+            } catch (error) {
+                const authFailure = this.getAuthFailureReason(error);
+                if (authFailure) {
+                    await this.disableRevokedIntegration(user, authFailure);
+                    return;
+                }
+                if (this.isNotFound(error)) {
+                    await ProcessedEmail.markDone(user._id, messageId, 'skipped');
+                    continue;
+                }
+                logger.error(`Error retrying locked message ${messageId} for user ${user.email}`, { error: error.message });
             }
+        }
 
-            logger.info(`📧 Processing Gmail for ${users.length} user(s): ${users.map(u => u.email).join(', ')}`);
+        logger.info(`🔓 Retried ${messageIds.length} locked email(s) for ${user.email}, ${opened} opened`);
+    }
 
-            // Process each user sequentially to avoid rate limits
-            for (const user of users) {
-                try {
-                    await this.processUserEmails(user);
-                } catch (error) {
-                    logger.error(`Error processing Gmail for user ${user.email}`, { 
-                        error: error.message,
-                        userId: user._id 
-                    });
-                    Sentry.captureException(error, { 
-                        tags: { service: 'gmail_poller', userId: user._id.toString() },
-                        user: { id: user._id.toString(), email: user.email }
+    /**
+     * IDs of messages added to the mailbox since startHistoryId. A large delta is read up to a
+     * page boundary past HISTORY_BATCH_MESSAGES; historyId is then where the next batch starts.
+     * @returns {Promise<{messageIds: string[], historyId: string, partial: boolean}|null>} null when
+     *   Gmail no longer has that history (it keeps about a week)
+     */
+    async listHistoryMessages(gmail, startHistoryId) {
+        const messageIds = new Set();
+        let historyId = startHistoryId;
+        let pageToken;
+        let partial = false;
+
+        try {
+            do {
+                const response = await gmail.users.history.list({
+                    userId: 'me',
+                    startHistoryId,
+                    historyTypes: ['messageAdded'],
+                    maxResults: SYNC.PAGE_SIZE,
+                    pageToken
+                });
+
+                const history = response.data.history || [];
+                history.forEach(entry => {
+                    (entry.messagesAdded || []).forEach(({ message }) => {
+                        if (!message.labelIds?.some(label => SKIPPED_LABELS.includes(label))) {
+                            messageIds.add(message.id);
+                        }
                     });
-                }
+                });
 
-                // Small delay between users to avoid rate limits
-                await new Promise(resolve => setTimeout(resolve, 1000));
-            }
+                historyId = response.data.historyId || historyId;
+                pageToken = response.data.nextPageToken;
+
+                // Resuming from the last record read re-reads at most that record, whose messages are handled by then
+                if (pageToken && messageIds.size >= SYNC.HISTORY_BATCH_MESSAGES && history.length > 0) {
+                    historyId = history.at(-1).id;
+                    partial = true;
+                    break;
+                }
+            } while (pageToken);
         } catch (error) {
-            logger.error('Error fetching users for Gmail polling', { error: error.message });
-            Sentry.captureException(error, { tags: { service: 'gmail_poller' } });
+            if (this.isNotFound(error)) return null;
+            throw error;
         }
+
+        return { messageIds: [...messageIds], historyId, fullSync: false, partial };
+    }
+
+    /**
+     * Bounded query for recent transaction emails, for the first sync and when the history expired
+     * @returns {Promise<{messageIds: string[], historyId: string}>}
+     */
+    async listRecentMessages(gmail, user) {
+        // Mailbox position before the query: mail arriving meanwhile is in the next delta
+        const profile = await gmail.users.getProfile({ userId: 'me' });
+
+        const lastSync = user.gmailIntegration.lastSync;
+        const daysSinceSync = lastSync ? Math.ceil((Date.now() - new Date(lastSync).getTime()) / DAY_MS) + 1 : SYNC.FULL_SYNC_MAX_DAYS;
+        const days = Math.min(Math.max(daysSinceSync, 1), SYNC.FULL_SYNC_MAX_DAYS);
+
+        const messageIds = [];
+        let pageToken;
+        do {
+            const response = await gmail.users.messages.list({
+                userId: 'me',
+                q: `${TRANSACTION_EMAIL_QUERY} newer_than:${days}d`,
+                maxResults: Math.min(SYNC.PAGE_SIZE, SYNC.FULL_SYNC_MAX_MESSAGES - messageIds.length),
+                pageToken
+            });
+            messageIds.push(...(response.data.messages || []).map(message => message.id));
+            pageToken = response.data.nextPageToken;
+        } while (pageToken && messageIds.length < SYNC.FULL_SYNC_MAX_MESSAGES);
+
+        return { messageIds, historyId: profile.data.historyId, fullSync: true };
     }
 
     /**
-     * Process emails for a specific user
+     * Whether a message from the history looks like a transaction email (same subject terms as
+     * the full-sync query), read from its headers only
+     */
+    async isTransactionEmail(gmail, messageId) {
+        const response = await gmail.users.messages.get({
+            userId: 'me',
+            id: messageId,
+            format: 'metadata',
+            metadataHeaders: ['Subject']
+        });
+        const subject = response.data.payload?.headers?.find(header => header.name.toLowerCase() === 'subject')?.value || '';
+        return TRANSACTION_SUBJECT_REGEX.test(subject);
+    }
+
+    isNotFound(error) {
+        return error?.code === 404 || error?.response?.status === 404;
+    }
+
+    /**
+     * Process new emails for a specific user: the messages added since the stored historyId,
+     * or a bounded query when there is none (first sync) or Gmail expired it
      */
     async processUserEmails(user) {
         try {
             // Create OAuth2 client with user's tokens
-            const oauth2Client = this.createOAuth2Client(user.gmailIntegration.tokens);
+            const oauth2Client = this.createOAuth2Client(user.gmailIntegration.tokens, user._id);
             const gmail = google.gmail({ version: 'v1', auth: oauth2Client });
 
-            // Initialize processed messages set for this user if not exists
-            if (!this.processedMessageIds.has(user._id.toString())) {
-                this.processedMessageIds.set(user._id.toString(), new Set());
+            const storedHistoryId = user.gmailIntegration.historyId;
+            let batch = storedHistoryId ? await this.listHistoryMessages(gmail, storedHistoryId) : null;
+            if (!batch) {
+                if (storedHistoryId) {
+                    logger.info(`Gmail history ${storedHistoryId} unavailable for ${user.email}, running a full sync`);
+                }
+                batch = await this.listRecentMessages(gmail, user);
             }
 
-            // Build query for transaction emails
-            const query = [
-                'is:unread',
-                // Temporarily removed FROM filter for testing - accepts emails from any sender
-                // '(from:*@*bank.* OR from:*@paytm.* OR from:*@amazonpay.* OR from:*@googlepay.* OR from:*@phonepe.*)',
-                '(subject:transaction OR subject:debited OR subject:credited OR subject:payment)',
-                '-category:promotions',
-                '-category:social'
-            ].join(' ');
-
-            // Fetch messages
-            const response = await gmail.users.messages.list({
-                userId: 'me',
-                q: query,
-                maxResults: 20
-            });
+            const handled = await ProcessedEmail.findHandled(user._id, batch.messageIds);
+            const messageIds = batch.messageIds.filter(id => !handled.has(id));
 
-            const messages = response.data.messages || [];
-            
-            if (messages.length === 0) {
-                logger.debug(`No new transaction emails for user ${user.email}`);
-                return;
+            if (messageIds.length > 0) {
+                logger.info(`Found ${messageIds.length} new email(s) for ${user.email}`, { fullSync: batch.fullSync });
             }
 
-            logger.info(`Found ${messages.length} potential transaction email(s) for ${user.email}`);
+            // A message that failed and will be retried keeps the stored historyId where it is;
+            // handled messages are skipped when the history is read again
+            let retryLater = false;
 
-            // Process each message
-            for (const message of messages) {
+            for (const messageId of messageIds) {
                 try {
-                    // Skip if already processed
-                    const processedSet = this.processedMessageIds.get(user._id.toString());
-                    if (processedSet.has(message.id)) {
+                    if (!batch.fullSync && !(await this.isTransactionEmail(gmail, messageId))) {
+                        await ProcessedEmail.markDone(user._id, messageId, 'skipped');
                         continue;
                     }
 
                     // Fetch full message
                     const fullMessage = await gmail.users.messages.get({
                         userId: 'me',
-                        id: message.id,
+                        id: messageId,
                         format: 'full'
                     });
 
-                    // Process the message
-                    await this.processMessage(fullMessage.data, user);
-
-                    // Mark as processed
-                    processedSet.add(message.id);
+                    const outcome = await this.processMessage(fullMessage.data, user, { gmail });
+                    await ProcessedEmail.markDone(user._id, messageId, ProcessedEmail.statusForOutcome(outcome));
 
                     // Mark as read in Gmail
-                    await this.markAsRead(gmail, message.id);
+                    await this.markAsRead(gmail, messageId);
 
                 } catch (error) {
-                    logger.error(`Error processing message ${message.id} for user ${user.email}`, { 
+                    if (this.getAuthFailureReason(error)) throw error;
+
+                    // Deleted before we got to it
+                    if (this.isNotFound(error)) {
+                        await ProcessedEmail.markDone(user._id, messageId, 'skipped');
+                        continue;
+                    }
+
+                    logger.error(`Error processing message ${messageId} for user ${user.email}`, { 
                         error: error.message 
                     });
+                    const gaveUp = await ProcessedEmail.recordFailure(user._id, messageId, error);
+                    if (!gaveUp) retryLater = true;
                 }
             }
 
-            // Update last sync time
-            await User.findByIdAndUpdate(user._id, {
-                'gmailIntegration.lastSync': new Date()
-            });
+            const update = { 'gmailIntegration.lastSync': new Date() };
+            if (!retryLater && batch.historyId) update['gmailIntegration.historyId'] = batch.historyId;
+            await User.updateOne({ _id: user._id }, { $set: update });
 
-            // Check if tokens were refreshed during this process
-            const currentCredentials = oauth2Client.credentials;
-            if (currentCredentials.access_token !== user.gmailIntegration.tokens.access_token) {
-                // Tokens were refreshed, update in database
-                await User.findByIdAndUpdate(user._id, {
-                    'gmailIntegration.tokens': {
-                        access_token: currentCredentials.access_token,
-                        refresh_token: currentCredentials.refresh_token,
-                        expiry_date: currentCredentials.expiry_date
-                    }
-                });
-                logger.info(`Updated refreshed tokens for user ${user.email}`);
-            }
+            // The rest of a large delta; with a failed message the next poll reads this batch again
+            if (batch.partial && !retryLater) await this.syncUser(user._id);
 
         } catch (error) {
-            if (error.code === 401 || error.message.includes('invalid_grant')) {
-                // Token expired or revoked, disable integration
-                logger.error(`Gmail authorization invalid for user ${user.email}, disabling integration`);
-                await User.findByIdAndUpdate(user._id, {
-                    'gmailIntegration.enabled': false
-                });
+            const authFailure = this.getAuthFailureReason(error);
+            if (authFailure) {
+                // Retrying cannot succeed until the user reconnects
+                await this.disableRevokedIntegration(user, authFailure);
+                return;
             }
             throw error;
         }
@@ -248,8 +511,17 @@ export class MultiUserGmailPollerService {
 
     /**
      * Process a single message
+     * @param {Object} message - Gmail message (format: full)
+     * @param {Object} user
+     * @param {Object} [options]
+     * @param {boolean} [options.historical] - Backfilled email: no push notification, and skipped
+     *   when a transaction with the same amount, merchant and day already exists
+     * @param {Object} [options.gmail] - Gmail API client, to read PDF / HTML attachments
+     * @returns {Promise<string>} statement | locked | filtered | unparsed | duplicate | pending;
+     *   locked = a statement PDF none of the user's statement passwords opened;
+     *   unparsed also covers statement emails whose figures or card could not be read
      */
-    async processMessage(message, user) {
+    async processMessage(message, user, { historical = false, gmail = null } = {}) {
         try {
             // Extract headers
             const headers = {};
@@ -276,7 +548,57 @@ export class MultiUserGmailPollerService {
                 }
             }
 
-            const messageText = `${subject}\n\n${body}`;
+            let messageText = `${subject}\n\n${body}`;
+
+            const attachments = gmail
+                ? await emailAttachmentService.readAttachments(gmail, message, user, from)
+                : { texts: [], locked: [] };
+            const attachmentText = attachments.texts.map(attachment => attachment.text).join('\n\n');
+
+            if (STATEMENT_SUBJECT_REGEX.test(subject)) {
+                // Statement PDF: billing cycle from the summary, line items for review
+                if (attachmentText) {
+                    const statementBody = `${body}\n${attachmentText}`;
+                    if (creditCardService.isStatementEmail(subject, statementBody)) {
+                        await creditCardService.ingestStatementEmail(user._id, {
+                            from,
+                            subject,
+                            body: statementBody,
+                            messageId: message.id
+                        });
+                    }
+
+                    const { rows } = parseTextStatement(attachmentText);
+                    if (rows.length > 0) {
+                        const { created, duplicates } = await emailAttachmentService.importStatementRows(user, rows, {
+                            messageId: message.id,
+                            from,
+                            subject
+                        });
+                        logger.info(`🧾 Imported statement attachment for user ${user.email}`, { created, duplicates, messageId: message.id });
+                        return 'statement';
+                    }
+                }
+
+                // Kept as locked, and retried when the user adds a statement password
+                if (attachments.locked.length > 0 && attachments.texts.length === 0) {
+                    if (creditCardService.isStatementEmail(subject, body)) {
+                        await creditCardService.ingestStatementEmail(user._id, { from, subject, body, messageId: message.id });
+                    }
+                    return 'locked';
+                }
+            }
+
+            // Credit card statements update billing cycles instead of creating a transaction
+            if (creditCardService.isStatementEmail(subject, body)) {
+                const statement = await creditCardService.ingestStatementEmail(user._id, {
+                    from,
+                    subject,
+                    body,
+                    messageId: message.id
+                });
+                return statement ? 'statement' : 'unparsed';
+            }
 
             // Multi-strategy parsing approach
             let parsed = null;
@@ -289,18 +611,29 @@ export class MultiUserGmailPollerService {
                 // Apply learned patterns (will use suggestions to validate/correct parsed data)
             }
 
-            // Strategy 2: Try bank-specific patterns first
-            parsed = parseBankEmail(from, subject, body);
-            if (parsed && parsed.amount) {
-                parsingStrategy = 'bank-pattern';
-                logger.info(`🏦 Parsed using bank pattern: ${parsed.bankName}`, { amount: parsed.amount, merchant: parsed.merchant });
+            // Strategy 2: User's parsing rules for the sender, then the bank parser registry
+            // (sender domain, then bank mentions, then the generic parser)
+            const userRules = await parsingRuleService.getParsersForSource(user._id, { from });
+            // Trained category model when the keyword list has no category
+            let rawParsed = parseTransaction(body, { from, subject, userRules });
+            // Invoices and receipts with the details only in the attachment
+            if ((!rawParsed || rawParsed.error) && attachmentText) {
+                const fromAttachment = parseTransaction(attachmentText, { from, subject, userRules });
+                if (fromAttachment && !fromAttachment.error && !fromAttachment.filtered) {
+                    rawParsed = fromAttachment;
+                    messageText = `${messageText}\n\n${attachmentText}`;
+                }
             }
-
-            // Strategy 3: Fallback to generic parser
-            if (!parsed || !parsed.amount) {
-                parsed = parseTransactionMessage(messageText);
+            parsed = await categoryModelService.categorize(user._id, rawParsed, messageText);
+            if (parsed.parsedBy?.startsWith(`${USER_RULE_PREFIX}:`)) {
+                parsingStrategy = 'user-rule';
+                logger.info(`📐 Parsed using user parsing rule: ${parsed.parsedBy}`, { amount: parsed.amount, merchant: parsed.merchant });
+            } else if (parsed.parsedBy && parsed.parsedBy !== GENERIC_PARSER_ID) {
+                parsingStrategy = 'bank-pattern';
+                logger.info(`🏦 Parsed using bank parser: ${parsed.parsedBy}`, { amount: parsed.amount, merchant: parsed.merchant });
+            } else {
                 parsingStrategy = 'generic-parser';
-                
+
                 // DEBUG: Log the email content being parsed
                 logger.info(`📧 DEBUG - Parsing email for user ${user.email}:`, {
                     subject: subject,
@@ -316,14 +649,56 @@ export class MultiUserGmailPollerService {
                 logger.debug(`Could not parse transaction from email: ${subject.substring(0, 50)}`);
                 // Store failed parsing attempt for learning
                 await this.storeFailedParsing(user._id, from, subject, body, message.id);
-                return;
+                return 'unparsed';
             }
             
+            // OTPs, offers, declined payments etc. are not parsing failures; don't queue them for review
+            if (parsed.filtered) {
+                logger.info(`📧 Skipping ${parsed.label} email: ${subject.substring(0, 50)}`);
+                await FilteredMessage.record({
+                    user: user._id,
+                    channel: 'gmail',
+                    label: parsed.label,
+                    reason: parsed.reason,
+                    sender: from,
+                    subject,
+                    text: body
+                });
+                return 'filtered';
+            }
+
             if (parsed.error) {
                 logger.warn(`Parser returned error for email: ${subject}`, { error: parsed.error });
                 // Store failed parsing attempt for learning
                 await this.storeFailedParsing(user._id, from, subject, body, message.id, parsed.error);
-                return;
+                return 'unparsed';
+            }
+
+            // Same bank reference number already imported (e.g. from the SMS alert) or awaiting review
+            if (parsed.reference) {
+                const [existing, pending] = await Promise.all([
+                    Transaction.findOne({ user: user._id, ...buildReferenceFilter(parsed.reference, parsed.amount) }),
+                    PendingTransaction.findOne({
+                        user: user._id,
+                        status: { $ne: 'rejected' },
+                        ...buildReferenceFilter(parsed.reference, parsed.amount, 'parsedData.')
+                    })
+                ]);
+                if (existing || pending) {
+                    logger.info(`📧 Skipping duplicate email, reference ${parsed.reference} already recorded`);
+                    return 'duplicate';
+                }
+            }
+
+            // Transaction time from the email text when present, otherwise when it was sent
+            const transactionDate = resolveTransactionTime(parsed, date);
+
+            // Old emails are often in the app already (SMS, manual entry, statement import)
+            if (historical && !parsed.reference) {
+                const messageHash = buildTransactionHash({ amount: parsed.amount, merchant: parsed.merchant, date: transactionDate });
+                if (await Transaction.exists(buildDuplicateFilter(user._id, { messageHash }))) {
+                    return 'duplicate';
+                }
             }
 
             // Calculate confidence score based on parsing quality
@@ -332,7 +707,7 @@ export class MultiUserGmailPollerService {
             // Intelligent location matching
             const locationMatch = await locationMatchingService.matchTransactionLocation({
                 userId: user._id,
-                timestamp: date,
+                timestamp: transactionDate,
                 merchantName: parsed.merchant,
                 emailSender: from,
                 emailContent: messageText,
@@ -354,17 +729,23 @@ export class MultiUserGmailPollerService {
                     user: user._id,
                     parsedData: {
                         amount: parsed.amount,
+                        currency: parsed.currency,
                         type: parsed.type,
                         description: parsed.description || `Email from ${from}`,
                         category: parsed.category || 'Other',
+                        categorizedBy: parsed.categorizedBy,
+                        categoryConfidence: parsed.categoryConfidence,
                         merchant: parsed.merchant,
-                        date: parsed.date || date,
+                        date: transactionDate,
                         accountNumber: parsed.accountNumber,
+                        accountType: parsed.accountType,
                         balance: parsed.balance,
+                        reference: parsed.reference,
                         paymentMethod: parsed.paymentMethod,
                         location: finalLocation
                     },
                     metadata: {
+                        bankName: parsed.bankName,
                         locationSource: locationMatch?.source,
                         locationConfidence: locationMatch?.confidence,
                         locationTimeDiff: locationMatch?.timeDiffMinutes,
@@ -376,11 +757,14 @@ export class MultiUserGmailPollerService {
                         rawContent: messageText,
                         subject: subject,
                         from: from,
-                        parsingStrategy: parsingStrategy
+                        parsingStrategy: parsingStrategy,
+                        parsedBy: parsed.parsedBy,
+                        messageLabel: parsed.label
                     },
                     confidenceScore: confidenceScore,
                     status: 'pending'
                 });
+                await parsingRuleService.recordMatch(parsed);
 
                 // Log the created object
                 logger.info(`📝 Transaction object created`, {
@@ -410,7 +794,7 @@ export class MultiUserGmailPollerService {
                         count: allUserPending.length,
                         ids: allUserPending.map(t => t._id)
                     });
-                    return;
+                    return 'pending';
                 }
 
                 logger.info(`📬 Created pending transaction from Gmail for user ${user.email}`, {
@@ -422,7 +806,7 @@ export class MultiUserGmailPollerService {
                 });
 
                 // Send push notification if user has device tokens
-                if (user.deviceTokens && user.deviceTokens.length > 0) {
+                if (!historical && user.deviceTokens && user.deviceTokens.length > 0) {
                     for (const token of user.deviceTokens) {
                         try {
                             await notificationService.sendPendingTransactionNotification(
@@ -451,6 +835,8 @@ export class MultiUserGmailPollerService {
                         }
                     }
                 }
+
+                return 'pending';
             } catch (createError) {
                 logger.error('❌ Failed to create pending transaction', {
                     error: createError.message,
@@ -177,6 +177,128 @@ class NotificationService {
         }
     }
 
+    /**
+     * Send budget threshold alert
+     */
+    async sendBudgetAlertNotification(deviceToken, budgetData) {
+        if (!this.initialized) return { success: false };
+
+        try {
+            const exceeded = budgetData.threshold >= 100;
+            const message = {
+                notification: {
+                    title: exceeded ? '🚨 Budget Exceeded' : '⚠️ Budget Alert',
+                    body: `${budgetData.name}: ₹${budgetData.spent.toFixed(0)} of ₹${budgetData.limit.toFixed(0)} spent (${budgetData.threshold}%)`,
+                },
+                data: {
+                    type: 'budget_alert',
+                    budgetId: budgetData.budgetId.toString(),
+                    threshold: budgetData.threshold.toString(),
+                    click_action: 'BUDGETS'
+                },
+                token: deviceToken
+            };
+
+            const response = await admin.messaging().send(message);
+            return { success: true, messageId: response };
+        } catch (error) {
+            logger.error('Failed to send budget alert notification', { error: error.message });
+            return { success: false };
+        }
+    }
+
+    /**
+     * Send recurring charge alert (missed charge or amount jump)
+     */
+    async sendRecurringAlertNotification(deviceToken, seriesData) {
+        if (!this.initialized) return { success: false };
+
+        try {
+            const missed = seriesData.type === 'missed';
+            const expectedAmount = Number(seriesData.expectedAmount || 0).toFixed(0);
+            const message = {
+                notification: {
+                    title: missed ? '📅 Expected Charge Missing' : '📈 Recurring Charge Increased',
+                    body: missed
+                        ? `${seriesData.merchant}: ₹${expectedAmount} was expected on ${new Date(seriesData.expectedDate).toDateString()}`
+                        : `${seriesData.merchant}: charged ₹${Number(seriesData.amount).toFixed(0)}, usually ₹${expectedAmount}`,
+                },
+                data: {
+                    type: 'recurring_alert',
+                    alertType: seriesData.type,
+                    seriesId: seriesData.seriesId.toString(),
+                    click_action: 'RECURRING'
+                },
+                token: deviceToken
+            };
+
+            const response = await admin.messaging().send(message);
+            return { success: true, messageId: response };
+        } catch (error) {
+            logger.error('Failed to send recurring alert notification', { error: error.message });
+            return { success: false };
+        }
+    }
+
+    /**
+     * Send credit card due date reminder
+     */
+    async sendCardDueReminderNotification(deviceToken, dueData) {
+        if (!this.initialized) return { success: false };
+
+        try {
+            const when = dueData.daysLeft <= 0 ? 'today' : dueData.daysLeft === 1 ? 'tomorrow' : `in ${dueData.daysLeft} days`;
+            const message = {
+                notification: {
+                    title: '💳 Card Payment Due',
+                    body: `${dueData.accountName}: ₹${dueData.outstanding.toFixed(0)} due ${when} (minimum ₹${dueData.minimumDue.toFixed(0)})`,
+                },
+                data: {
+                    type: 'card_due_reminder',
+                    statementId: dueData.statementId.toString(),
+                    accountId: dueData.accountId.toString(),
+                    dueDate: new Date(dueData.dueDate).toISOString(),
+                    click_action: 'ACCOUNTS'
+                },
+                token: deviceToken
+            };
+
+            const response = await admin.messaging().send(message);
+            return { success: true, messageId: response };
+        } catch (error) {
+            logger.error('Failed to send card due reminder notification', { error: error.message });
+            return { success: false };
+        }
+    }
+
+    /**
+     * Ask the user to reconnect Gmail after Google rejected the stored grant
+     */
+    async sendGmailDisconnectedNotification(deviceToken, integrationData) {
+        if (!this.initialized) return { success: false };
+
+        try {
+            const message = {
+                notification: {
+                    title: '📧 Reconnect Gmail',
+                    body: `We lost access to ${integrationData.authorizedEmail || 'your Gmail'}. Reconnect it to keep importing transaction emails.`,
+                },
+                data: {
+                    type: 'gmail_disconnected',
+                    reason: integrationData.reason,
+                    click_action: 'SETTINGS'
+                },
+                token: deviceToken
+            };
+
+            const response = await admin.messaging().send(message);
+            return { success: true, messageId: response };
+        } catch (error) {
+            logger.error('Failed to send Gmail reconnect notification', { error: error.message });
+            return { success: false };
+        }
+    }
+
     /**
      * Subscribe token to topic
      */
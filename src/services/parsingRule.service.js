@@ -0,0 +1,77 @@
+import { ParsingRule } from '../models/ParsingRule.model.js';
+import { defineUserRuleParser, ruleMatchesSource, USER_RULE_PREFIX } from '../utils/bankParsers/userRule.helper.js';
+import { classifyMessage } from '../utils/message.classifier.js';
+import logger from '../utils/logger.js';
+import * as Sentry from '@sentry/node';
+
+export const MAX_TEST_SAMPLES = 20;
+
+/**
+ * Parsing Rule Service
+ * Loads users' own parsing rules for the ingestion paths and runs rules against sample messages.
+ */
+class ParsingRuleService {
+    /**
+     * Parsers for the user's active rules that apply to this sender, for parseTransaction's userRules.
+     * When the lookup fails it is logged and no user parsers are returned, so the built-in
+     * parsers still run.
+     * @param {ObjectId|string} userId
+     * @param {{sender?: string, from?: string}} source - SMS sender ID or email From address
+     */
+    async getParsersForSource(userId, source) {
+        try {
+            const rules = await ParsingRule.findForSource(userId, source);
+            return rules.map(defineUserRuleParser);
+        } catch (error) {
+            logger.error('Failed to load parsing rules', { error: error.message, userId });
+            Sentry.captureException(error);
+            return [];
+        }
+    }
+
+    /**
+     * Count a match when the message was parsed by one of the user's rules
+     * @param {Object} parsed - parseTransaction result
+     */
+    async recordMatch(parsed) {
+        if (!parsed?.parsedBy?.startsWith(`${USER_RULE_PREFIX}:`)) return;
+        try {
+            await ParsingRule.recordMatch(parsed.parsedBy.slice(USER_RULE_PREFIX.length + 1));
+        } catch (error) {
+            logger.error('Failed to record parsing rule match', { error: error.message, parsedBy: parsed.parsedBy });
+        }
+    }
+
+    /**
+     * Run a rule against sample messages
+     * @param {Object} rule - ParsingRule document (saved or not)
+     * @param {Array<string|{text: string, sender?: string, from?: string}>} samples
+     * @returns {{total: number, matched: number, results: Object[]}} Per sample: whether the rule's
+     *   senders match (null when no sender given), the classifier label and the parsed fields
+     */
+    testRule(rule, samples) {
+        const parser = defineUserRuleParser(rule);
+
+        const results = samples.map(sample => {
+            const { text = '', sender, from } = typeof sample === 'string' ? { text: sample } : sample;
+            const parsed = parser.parse(text);
+
+            return {
+                text,
+                senderMatched: sender || from ? ruleMatchesSource(rule.senders, { sender, from }) : null,
+                // A matching rule runs before the message filter, so the message is kept as a transaction
+                label: parsed ? 'transaction' : classifyMessage(text).label,
+                matched: !!parsed,
+                parsed
+            };
+        });
+
+        return {
+            total: results.length,
+            matched: results.filter(result => result.matched).length,
+            results
+        };
+    }
+}
+
+export const parsingRuleService = new ParsingRuleService();
@@ -0,0 +1,352 @@
+import { Transaction } from '../models/Transaction.model.js';
+import { RecurringSeries } from '../models/RecurringSeries.model.js';
+import { User } from '../models/User.model.js';
+import { notificationService } from './notification.service.js';
+import { jobQueue } from './jobQueue.service.js';
+import { normalizeMerchantName } from '../utils/stringSimilarity.helper.js';
+import { excludeTransfers } from '../utils/transactionFilter.helper.js';
+import logger from '../utils/logger.js';
+import * as Sentry from '@sentry/node';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const JOB_TYPE = 'recurring.detect'; // Detection and missed-charge alerts for every user
+
+// Expected gap in days and allowed drift for each cadence
+const CADENCES = [
+    { name: 'weekly', days: 7, tolerance: 2 },
+    { name: 'biweekly', days: 14, tolerance: 3 },
+    { name: 'monthly', days: 30.4, tolerance: 5 },
+    { name: 'quarterly', days: 91, tolerance: 10 },
+    { name: 'yearly', days: 365, tolerance: 20 }
+];
+
+const DETECTION = {
+    LOOKBACK_DAYS: 400,          // Enough history to see a yearly charge twice
+    MIN_OCCURRENCES: 3,
+    MIN_OCCURRENCES_YEARLY: 2,
+    MIN_REGULAR_RATIO: 0.7,      // Share of gaps that must fit the cadence
+    MAX_AMOUNT_DEVIATION: 0.25,  // Median relative distance from the median amount
+    AMOUNT_JUMP_RATIO: 0.2,      // Alert when a charge is 20%+ above the usual amount
+    MISSED_GRACE_DAYS: 3
+};
+
+// Whole-word keywords, so "coaching" is not an ACH debit and "Pineapple" is not Apple
+const KIND_KEYWORDS = [
+    { kind: 'subscription', pattern: /\b(?:netflix|spotify|prime|hotstar|youtube|apple|google|zee5|sonyliv|subscription)\b/i },
+    { kind: 'rent', pattern: /\b(?:rent|landlord|nobroker)\b/i },
+    { kind: 'investment', pattern: /\b(?:sip|mutual\s+fund|zerodha|groww|kuvera|coin|ppf|nps)\b/i },
+    { kind: 'loan', pattern: /\b(?:emi|loan|bajaj\s+finserv|home\s+credit|nach|ach)\b/i },
+    { kind: 'utility', pattern: /\b(?:electricity|bescom|tata\s+power|airtel|jio|vodafone|broadband|gas|water)\b/i }
+];
+
+const median = (values) => {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted.at(mid) : (sorted.at(mid - 1) + sorted.at(mid)) / 2;
+};
+
+/**
+ * Recurring Transaction Detection Service
+ * Finds merchants charged on a regular cadence with similar amounts,
+ * keeps RecurringSeries up to date and alerts on missed / inflated charges.
+ */
+class RecurringDetectionService {
+    constructor() {
+        this.isRunning = false;
+        this.runInterval = 24 * 60 * 60 * 1000; // Daily
+    }
+
+    /**
+     * Grouping key for a merchant: normalized name without reference numbers
+     */
+    getMerchantKey(merchant) {
+        return normalizeMerchantName(merchant)
+            .replace(/\b\d+\b/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    guessKind(text) {
+        const match = KIND_KEYWORDS.find(k => k.pattern.test(text || ''));
+        return match ? match.kind : 'other';
+    }
+
+    /**
+     * Decide whether a merchant's charges form a recurring series
+     * @param {Array} transactions - Expenses for one merchant, oldest first
+     * @returns {Object|null} Series fields, or null when not recurring
+     */
+    analyzeTransactions(transactions) {
+        if (transactions.length < DETECTION.MIN_OCCURRENCES_YEARLY) return null;
+
+        const gaps = [];
+        for (let i = 1; i < transactions.length; i++) {
+            gaps.push((transactions.at(i).timestamp - transactions.at(i - 1).timestamp) / DAY_MS);
+        }
+
+        const medianGap = median(gaps);
+        const cadence = CADENCES.find(c => Math.abs(medianGap - c.days) <= c.tolerance);
+        if (!cadence) return null;
+
+        const minOccurrences = cadence.name === 'yearly' ? DETECTION.MIN_OCCURRENCES_YEARLY : DETECTION.MIN_OCCURRENCES;
+        if (transactions.length < minOccurrences) return null;
+
+        const regularGaps = gaps.filter(g => Math.abs(g - cadence.days) <= cadence.tolerance).length;
+        const regularRatio = regularGaps / gaps.length;
+        if (regularRatio < DETECTION.MIN_REGULAR_RATIO) return null;
+
+        const amounts = transactions.map(t => t.amount);
+        const medianAmount = median(amounts);
+        const amountDeviation = medianAmount > 0
+            ? median(amounts.map(a => Math.abs(a - medianAmount) / medianAmount))
+            : 1;
+        if (amountDeviation > DETECTION.MAX_AMOUNT_DEVIATION) return null;
+
+        const last = transactions.at(-1);
+        const recentAmounts = amounts.slice(-3);
+        const nextExpectedAmount = Math.round(median(recentAmounts) * 100) / 100;
+        const nextExpectedDate = new Date(last.timestamp.getTime() + cadence.days * DAY_MS);
+
+        // More occurrences, tighter cadence and steadier amounts -> higher confidence
+        const confidence = Math.min(
+            1,
+            0.4 + Math.min(transactions.length, 12) * 0.04 + regularRatio * 0.2 - amountDeviation * 0.5
+        );
+
+        return {
+            cadence: cadence.name,
+            intervalDays: Math.round(medianGap * 10) / 10,
+            averageAmount: Math.round((amounts.reduce((sum, a) => sum + a, 0) / amounts.length) * 100) / 100,
+            lastAmount: last.amount,
+            amountDeviation: Math.round(amountDeviation * 1000) / 1000,
+            firstDate: transactions[0].timestamp,
+            lastDate: last.timestamp,
+            nextExpectedDate,
+            nextExpectedAmount,
+            occurrences: transactions.length,
+            transactions: transactions.slice(-12).map(t => t._id),
+            confidence: Math.max(0, Math.round(confidence * 100) / 100)
+        };
+    }
+
+    /**
+     * Scan a user's history and upsert recurring series
+     * @returns {Promise<Array>} Series detected in this run
+     */
+    async detectForUser(userId) {
+        const since = new Date(Date.now() - DETECTION.LOOKBACK_DAYS * DAY_MS);
+        const transactions = await Transaction.find(excludeTransfers({
+            user: userId,
+            amount: { $gt: 0 },
+            timestamp: { $gte: since },
+            merchant: { $nin: [null, '', 'Unknown'] }
+        })).select('_id amount merchant category timestamp').sort({ timestamp: 1 }).lean();
+
+        const groups = new Map();
+        for (const txn of transactions) {
+            const key = this.getMerchantKey(txn.merchant);
+            if (!key) continue;
+            if (!groups.has(key)) groups.set(key, []);
+            groups.get(key).push(txn);
+        }
+
+        const detected = [];
+        for (const [merchantKey, group] of groups) {
+            const analysis = this.analyzeTransactions(group);
+            if (!analysis) continue;
+
+            const last = group.at(-1);
+            const existing = await RecurringSeries.findOne({ user: userId, merchantKey });
+
+            // Respect a user dismissal; just keep the numbers fresh
+            const status = existing?.status === 'dismissed' ? 'dismissed' : 'active';
+
+            const series = await RecurringSeries.findOneAndUpdate(
+                { user: userId, merchantKey },
+                {
+                    $set: {
+                        ...analysis,
+                        merchantName: last.merchant,
+                        category: last.category,
+                        kind: this.guessKind(`${last.merchant} ${last.category}`),
+                        status,
+                        lastDetectedAt: new Date()
+                    }
+                },
+                { upsert: true, new: true }
+            );
+
+            detected.push(series);
+        }
+
+        logger.info('Recurring detection completed', {
+            userId,
+            transactionsScanned: transactions.length,
+            seriesDetected: detected.length
+        });
+
+        return detected;
+    }
+
+    /**
+     * Flag series whose expected charge has not arrived and alert once per expected date
+     */
+    async checkMissedCharges(userId) {
+        const now = new Date();
+        const overdue = await RecurringSeries.find({
+            user: userId,
+            status: { $in: ['active', 'missed'] },
+            nextExpectedDate: { $lt: new Date(now.getTime() - DETECTION.MISSED_GRACE_DAYS * DAY_MS) }
+        });
+
+        const alerts = [];
+        for (const series of overdue) {
+            const cadence = CADENCES.find(c => c.name === series.cadence);
+            const daysLate = (now - series.nextExpectedDate) / DAY_MS;
+
+            // Several periods without a charge -> the subscription has probably ended
+            if (cadence && daysLate > cadence.days * 2) {
+                series.status = 'ended';
+                await series.save();
+                continue;
+            }
+
+            if (series.hasAlerted('missed', series.nextExpectedDate)) continue;
+
+            series.status = 'missed';
+            series.recordAlert('missed', series.nextExpectedDate, series.nextExpectedAmount);
+            await series.save();
+            alerts.push({ type: 'missed', series });
+        }
+
+        if (alerts.length > 0) await this.sendAlerts(userId, alerts);
+        return alerts;
+    }
+
+    /**
+     * Match a newly created transaction against known series: roll the series
+     * forward and alert when the amount jumps.
+     * @returns {Promise<Object|null>} The alert sent, or null (also when the check failed,
+     *   which is logged and reported)
+     */
+    async checkTransaction(transaction) {
+        try {
+            if (!transaction || transaction.amount <= 0 || !transaction.merchant) return null;
+
+            const merchantKey = this.getMerchantKey(transaction.merchant);
+            const series = await RecurringSeries.findOne({
+                user: transaction.user,
+                merchantKey,
+                status: { $in: ['active', 'missed'] }
+            });
+            if (!series) return null;
+
+            const expectedDate = series.nextExpectedDate;
+            const expectedAmount = series.nextExpectedAmount || series.averageAmount;
+            const cadence = CADENCES.find(c => c.name === series.cadence);
+            const txnDate = new Date(transaction.timestamp || Date.now());
+
+            series.lastAmount = transaction.amount;
+            series.lastDate = txnDate;
+            series.occurrences += 1;
+            series.transactions = [...series.transactions, transaction._id].slice(-12);
+            series.nextExpectedDate = new Date(txnDate.getTime() + (cadence?.days || series.intervalDays) * DAY_MS);
+            series.status = 'active';
+
+            let alert = null;
+            if (expectedAmount > 0 && transaction.amount > expectedAmount * (1 + DETECTION.AMOUNT_JUMP_RATIO) &&
+                !series.hasAlerted('amount_jump', expectedDate)) {
+                series.recordAlert('amount_jump', expectedDate, transaction.amount);
+                alert = { type: 'amount_jump', series, previousAmount: expectedAmount, amount: transaction.amount };
+            } else {
+                series.nextExpectedAmount = transaction.amount;
+            }
+
+            await series.save();
+            if (alert) await this.sendAlerts(transaction.user, [alert]);
+
+            return alert;
+        } catch (error) {
+            logger.error('Error checking recurring series for transaction', {
+                error: error.message,
+                transactionId: transaction?._id
+            });
+            Sentry.captureException(error, { tags: { service: 'recurring_detection' } });
+            return null;
+        }
+    }
+
+    /**
+     * Deliver recurring alerts through push notifications
+     */
+    async sendAlerts(userId, alerts) {
+        const user = await User.findById(userId).select('deviceTokens');
+        const deviceToken = user?.deviceTokens?.[0]?.token;
+
+        for (const alert of alerts) {
+            logger.info('Recurring charge alert', {
+                userId,
+                type: alert.type,
+                seriesId: alert.series._id,
+                merchant: alert.series.merchantName
+            });
+
+            if (deviceToken) {
+                await notificationService.sendRecurringAlertNotification(deviceToken, {
+                    type: alert.type,
+                    seriesId: alert.series._id,
+                    merchant: alert.series.merchantName,
+                    expectedDate: alert.series.nextExpectedDate,
+                    expectedAmount: alert.previousAmount ?? alert.series.nextExpectedAmount,
+                    amount: alert.amount
+                });
+            }
+        }
+    }
+
+    /**
+     * Start the daily detection job (job queue: one instance runs it and sends the alerts)
+     */
+    start() {
+        if (this.isRunning) {
+            logger.warn('🔁 Recurring detection already running');
+            return;
+        }
+        this.isRunning = true;
+
+        jobQueue.register(JOB_TYPE, () => this.runForAllUsers(), { maxAttempts: 3 });
+        jobQueue.schedule('recurring-detection', JOB_TYPE, this.runInterval);
+        logger.info('🔁 Recurring detection job started');
+    }
+
+    stop() {
+        this.isRunning = false;
+        jobQueue.unschedule('recurring-detection');
+        logger.info('🛑 Recurring detection job stopped');
+    }
+
+    /**
+     * recurring.detect job: detect series and check missed charges for every user with recent spending
+     */
+    async runForAllUsers() {
+        const since = new Date(Date.now() - DETECTION.LOOKBACK_DAYS * DAY_MS);
+        const userIds = await Transaction.distinct('user', { timestamp: { $gte: since } });
+
+        for (const userId of userIds) {
+            try {
+                await this.detectForUser(userId);
+                await this.checkMissedCharges(userId);
+            } catch (error) {
+                logger.error('Error running recurring detection for user', {
+                    error: error.message,
+                    userId
+                });
+                Sentry.captureException(error, { tags: { service: 'recurring_detection', userId: userId.toString() } });
+            }
+        }
+    }
+}
+
+// Export singleton instance
+export const recurringDetectionService = new RecurringDetectionService();
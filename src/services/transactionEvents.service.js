@@ -0,0 +1,36 @@
+import { accountService } from './account.service.js';
+import { budgetService } from './budget.service.js';
+import { recurringDetectionService } from './recurringDetection.service.js';
+import { transferService } from './transfer.service.js';
+import { categoryRuleService } from './categoryRule.service.js';
+
+/**
+ * Transaction Events Service
+ * Single place for the follow-up work after a transaction is saved
+ * (manual entry, SMS webhook, Gmail, pending approval, statement import). Each handler logs and reports its own
+ * errors, so one failing step does not skip the rest or fail the request that saved it.
+ */
+class TransactionEventsService {
+    /**
+     * @param {Transaction} transaction - Saved transaction
+     * @param {Object} context - Parser output used for account linking
+     *   (accountNumber, accountType, balance, sender, bankName)
+     */
+    async onTransactionCreated(transaction, context = {}) {
+        await accountService.linkTransaction(transaction, context);
+
+        // User's category rules run once the account is known (rules can match on it)
+        await categoryRuleService.applyToTransaction(transaction);
+        if (transaction.kind === 'ignored' || transaction.kind === 'transfer') return;
+
+        // Money moved between own accounts is neither spend nor a subscription
+        const isTransfer = await transferService.detectForTransaction(transaction);
+        if (isTransfer) return;
+
+        await budgetService.checkTransaction(transaction);
+        await recurringDetectionService.checkTransaction(transaction);
+    }
+}
+
+// Export singleton instance
+export const transactionEventsService = new TransactionEventsService();
@@ -0,0 +1,384 @@
+import mongoose from 'mongoose';
+import { Transaction } from '../models/Transaction.model.js';
+import { MerchantPattern } from '../models/MerchantPattern.model.js';
+import { ImportBatch } from '../models/ImportBatch.model.js';
+import { ImportProfile } from '../models/ImportProfile.model.js';
+import { User } from '../models/User.model.js';
+import { parseStatement, parseStatementDate, SUPPORTED_IMPORT_FORMATS } from '../utils/statement.parser.js';
+import { classifyCategory } from '../utils/category.classifier.js';
+import { detectPaymentMethod } from '../utils/transaction.parser.js';
+import { buildTransactionHash } from '../utils/dedupe.helper.js';
+import { categoryRuleService } from './categoryRule.service.js';
+import { transactionEventsService } from './transactionEvents.service.js';
+import logger from '../utils/logger.js';
+
+const PAYMENT_METHODS = ['cash', 'card', 'upi', 'wallet', 'other'];
+const MAX_IMPORT_ROWS = 5000;
+const DUPLICATE_KEY_ERROR = 11000;
+
+// Narration tokens that are never the merchant in "UPI/DR/1234/MERCHANT/..." style strings
+const NARRATION_NOISE = new Set([
+    'upi', 'dr', 'cr', 'pos', 'atm', 'neft', 'imps', 'rtgs', 'ach', 'nach', 'ecom', 'int',
+    'mb', 'ib', 'txn', 'payment', 'pay', 'purchase', 'transfer', 'to', 'from', 'by'
+]);
+
+/**
+ * Error for problems with the uploaded file or request (mapped to 4xx)
+ */
+export class ImportError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'ImportError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Transaction Import Service
+ * Statement file -> raw rows -> normalized transactions -> dry-run preview -> commit
+ */
+class TransactionImportService {
+    /**
+     * Best-effort merchant name from a bank narration
+     * "UPI/DR/412345678901/SWIGGY/YESB/..." -> "SWIGGY"
+     * "POS 4123XXXXXXXX1234 STARBUCKS MUMBAI" -> "STARBUCKS MUMBAI"
+     */
+    extractMerchant(description) {
+        if (!description) return 'Unknown';
+
+        const segments = description.split(/[/|\-*]/).map(s => s.trim()).filter(Boolean);
+        if (segments.length > 2) {
+            const candidate = segments.find(s =>
+                /[a-z]{3,}/i.test(s) && !s.includes('@') && !NARRATION_NOISE.has(s.toLowerCase())
+            );
+            if (candidate) return candidate.substring(0, 60);
+        }
+
+        const words = description
+            .split(/\s+/)
+            .filter(w => !NARRATION_NOISE.has(w.toLowerCase()) && !/\d{4,}|x{4,}/i.test(w));
+
+        return words.join(' ').substring(0, 60) || 'Unknown';
+    }
+
+    /**
+     * Map a raw statement row onto the Transaction schema
+     * Statement amounts are credit-positive; SpendTrail stores expenses positive
+     * and income negative, so the sign is flipped here.
+     */
+    normalizeRow(row, format) {
+        const merchant = row.merchant || this.extractMerchant(row.description);
+        const text = `${row.description || ''} ${merchant}`;
+        const classified = classifyCategory(text);
+        const paymentMethod = detectPaymentMethod(text);
+        const amount = Math.round(-row.amount * 100) / 100;
+
+        return {
+            amount,
+            currency: row.currency || 'INR',
+            category: row.category || classified.category,
+            subCategory: row.category ? undefined : (classified.subCategory || undefined),
+            merchant,
+            note: row.description || undefined,
+            paymentMethod: PAYMENT_METHODS.includes(paymentMethod) ? paymentMethod : 'other',
+            source: 'imported',
+            tags: ['imported', format],
+            timestamp: row.date,
+            reference: row.reference || undefined,
+            balance: row.balance ?? undefined
+        };
+    }
+
+    /**
+     * Convert a legacy JSON array body into raw statement rows
+     * Items use Transaction field names with SpendTrail signs (expense positive)
+     */
+    jsonToRows(items) {
+        const rows = [];
+        const errors = [];
+
+        items.forEach((item, idx) => {
+            const date = item.timestamp ? parseStatementDate(item.timestamp) || new Date(item.timestamp) : null;
+            const amount = Number(item.amount);
+
+            if (!date || isNaN(date.getTime()) || !amount) {
+                errors.push({ line: idx + 1, error: 'Item needs a valid amount and timestamp' });
+                return;
+            }
+
+            rows.push({
+                line: idx + 1,
+                date,
+                amount: -amount,
+                description: item.note || '',
+                merchant: item.merchant || null,
+                category: item.category || null,
+                reference: null,
+                balance: null,
+                currency: item.currency || null
+            });
+        });
+
+        return { rows, errors };
+    }
+
+    /**
+     * Apply learned merchant corrections (canonical name, category, payment method)
+     * @param {Map} suggestionsByMerchant - From MerchantPattern.suggestCorrectionsForMerchants
+     * @returns {string[]} The fields changed
+     */
+    applyMerchantSuggestions(suggestionsByMerchant, transaction) {
+        const applied = [];
+        const result = suggestionsByMerchant.get(transaction.merchant);
+        if (!result) return applied;
+
+        const { suggestions } = result;
+        if (suggestions.merchant && suggestions.merchant !== transaction.merchant) {
+            transaction.merchant = suggestions.merchant;
+            applied.push('merchant');
+        }
+        if (suggestions.category && suggestions.category !== transaction.category) {
+            transaction.category = suggestions.category;
+            transaction.subCategory = undefined;
+            applied.push('category');
+        }
+        if (suggestions.paymentMethod && suggestions.paymentMethod !== transaction.paymentMethod) {
+            transaction.paymentMethod = suggestions.paymentMethod;
+            applied.push('paymentMethod');
+        }
+
+        return applied;
+    }
+
+    /**
+     * Parse a statement file and store a dry-run preview
+     * @param {ObjectId} userId
+     * @param {Object} params
+     * @param {String} params.format - csv | ofx | qif | json
+     * @param {String|Array} params.content - File text (or item array for json)
+     * @param {String} params.profileId - Optional ImportProfile for CSV/QIF
+     * @param {String} params.fileName - Original file name, for display
+     * @returns {Promise<ImportBatch>}
+     */
+    async createPreview(userId, { format, content, profileId, fileName }) {
+        if (!SUPPORTED_IMPORT_FORMATS.includes(format)) {
+            throw new ImportError(`Unsupported format "${format}". Use one of: ${SUPPORTED_IMPORT_FORMATS.join(', ')}`);
+        }
+
+        let profile = null;
+        if (profileId) {
+            if (!mongoose.Types.ObjectId.isValid(profileId)) throw new ImportError('Invalid profile id');
+            profile = await ImportProfile.findOne({ _id: profileId, user: userId });
+            if (!profile) throw new ImportError('Import profile not found', 404);
+        }
+
+        let parsed;
+        if (format === 'json') {
+            if (!Array.isArray(content)) throw new ImportError('JSON import expects an array of transactions');
+            parsed = this.jsonToRows(content);
+        } else {
+            if (typeof content !== 'string' || !content.trim()) throw new ImportError('Statement file is empty');
+            parsed = parseStatement(format, content, profile?.toObject());
+        }
+
+        if (parsed.rows.length + parsed.errors.length > MAX_IMPORT_ROWS) {
+            throw new ImportError(`Statement has more than ${MAX_IMPORT_ROWS} rows. Split it into smaller files.`, 413);
+        }
+
+        const rows = parsed.errors.map(e => ({ line: e.line, status: 'invalid', error: e.error }));
+        const normalized = [];
+
+        const drafts = parsed.rows.map(raw => ({ line: raw.line, transaction: this.normalizeRow(raw, format) }));
+        const [categoryRules, suggestionsByMerchant] = await Promise.all([
+            categoryRuleService.getCompiledRules(userId),
+            MerchantPattern.suggestCorrectionsForMerchants(userId, drafts.map(draft => draft.transaction.merchant))
+        ]);
+
+        for (const { line, transaction } of drafts) {
+            const suggestionsApplied = this.applyMerchantSuggestions(suggestionsByMerchant, transaction);
+            // User's category rules run after learned corrections, so they have the last word
+            categoryRuleService.applyToDraft(categoryRules, transaction).forEach(field => {
+                if (!suggestionsApplied.includes(field)) suggestionsApplied.push(field);
+            });
+            normalized.push({ line, transaction, suggestionsApplied });
+        }
+
+        // Hash once the merchant is final. Identical rows in one statement are separate spends
+        // (two coffees in one morning): each repeat takes the next occurrence number, so
+        // importing the same file again still lines up row for row.
+        const occurrences = new Map();
+        for (const { transaction } of normalized) {
+            const fields = { amount: transaction.amount, merchant: transaction.merchant, date: transaction.timestamp };
+            const key = buildTransactionHash(fields);
+            const occurrence = occurrences.get(key) || 0;
+            occurrences.set(key, occurrence + 1);
+            transaction.messageHash = buildTransactionHash(fields, occurrence);
+        }
+
+        // Dedupe against existing transactions and within the file itself: the bank reference
+        // number when the row has one, otherwise the hash
+        const hashes = normalized.map(r => r.transaction.messageHash);
+        const references = [...new Set(normalized.map(r => r.transaction.reference).filter(Boolean))];
+        const [existingByHashList, existingByReferenceList] = await Promise.all([
+            Transaction.find({ user: userId, messageHash: { $in: hashes } }).select('_id messageHash reference').lean(),
+            references.length > 0
+                ? Transaction.find({ user: userId, reference: { $in: references } }).select('_id reference amount').lean()
+                : []
+        ]);
+        // The sign is part of the reference key, as in buildReferenceFilter
+        const referenceKey = ({ reference, amount }) => `${amount < 0 ? '-' : '+'}${reference}`;
+        const existingByHash = new Map(existingByHashList.map(t => [t.messageHash, t]));
+        const existingByReference = new Map(existingByReferenceList.map(t => [referenceKey(t), t._id]));
+        const reservedHashes = new Set(hashes);
+        const seenReferences = new Set();
+
+        for (const row of normalized) {
+            const { transaction } = row;
+            const key = transaction.reference ? referenceKey(transaction) : null;
+            const sameHash = existingByHash.get(transaction.messageHash);
+
+            if (key && existingByReference.has(key)) {
+                rows.push({ ...row, status: 'duplicate', duplicateOf: existingByReference.get(key) });
+            } else if (key && seenReferences.has(key)) {
+                rows.push({ ...row, status: 'duplicate', error: 'Repeated within the file' });
+            } else if (sameHash && !(key && sameHash.reference)) {
+                // Same spend, recorded without a reference on at least one side
+                rows.push({ ...row, status: 'duplicate', duplicateOf: sameHash._id });
+            } else {
+                if (sameHash) {
+                    // Different bank references: a separate spend on the same day
+                    transaction.messageHash = await Transaction.findFreeHash(userId, {
+                        amount: transaction.amount,
+                        merchant: transaction.merchant,
+                        date: transaction.timestamp
+                    }, reservedHashes);
+                    reservedHashes.add(transaction.messageHash);
+                }
+                if (key) seenReferences.add(key);
+                rows.push({ ...row, status: 'new' });
+            }
+        }
+
+        rows.sort((a, b) => a.line - b.line);
+
+        const summary = {
+            total: rows.length,
+            new: rows.filter(r => r.status === 'new').length,
+            duplicate: rows.filter(r => r.status === 'duplicate').length,
+            invalid: rows.filter(r => r.status === 'invalid').length,
+            imported: 0
+        };
+
+        const batch = await ImportBatch.create({
+            user: userId,
+            format,
+            profile: profile?._id,
+            fileName,
+            rows,
+            summary
+        });
+
+        if (profile) {
+            profile.lastUsedAt = new Date();
+            await profile.save();
+        }
+
+        logger.info('Import preview created', { userId, batchId: batch._id, format, ...summary });
+
+        return batch;
+    }
+
+    /**
+     * Insert the new rows of a previewed batch
+     * @param {ObjectId} userId
+     * @param {String} batchId
+     * @param {Object} options
+     * @param {Array<Number>} options.skipLines - Lines the user unticked in the preview
+     * @returns {Promise<ImportBatch>}
+     */
+    async commitBatch(userId, batchId, { skipLines = [] } = {}) {
+        if (!mongoose.Types.ObjectId.isValid(batchId)) throw new ImportError('Invalid import id');
+
+        const batch = await ImportBatch.findOne({ _id: batchId, user: userId });
+        if (!batch) throw new ImportError('Import preview not found or expired', 404);
+        if (batch.status !== 'preview') throw new ImportError(`Import already ${batch.status}`, 409);
+
+        const user = await User.findById(userId).select('baseCurrency');
+        const skip = new Set(skipLines.map(Number));
+        const toInsert = batch.rows
+            .filter(r => r.status === 'new' && !skip.has(r.line))
+            .map(r => ({ ...r.transaction, user: userId, baseCurrency: user?.baseCurrency })); // balance is preview-only, dropped by the schema
+
+        // Validate (and fill in base amounts) before writing
+        const validated = await Promise.allSettled(toInsert.map(async (t) => {
+            const doc = new Transaction(t);
+            await doc.validate();
+            return doc.toObject({ depopulate: true });
+        }));
+        const docs = validated.filter(r => r.status === 'fulfilled').map(r => r.value);
+
+        // Insert only where no transaction has the hash yet: the same spend may have arrived via
+        // SMS/Gmail since the preview, or the batch may be committing twice at once
+        let result = { upsertedCount: 0, upsertedIds: {} };
+        if (docs.length > 0) {
+            try {
+                result = await Transaction.bulkWrite(docs.map(doc => ({
+                    updateOne: {
+                        filter: { user: userId, messageHash: doc.messageHash },
+                        update: { $setOnInsert: doc },
+                        upsert: true
+                    }
+                })), { ordered: false });
+            } catch (error) {
+                // Concurrent inserts of the same hash lose to the unique index: skipped duplicates
+                const writeErrors = [].concat(error.writeErrors || []);
+                if (!error.result || writeErrors.length === 0 || writeErrors.some(e => e.code !== DUPLICATE_KEY_ERROR)) throw error;
+                result = error.result;
+            }
+        }
+        const imported = result.upsertedCount;
+
+        batch.status = 'committed';
+        batch.committedAt = new Date();
+        batch.summary.imported = imported;
+        batch.expiresAt = undefined; // Keep committed batches as import history
+        await batch.save();
+
+        // Same follow-up as the other ways in (account link, category rules, transfer pairing,
+        // budget alerts, recurring detection), oldest first
+        const inserted = await Transaction.find({ _id: { $in: Object.values(result.upsertedIds || {}) } })
+            .sort({ timestamp: 1 });
+        for (const transaction of inserted) {
+            await transactionEventsService.onTransactionCreated(transaction);
+        }
+
+        logger.info('Import committed', {
+            userId,
+            batchId: batch._id,
+            imported,
+            skippedDuplicates: docs.length - imported,
+            invalid: toInsert.length - docs.length
+        });
+
+        return batch;
+    }
+
+    /**
+     * Throw away a preview without importing anything
+     */
+    async discardBatch(userId, batchId) {
+        if (!mongoose.Types.ObjectId.isValid(batchId)) throw new ImportError('Invalid import id');
+
+        const batch = await ImportBatch.findOneAndUpdate(
+            { _id: batchId, user: userId, status: 'preview' },
+            { status: 'discarded' },
+            { new: true }
+        );
+        if (!batch) throw new ImportError('Import preview not found or already processed', 404);
+
+        return batch;
+    }
+}
+
+// Export singleton instance
+export const transactionImportService = new TransactionImportService();
@@ -0,0 +1,172 @@
+import mongoose from 'mongoose';
+import { Transaction } from '../models/Transaction.model.js';
+import { NON_SPEND_KINDS } from '../utils/transactionFilter.helper.js';
+import logger from '../utils/logger.js';
+import * as Sentry from '@sentry/node';
+
+// Legs of one transfer rarely post more than a couple of days apart (NEFT, card bill payments)
+const TRANSFER_WINDOW_MS = 3 * 24 * 60 * 60 * 1000;
+const AMOUNT_TOLERANCE = 0.01;
+
+/**
+ * Error for invalid manual transfer links (mapped to 4xx)
+ */
+export class TransferError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = 'TransferError';
+        this.statusCode = statusCode;
+    }
+}
+
+/**
+ * Transfer Service
+ * Pairs the debit and credit legs of money moved between a user's own accounts
+ * (e.g. savings -> credit card bill) so they are not counted as spend and income.
+ */
+class TransferService {
+    /**
+     * Find the best counterpart leg for a transaction: opposite amount,
+     * a different own account, close in time, not already paired or dismissed.
+     */
+    async findCounterpart(transaction) {
+        if (!transaction.account || !transaction.amount) return null;
+
+        const time = new Date(transaction.timestamp || Date.now()).getTime();
+        const target = -transaction.amount;
+
+        const candidates = await Transaction.find({
+            _id: { $ne: transaction._id },
+            user: transaction.user,
+            account: { $exists: true, $nin: [null, transaction.account] },
+            currency: transaction.currency,
+            amount: { $gte: target - AMOUNT_TOLERANCE, $lte: target + AMOUNT_TOLERANCE },
+            timestamp: { $gte: new Date(time - TRANSFER_WINDOW_MS), $lte: new Date(time + TRANSFER_WINDOW_MS) },
+            kind: { $nin: NON_SPEND_KINDS },
+            'transfer.dismissed': { $ne: true },
+            splits: { $in: [null, []] }
+        }).select('_id account timestamp amount');
+
+        if (candidates.length === 0) return null;
+
+        // Closest in time wins
+        return candidates.sort((a, b) =>
+            Math.abs(a.timestamp.getTime() - time) - Math.abs(b.timestamp.getTime() - time)
+        )[0];
+    }
+
+    /**
+     * Mark two transactions as the legs of one transfer
+     */
+    async linkPair(first, second, detectedBy = 'auto') {
+        const [debit, credit] = first.amount > 0 ? [first, second] : [second, first];
+
+        await Transaction.bulkWrite([
+            {
+                updateOne: {
+                    filter: { _id: debit._id },
+                    update: { $set: { kind: 'transfer', transfer: { counterpart: credit._id, direction: 'out', detectedBy } } }
+                }
+            },
+            {
+                updateOne: {
+                    filter: { _id: credit._id },
+                    update: { $set: { kind: 'transfer', transfer: { counterpart: debit._id, direction: 'in', detectedBy } } }
+                }
+            }
+        ]);
+
+        logger.info('Transfer pair linked', {
+            debitId: debit._id,
+            creditId: credit._id,
+            detectedBy
+        });
+    }
+
+    /**
+     * Auto-detect a transfer for a newly created transaction. A failed lookup or link is
+     * logged and reported, and the transaction stays a normal one.
+     * @returns {Promise<boolean>} true when the transaction is now a transfer leg
+     */
+    async detectForTransaction(transaction) {
+        try {
+            if (NON_SPEND_KINDS.includes(transaction.kind) || transaction.transfer?.dismissed || transaction.splits?.length) return false;
+
+            const counterpart = await this.findCounterpart(transaction);
+            if (!counterpart) return false;
+
+            await this.linkPair(transaction, counterpart, 'auto');
+            transaction.kind = 'transfer';
+            return true;
+        } catch (error) {
+            logger.error('Error detecting transfer', {
+                error: error.message,
+                transactionId: transaction?._id
+            });
+            Sentry.captureException(error, { tags: { service: 'transfers' } });
+            return false;
+        }
+    }
+
+    /**
+     * Manually pair two of the user's transactions as a transfer
+     */
+    async markTransfer(userId, transactionId, counterpartId) {
+        if (!mongoose.Types.ObjectId.isValid(transactionId) || !mongoose.Types.ObjectId.isValid(counterpartId)) {
+            throw new TransferError('Invalid transaction id');
+        }
+        if (transactionId === counterpartId) {
+            throw new TransferError('A transfer needs two different transactions');
+        }
+
+        const legs = await Transaction.find({ _id: { $in: [transactionId, counterpartId] }, user: userId });
+        if (legs.length !== 2) throw new TransferError('Transaction not found', 404);
+
+        const [first, second] = legs;
+        if (Math.abs(first.amount + second.amount) > AMOUNT_TOLERANCE) {
+            throw new TransferError('Transfer legs must have the same amount with opposite signs');
+        }
+        if (legs.some(t => t.splits?.length)) {
+            throw new TransferError('Split transactions cannot be transfers');
+        }
+
+        // Re-pairing: release any previous counterparts first
+        for (const leg of legs) {
+            const previous = leg.transfer?.counterpart?.toString();
+            if (previous && previous !== transactionId && previous !== counterpartId) {
+                await this.releaseLeg(previous);
+            }
+        }
+
+        await this.linkPair(first, second, 'manual');
+        return Transaction.find({ _id: { $in: [transactionId, counterpartId] } });
+    }
+
+    async releaseLeg(transactionId, dismissed = false) {
+        await Transaction.updateOne(
+            { _id: transactionId },
+            { $set: { kind: 'standard', transfer: dismissed ? { dismissed: true } : {} } }
+        );
+    }
+
+    /**
+     * Unlink a transfer; both legs count as income/expense again and are not auto-paired again
+     */
+    async unmarkTransfer(userId, transactionId) {
+        if (!mongoose.Types.ObjectId.isValid(transactionId)) throw new TransferError('Invalid transaction id');
+
+        const transaction = await Transaction.findOne({ _id: transactionId, user: userId });
+        if (!transaction) throw new TransferError('Transaction not found', 404);
+        if (transaction.kind !== 'transfer') throw new TransferError('Transaction is not a transfer');
+
+        await this.releaseLeg(transaction._id, true);
+        if (transaction.transfer?.counterpart) {
+            await this.releaseLeg(transaction.transfer.counterpart, true);
+        }
+
+        logger.info('Transfer pair unlinked', { userId, transactionId });
+    }
+}
+
+// Export singleton instance
+export const transferService = new TransferService();
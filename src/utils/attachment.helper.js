@@ -0,0 +1,156 @@
+import { getDocumentProxy } from 'unpdf';
+import { convert } from 'html-to-text';
+
+/**
+ * Email attachment helper
+ * Finds PDF / HTML attachments in a Gmail message payload and turns them into plain text
+ * for the parsers. PDF text is rebuilt line by line from the positions of the text runs,
+ * so a statement row ("05/09/2026 SWIGGY 450.00") stays on one line.
+ */
+
+export const ATTACHMENT_LIMITS = {
+    MAX_BYTES: 10 * 1024 * 1024,
+    MAX_PER_MESSAGE: 5,
+    MAX_PDF_PAGES: 30
+};
+
+// PDF password errors (pdf.js PasswordException codes)
+const NEED_PASSWORD = 1;
+const INCORRECT_PASSWORD = 2;
+const LINE_TOLERANCE = 2; // Text runs this close vertically are on the same line
+
+/**
+ * Error reading an attachment
+ * code: 'password_required' | 'password_incorrect' | 'too_large' | 'unreadable'
+ */
+export class AttachmentError extends Error {
+    constructor(message, code) {
+        super(message);
+        this.name = 'AttachmentError';
+        this.code = code;
+    }
+}
+
+const attachmentKind = (part) => {
+    const mimeType = (part.mimeType || '').toLowerCase();
+    const filename = (part.filename || '').toLowerCase();
+    if (mimeType === 'application/pdf' || filename.endsWith('.pdf')) return 'pdf';
+    if (mimeType === 'text/html' || /\.html?$/.test(filename)) return 'html';
+    return null;
+};
+
+/**
+ * PDF and HTML attachments of a Gmail message (format: full), searched through nested parts.
+ * Inline HTML bodies (no filename) are the message text, not attachments.
+ * @returns {Array<{filename: string, kind: string, attachmentId?: string, data?: string, size: number}>}
+ */
+export const findAttachmentParts = (payload) => {
+    const found = [];
+    const walk = (part) => {
+        if (!part) return;
+        const kind = part.filename ? attachmentKind(part) : null;
+        if (kind && (part.body?.attachmentId || part.body?.data)) {
+            found.push({
+                filename: part.filename,
+                kind,
+                attachmentId: part.body.attachmentId,
+                data: part.body.data,
+                size: part.body.size || 0
+            });
+        }
+        (part.parts || []).forEach(walk);
+    };
+    walk(payload);
+    return found.slice(0, ATTACHMENT_LIMITS.MAX_PER_MESSAGE);
+};
+
+/**
+ * Gmail's base64url attachment data -> Buffer
+ */
+export const decodeAttachmentData = (data) => Buffer.from(String(data || ''), 'base64url');
+
+const pageLines = (items) => {
+    const lines = []; // { y, runs: [{ x, end, str }] }
+    items.forEach(item => {
+        if (!item.str || !item.str.trim()) return;
+        const x = item.transform[4];
+        const y = item.transform[5];
+        let line = lines.find(candidate => Math.abs(candidate.y - y) <= LINE_TOLERANCE);
+        if (!line) {
+            line = { y, runs: [] };
+            lines.push(line);
+        }
+        line.runs.push({ x, end: x + (item.width || 0), str: item.str });
+    });
+
+    // PDF y grows upwards
+    return lines
+        .sort((a, b) => b.y - a.y)
+        .map(line => line.runs
+            .sort((a, b) => a.x - b.x)
+            .reduce((text, run, i, runs) => {
+                if (i === 0) return run.str.trim();
+                // Runs that touch are pieces of one word
+                const gap = run.x - runs.at(i - 1).end;
+                return `${text}${gap > 1 ? ' ' : ''}${run.str.trim()}`;
+            }, ''));
+};
+
+/**
+ * Text of a PDF, trying each password in turn when it is protected
+ * @param {Buffer} buffer
+ * @param {string[]} [passwords]
+ * @returns {Promise<{text: string, password: string|null}>} password that opened it, if any
+ * @throws {AttachmentError} password_required / password_incorrect when no password worked
+ */
+export const extractPdfText = async (buffer, passwords = []) => {
+    if (buffer.length > ATTACHMENT_LIMITS.MAX_BYTES) {
+        throw new AttachmentError('Attachment is too large', 'too_large');
+    }
+
+    let lastPasswordError = null;
+    for (const password of [null, ...passwords]) {
+        let pdf;
+        try {
+            pdf = await getDocumentProxy(new Uint8Array(buffer), {
+                password: password || undefined,
+                verbosity: 0,
+                isEvalSupported: false
+            });
+        } catch (error) {
+            if (error?.name === 'PasswordException') {
+                lastPasswordError = error;
+                continue;
+            }
+            throw new AttachmentError(`Could not read PDF: ${error.message}`, 'unreadable');
+        }
+
+        try {
+            const lines = [];
+            const pageCount = Math.min(pdf.numPages, ATTACHMENT_LIMITS.MAX_PDF_PAGES);
+            for (let pageNumber = 1; pageNumber <= pageCount; pageNumber++) {
+                const page = await pdf.getPage(pageNumber);
+                const content = await page.getTextContent();
+                lines.push(...pageLines(content.items));
+            }
+            return { text: lines.join('\n'), password };
+        } finally {
+            await pdf.destroy();
+        }
+    }
+
+    if (lastPasswordError?.code === INCORRECT_PASSWORD || (lastPasswordError?.code === NEED_PASSWORD && passwords.length > 0)) {
+        throw new AttachmentError('None of the statement passwords opened the PDF', 'password_incorrect');
+    }
+    throw new AttachmentError('PDF is password protected', 'password_required');
+};
+
+/**
+ * Text of an HTML attachment
+ */
+export const extractHtmlText = (buffer) => {
+    if (buffer.length > ATTACHMENT_LIMITS.MAX_BYTES) {
+        throw new AttachmentError('Attachment is too large', 'too_large');
+    }
+    return convert(buffer.toString('utf-8'), { wordwrap: false, selectors: [{ selector: 'img', format: 'skip' }] });
+};
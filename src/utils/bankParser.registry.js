@@ -0,0 +1,132 @@
+import { parseTransactionMessage } from './transaction.parser.js';
+import { classifyMessage } from './message.classifier.js';
+import { normalizeRegionalMessage } from './language.helper.js';
+import { hdfcParser } from './bankParsers/hdfc.parser.js';
+import { iciciParser } from './bankParsers/icici.parser.js';
+import { sbiParser, sbiCardParser } from './bankParsers/sbi.parser.js';
+import { axisParser } from './bankParsers/axis.parser.js';
+import { kotakParser } from './bankParsers/kotak.parser.js';
+import { paytmParser, phonePeParser, googlePayParser } from './bankParsers/upiApps.parser.js';
+
+/**
+ * Registered bank parsers. When the sender is unknown, templates are tried in this
+ * order, so more specific parsers (SBI Card before SBI) come first.
+ * To add a bank, create src/utils/bankParsers/<bank>.parser.js with defineBankParser and list it here.
+ */
+export const BANK_PARSERS = [
+    hdfcParser,
+    iciciParser,
+    sbiCardParser,
+    sbiParser,
+    axisParser,
+    kotakParser,
+    paytmParser,
+    phonePeParser,
+    googlePayParser
+];
+
+export const GENERIC_PARSER_ID = 'generic';
+
+/**
+ * Strip the operator/circle prefix and type suffix from an SMS sender ID
+ * e.g. "VM-HDFCBK" -> "HDFCBK", "JD-SBIUPI-S" -> "SBIUPI"
+ */
+export const normalizeSenderId = (sender) => {
+    if (!sender) return null;
+    return String(sender).trim().toUpperCase()
+        .replace(/^[A-Z]{2}-/, '')
+        .replace(/-[A-Z]$/, '');
+};
+
+/**
+ * Find the parser registered for an SMS sender ID
+ */
+export const findParserBySender = (sender) => {
+    const senderId = normalizeSenderId(sender);
+    if (!senderId) return null;
+    return BANK_PARSERS.find(parser => parser.smsSenders.some(id => id.toUpperCase() === senderId)) || null;
+};
+
+/**
+ * Find the parser registered for an email address ("Alerts <alerts@hdfcbank.net>") or domain
+ */
+export const findParserByEmail = (from) => {
+    const value = String(from || '');
+    const address = (value.match(/<([^>]+)>/)?.[1] || value).trim().toLowerCase();
+    const bySender = BANK_PARSERS.find(parser => parser.emailSenders.includes(address));
+    if (bySender) return bySender;
+
+    const domain = value.match(/@?([a-z0-9.-]+\.[a-z]{2,})>?\s*$/i)?.[1]?.toLowerCase();
+    if (!domain) return null;
+    return BANK_PARSERS.find(parser =>
+        parser.emailDomains.some(d => domain === d || domain.endsWith(`.${d}`))
+    ) || null;
+};
+
+/**
+ * Parse a bank SMS or email.
+ * The user's own parsing rules for this sender (see parsingRuleService.getParsersForSource) run
+ * first, on the message as received: the user wrote them for exactly these messages.
+ * Otherwise Hindi and Hinglish messages are rewritten into English keywords (see language.helper.js)
+ * and classified; OTPs, offers, declined payments, balance-only alerts and bill reminders are
+ * returned as { error, filtered: true, label, reason } without parsing.
+ * Fallback order:
+ *   1. the parser registered for the SMS sender ID / email domain (templates, then keywords)
+ *   2. templates of every other bank that the text mentions (forwarded or relayed alerts)
+ *   3. the generic parser
+ * @param {string} text - Message text (for email, the body)
+ * @param {Object} [source]
+ * @param {string} [source.sender] - SMS sender ID, e.g. "VM-HDFCBK"
+ * @param {string} [source.from] - Email From address
+ * @param {string} [source.subject] - Email subject, parsed together with the body
+ * @param {Array<{parse: Function}>} [source.userRules] - Parsers built from the user's rules for this sender
+ * @returns {Object} Parsed transaction with label, language, bankName and parsedBy, or { error }
+ */
+export const parseTransaction = (text, { sender, from, subject, userRules = [] } = {}) => {
+    const fullText = subject ? `${subject} ${text || ''}` : text;
+    if (!fullText) return { error: 'Empty message' };
+
+    const regional = normalizeRegionalMessage(fullText);
+    const message = regional.text;
+    const { language } = regional;
+
+    for (const rule of userRules) {
+        const parsed = rule.parse(fullText);
+        if (parsed) return { ...parsed, label: 'transaction', language };
+    }
+
+    const { label, reason } = classifyMessage(message);
+    if (label !== 'transaction') {
+        return { error: `Not a transaction message (${label})`, filtered: true, label, reason, language };
+    }
+
+    // The merchant of a Hindi alert comes from its word order, which the English parsers don't read
+    const withMerchant = (parsed) => ({
+        ...parsed,
+        ...(regional.merchant && { merchant: regional.merchant }),
+        label,
+        language
+    });
+
+    const preferred = [findParserBySender(sender), findParserByEmail(from)].filter(Boolean);
+
+    for (const parser of preferred) {
+        const parsed = parser.parse(message, { loose: true });
+        if (parsed) return withMerchant(parsed);
+    }
+
+    for (const parser of BANK_PARSERS) {
+        if (preferred.includes(parser) || !parser.mentions?.test(message)) continue;
+        const parsed = parser.parse(message);
+        if (parsed) return withMerchant(parsed);
+    }
+
+    const parsed = parseTransactionMessage(message);
+    if (parsed.error) return parsed;
+
+    return withMerchant({
+        ...parsed,
+        bankName: preferred[0]?.name,
+        parsedBy: GENERIC_PARSER_ID
+    });
+};
@@ -0,0 +1,44 @@
+import { defineBankParser } from './template.helper.js';
+
+/**
+ * Axis Bank SMS / email alerts
+ */
+export const axisParser = defineBankParser({
+    id: 'axis',
+    name: 'Axis Bank',
+    smsSenders: ['AXISBK', 'AXISBN'],
+    emailDomains: ['axisbank.com'],
+    mentions: /\bAxis\s+Bank\b/i,
+    templates: [
+        {
+            // INR 500.00 debited A/c no. XX1234 12-03-24, 14:05:22 UPI/P2M/412345678901/SWIGGY Not you? SMS BLOCKUPI
+            name: 'upi-debit',
+            type: 'expense',
+            accountType: 'bank',
+            paymentMethod: 'upi',
+            pattern: /(?:rs|inr)\.?\s*(?<amount>[0-9][0-9,]*\.?[0-9]{0,2})\s+debited\s+A\/c\s+no\.\s*[xX*]*(?<last4>[0-9]{3,4})\s+(?<date>[0-9][0-9A-Za-z/-]{3,10}),?\s*(?<time>[0-9:]{5,8})\s+UPI\/P2[AM]\/(?<ref>[0-9]{6,22})\/(?<merchant>.+?)(?:\s+Not\s+you|$)/i
+        },
+        {
+            // Spent INR 1,200.00 Axis Bank Card no. XX1234 12-03-24 14:05:22 AMAZON Avl Lmt INR 50,000.00
+            name: 'card-spend',
+            type: 'expense',
+            accountType: 'credit_card',
+            paymentMethod: 'card',
+            pattern: /\bspent\s*(?:rs|inr)\.?\s*(?<amount>[0-9][0-9,]*\.?[0-9]{0,2})\s+Axis\s+Bank\s+Card\s+no\.\s*[xX*]*(?<last4>[0-9]{4})\s+(?<date>[0-9][0-9A-Za-z/-]{3,10}),?\s*(?<time>[0-9:]{5,8})\s+(?:IST\s)?(?<merchant>[^\n]{1,80}?)\s+Avl\s+Li?mi?t/i
+        },
+        {
+            // INR 5,000.00 credited to A/c no. XX1234 12-03-24, 14:05:22 IST. Info- NEFT/ACME CORP. Avl Bal-INR 25,000.00
+            name: 'account-credit',
+            type: 'income',
+            accountType: 'bank',
+            pattern: /(?:rs|inr)\.?\s*(?<amount>[0-9][0-9,]*\.?[0-9]{0,2})\s+credited\s+to\s+A\/c\s+no\.\s*[xX*]*(?<last4>[0-9]{3,4})\s+(?<date>[0-9][0-9A-Za-z/-]{3,10}),?\s*(?<time>[0-9:]{5,8})\s+IST\.?\s*Info[-:\s]*(?<merchant>.+?)(?:\.\s|\.?$)/i
+        }
+    ],
+    merchantPatterns: [
+        /at\s+([A-Z0-9\s\-_.&]+?)\s+on\s/i
+    ],
+    keywords: {
+        debit: ['debited', 'spent'],
+        credit: ['credited', 'received']
+    }
+});
@@ -0,0 +1,51 @@
+import { defineBankParser } from './template.helper.js';
+
+/**
+ * HDFC Bank SMS / email alerts
+ */
+export const hdfcParser = defineBankParser({
+    id: 'hdfc',
+    name: 'HDFC Bank',
+    smsSenders: ['HDFCBK', 'HDFCBN'],
+    emailDomains: ['hdfcbank.com', 'hdfcbank.net'],
+    mentions: /\bHDFC\b/i,
+    templates: [
+        {
+            // Spent Rs.2,500.00 On HDFC Bank Card 1234 At AMAZON On 2024-03-12:14:05:22
+            name: 'card-spend',
+            type: 'expense',
+            paymentMethod: 'card',
+            pattern: /\b(?:spent|txn)\s*(?:rs|inr)\.?\s*(?<amount>[0-9][0-9,]*\.?[0-9]{0,2})\s+(?:from|on)\s+HDFC\s+Bank\s+(?:credit|debit)?\s*card\s+[xX*]*(?<last4>[0-9]{4})\s+at\s+(?<merchant>.+?)\s+on\s+(?<date>[0-9][0-9A-Za-z/-]{3,10}):?(?<time>[0-9:]{0,8})/i
+        },
+        {
+            // Sent Rs.250.00 From HDFC Bank A/C *1234 To RAHUL KUMAR On 12/03/24 Ref 412345678901
+            name: 'upi-sent',
+            type: 'expense',
+            accountType: 'bank',
+            paymentMethod: 'upi',
+            pattern: /\bsent\s*(?:rs|inr)\.?\s*(?<amount>[0-9][0-9,]*\.?[0-9]{0,2})\s+from\s+HDFC\s+Bank\s+A\/c\s+[xX*]*(?<last4>[0-9]{3,4})\s+to\s+(?<merchant>.+?)\s+on\s+(?<date>[0-9][0-9A-Za-z/-]{3,10})\s+ref\s+(?<ref>[0-9]{6,22})/i
+        },
+        {
+            // Rs.500.00 debited from HDFC Bank A/c **1234 on 12-03-24 to VPA swiggy@ybl (UPI Ref No 412345678901)
+            name: 'account-debit',
+            type: 'expense',
+            accountType: 'bank',
+            pattern: /(?:rs|inr)\.?\s*(?<amount>[0-9][0-9,]*\.?[0-9]{0,2})\s+(?:has been )?debited\s+from\s+(?:HDFC Bank )?a\/c\s+[xX*]*(?<last4>[0-9]{3,4})\s+on\s+(?<date>[0-9][0-9A-Za-z/-]{3,10})\s+to\s+(?<merchant>[^(]+)/i
+        },
+        {
+            // Rs.5000.00 credited to HDFC Bank A/c XX1234 on 12-03-24 by a/c linked to VPA abc@okaxis (UPI Ref No 412345678901)
+            name: 'account-credit',
+            type: 'income',
+            accountType: 'bank',
+            pattern: /(?:rs|inr)\.?\s*(?<amount>[0-9][0-9,]*\.?[0-9]{0,2})\s+(?:is\s)?credited\s+to\s+(?:HDFC Bank )?a\/c\s+[xX*]*(?<last4>[0-9]{3,4})\s+on\s+(?<date>[0-9][0-9A-Za-z/-]{3,10})\s+by\s+(?<merchant>[^(\n]{1,80})/i
+        }
+    ],
+    merchantPatterns: [
+        /at\s+([A-Z0-9\s\-_.&]+?)\s+on\s/i,
+        /to\s+([A-Z0-9\s\-_.&]+?)\s+using/i
+    ],
+    keywords: {
+        debit: ['debited', 'spent', 'paid'],
+        credit: ['credited', 'received', 'refund']
+    }
+});
@@ -0,0 +1,45 @@
+import { defineBankParser } from './template.helper.js';
+
+/**
+ * ICICI Bank SMS / email alerts
+ */
+export const iciciParser = defineBankParser({
+    id: 'icici',
+    name: 'ICICI Bank',
+    smsSenders: ['ICICIB', 'ICICIT'],
+    emailDomains: ['icicibank.com'],
+    mentions: /\bICICI\b/i,
+    templates: [
+        {
+            // ICICI Bank Acct XX123 debited for Rs 250.00 on 12-Mar-24; SWIGGY credited. UPI:412345678901.
+            name: 'upi-debit',
+            type: 'expense',
+            accountType: 'bank',
+            paymentMethod: 'upi',
+            pattern: /ICICI\s+Bank\s+Acc(?:oun)?t\s+[xX*]*(?<last4>[0-9]{3,4})\s+debited\s+(?:for|with)\s+(?:rs|inr)\.?\s*(?<amount>[0-9][0-9,]*\.?[0-9]{0,2})\s+on\s+(?<date>[0-9][0-9A-Za-z/-]{3,10});\s*(?<merchant>.+?)\s+credited\.\s*UPI:?\s*(?<ref>[0-9]{6,22})/i
+        },
+        {
+            // INR 1,200.00 spent using ICICI Bank Card XX1234 on 12-Mar-24 on AMAZON. Avl Limit: INR 50,000.00
+            name: 'card-spend',
+            type: 'expense',
+            accountType: 'credit_card',
+            paymentMethod: 'card',
+            pattern: /(?:rs|inr)\.?\s*(?<amount>[0-9][0-9,]*\.?[0-9]{0,2})\s+spent\s+(?:using|on)\s+ICICI\s+Bank\s+Card\s+[xX*]*(?<last4>[0-9]{4})\s+on\s+(?<date>[0-9][0-9A-Za-z/-]{3,10})\s+(?:on|at)\s+(?<merchant>.+?)(?:\.\s|\.?$)/i
+        },
+        {
+            // ICICI Bank Account XX123 credited:Rs. 5,000.00 on 12-Mar-24. Info NEFT-ACME CORP. Available Balance is Rs. 20,000.00
+            name: 'account-credit',
+            type: 'income',
+            accountType: 'bank',
+            pattern: /ICICI\s+Bank\s+Acc(?:oun)?t\s+[xX*]*(?<last4>[0-9]{3,4})\s+(?:is )?credited\s*(?:with|:)\s*(?:rs|inr)\.?\s*(?<amount>[0-9][0-9,]*\.?[0-9]{0,2})\s+on\s+(?<date>[0-9][0-9A-Za-z/-]{3,10})\.\s*Info:?\s*(?<merchant>.+?)(?:\.\s|\.?$)/i
+        }
+    ],
+    merchantPatterns: [
+        /at\s+([A-Z0-9\s\-_.&]+?)\s+on\s/i,
+        /to\s+([A-Z0-9\s\-_.&]+?)\s+using/i
+    ],
+    keywords: {
+        debit: ['debited', 'withdrawn', 'paid'],
+        credit: ['credited', 'deposit', 'received']
+    }
+});
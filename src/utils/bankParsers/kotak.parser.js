@@ -0,0 +1,34 @@
+import { defineBankParser } from './template.helper.js';
+
+/**
+ * Kotak Mahindra Bank SMS / email alerts
+ */
+export const kotakParser = defineBankParser({
+    id: 'kotak',
+    name: 'Kotak Mahindra Bank',
+    smsSenders: ['KOTAKB', 'KOTAKM'],
+    emailDomains: ['kotak.com'],
+    mentions: /\bKotak\b/i,
+    templates: [
+        {
+            // Sent Rs.250.00 from Kotak Bank AC X1234 to swiggy@ybl on 12-03-24.UPI Ref 412345678901. Not you, ...
+            name: 'upi-sent',
+            type: 'expense',
+            accountType: 'bank',
+            paymentMethod: 'upi',
+            pattern: /\bsent\s*(?:rs|inr)\.?\s*(?<amount>[0-9][0-9,]*\.?[0-9]{0,2})\s+from\s+Kotak\s+Bank\s+A\/?c\s+[xX*]*(?<last4>[0-9]{3,4})\s+to\s+(?<merchant>.+?)\s+on\s+(?<date>[0-9][0-9A-Za-z/-]{3,10})\.\s*UPI\s+Ref:?\s*(?<ref>[0-9]{6,22})/i
+        },
+        {
+            // Received Rs.500.00 in your Kotak Bank AC X1234 from abc@okaxis on 12-03-24.UPI Ref:412345678901.
+            name: 'upi-received',
+            type: 'income',
+            accountType: 'bank',
+            paymentMethod: 'upi',
+            pattern: /\breceived\s*(?:rs|inr)\.?\s*(?<amount>[0-9][0-9,]*\.?[0-9]{0,2})\s+in\s+your\s+Kotak\s+Bank\s+A\/?c\s+[xX*]*(?<last4>[0-9]{3,4})\s+from\s+(?<merchant>[^\n]{1,80}?)\s+on\s+(?<date>[0-9][0-9A-Za-z/-]{3,10})\.\s*UPI\s+Ref[:\s]*(?<ref>[0-9]{6,22})/i
+        }
+    ],
+    keywords: {
+        debit: ['debited', 'sent', 'spent'],
+        credit: ['credited', 'received']
+    }
+});
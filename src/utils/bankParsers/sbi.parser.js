@@ -0,0 +1,77 @@
+import { defineBankParser } from './template.helper.js';
+
+/**
+ * State Bank of India account alerts
+ */
+export const sbiParser = defineBankParser({
+    id: 'sbi',
+    name: 'State Bank of India',
+    smsSenders: ['SBIBNK', 'SBIINB', 'SBIPSG', 'SBIUPI', 'ATMSBI', 'CBSSBI'],
+    emailDomains: ['sbi.co.in'],
+    mentions: /\bSBI\b/i,
+    templates: [
+        {
+            // Dear UPI user A/C X1234 debited by 250.0 on date 12Mar24 trf to SWIGGY Refno 412345678901. If not u? call 1800111109. -SBI
+            name: 'upi-debit',
+            type: 'expense',
+            accountType: 'bank',
+            paymentMethod: 'upi',
+            pattern: /A\/c\s*[xX*]*(?<last4>[0-9]{3,4})\s+debited\s+by\s+(?:rs\.|rs)?\s*(?<amount>[0-9][0-9,]*\.?[0-9]{0,2})\s+on\s+date\s+(?<date>[0-9][0-9A-Za-z/-]{3,10})\s+trf\s+to\s+(?<merchant>[^\n]{1,80}?)\s+Ref\s*no\s*(?<ref>[0-9]{6,22})/i
+        },
+        {
+            // Dear SBI UPI User, ur A/cX1234 credited by Rs500 on 12Mar24 by ABC (Ref no 412345678901)
+            name: 'upi-credit',
+            type: 'income',
+            accountType: 'bank',
+            paymentMethod: 'upi',
+            pattern: /A\/c\s*[xX*]*(?<last4>[0-9]{3,4})\s+credited\s+by\s+(?:rs|inr)\.?\s*(?<amount>[0-9][0-9,]*\.?[0-9]{0,2})\s+on\s+(?<date>[0-9][0-9A-Za-z/-]{3,10})\s+by\s+(?<merchant>[^(]*)\(Ref\s*no\s*(?<ref>[0-9]{6,22})\)/i
+        },
+        {
+            // Your A/C XXXXX1234 has a credit by Transfer of Rs 5,000.00 on 12/03/24 by ACME CORP. Avl Bal Rs 25,000.00-SBI
+            name: 'account-credit',
+            type: 'income',
+            accountType: 'bank',
+            pattern: /A\/c\s*[xX*]*(?<last4>[0-9]{3,4})\s+has\s+a\s+credit\s+by\s+[A-Za-z]+\s+of\s+(?:rs|inr)\.?\s*(?<amount>[0-9][0-9,]*\.?[0-9]{0,2})\s+on\s+(?<date>[0-9][0-9A-Za-z/-]{3,10})\s+by\s+(?<merchant>.+?)(?:\.\s|\.?$)/i
+        },
+        {
+            // Your A/C XXXXX1234 has a debit by transfer of Rs 2,000.00 on 12/03/24 to RENT. Avl Bal Rs 23,000.00-SBI
+            name: 'account-debit',
+            type: 'expense',
+            accountType: 'bank',
+            pattern: /A\/c\s*[xX*]*(?<last4>[0-9]{3,4})\s+has\s+a\s+debit\s+by\s+[A-Za-z]+\s+of\s+(?:rs|inr)\.?\s*(?<amount>[0-9][0-9,]*\.?[0-9]{0,2})\s+on\s+(?<date>[0-9][0-9A-Za-z/-]{3,10})\s+to\s+(?<merchant>.+?)(?:\.\s|\.?$)/i
+        }
+    ],
+    keywords: {
+        debit: ['debited', 'debit', 'withdrawn'],
+        credit: ['credited', 'credit by', 'received']
+    }
+});
+
+/**
+ * SBI Card (credit card) alerts
+ */
+export const sbiCardParser = defineBankParser({
+    id: 'sbicard',
+    name: 'SBI Card',
+    smsSenders: ['SBICRD', 'SBMCRD'],
+    emailDomains: ['sbicard.com'],
+    mentions: /\bSBI (?:Credit )?Card\b/i,
+    templates: [
+        {
+            // Rs.1,200.00 spent on your SBI Credit Card ending 1234 at AMAZON on 12/03/24. Trxn. not done by you?
+            name: 'card-spend',
+            type: 'expense',
+            accountType: 'credit_card',
+            paymentMethod: 'card',
+            pattern: /(?:rs|inr)\.?\s*(?<amount>[0-9][0-9,]*\.?[0-9]{0,2})\s+spent\s+on\s+your\s+SBI\s+Credit\s+Card\s+ending\s+(?:with )?(?<last4>[0-9]{4})\s+at\s+(?<merchant>.+?)\s+on\s+(?<date>[0-9][0-9A-Za-z/-]{3,10})/i
+        }
+    ],
+    merchantPatterns: [
+        /at\s+([A-Z0-9\s\-_.&]+?)\s+on\s/i,
+        /merchant[:\s]+([A-Z0-9\s\-_.&]+)/i
+    ],
+    keywords: {
+        debit: ['transaction', 'purchase', 'spent'],
+        credit: ['refund', 'reversal']
+    }
+});
@@ -0,0 +1,148 @@
+import { classifyCategory } from '../category.classifier.js';
+import {
+    extractAccountInfo,
+    detectPaymentMethod,
+    extractReference,
+    extractTransactionDate,
+    parseMessageTimestamp
+} from '../transaction.parser.js';
+import { normalizeCurrency, DEFAULT_CURRENCY } from '../currency.helper.js';
+
+// Shared fallbacks for keyword-mode (loosely formatted) bank emails
+const AMOUNT_REGEX = /(?:rs|inr|₹)\.?\s*([0-9][0-9,]*\.?[0-9]{0,2})/i;
+const GPS_REGEX = /(?:lat|latitude)[:\s]+(-?\d+\.\d+)[,\s]+(?:lon|lng|longitude)[:\s]+(-?\d+\.\d+)/i;
+
+export const toAmount = (value) => {
+    if (!value) return null;
+    const amount = parseFloat(String(value).replace(/,/g, ''));
+    return Number.isFinite(amount) && amount > 0 ? amount : null;
+};
+
+/**
+ * Tidy a captured merchant: VPA prefixes, trailing reference numbers and punctuation
+ */
+export const cleanMerchant = (value) => {
+    if (!value) return null;
+    const merchant = value
+        .replace(/^(?:a\/c linked to )?vpa\s+/i, '')
+        .replace(/\s+(?:by|via)\s+upi\s+[0-9]{6,22}$/i, '')
+        .replace(/\s+/g, ' ')
+        .replace(/[.,;:(]+$/, '')
+        .trim();
+    return merchant || null;
+};
+
+const extractLocation = (text) => {
+    const gps = text.match(GPS_REGEX);
+    return gps ? { type: 'Point', coordinates: [parseFloat(gps[2]), parseFloat(gps[1])] } : null;
+};
+
+/**
+ * Result in the shape returned by parseTransactionMessage, plus bank metadata
+ * @param {{name: string}} parser - Source of bankName
+ * @param {Object} fields - amount, type and optional merchant, last4, balance, ref, date, time, currency
+ */
+export const buildParsedResult = (parser, text, fields, parsedBy) => {
+    const account = extractAccountInfo(text);
+    const when = fields.date
+        ? { timestamp: parseMessageTimestamp(fields.date, fields.time), hasTime: !!fields.time }
+        : extractTransactionDate(text);
+    const merchant = cleanMerchant(fields.merchant) || 'Unknown';
+    const { category, subCategory } = classifyCategory(`${text} ${merchant}`);
+
+    return {
+        amount: fields.type === 'income' ? -fields.amount : fields.amount,
+        currency: normalizeCurrency(fields.currency) || DEFAULT_CURRENCY,
+        merchant,
+        paymentMethod: fields.paymentMethod || detectPaymentMethod(text),
+        category,
+        subCategory,
+        type: fields.type,
+        location: extractLocation(text),
+        accountNumber: fields.last4 || account.accountNumber,
+        accountType: fields.accountType || account.accountType,
+        balance: toAmount(fields.balance) ?? account.balance,
+        reference: fields.ref || extractReference(text),
+        timestamp: when.timestamp,
+        hasTime: when.hasTime,
+        bankName: parser.name,
+        parsedBy,
+        isParsed: true
+    };
+};
+
+/**
+ * Try the parser's strict templates in order
+ */
+const parseWithTemplates = (parser, text) => {
+    for (const template of parser.templates) {
+        const groups = text.match(template.pattern)?.groups;
+        const amount = toAmount(groups?.amount);
+        if (!amount) continue;
+
+        return buildParsedResult(parser, text, {
+            ...groups,
+            amount,
+            type: template.type,
+            accountType: template.accountType,
+            paymentMethod: template.paymentMethod
+        }, `${parser.id}:${template.name}`);
+    }
+    return null;
+};
+
+/**
+ * Keyword fallback for alerts from a known sender that match no template
+ */
+const parseWithKeywords = (parser, text) => {
+    const amount = toAmount(text.match(AMOUNT_REGEX)?.[1]);
+    if (!amount || !parser.keywords) return null;
+
+    let merchant = null;
+    for (const pattern of parser.merchantPatterns || []) {
+        const match = text.match(pattern);
+        if (match?.[1]) {
+            merchant = match[1];
+            break;
+        }
+    }
+
+    // The keyword that comes first decides ("debited ... refund will be credited" is a debit);
+    // card alerts often name neither ("Thank you for using your card for Rs ...") and are spends
+    const lowerText = text.toLowerCase();
+    const firstIndex = (keywords) => Math.min(...keywords.map(keyword => lowerText.indexOf(keyword)).filter(index => index >= 0));
+    const type = firstIndex(parser.keywords.credit) < firstIndex(parser.keywords.debit) ? 'income' : 'expense';
+
+    return buildParsedResult(parser, text, { amount, merchant, type }, `${parser.id}:keywords`);
+};
+
+/**
+ * Build a bank parser from its definition
+ * @param {Object} definition
+ * @param {string} definition.id - Short id reported in parsedBy, e.g. "hdfc"
+ * @param {string} definition.name - Bank name, e.g. "HDFC Bank"
+ * @param {string[]} [definition.smsSenders] - SMS sender IDs without the operator prefix, e.g. "HDFCBK"
+ * @param {string[]} [definition.emailDomains] - Alert email domains (subdomains match too)
+ * @param {string[]} [definition.emailSenders] - Exact alert addresses, for senders whose domain also sends other mail
+ * @param {RegExp} [definition.mentions] - Text that identifies the bank when the sender is unknown
+ * @param {Array<{name: string, pattern: RegExp, type: string, accountType?: string, paymentMethod?: string}>} [definition.templates]
+ *   Strict message templates; named groups amount, merchant, last4, balance, ref, date, time
+ * @param {RegExp[]} [definition.merchantPatterns] - Keyword mode merchant patterns
+ * @param {{debit: string[], credit: string[]}} [definition.keywords] - Keyword mode type detection
+ */
+export const defineBankParser = (definition) => {
+    const parser = { templates: [], smsSenders: [], emailDomains: [], emailSenders: [], ...definition };
+
+    /**
+     * @param {string} text - Message text (email subject + body)
+     * @param {Object} [options]
+     * @param {boolean} [options.loose] - Fall back to keyword parsing (sender is known to be this bank)
+     * @returns {Object|null} Parsed transaction or null when nothing matched
+     */
+    parser.parse = (text, { loose = false } = {}) => {
+        if (!text) return null;
+        return parseWithTemplates(parser, text) || (loose ? parseWithKeywords(parser, text) : null);
+    };
+
+    return parser;
+};
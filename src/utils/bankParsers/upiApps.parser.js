@@ -0,0 +1,56 @@
+import { defineBankParser } from './template.helper.js';
+
+// Paytm and PhonePe only send loosely formatted receipt emails, so these use keyword mode.
+// Google Pay mails from google.com, which also sends every other Google email, so it is matched
+// by its exact sender address and only parses with its templates.
+
+export const paytmParser = defineBankParser({
+    id: 'paytm',
+    name: 'Paytm',
+    smsSenders: ['PAYTMB', 'iPaytm'],
+    emailDomains: ['paytm.com'],
+    merchantPatterns: [
+        /to\s+([A-Z0-9\s\-_.&]+?)\s+via/i,
+        /payment\s+to\s+([A-Z0-9\s\-_.&]+)/i
+    ],
+    keywords: {
+        debit: ['sent', 'paid', 'payment to'],
+        credit: ['received', 'payment from']
+    }
+});
+
+export const phonePeParser = defineBankParser({
+    id: 'phonepe',
+    name: 'PhonePe',
+    emailDomains: ['phonepe.com'],
+    merchantPatterns: [
+        /to\s+([A-Z0-9\s\-_.&]+?)\s+via/i,
+        /at\s+([A-Z0-9\s\-_.&]+?)\s+on/i
+    ],
+    keywords: {
+        debit: ['sent', 'paid', 'payment'],
+        credit: ['received', 'got']
+    }
+});
+
+export const googlePayParser = defineBankParser({
+    id: 'gpay',
+    name: 'Google Pay',
+    emailSenders: ['googlepay-noreply@google.com'],
+    templates: [
+        {
+            // "You paid ₹340 to Fresh Mart via Google Pay"
+            name: 'paid',
+            pattern: /\byou\s+(?:paid|sent)\s+(?:rs\.|rs|inr|₹)\s*(?<amount>[0-9][0-9,]*\.?[0-9]{0,2})\s+to\s+(?<merchant>[A-Za-z0-9][A-Za-z0-9 &'._-]{0,60}?)(?:\s(?:via|using|on)\b|[,\n]|\.(?:\s|$)|$)/i,
+            type: 'expense',
+            paymentMethod: 'upi'
+        },
+        {
+            // "You received ₹1,500 from Suresh"
+            name: 'received',
+            pattern: /\byou\s+(?:have\s)?received\s+(?:rs\.|rs|inr|₹)\s*(?<amount>[0-9][0-9,]*\.?[0-9]{0,2})\s+from\s+(?<merchant>[A-Za-z0-9][A-Za-z0-9 &'._-]{0,60}?)(?:\s(?:via|using|on)\b|[,\n]|\.(?:\s|$)|$)/i,
+            type: 'income',
+            paymentMethod: 'upi'
+        }
+    ]
+});
@@ -0,0 +1,121 @@
+import RE2 from 're2';
+import { buildParsedResult, toAmount } from './template.helper.js';
+import { normalizeSenderId } from '../bankParser.registry.js';
+
+/**
+ * User-defined parsing rules
+ * A rule is a list of senders plus one regex per field, each with a named group of the same
+ * name: (?<amount>...), (?<merchant>...), (?<type>...), (?<account>...), (?<date>...) and
+ * optionally (?<time>...) in the date pattern. Only amount is required.
+ */
+
+export const RULE_FIELDS = ['amount', 'merchant', 'type', 'account', 'date'];
+export const USER_RULE_PREFIX = 'rule';
+
+// Rules run on every message from their senders; keep user regexes small and inputs bounded
+const MAX_PATTERN_LENGTH = 300;
+const MAX_TEXT_LENGTH = 2000;
+const CREDIT_REGEX = /credit|received|deposit|refund|\bcr\b/i;
+
+/**
+ * Compile a user-supplied regex. User patterns run on RE2, which matches in linear time, so a
+ * pattern like (a|a)+! cannot stall the event loop; backreferences and lookarounds are not supported.
+ */
+export const compileUserRegex = (source) => new RE2(source, 'i');
+
+/**
+ * Check a user-supplied regex: bounded length, compiles on RE2
+ * @param {string} label - Name used in the error message, e.g. "amount pattern"
+ * @returns {string|null} Error message, or null when the regex is usable
+ */
+export const checkUserRegex = (source, label = 'pattern') => {
+    if (typeof source !== 'string' || !source.trim()) return `${label} must be a non-empty string`;
+    if (source.length > MAX_PATTERN_LENGTH) return `${label} is longer than ${MAX_PATTERN_LENGTH} characters`;
+
+    try {
+        compileUserRegex(source);
+    } catch (error) {
+        return `${label} is not a supported regular expression (no backreferences or lookarounds): ${error.message}`;
+    }
+    return null;
+};
+
+/**
+ * Check one field pattern of a rule
+ * @returns {string|null} Error message, or null when the pattern is usable
+ */
+export const checkRulePattern = (field, source) => {
+    const error = checkUserRegex(source, `${field} pattern`);
+    if (error) return error;
+    if (!source.includes(`(?<${field}>`)) return `${field} pattern must contain a (?<${field}>...) named group`;
+    return null;
+};
+
+/**
+ * Whether a rule applies to a message from this SMS sender ID / email address.
+ * Rule senders are SMS sender IDs ("ABCBNK"), email addresses or email domains.
+ */
+export const ruleMatchesSource = (senders, { sender, from } = {}) => {
+    const senderId = normalizeSenderId(sender)?.toLowerCase();
+    const address = String(from || '').match(/<([^>]+)>/)?.[1]?.toLowerCase() || String(from || '').trim().toLowerCase();
+    const domain = address.split('@')[1];
+
+    return (senders || []).some(value => {
+        const entry = String(value).trim().toLowerCase();
+        if (!entry) return false;
+        if (senderId && normalizeSenderId(entry).toLowerCase() === senderId) return true;
+        if (!address) return false;
+        if (entry.includes('@')) return entry === address;
+        return domain === entry || domain?.endsWith(`.${entry}`);
+    });
+};
+
+const capture = (regexes, field, text) => {
+    const regex = regexes.get(field);
+    return regex ? text.match(regex)?.groups || null : null;
+};
+
+/**
+ * Build a parser from a saved rule (plain object or ParsingRule document)
+ * @returns {{id: string, name: string, rule: Object, parse: Function}} parse(text) returns
+ *   a parsed transaction like the bank parsers, with parsedBy "rule:<ruleId>", or null
+ */
+export const defineUserRuleParser = (rule) => {
+    const regexes = new Map();
+    RULE_FIELDS.forEach(field => {
+        const source = rule.patterns?.[field];
+        if (source && !checkRulePattern(field, source)) regexes.set(field, compileUserRegex(source));
+    });
+
+    const parser = {
+        id: `${USER_RULE_PREFIX}:${rule._id}`,
+        name: rule.bankName || rule.name,
+        rule
+    };
+
+    parser.parse = (input) => {
+        if (!input || !regexes.has('amount')) return null;
+        const text = input.slice(0, MAX_TEXT_LENGTH);
+
+        const amount = toAmount(capture(regexes, 'amount', text)?.amount);
+        if (!amount) return null;
+
+        const typeText = capture(regexes, 'type', text)?.type;
+        const type = typeText ? (CREDIT_REGEX.test(typeText) ? 'income' : 'expense') : rule.defaultType || 'expense';
+        const dateGroups = capture(regexes, 'date', text);
+        const account = capture(regexes, 'account', text)?.account?.replace(/[^0-9]/g, '').slice(-4);
+
+        return buildParsedResult(parser, text, {
+            amount,
+            type,
+            merchant: capture(regexes, 'merchant', text)?.merchant,
+            last4: account || undefined,
+            date: dateGroups?.date,
+            time: dateGroups?.time,
+            currency: rule.currency,
+            paymentMethod: rule.paymentMethod
+        }, parser.id);
+    };
+
+    return parser;
+};
@@ -0,0 +1,150 @@
+/**
+ * Naive Bayes category classifier
+ * Multinomial naive Bayes over message words, merchant words and merchant character
+ * trigrams. Pure functions: training data in, plain model object out (stored as CategoryModel).
+ */
+
+// Categories the keyword list falls back to; they say nothing about the merchant
+export const FALLBACK_CATEGORIES = ['General Expense', 'Other'];
+
+const SMOOTHING = 1; // Laplace
+const MIN_WORD_LENGTH = 3;
+const MAX_WORD_LENGTH = 20;
+const MERCHANT_GRAM_CHARS = 30;
+const MAX_TOKENS_PER_CLASS = 3000;
+const SUBCATEGORY_MIN_SHARE = 0.5;
+
+// Bank alert boilerplate shared by every category
+const STOPWORDS = new Set([
+    'the', 'and', 'for', 'from', 'your', 'you', 'has', 'have', 'been', 'with', 'via', 'this', 'that', 'not',
+    'was', 'are', 'dear', 'customer', 'account', 'acct', 'debited', 'credited', 'debit', 'credit', 'spent',
+    'sent', 'received', 'paid', 'payment', 'txn', 'transaction', 'amount', 'bank', 'card', 'ending', 'upi',
+    'ref', 'refno', 'avl', 'bal', 'balance', 'available', 'info', 'call', 'sms', 'block', 'report', 'inr',
+    'please', 'team', 'regards', 'alert', 'www', 'com', 'http', 'https', 'date', 'time', 'towards', 'using',
+    'net', 'banking', 'imps', 'neft'
+]);
+
+// Token counts of stored classes as Maps, built once per loaded model
+const countsCache = new WeakMap();
+const tokenCounts = (entry) => {
+    if (entry.tokens instanceof Map) return entry.tokens;
+    if (!countsCache.has(entry)) countsCache.set(entry, new Map(Object.entries(entry.tokens || {})));
+    return countsCache.get(entry);
+};
+
+const words = (text) => String(text || '')
+    .toLowerCase()
+    .replace(/[^a-z\u0900-\u097F]+/g, ' ')
+    .split(' ')
+    .filter(word => word.length >= MIN_WORD_LENGTH && word.length <= MAX_WORD_LENGTH && !STOPWORDS.has(word));
+
+/**
+ * Features of a transaction. Keys only use letters and underscores, so they are safe as
+ * MongoDB map keys.
+ * @param {Object} input
+ * @param {string} [input.text] - Message text (SMS / email body) or note
+ * @param {string} [input.merchant]
+ * @param {number} [input.amount] - Only the sign is used (expense positive, income negative)
+ * @param {boolean} [input.merchantOnly] - Skip message words (global model)
+ * @returns {string[]} Tokens, with repeats
+ */
+export const tokenizeTransaction = ({ text, merchant, amount, merchantOnly = false }) => {
+    const tokens = [];
+    if (amount) tokens.push(amount < 0 ? 'd_in' : 'd_out');
+    if (!merchantOnly) words(text).forEach(word => tokens.push(`w_${word}`));
+
+    const merchantWords = words(merchant);
+    merchantWords.forEach(word => tokens.push(`m_${word}`));
+
+    const letters = merchantWords.join('').slice(0, MERCHANT_GRAM_CHARS);
+    for (let i = 0; i + 3 <= letters.length; i++) {
+        tokens.push(`g_${letters.slice(i, i + 3)}`);
+    }
+    return tokens;
+};
+
+/**
+ * Train a model
+ * @param {Array<{tokens: string[], category: string, subCategory?: string, weight?: number}>} examples
+ * @param {Object} [options]
+ * @param {number} [options.minTokenCount] - Drop rarer tokens (noise, one-off names)
+ * @returns {{classes: Array, totalDocs: number, vocabularySize: number}}
+ */
+export const trainCategoryModel = (examples, { minTokenCount = 1 } = {}) => {
+    const classes = new Map();
+    let totalDocs = 0;
+
+    for (const { tokens, category, subCategory, weight = 1 } of examples) {
+        if (!category || tokens.length === 0) continue;
+
+        if (!classes.has(category)) {
+            classes.set(category, { category, docCount: 0, tokens: new Map(), subCategories: new Map() });
+        }
+        const entry = classes.get(category);
+        entry.docCount += weight;
+        totalDocs += weight;
+        if (subCategory) entry.subCategories.set(subCategory, (entry.subCategories.get(subCategory) || 0) + weight);
+        tokens.forEach(token => entry.tokens.set(token, (entry.tokens.get(token) || 0) + weight));
+    }
+
+    const vocabulary = new Set();
+    const trained = [...classes.values()].map(entry => {
+        const kept = [...entry.tokens]
+            .filter(([, count]) => count >= minTokenCount)
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, MAX_TOKENS_PER_CLASS);
+        kept.forEach(([token]) => vocabulary.add(token));
+
+        const [topSub, topSubCount] = [...entry.subCategories].sort((a, b) => b[1] - a[1])[0] || [];
+
+        return {
+            category: entry.category,
+            subCategory: topSub && topSubCount / entry.docCount >= SUBCATEGORY_MIN_SHARE ? topSub : null,
+            docCount: entry.docCount,
+            tokenTotal: kept.reduce((sum, [, count]) => sum + count, 0),
+            tokens: Object.fromEntries(kept)
+        };
+    });
+
+    return { classes: trained, totalDocs, vocabularySize: vocabulary.size };
+};
+
+/**
+ * Most likely category for a transaction
+ * @param {Object} model - Output of trainCategoryModel (or a stored CategoryModel)
+ * @param {string[]} tokens - From tokenizeTransaction
+ * @returns {{category: string, subCategory: string|null, confidence: number}|null}
+ *   null when the model knows none of the words; confidence is the posterior probability
+ */
+export const predictCategory = (model, tokens) => {
+    if (!model?.classes?.length || model.classes.length < 2) return null;
+
+    const classes = model.classes.map(entry => ({ ...entry, counts: tokenCounts(entry) }));
+
+    const known = tokens.filter(token => classes.some(entry => entry.counts.has(token)));
+    // The direction alone is not evidence
+    if (!known.some(token => !token.startsWith('d_'))) return null;
+
+    const vocabularySize = Math.max(model.vocabularySize, 1);
+    const scores = classes.map(entry => {
+        let score = Math.log((entry.docCount + SMOOTHING) / (model.totalDocs + SMOOTHING * classes.length));
+        const denominator = entry.tokenTotal + SMOOTHING * vocabularySize;
+        known.forEach(token => {
+            score += Math.log(((entry.counts.get(token) || 0) + SMOOTHING) / denominator);
+        });
+        return score;
+    });
+
+    // Posterior via softmax over log scores
+    const best = Math.max(...scores);
+    const weights = scores.map(score => Math.exp(score - best));
+    const total = weights.reduce((sum, w) => sum + w, 0);
+    const index = scores.indexOf(best);
+    const winner = classes.at(index);
+
+    return {
+        category: winner.category,
+        subCategory: winner.subCategory || null,
+        confidence: Math.round((weights.at(index) / total) * 1000) / 1000
+    };
+};
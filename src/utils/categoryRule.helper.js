@@ -0,0 +1,200 @@
+import moment from 'moment-timezone';
+import { checkUserRegex, compileUserRegex } from './bankParsers/userRule.helper.js';
+
+/**
+ * Category rule engine
+ * Per-user rules: conditions on a transaction (all must hold) and actions that set
+ * category, subcategory, tags, merchant name, note, or mark it as a transfer / ignored.
+ * Rules run in priority order on the transaction as changed by earlier rules; a later
+ * rule overrides a field an earlier one set, tags accumulate, stopProcessing ends the run.
+ */
+
+const TIMEZONE = 'Asia/Kolkata';
+const EARTH_RADIUS_M = 6371000;
+const DEFAULT_RADIUS_M = 200;
+const TIME_OF_DAY_REGEX = /^([01][0-9]|2[0-3]):([0-5][0-9])$/;
+
+export const MERCHANT_OPERATORS = ['contains', 'equals', 'startsWith', 'regex'];
+export const RULE_MARKS = ['transfer', 'ignored'];
+
+const toMinutes = (hhmm) => {
+    const match = String(hhmm || '').match(TIME_OF_DAY_REGEX);
+    return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+};
+
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+const distanceMeters = (lat1, lng1, lat2, lng2) => {
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(a));
+};
+
+const hasValue = (value) => value !== undefined && value !== null && value !== '';
+
+/**
+ * Check a rule's conditions
+ * @returns {string|null} Error message, or null when the conditions are usable
+ */
+export const checkRuleConditions = (conditions = {}) => {
+    const { merchant, amount, timeOfDay, location } = conditions;
+
+    if (merchant?.operator === 'regex') {
+        const error = checkUserRegex(merchant.value, 'merchant regex');
+        if (error) return error;
+    }
+    if (hasValue(amount?.min) && hasValue(amount?.max) && amount.min > amount.max) {
+        return 'amount.min must not be greater than amount.max';
+    }
+    if ((timeOfDay?.from || timeOfDay?.to) && (toMinutes(timeOfDay.from) === null || toMinutes(timeOfDay.to) === null)) {
+        return 'timeOfDay.from and timeOfDay.to must be HH:mm (24-hour)';
+    }
+    const hasLocation = location?.city || hasValue(location?.lat) || hasValue(location?.lng);
+    if (hasLocation && !location.city && !(Number.isFinite(location.lat) && Number.isFinite(location.lng))) {
+        return 'location needs a city or lat and lng';
+    }
+    return null;
+};
+
+const merchantMatcher = ({ operator = 'contains', value }) => {
+    if (!hasValue(value)) return () => true;
+    if (operator === 'regex') {
+        // A rule saved with a pattern RE2 rejects (lookaround, backreference) matches nothing
+        if (checkUserRegex(value)) return () => false;
+        const regex = compileUserRegex(value);
+        return merchant => regex.test(merchant);
+    }
+
+    const expected = String(value).trim().toLowerCase();
+    if (operator === 'equals') return merchant => merchant.trim().toLowerCase() === expected;
+    if (operator === 'startsWith') return merchant => merchant.trim().toLowerCase().startsWith(expected);
+    return merchant => merchant.toLowerCase().includes(expected);
+};
+
+/**
+ * Build the condition check of a rule
+ * @param {Object} rule - CategoryRule document or plain object
+ * @returns {Function} (transaction) => boolean; a rule without conditions matches nothing
+ */
+export const compileRuleConditions = (rule) => {
+    const conditions = rule.conditions || {};
+    const checks = [];
+
+    if (hasValue(conditions.merchant?.value)) {
+        const matches = merchantMatcher(conditions.merchant);
+        checks.push(txn => !!txn.merchant && matches(txn.merchant));
+    }
+
+    const { min, max } = conditions.amount || {};
+    if (hasValue(min)) checks.push(txn => Math.abs(txn.amount) >= min);
+    if (hasValue(max)) checks.push(txn => Math.abs(txn.amount) <= max);
+
+    if (conditions.direction === 'expense') checks.push(txn => txn.amount > 0);
+    if (conditions.direction === 'income') checks.push(txn => txn.amount < 0);
+
+    if (conditions.paymentMethods?.length) {
+        checks.push(txn => conditions.paymentMethods.includes(txn.paymentMethod));
+    }
+    if (conditions.sources?.length) {
+        checks.push(txn => conditions.sources.includes(txn.source || 'manual'));
+    }
+    if (conditions.accounts?.length) {
+        const accounts = new Set(conditions.accounts.map(String));
+        checks.push(txn => !!txn.account && accounts.has(String(txn.account)));
+    }
+
+    if (conditions.timeOfDay?.from && conditions.timeOfDay?.to) {
+        const from = toMinutes(conditions.timeOfDay.from);
+        const to = toMinutes(conditions.timeOfDay.to);
+        checks.push(txn => {
+            const time = moment(txn.timestamp).tz(TIMEZONE);
+            const minutes = time.hours() * 60 + time.minutes();
+            // A window like 22:00-02:00 wraps past midnight
+            return from <= to ? minutes >= from && minutes <= to : minutes >= from || minutes <= to;
+        });
+    }
+
+    const location = conditions.location;
+    if (location?.city) {
+        const city = location.city.trim().toLowerCase();
+        checks.push(txn => txn.location?.city?.trim().toLowerCase() === city);
+    } else if (location && Number.isFinite(location.lat) && Number.isFinite(location.lng)) {
+        const radius = location.radiusMeters || DEFAULT_RADIUS_M;
+        checks.push(txn => Number.isFinite(txn.location?.lat) && Number.isFinite(txn.location?.lng) &&
+            distanceMeters(location.lat, location.lng, txn.location.lat, txn.location.lng) <= radius);
+    }
+
+    if (checks.length === 0) return () => false;
+    return (txn) => checks.every(check => check(txn));
+};
+
+/**
+ * Compile rules once for a batch of transactions
+ * @param {Object[]} rules - Active rules, sorted by priority
+ */
+export const compileCategoryRules = (rules) => rules.map(rule => ({ rule, matches: compileRuleConditions(rule) }));
+
+/**
+ * Run compiled rules against a transaction without modifying it
+ * @param {Array<{rule: Object, matches: Function}>} compiledRules - From compileCategoryRules
+ * @param {Object} document - Transaction document or plain object
+ * @returns {{changes: Object, appliedRules: Array}} Fields that differ from the transaction
+ *   (including transfer and appliedRules when set) and the ids of the rules that matched
+ */
+export const applyCategoryRules = (compiledRules, document) => {
+    const transaction = typeof document.toObject === 'function' ? document.toObject() : document;
+    const state = {
+        category: transaction.category,
+        subCategory: transaction.subCategory,
+        merchant: transaction.merchant,
+        note: transaction.note,
+        tags: [...(transaction.tags || [])],
+        kind: transaction.kind || 'standard'
+    };
+    const appliedRules = [];
+
+    for (const { rule, matches } of compiledRules) {
+        if (!matches({ ...transaction, ...state })) continue;
+
+        const { actions = {} } = rule;
+        if (actions.category) {
+            state.category = actions.category;
+            state.subCategory = actions.subCategory || null;
+        } else if (actions.subCategory) {
+            state.subCategory = actions.subCategory;
+        }
+        if (actions.merchant) state.merchant = actions.merchant;
+        if (actions.note) state.note = actions.note;
+        (actions.addTags || []).forEach(tag => {
+            if (!state.tags.includes(tag)) state.tags.push(tag);
+        });
+        // Paired transfers are managed by the transfer endpoints
+        if (actions.markAs && state.kind !== 'transfer') state.kind = actions.markAs;
+
+        appliedRules.push(rule._id);
+        if (rule.stopProcessing) break;
+    }
+
+    const changes = {};
+    if (state.category !== transaction.category) changes.category = state.category;
+    if ((state.subCategory || null) !== (transaction.subCategory || null)) changes.subCategory = state.subCategory;
+    if (state.merchant !== transaction.merchant) changes.merchant = state.merchant;
+    if (state.note !== transaction.note) changes.note = state.note;
+    if (state.tags.length !== (transaction.tags || []).length) changes.tags = state.tags;
+    if (state.kind !== (transaction.kind || 'standard')) {
+        changes.kind = state.kind;
+        if (state.kind === 'transfer') changes.transfer = { detectedBy: 'rule' };
+    }
+
+    if (Object.keys(changes).length > 0) {
+        const previous = (transaction.appliedRules || []).map(String);
+        changes.appliedRules = [
+            ...(transaction.appliedRules || []),
+            ...appliedRules.filter(id => !previous.includes(String(id)))
+        ];
+    }
+
+    return { changes, appliedRules };
+};
@@ -0,0 +1,112 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import logger from './logger.js';
+
+/**
+ * Currency Helper
+ * Currency detection for parsers and an offline exchange-rate table used to
+ * store a base-currency amount on every transaction.
+ *
+ * Rate file format (EXCHANGE_RATES_FILE, defaults to src/config/exchangeRates.json):
+ *   { "base": "INR", "snapshots": [{ "date": "YYYY-MM-DD", "rates": { "USD": 86.4, ... } }] }
+ * Each rate is the value of one unit of that currency in `base`. A transaction
+ * uses the latest snapshot dated on or before it (or the earliest snapshot).
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_RATES_FILE = path.join(__dirname, '../config/exchangeRates.json');
+
+export const DEFAULT_CURRENCY = 'INR';
+
+// Symbols and codes seen in bank alerts, mapped to ISO 4217 codes
+export const CURRENCY_ALIASES = new Map(Object.entries({
+    '₹': 'INR', 'RS': 'INR', 'RS.': 'INR', 'INR': 'INR',
+    '$': 'USD', 'US$': 'USD', 'USD': 'USD',
+    '€': 'EUR', 'EUR': 'EUR',
+    '£': 'GBP', 'GBP': 'GBP',
+    'AED': 'AED', 'DHS': 'AED',
+    'SGD': 'SGD', 'S$': 'SGD',
+    '¥': 'JPY', 'JPY': 'JPY',
+    'AUD': 'AUD', 'A$': 'AUD',
+    'CAD': 'CAD', 'C$': 'CAD',
+    'CHF': 'CHF', 'THB': 'THB', 'MYR': 'MYR', 'LKR': 'LKR', 'NPR': 'NPR', 'SAR': 'SAR', 'QAR': 'QAR'
+}));
+
+let rateTable = null;
+
+/**
+ * Map a symbol or code ("$", "usd", "Rs.") to an ISO code, or null
+ */
+export const normalizeCurrency = (value) => {
+    if (!value) return null;
+    return CURRENCY_ALIASES.get(String(value).trim().toUpperCase()) || null;
+};
+
+/**
+ * Load (or reload) the exchange-rate table from disk
+ * @param {string} filePath - Defaults to EXCHANGE_RATES_FILE or the bundled file
+ */
+export const loadExchangeRates = (filePath = process.env.EXCHANGE_RATES_FILE || DEFAULT_RATES_FILE) => {
+    try {
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        const snapshots = (data.snapshots || [])
+            .map(s => ({ date: new Date(s.date), rates: new Map(Object.entries(s.rates || {})) }))
+            .filter(s => !isNaN(s.date.getTime()))
+            .sort((a, b) => a.date - b.date);
+
+        rateTable = { base: data.base || DEFAULT_CURRENCY, snapshots };
+        logger.info('Exchange rates loaded', { filePath, base: rateTable.base, snapshots: snapshots.length });
+    } catch (error) {
+        logger.error('Failed to load exchange rates', { filePath, error: error.message });
+        rateTable = { base: DEFAULT_CURRENCY, snapshots: [] };
+    }
+    return rateTable;
+};
+
+const getRateTable = () => rateTable || loadExchangeRates();
+
+/**
+ * Rates snapshot in effect on a date
+ */
+const getSnapshot = (date) => {
+    const { snapshots } = getRateTable();
+    if (snapshots.length === 0) return null;
+
+    const time = new Date(date || Date.now()).getTime();
+    let snapshot = snapshots[0];
+    for (const s of snapshots) {
+        if (s.date.getTime() <= time) snapshot = s;
+    }
+    return snapshot;
+};
+
+/**
+ * Units of `to` per one unit of `from` on a date
+ * @returns {number|null} null when either currency is missing from the table
+ */
+export const getExchangeRate = (from, to, date) => {
+    const fromCode = normalizeCurrency(from) || from;
+    const toCode = normalizeCurrency(to) || to;
+    if (fromCode === toCode) return 1;
+
+    const snapshot = getSnapshot(date);
+    if (!snapshot) return null;
+
+    const { base } = getRateTable();
+    const fromRate = fromCode === base ? 1 : snapshot.rates.get(fromCode);
+    const toRate = toCode === base ? 1 : snapshot.rates.get(toCode);
+    if (!fromRate || !toRate) return null;
+
+    return fromRate / toRate;
+};
+
+/**
+ * Convert an amount between currencies using the table
+ * @returns {{ amount: number, rate: number }|null}
+ */
+export const convertAmount = (amount, from, to, date) => {
+    const rate = getExchangeRate(from, to, date);
+    if (rate === null) return null;
+    return { amount: Math.round(amount * rate * 100) / 100, rate };
+};
@@ -0,0 +1,34 @@
+import crypto from 'crypto';
+
+/**
+ * Build the deduplication hash stored in Transaction.messageHash
+ * Composite of amount + merchant + calendar day, so the same spend arriving
+ * through SMS, email or a statement import collapses to one key.
+ * @param {number} [occurrence] - Counts separate spends sharing amount, merchant and day
+ *   (two coffees in one morning); 0 keeps the plain key
+ */
+export const buildTransactionHash = ({ amount, merchant, date }, occurrence = 0) => {
+    const dateStr = new Date(date || Date.now()).toISOString().slice(0, 10); // YYYY-MM-DD
+    const dedupeKey = occurrence > 0 ? `${amount}_${merchant}_${dateStr}_${occurrence}` : `${amount}_${merchant}_${dateStr}`;
+    return crypto.createHash('sha256').update(dedupeKey).digest('hex');
+};
+
+/**
+ * Filter for an entry carrying the same bank reference number. The sign is part of the key:
+ * both legs of a transfer between own accounts share one UPI / IMPS reference.
+ * @param {string} [prefix] - Path of the parsed fields in nested documents, e.g. 'parsedData.'
+ */
+export const buildReferenceFilter = (reference, amount, prefix = '') => ({
+    [`${prefix}reference`]: reference,
+    [`${prefix}amount`]: amount < 0 ? { $lt: 0 } : { $gt: 0 }
+});
+
+/**
+ * Transaction duplicate lookup: the bank reference number when the alert had one,
+ * otherwise the amount + merchant + day hash
+ */
+export const buildDuplicateFilter = (userId, { reference, amount, messageHash }) => (
+    reference
+        ? { user: userId, ...buildReferenceFilter(reference, amount) }
+        : { user: userId, messageHash }
+);
@@ -110,3 +110,38 @@ export const getOtpEmailTemplate = (otp) => {
     </html>
     `;
 };
+
+export const getGmailReconnectEmailTemplate = (authorizedEmail) => {
+    return `
+    <!DOCTYPE html>
+    <html>
+    <head>
+        <meta charset="utf-8">
+        <meta name="viewport" content="width=device-width, initial-scale=1.0">
+        <title>Reconnect Gmail</title>
+    </head>
+    <body style="font-family: 'Helvetica Neue', Helvetica, Arial, sans-serif; background-color: #f6f9fc; margin: 0; padding: 0;">
+        <div style="max-width: 600px; margin: 40px auto; background: #ffffff; border-radius: 8px; overflow: hidden;">
+            <div style="background-color: #4F46E5; padding: 30px; text-align: center;">
+                <h1 style="color: #ffffff; margin: 0; font-size: 24px; font-weight: 600; letter-spacing: 1px;">SpendTrail</h1>
+            </div>
+            <div style="padding: 40px 30px; text-align: center;">
+                <h2 style="color: #1a1a1a; margin-top: 0; font-size: 20px; font-weight: 600;">Reconnect Your Gmail</h2>
+                <p style="color: #525f7f; font-size: 16px; line-height: 24px;">
+                    Google no longer accepts SpendTrail's access to <strong>${authorizedEmail || 'your Gmail account'}</strong>,
+                    usually because access was revoked or the password was changed.
+                </p>
+                <p style="color: #525f7f; font-size: 16px; line-height: 24px;">
+                    We've paused importing transaction emails. Open SpendTrail and go to
+                    <strong>Settings &rarr; Gmail</strong> to reconnect.
+                </p>
+                <p style="font-size: 14px; color: #8898aa;">If you disconnected Gmail on purpose, you can ignore this email.</p>
+            </div>
+            <div style="background-color: #f9fafb; padding: 20px; text-align: center; border-top: 1px solid #e5e7eb;">
+                <p style="color: #9ca3af; font-size: 12px; margin: 0;">&copy; ${new Date().getFullYear()} SpendTrail. All rights reserved.</p>
+            </div>
+        </div>
+    </body>
+    </html>
+    `;
+};
@@ -0,0 +1,192 @@
+/**
+ * Transaction Export Formatters
+ * Serialize transactions (plus provenance) as CSV, OFX or lossless JSON.
+ * Each format exposes header / row / footer pieces so exports can be streamed.
+ *
+ * Amount conventions: SpendTrail stores expenses positive and income negative.
+ * CSV and JSON keep that sign; OFX uses the statement convention
+ * (debits negative) so files re-import cleanly into other tools and SpendTrail.
+ * An OFX file has one currency, the user's base currency: converted rows carry the original
+ * currency and rate in ORIGCURRENCY.
+ */
+
+import { convertAmount, DEFAULT_CURRENCY } from './currency.helper.js';
+
+export const EXPORT_FORMATS = {
+    csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+    ofx: { contentType: 'application/x-ofx', extension: 'ofx' },
+    json: { contentType: 'application/json; charset=utf-8', extension: 'json' }
+};
+
+export const CSV_COLUMNS = [
+    'id', 'date', 'type', 'kind', 'amount', 'currency', 'baseAmount', 'baseCurrency', 'exchangeRate', 'category', 'subCategory', 'merchant', 'note',
+    'paymentMethod', 'source', 'account', 'reference', 'tags', 'splits',
+    'locationType', 'lat', 'lng', 'address', 'city', 'country', 'placeName', 'locationConfidence', 'locationSource',
+    'provenance', 'pendingTransactionId', 'userCorrected', 'parsingStrategy', 'createdAt', 'updatedAt'
+];
+
+/**
+ * Quote a CSV cell, neutralising spreadsheet formula injection in text values
+ */
+const csvCell = (value) => {
+    if (value === undefined || value === null) return '';
+    let str = value instanceof Date ? value.toISOString() : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(str)) {
+        str = `'${str}`;
+    }
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+const isoOrNull = (date) => (date ? new Date(date).toISOString() : null);
+
+// Split lines as a JSON array in one cell; empty for an unsplit transaction
+const splitsCell = (splits) => (splits?.length
+    ? JSON.stringify(splits.map(({ amount, category, subCategory, note, tags }) => ({ amount, category, subCategory, note, tags })))
+    : null);
+
+export const csvHeader = () => `${CSV_COLUMNS.join(',')}\r\n`;
+
+export const csvRow = (txn) => {
+    const location = txn.location || {};
+    const provenance = txn.provenance || {};
+    const values = [
+        txn._id,
+        isoOrNull(txn.timestamp),
+        txn.amount < 0 ? 'income' : 'expense',
+        txn.kind || 'standard',
+        txn.amount,
+        txn.currency,
+        txn.baseAmount,
+        txn.baseCurrency,
+        txn.exchangeRate,
+        txn.category,
+        txn.subCategory,
+        txn.merchant,
+        txn.note,
+        txn.paymentMethod,
+        txn.source,
+        txn.account,
+        txn.reference,
+        (txn.tags || []).join(';'),
+        splitsCell(txn.splits),
+        location.type,
+        location.lat,
+        location.lng,
+        location.address,
+        location.city,
+        location.country,
+        location.placeName,
+        location.confidence,
+        location.source,
+        provenance.origin,
+        provenance.pendingTransactionId,
+        provenance.userCorrected,
+        provenance.parsingStrategy,
+        isoOrNull(txn.createdAt),
+        isoOrNull(txn.updatedAt)
+    ];
+    return `${values.map(csvCell).join(',')}\r\n`;
+};
+
+export const csvFooter = () => '';
+
+/**
+ * Escape text for OFX SGML values
+ */
+const ofxText = (value, maxLength) => String(value || '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/[\r\n]+/g, ' ')
+    .substring(0, maxLength);
+
+const ofxDate = (date) => {
+    const d = new Date(date);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${d.getUTCFullYear()}${pad(d.getUTCMonth() + 1)}${pad(d.getUTCDate())}` +
+        `${pad(d.getUTCHours())}${pad(d.getUTCMinutes())}${pad(d.getUTCSeconds())}[0:GMT]`;
+};
+
+export const ofxHeader = ({ currency = DEFAULT_CURRENCY, start, end, generatedAt = new Date() } = {}) => [
+    'OFXHEADER:100',
+    'DATA:OFXSGML',
+    'VERSION:102',
+    'SECURITY:NONE',
+    'ENCODING:USASCII',
+    'CHARSET:1252',
+    'COMPRESSION:NONE',
+    'OLDFILEUID:NONE',
+    'NEWFILEUID:NONE',
+    '',
+    '<OFX>',
+    '<SIGNONMSGSRSV1><SONRS>',
+    '<STATUS><CODE>0<SEVERITY>INFO</STATUS>',
+    `<DTSERVER>${ofxDate(generatedAt)}`,
+    '<LANGUAGE>ENG',
+    '</SONRS></SIGNONMSGSRSV1>',
+    '<BANKMSGSRSV1><STMTTRNRS>',
+    '<TRNUID>0',
+    '<STATUS><CODE>0<SEVERITY>INFO</STATUS>',
+    '<STMTRS>',
+    `<CURDEF>${currency}`,
+    '<BANKACCTFROM><BANKID>SPENDTRAIL<ACCTID>SPENDTRAIL<ACCTTYPE>CHECKING</BANKACCTFROM>',
+    '<BANKTRANLIST>',
+    `<DTSTART>${ofxDate(start || generatedAt)}`,
+    `<DTEND>${ofxDate(end || generatedAt)}`,
+    ''
+].join('\r\n');
+
+/**
+ * Amount of a transaction in the file's currency. Uses the stored base amount when it is in
+ * that currency, otherwise converts at the transaction's date (e.g. while a base currency
+ * change is still being applied). rate is null when no rate is known; the amount then stays
+ * in the transaction's own currency.
+ */
+const ofxAmount = (txn, currency) => {
+    const original = txn.currency || DEFAULT_CURRENCY;
+    if (original === currency) return { amount: txn.amount };
+    if (txn.baseCurrency === currency && typeof txn.baseAmount === 'number') {
+        return { amount: txn.baseAmount, original, rate: txn.exchangeRate };
+    }
+    const converted = convertAmount(txn.amount, original, currency, txn.timestamp);
+    return converted ? { amount: converted.amount, original, rate: converted.rate } : { amount: txn.amount, original, rate: null };
+};
+
+/**
+ * @param {Object} [options]
+ * @param {string} [options.currency] - The CURDEF passed to ofxHeader
+ */
+export const ofxRow = (txn, { currency = DEFAULT_CURRENCY } = {}) => {
+    const { amount, original, rate } = ofxAmount(txn, currency);
+    const statementAmount = -amount;
+    const unconverted = original && !rate ? `${original}, not converted` : null;
+    const memo = [txn.category, txn.subCategory, txn.note, unconverted].filter(Boolean).join(' | ');
+    return [
+        '<STMTTRN>',
+        `<TRNTYPE>${statementAmount < 0 ? 'DEBIT' : 'CREDIT'}`,
+        `<DTPOSTED>${ofxDate(txn.timestamp)}`,
+        `<TRNAMT>${statementAmount.toFixed(2)}`,
+        `<FITID>${txn._id}`,
+        `<NAME>${ofxText(txn.merchant || txn.category, 32)}`,
+        `<MEMO>${ofxText(memo, 255)}`,
+        ...(rate ? [`<ORIGCURRENCY><CURRATE>${rate}<CURSYM>${original}</ORIGCURRENCY>`] : []),
+        '</STMTTRN>',
+        ''
+    ].join('\r\n');
+};
+
+export const ofxFooter = () => [
+    '</BANKTRANLIST>',
+    '</STMTRS>',
+    '</STMTTRNRS></BANKMSGSRSV1>',
+    '</OFX>',
+    ''
+].join('\r\n');
+
+export const jsonHeader = ({ filters = {}, generatedAt = new Date() } = {}) =>
+    `{"format":"spendtrail-transactions","version":1,"exportedAt":${JSON.stringify(generatedAt.toISOString())},` +
+    `"filters":${JSON.stringify(filters)},"transactions":[\n`;
+
+export const jsonRow = (txn, index) => `${index > 0 ? ',\n' : ''}${JSON.stringify(txn)}`;
+
+export const jsonFooter = (count) => `\n],"count":${count}}\n`;
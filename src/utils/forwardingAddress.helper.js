@@ -0,0 +1,58 @@
+import crypto from 'crypto';
+
+/**
+ * Forwarding address helper
+ * Every user gets a random token that names their forwarding inbox, so forwarded mail is
+ * matched to the user by the address it was sent to rather than by who sent it:
+ *   <token>@<INBOUND_EMAIL_DOMAIN>            with an inbound mail provider (raw MIME webhook)
+ *   <namespace>.<token>@inbox.testmail.app     otherwise (testmail.app tag)
+ */
+
+export const TESTMAIL_NAMESPACE = process.env.TESTMAIL_NAMESPACE || 'e1wpm';
+const TESTMAIL_DOMAIN = 'inbox.testmail.app';
+
+// No 0/o, 1/l: tokens are read and typed by people
+const TOKEN_ALPHABET = 'abcdefghijkmnpqrstuvwxyz23456789';
+const TOKEN_LENGTH = 10;
+const TOKEN_REGEX = /^[a-km-np-z2-9]{10}$/; // TOKEN_ALPHABET, TOKEN_LENGTH
+
+export const generateForwardingToken = () => [...crypto.randomBytes(TOKEN_LENGTH)]
+    .map(byte => TOKEN_ALPHABET.charAt(byte % TOKEN_ALPHABET.length))
+    .join('');
+
+export const isForwardingToken = (value) => typeof value === 'string' && TOKEN_REGEX.test(value.toLowerCase());
+
+const inboundDomain = () => (process.env.INBOUND_EMAIL_DOMAIN || '').trim().toLowerCase() || null;
+
+/**
+ * The address a user forwards their bank emails to
+ */
+export const buildForwardingAddress = (token) => {
+    const domain = inboundDomain();
+    return domain ? `${token}@${domain}` : `${TESTMAIL_NAMESPACE}.${token}@${TESTMAIL_DOMAIN}`;
+};
+
+/**
+ * Forwarding token from the first recipient that is a forwarding address.
+ * Plus addressing on the inbound domain ("inbox+<token>@domain") works too.
+ * @param {string[]} addresses - Recipient addresses, with or without display names
+ * @returns {string|null}
+ */
+export const extractForwardingToken = (addresses) => {
+    const domain = inboundDomain();
+
+    for (const value of addresses || []) {
+        const address = String(value || '').match(/<([^>]+)>/)?.[1] || String(value || '');
+        const [local, host] = address.trim().toLowerCase().split('@');
+        if (!local || !host) continue;
+
+        let candidate = null;
+        if (domain && host === domain) {
+            candidate = local.split('+').at(-1);
+        } else if (host === TESTMAIL_DOMAIN && local.startsWith(`${TESTMAIL_NAMESPACE}.`)) {
+            candidate = local.slice(TESTMAIL_NAMESPACE.length + 1);
+        }
+        if (isForwardingToken(candidate)) return candidate;
+    }
+    return null;
+};
@@ -0,0 +1,46 @@
+/**
+ * Gmail push helper
+ * Gmail publishes mailbox changes to a Pub/Sub topic; a push subscription POSTs each one as
+ * { message: { data, messageId, publishTime }, subscription } where data is base64 JSON
+ * { emailAddress, historyId }. The notification only says the mailbox changed; what changed
+ * is read from the history.
+ */
+
+/**
+ * Build a push request body the way Pub/Sub sends it (used by the fake publisher)
+ * @param {{ emailAddress: string, historyId: string|number }} notification
+ * @param {Object} [options]
+ * @param {string} [options.messageId]
+ * @param {string} [options.subscription]
+ */
+export const encodePushMessage = ({ emailAddress, historyId }, { messageId, subscription } = {}) => ({
+    message: {
+        data: Buffer.from(JSON.stringify({ emailAddress, historyId: Number(historyId) })).toString('base64'),
+        messageId: messageId || String(Date.now()),
+        publishTime: new Date().toISOString()
+    },
+    subscription: subscription || 'projects/local/subscriptions/gmail-push'
+});
+
+/**
+ * Read the Gmail notification from a push request body
+ * @returns {{ emailAddress: string, historyId: string, messageId: string|null }|null} null when
+ *   the body is not a Gmail notification
+ */
+export const decodePushMessage = (body) => {
+    const data = body?.message?.data;
+    if (typeof data !== 'string') return null;
+
+    try {
+        const { emailAddress, historyId } = JSON.parse(Buffer.from(data, 'base64').toString('utf8'));
+        if (typeof emailAddress !== 'string' || !emailAddress.includes('@') || !historyId) return null;
+
+        return {
+            emailAddress: emailAddress.trim(),
+            historyId: String(historyId),
+            messageId: body.message.messageId || null
+        };
+    } catch {
+        return null;
+    }
+};
@@ -0,0 +1,149 @@
+/**
+ * Regional language helper
+ * Bank alerts in Hindi (Devanagari) or Hinglish (Hindi in Latin script) are rewritten into
+ * the English keywords the parsers understand: Devanagari digits become 0-9, "रु"/"रुपये"
+ * become "Rs", and debit / credit verbs, account and balance words are translated.
+ * Merchant names stay in Latin script in these alerts, so the merchant is read from the
+ * word before a Hindi postposition ("SWIGGY को" = to SWIGGY).
+ */
+
+export const LANGUAGES = ['en', 'hi', 'hinglish'];
+
+const DEVANAGARI_REGEX = /[\u0900-\u097F]/;
+const DEVANAGARI_DIGIT_REGEX = /[\u0966-\u096F]/g;
+// Latin words typical of Hinglish alerts; a message needs two of them
+const HINGLISH_MARKERS = new Set([
+    'aapke', 'aapka', 'apke', 'apka', 'khate', 'khata', 'kiye', 'kiya', 'gaye', 'gaya', 'jama', 'kaate',
+    'prapt', 'bheje', 'kharch', 'dwara', 'hai', 'hain', 'mein', 'rupaye', 'dinank', 'shesh', 'nikale'
+]);
+const MIN_HINGLISH_MARKERS = 2;
+const MAX_MERCHANT_WORDS = 4;
+
+// Devanagari has no \b: match whole words only (letters and signs, not digits or the danda)
+const hindiWords = (alternatives) => new RegExp(`(?<![\\u0900-\\u0963\\u0970-\\u097F])(?:${alternatives})(?![\\u0900-\\u0963\\u0970-\\u097F])`, 'g');
+
+const HINDI_CURRENCY_REGEX = hindiWords('रुपये|रुपए|रु\\.?|रू\\.?');
+const HINGLISH_CURRENCY_REGEX = /\b(?:rupaye|rupay)\b/gi;
+
+// Replaced in order, so longer phrases come before the words they contain
+const HINDI_PHRASES = [
+    [hindiWords('डेबिट कार्ड'), 'debit card'],
+    [hindiWords('क्रेडिट कार्ड'), 'credit card'],
+    [hindiWords('डेबिट(?: किए| किये| किया| हुए| हुआ| हो)?(?: गए| गये| गया)?'), 'debited'],
+    [hindiWords('काटे गए|काटे गये|काटा गया|कटे|कटा|कटौती'), 'debited'],
+    [hindiWords('(?:क्रेडिट|जमा)(?: किए| किये| किया| हुए| हुआ| हो)?(?: गए| गये| गया)?'), 'credited'],
+    [hindiWords('प्राप्त(?: किए| किये| किया| हुए| हुआ)?(?: गए| गये| गया)?'), 'received'],
+    [hindiWords('खर्च(?: किए| किये| किया| हुए| हुआ)?(?: गए| गये| गया)?'), 'spent'],
+    [hindiWords('निकाले गए|निकाले गये|निकाला गया|निकासी'), 'withdrawn'],
+    [hindiWords('भेजे गए|भेजे गये|भेजा गया|भेजे'), 'sent'],
+    [hindiWords('रिफंड|धनवापसी'), 'refund'],
+    [hindiWords('कैशबैक'), 'cashback'],
+    [hindiWords('खाता संख्या|खाता सं\\.?|खाते|खाता'), 'a/c'],
+    [hindiWords('कार्ड'), 'card'],
+    [hindiWords('उपलब्ध शेष|शेष राशि|शेष'), 'Avl Bal'],
+    [hindiWords('संदर्भ संख्या|संदर्भ सं\\.?|संदर्भ'), 'Ref No'],
+    [hindiWords('यूपीआई'), 'UPI'],
+    [hindiWords('एटीएम'), 'ATM'],
+    [hindiWords('नेट बैंकिंग|नेटबैंकिंग'), 'NetBanking'],
+    [hindiWords('दिनांक|तारीख|तिथि'), 'on'],
+    [hindiWords('जनवरी'), 'Jan'], [hindiWords('फरवरी|फ़रवरी'), 'Feb'], [hindiWords('मार्च'), 'Mar'],
+    [hindiWords('अप्रैल'), 'Apr'], [hindiWords('मई'), 'May'], [hindiWords('जून'), 'Jun'],
+    [hindiWords('जुलाई'), 'Jul'], [hindiWords('अगस्त'), 'Aug'], [hindiWords('सितंबर|सितम्बर'), 'Sep'],
+    [hindiWords('अक्टूबर|अक्तूबर'), 'Oct'], [hindiWords('नवंबर|नवम्बर'), 'Nov'], [hindiWords('दिसंबर|दिसम्बर'), 'Dec'],
+    [/।/g, '.']
+];
+
+const HINGLISH_PHRASES = [
+    [/\b(?:debit|kaate|kate|kata)(?: kiye| kiya| hue| hua| ho)?(?: gaye| gaya)\b/gi, 'debited'],
+    [/\b(?:credit|jama)(?: kiye| kiya| hue| hua| ho)?(?: gaye| gaya)\b/gi, 'credited'],
+    [/\bjama\b/gi, 'credited'],
+    [/\bprapt(?: kiye| kiya| hue| hua)?(?: gaye| gaya)?\b/gi, 'received'],
+    [/\bkharch(?: kiye| kiya| hue| hua)?(?: gaye| gaya)?\b/gi, 'spent'],
+    [/\b(?:nikale gaye|nikala gaya|nikasi)\b/gi, 'withdrawn'],
+    [/\b(?:bheje gaye|bheja gaya|bheje)\b/gi, 'sent'],
+    [/\b(?:khate|khata)\b/gi, 'a/c'],
+    [/\b(?:uplabdh shesh|shesh)\b/gi, 'Avl Bal'],
+    [/\b(?:dinank|tarikh)\b/gi, 'on']
+];
+
+// Postposition after a name -> its role in the English alert
+const POSTPOSITIONS = new Map(Object.entries({
+    'को': 'to', 'पर': 'at', 'से': 'from', 'द्वारा': 'from',
+    ko: 'to', par: 'at', pe: 'at', se: 'from', dwara: 'from'
+}));
+// Latin words that end a name when walking back from a postposition
+const NAME_STOPWORDS = new Set([
+    ...HINGLISH_MARKERS, 'rs', 'inr', 'upi', 'imps', 'neft', 'rtgs', 'atm', 'a/c', 'ac', 'acct', 'card', 'me',
+    'ref', 'no', 'on', 'the', 'your', 'aap', 'aapne', 'apne', 'debit', 'credit', 'bank'
+]);
+const NUMBER_TOKEN_REGEX = /^₹?[0-9][0-9,./:-]*$/;
+const MASKED_NUMBER_REGEX = /^[xX*]+[0-9]{3,4}$/;
+
+const isNameToken = (token) => !!token
+    && !DEVANAGARI_REGEX.test(token)
+    && !NUMBER_TOKEN_REGEX.test(token)
+    && !MASKED_NUMBER_REGEX.test(token)
+    && !/^(?:rs|inr|₹)/i.test(token)
+    && !NAME_STOPWORDS.has(token.toLowerCase());
+
+/**
+ * The Latin-script name before the first postposition that has one, e.g. "ACME CORP से" ->
+ * { name: 'ACME CORP', role: 'from' }
+ */
+const findCounterparty = (text) => {
+    for (const line of text.split('\n')) {
+        const tokens = line.split(' ').filter(Boolean);
+        for (let i = 1; i < tokens.length; i++) {
+            const role = POSTPOSITIONS.get(tokens.at(i).replace(/[.,;:।]+$/, '').toLowerCase());
+            if (!role) continue;
+
+            const name = [];
+            for (let j = i - 1; j >= 0 && name.length < MAX_MERCHANT_WORDS; j--) {
+                // A comma or full stop ends the previous clause
+                const token = tokens.at(j);
+                if (!isNameToken(token) || (j < i - 1 && /[.,;:]$/.test(token))) break;
+                name.unshift(token);
+            }
+            if (name.length > 0) return { name: name.join(' ').replace(/[.,;:]+$/, ''), role };
+        }
+    }
+    return null;
+};
+
+/**
+ * Language of a message
+ * @param {string} text
+ * @returns {string} 'hi' (any Devanagari), 'hinglish' or 'en'
+ */
+export const detectLanguage = (text) => {
+    if (!text) return 'en';
+    if (DEVANAGARI_REGEX.test(text)) return 'hi';
+
+    const words = new Set(text.toLowerCase().match(/[a-z]+/g) || []);
+    const markers = [...words].filter(word => HINGLISH_MARKERS.has(word)).length;
+    return markers >= MIN_HINGLISH_MARKERS ? 'hinglish' : 'en';
+};
+
+/**
+ * Rewrite a Hindi / Hinglish alert for the English parsers. English messages are returned unchanged.
+ * @param {string} text - Message text
+ * @returns {{ language: string, text: string, merchant: string|null }} merchant is the name
+ *   found before a postposition, when there is one
+ */
+export const normalizeRegionalMessage = (text) => {
+    const language = detectLanguage(text);
+    if (language === 'en') return { language, text, merchant: null };
+
+    let normalized = text
+        .replace(DEVANAGARI_DIGIT_REGEX, digit => String(digit.charCodeAt(0) - 0x0966))
+        .replace(/[ \t\u00A0]+/g, ' ')
+        // Currency first, so amounts end a name in findCounterparty
+        .replace(language === 'hi' ? HINDI_CURRENCY_REGEX : HINGLISH_CURRENCY_REGEX, 'Rs');
+    const counterparty = findCounterparty(normalized);
+
+    (language === 'hi' ? HINDI_PHRASES : HINGLISH_PHRASES).forEach(([regex, replacement]) => {
+        normalized = normalized.replace(regex, replacement);
+    });
+
+    return { language, text: normalized, merchant: counterparty?.name || null };
+};
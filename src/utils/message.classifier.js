@@ -0,0 +1,72 @@
+/**
+ * Message classifier
+ * Labels an SMS / email before parsing so only real transactions become entries.
+ * Rules are checked in order; the first match wins. Money-moved wording only wins over the
+ * reminder and promotional rules when an account number or reference backs it up.
+ */
+
+export const MESSAGE_LABELS = ['transaction', 'otp', 'promotional', 'declined', 'balance_only', 'bill_reminder'];
+
+// Money actually moved: debited, credited, spent, sent ...
+const MONEY_MOVED_REGEX = /\b(?:debited|credited|spent|sent|received|withdrawn|deducted|transferred|refunded|deposited|has a (?:credit|debit))\b/i;
+// What only a real alert carries: a masked account / card number ("XX1234", "a/c ending 1234")
+// or a bank reference ("UPI Ref 412345678901"). Offers and reminders say "sent" and "credited" too.
+const EVIDENCE_REGEXES = [
+    /[x*•]{2,}[0-9]{3,4}\b/i,
+    /\b(?:a\/c|acct|account|card)\b[^0-9\n]{0,20}[0-9]{3,4}\b/i,
+    /\b(?:ref|reference|utr|rrn|txn id|transaction id)\b[^a-z0-9\n]{0,6}(?:no|number|id)?[^a-z0-9\n]{0,4}[a-z0-9]{6,}/i
+];
+// Weaker hints that also appear in offers ("flat Rs 100 off on your first txn")
+const TRANSACTION_HINT_REGEX = /\b(?:paid|txn|purchased|purchase|transaction)\b/i;
+
+// "OTP for txn of Rs 500 at AMAZON is 123456", "123456 is your OTP", "Use OTP 123456"
+const OTP_REGEXES = [
+    /\b(?:otp|one time password|verification code|passcode)\b.{0,80}?\bis\s*:?\s*[0-9]{4,8}\b/i,
+    /\b[0-9]{4,8}\s+is\s+(?:your|the)\s+(?:otp|one time password|verification code|passcode)\b/i,
+    /\b(?:use|enter)\s+(?:otp|code)\s*:?\s*[0-9]{4,8}\b/i
+];
+
+const DECLINED_REGEX = /\b(?:declined|failed|unsuccessful|could not be (?:processed|completed)|insufficient (?:funds|balance))\b/i;
+// A failed debit being returned is a real credit
+const REVERSAL_REGEX = /\b(?:credited|has been refunded|refunded to|has been reversed|reversed to)\b/i;
+
+const PROMOTIONAL_REGEX = /\b(?:offers?|cashback up ?to|get up ?to|upto|win|discount|coupon|use code|apply now|pre-?approved|eligible for|limited period|hurry|shop now|t&c|click here|loan of|festive)\b/i;
+
+const BILL_REMINDER_REGEX = /\b(?:payment due|is due|due (?:on|by|date)|minimum (?:amount )?due|total (?:amount )?due|overdue|pay (?:by|before)|bill (?:is )?generated|statement (?:is |has been )?generated)\b/i;
+
+const BALANCE_REGEX = /\b(?:avl|avail|available|clear|ledger)\.?\s*bal(?:ance)?\b|\bbalance\s+(?:in|of|for)\b/i;
+
+/**
+ * Classify a message
+ * @param {string} text - Message text (email subject + body)
+ * @returns {{ label: string, reason: string|null }} label is one of MESSAGE_LABELS
+ */
+export const classifyMessage = (text) => {
+    if (!text) return { label: 'transaction', reason: null };
+
+    if (OTP_REGEXES.some(regex => regex.test(text))) {
+        return { label: 'otp', reason: 'one-time password' };
+    }
+
+    if (DECLINED_REGEX.test(text) && !REVERSAL_REGEX.test(text)) {
+        return { label: 'declined', reason: text.match(DECLINED_REGEX)[0].toLowerCase() };
+    }
+
+    const moneyMoved = MONEY_MOVED_REGEX.test(text);
+    if (moneyMoved && EVIDENCE_REGEXES.some(regex => regex.test(text))) {
+        return { label: 'transaction', reason: null };
+    }
+
+    if (BILL_REMINDER_REGEX.test(text)) {
+        return { label: 'bill_reminder', reason: text.match(BILL_REMINDER_REGEX)[0].toLowerCase() };
+    }
+    if (PROMOTIONAL_REGEX.test(text)) {
+        return { label: 'promotional', reason: text.match(PROMOTIONAL_REGEX)[0].toLowerCase() };
+    }
+    if (moneyMoved) return { label: 'transaction', reason: null };
+    if (BALANCE_REGEX.test(text) && !TRANSACTION_HINT_REGEX.test(text)) {
+        return { label: 'balance_only', reason: 'balance update without a transaction' };
+    }
+
+    return { label: 'transaction', reason: null };
+};
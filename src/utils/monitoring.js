@@ -1,6 +1,43 @@
 import * as Sentry from '@sentry/node';
 import logger from './logger.js';
 
+// Webhook secrets passed in the URL (Gmail push and inbound email: ?token=...)
+const SECRET_QUERY_PARAMS = ['token'];
+const SECRET_QUERY_REGEX = /([?&]token=)[^&#]*/gi;
+const FILTERED = '[Filtered]';
+
+/**
+ * Query parameters with webhook secrets replaced, for logs and Sentry
+ */
+export const redactQuery = (query = {}) => Object.fromEntries(
+    Object.entries(query).map(([key, value]) => [key, SECRET_QUERY_PARAMS.includes(key) ? FILTERED : value])
+);
+
+/**
+ * URL or query string with webhook secrets replaced
+ */
+export const redactUrl = (url) => (typeof url === 'string' ? url.replace(SECRET_QUERY_REGEX, `$1${FILTERED}`) : url);
+
+/**
+ * Sentry beforeSend / beforeSendTransaction: the request data Sentry attaches to events
+ * includes the URL, which carries webhook tokens
+ */
+export const scrubSentryEvent = (event) => {
+    if (event.request) {
+        event.request.url = redactUrl(event.request.url);
+        const query = event.request.query_string;
+        if (typeof query === 'string') {
+            event.request.query_string = redactUrl(`?${query}`).slice(1);
+        } else if (Array.isArray(query)) {
+            event.request.query_string = query.map(([key, value]) => [key, SECRET_QUERY_PARAMS.includes(key) ? FILTERED : value]);
+        } else if (query && typeof query === 'object') {
+            event.request.query_string = redactQuery(query);
+        }
+    }
+    if (event.transaction) event.transaction = redactUrl(event.transaction);
+    return event;
+};
+
 /**
  * Track failed login attempts
  * @param {string} email - Email used in login attempt
@@ -0,0 +1,189 @@
+import mongoose from 'mongoose';
+
+/**
+ * Cursor Pagination Utilities
+ * Opaque keyset cursors over a (sortField, _id) pair so deep pages stay
+ * as cheap as the first one, instead of skip/limit scans.
+ */
+
+export const DEFAULT_PAGE_LIMIT = 50;
+export const MAX_PAGE_LIMIT = 200;
+
+/**
+ * Error thrown for malformed pagination params (cursor, limit, fields)
+ * Routes translate it into a 400 response
+ */
+export class PaginationError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'PaginationError';
+        this.statusCode = 400;
+    }
+}
+
+/**
+ * Encode the last document of a page into an opaque cursor string
+ */
+export const encodeCursor = (doc, sortField) => {
+    const value = doc[sortField];
+    const payload = {
+        v: value instanceof Date ? value.toISOString() : value,
+        id: doc._id.toString()
+    };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @returns {{ value: Date, id: ObjectId }}
+ */
+export const decodeCursor = (cursor) => {
+    try {
+        const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+        const value = new Date(payload.v);
+
+        if (isNaN(value.getTime()) || !mongoose.Types.ObjectId.isValid(payload.id)) {
+            throw new Error('bad payload');
+        }
+
+        return { value, id: new mongoose.Types.ObjectId(payload.id) };
+    } catch {
+        throw new PaginationError('Invalid pagination cursor');
+    }
+};
+
+/**
+ * Parse and clamp the page size
+ */
+export const parseLimit = (limit, defaultLimit = DEFAULT_PAGE_LIMIT) => {
+    if (limit === undefined || limit === '') return defaultLimit;
+
+    const parsed = parseInt(limit, 10);
+    if (isNaN(parsed) || parsed < 1) {
+        throw new PaginationError('limit must be a positive integer');
+    }
+
+    return Math.min(parsed, MAX_PAGE_LIMIT);
+};
+
+/**
+ * Parse an offset for skip/limit paging
+ */
+export const parseSkip = (skip) => {
+    if (skip === undefined || skip === '') return 0;
+
+    const parsed = parseInt(skip, 10);
+    if (isNaN(parsed) || parsed < 0) {
+        throw new PaginationError('skip must be a non-negative integer');
+    }
+
+    return parsed;
+};
+
+/**
+ * Build a projection from a comma separated `fields` param
+ * Only paths that exist on the model schema are allowed. The sort field and
+ * _id are always included since the cursor is built from them.
+ * @returns {Object|null} Mongo projection, or null for full documents
+ */
+export const parseFields = (fields, model, sortField) => {
+    if (!fields) return null;
+
+    const schemaPaths = Object.keys(model.schema.paths);
+    const requested = fields.split(',').map(f => f.trim()).filter(Boolean);
+
+    const invalid = requested.filter(field =>
+        !schemaPaths.some(p => p === field || p.startsWith(`${field}.`) || field.startsWith(`${p}.`))
+    );
+    if (invalid.length > 0) {
+        throw new PaginationError(`Unknown fields: ${invalid.join(', ')}`);
+    }
+
+    const projection = { _id: 1, [sortField]: 1 };
+    requested.forEach(field => { projection[field] = 1; });
+    return projection;
+};
+
+/**
+ * Add the keyset condition for a descending (sortField, _id) sort
+ */
+export const applyCursor = (filter, cursor, sortField) => {
+    if (!cursor) return filter;
+
+    const { value, id } = decodeCursor(cursor);
+    const keyset = {
+        $or: [
+            { [sortField]: { $lt: value } },
+            { [sortField]: value, _id: { $lt: id } }
+        ]
+    };
+
+    return { $and: [filter, keyset] };
+};
+
+/**
+ * Run a cursor-paginated find. Older clients page with skip instead of a cursor; both page
+ * the same (sortField, _id) order, but skip gets slower the deeper it goes.
+ * @param {Model} model - Mongoose model
+ * @param {Object} filter - Base query filter (user scoping etc.)
+ * @param {Object} options
+ * @param {String} options.sortField - Indexed date field to page over (descending)
+ * @param {String} options.cursor - Cursor from a previous page
+ * @param {String|Number} options.skip - Offset, instead of a cursor
+ * @param {String|Number} options.limit - Page size
+ * @param {String} options.fields - Comma separated projection
+ * @param {Boolean} options.includeTotal - Also count all matches of the base filter
+ * @returns {Promise<{ items: Array, pagination: Object }>}
+ */
+export const paginate = async (model, filter, {
+    sortField = 'timestamp',
+    cursor,
+    skip,
+    limit,
+    fields,
+    includeTotal = false
+} = {}) => {
+    const pageLimit = parseLimit(limit);
+    const offset = parseSkip(skip);
+    if (cursor && offset) {
+        throw new PaginationError('Use either cursor or skip, not both');
+    }
+    const projection = parseFields(fields, model, sortField);
+    const query = applyCursor(filter, cursor, sortField);
+
+    const [docs, total] = await Promise.all([
+        model.find(query, projection)
+            .sort({ [sortField]: -1, _id: -1 })
+            .skip(offset)
+            .limit(pageLimit + 1)
+            .lean(),
+        includeTotal ? model.countDocuments(filter) : Promise.resolve(undefined)
+    ]);
+
+    const hasMore = docs.length > pageLimit;
+    const items = hasMore ? docs.slice(0, pageLimit) : docs;
+
+    const pagination = {
+        limit: pageLimit,
+        skip: offset,
+        hasMore,
+        nextCursor: hasMore ? encodeCursor(items[items.length - 1], sortField) : null
+    };
+    if (includeTotal) pagination.total = total;
+
+    return { items, pagination };
+};
+
+/**
+ * Page details as response headers, for listings whose body is the bare array of items
+ */
+export const setPaginationHeaders = (res, pagination) => {
+    res.set('X-Has-More', String(pagination.hasMore));
+    if (pagination.nextCursor) res.set('X-Next-Cursor', pagination.nextCursor);
+    if (pagination.total !== undefined) res.set('X-Total-Count', String(pagination.total));
+};
+
+/**
+ * Parse the boolean `includeTotal` query flag
+ */
+export const wantsTotal = (value) => value === 'true' || value === '1';
@@ -0,0 +1,47 @@
+import crypto from 'crypto';
+
+/**
+ * Secret helper
+ * AES-256-GCM encryption for small user secrets stored in MongoDB (e.g. the date of birth and
+ * PAN used to open password-protected statements). The key comes from SECRETS_KEY, falling
+ * back to JWT_SECRET; changing it makes stored secrets unreadable.
+ */
+
+const ALGORITHM = 'aes-256-gcm';
+const VERSION = 'v1';
+
+const getKey = () => {
+    const secret = process.env.SECRETS_KEY || process.env.JWT_SECRET;
+    if (!secret) throw new Error('SECRETS_KEY (or JWT_SECRET) must be set to store secrets');
+    return crypto.createHash('sha256').update(secret).digest();
+};
+
+/**
+ * Encrypt a JSON-serializable value
+ * @returns {string} "v1:<iv>:<tag>:<data>", base64 parts
+ */
+export const encryptSecret = (value) => {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, getKey(), iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(value), 'utf8'), cipher.final()]);
+    return [VERSION, iv.toString('base64'), cipher.getAuthTag().toString('base64'), data.toString('base64')].join(':');
+};
+
+/**
+ * Decrypt a value from encryptSecret
+ * @returns {*} null when payload is empty or cannot be decrypted with the current key
+ */
+export const decryptSecret = (payload) => {
+    if (!payload) return null;
+    const [version, iv, tag, data] = String(payload).split(':');
+    if (version !== VERSION || !iv || !tag || !data) return null;
+
+    try {
+        const decipher = crypto.createDecipheriv(ALGORITHM, getKey(), Buffer.from(iv, 'base64'));
+        decipher.setAuthTag(Buffer.from(tag, 'base64'));
+        const json = Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+        return JSON.parse(json);
+    } catch {
+        return null;
+    }
+};
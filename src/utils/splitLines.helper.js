@@ -0,0 +1,117 @@
+/**
+ * Split Line Helpers
+ * Reports count "lines" rather than transactions: a transaction without splits
+ * is one line, a split transaction contributes one line per split (and the
+ * parent itself is not counted). Lines keep the parent's merchant, timestamp
+ * and other fields, with amount / category / subCategory / note / tags taken
+ * from the split. Split tags fall back to the parent's tags when empty.
+ *
+ * With `inBaseCurrency`, each line's amount is replaced by its value in the
+ * user's base currency (original kept as originalAmount / originalCurrency).
+ * Transactions without a stored rate (saved before base amounts existed, or
+ * in a currency missing from the rate table) are counted at face value.
+ */
+
+const toBaseCurrency = (line, txn) => {
+    const rate = txn.exchangeRate ?? 1;
+    return {
+        ...line,
+        originalAmount: line.amount,
+        originalCurrency: txn.currency,
+        amount: Math.round(line.amount * rate * 100) / 100,
+        currency: txn.baseCurrency || txn.currency
+    };
+};
+
+/**
+ * Expand already-fetched transactions into lines
+ * @param {Array} transactions - Mongoose documents or lean objects
+ * @param {Object} options
+ * @param {Boolean} options.inBaseCurrency - Report amounts in the base currency
+ * @returns {Array} Plain line objects with parentId and isSplit
+ */
+export const expandSplitLines = (transactions, { inBaseCurrency = false } = {}) => {
+    const lines = [];
+    const push = (line, txn) => lines.push(inBaseCurrency ? toBaseCurrency(line, txn) : line);
+
+    for (const doc of transactions) {
+        const txn = typeof doc.toObject === 'function' ? doc.toObject() : doc;
+        const { splits, ...parent } = txn;
+
+        if (!splits || splits.length === 0) {
+            push({ ...parent, parentId: txn._id, isSplit: false }, txn);
+            continue;
+        }
+
+        for (const split of splits) {
+            push({
+                ...parent,
+                _id: split._id,
+                parentId: txn._id,
+                isSplit: true,
+                amount: split.amount,
+                category: split.category,
+                subCategory: split.subCategory,
+                note: split.note || parent.note,
+                tags: split.tags?.length ? split.tags : parent.tags
+            }, txn);
+        }
+    }
+
+    return lines;
+};
+
+/**
+ * Aggregation stages that turn each transaction into its lines.
+ * Place after the $match on parent fields (user, timestamp) and before any
+ * $match / $group on amount, category or tags.
+ * @param {Object} options
+ * @param {Boolean} options.inBaseCurrency - Report amounts in the base currency
+ */
+export const splitLineStages = ({ inBaseCurrency = false } = {}) => [
+    {
+        $addFields: {
+            _line: {
+                $cond: [
+                    { $gt: [{ $size: { $ifNull: ['$splits', []] } }, 0] },
+                    '$splits',
+                    [{
+                        _id: '$_id',
+                        amount: '$amount',
+                        category: '$category',
+                        subCategory: '$subCategory',
+                        note: '$note',
+                        tags: '$tags'
+                    }]
+                ]
+            }
+        }
+    },
+    { $unwind: '$_line' },
+    {
+        $addFields: {
+            parentId: '$_id',
+            isSplit: { $gt: [{ $size: { $ifNull: ['$splits', []] } }, 0] },
+            amount: '$_line.amount',
+            category: '$_line.category',
+            subCategory: '$_line.subCategory',
+            note: { $ifNull: ['$_line.note', '$note'] },
+            tags: {
+                $cond: [
+                    { $gt: [{ $size: { $ifNull: ['$_line.tags', []] } }, 0] },
+                    '$_line.tags',
+                    '$tags'
+                ]
+            }
+        }
+    },
+    ...(inBaseCurrency ? [{
+        $addFields: {
+            originalAmount: '$amount',
+            originalCurrency: '$currency',
+            amount: { $round: [{ $multiply: ['$amount', { $ifNull: ['$exchangeRate', 1] }] }, 2] },
+            currency: { $ifNull: ['$baseCurrency', '$currency'] }
+        }
+    }] : []),
+    { $project: { _line: 0, splits: 0 } }
+];
@@ -0,0 +1,470 @@
+import moment from 'moment-timezone';
+
+/**
+ * Bank Statement Parsers
+ * Turn CSV, OFX and QIF statement files (and text extracted from PDF statements) into raw statement rows:
+ *   { date, amount, description, merchant, category, reference, balance, currency }
+ * `amount` follows the statement convention (credits positive, debits negative).
+ * Mapping rows onto the Transaction schema happens in the import service.
+ */
+
+export const SUPPORTED_IMPORT_FORMATS = ['csv', 'ofx', 'qif', 'json'];
+
+// Fallback date formats, Indian day-first formats before US month-first ones
+const DEFAULT_DATE_FORMATS = [
+    'DD/MM/YYYY', 'DD/MM/YY', 'DD-MM-YYYY', 'DD-MM-YY', 'DD-MMM-YYYY', 'DD-MMM-YY',
+    'DD MMM YYYY', 'YYYY-MM-DD', 'YYYY-MM-DDTHH:mm:ss', 'DD/MM/YYYY HH:mm:ss',
+    'MM/DD/YYYY', "M/D'YY", "M/D'YYYY"
+];
+
+// Header names we recognise when a CSV has no saved column mapping
+const HEADER_ALIASES = {
+    date: ['date', 'txn date', 'transaction date', 'value date', 'posting date', 'tran date'],
+    description: ['description', 'narration', 'particulars', 'details', 'remarks', 'transaction details'],
+    merchant: ['merchant', 'payee', 'name'],
+    amount: ['amount', 'transaction amount', 'amount (inr)', 'amt'],
+    debit: ['debit', 'withdrawal', 'withdrawal amt.', 'withdrawal amount', 'debit amount', 'dr'],
+    credit: ['credit', 'deposit', 'deposit amt.', 'deposit amount', 'credit amount', 'cr'],
+    type: ['type', 'dr/cr', 'cr/dr', 'debit/credit', 'transaction type'],
+    reference: ['reference', 'ref no', 'ref no.', 'chq./ref.no.', 'cheque no', 'reference number', 'utr'],
+    balance: ['balance', 'closing balance', 'running balance', 'available balance'],
+    category: ['category']
+};
+
+/**
+ * Parse a date string using the preferred format first, then the fallbacks
+ * @returns {Date|null}
+ */
+export const parseStatementDate = (value, preferredFormat) => {
+    if (!value) return null;
+    const trimmed = String(value).trim();
+    const formats = preferredFormat ? [preferredFormat, ...DEFAULT_DATE_FORMATS] : DEFAULT_DATE_FORMATS;
+    const parsed = moment.tz(trimmed, formats, true, 'Asia/Kolkata');
+    return parsed.isValid() ? parsed.toDate() : null;
+};
+
+/**
+ * Parse an amount cell like "1,234.50", "(500.00)", "500.00 Dr" or "₹ 99"
+ * @returns {number|null}
+ */
+export const parseStatementAmount = (value) => {
+    if (value === undefined || value === null) return null;
+    let str = String(value).trim();
+    if (!str) return null;
+
+    let sign = 1;
+    if (/^\(.*\)$/.test(str)) {
+        sign = -1;
+        str = str.slice(1, -1);
+    }
+    if (/\bdr\.?$/i.test(str)) sign = -1;
+
+    const cleaned = str.replace(/[^0-9.-]/g, '');
+    const amount = parseFloat(cleaned);
+    if (isNaN(amount)) return null;
+    return sign * amount;
+};
+
+/**
+ * Split CSV text into rows of cells (RFC 4180 quoting)
+ */
+export const splitCsv = (text, delimiter = ',') => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text.charAt(i);
+
+        if (inQuotes) {
+            if (char === '"' && text.charAt(i + 1) === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text.charAt(i + 1) === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows.filter(r => r.some(c => c.trim() !== ''));
+};
+
+/**
+ * Resolve a mapping entry (header name or 0-based column index) to a column index
+ */
+const resolveColumn = (headers, entry) => {
+    if (entry === undefined || entry === null || entry === '') return -1;
+    if (typeof entry === 'number') return entry;
+    if (/^\d+$/.test(String(entry))) return parseInt(entry, 10);
+    return headers.findIndex(h => h.trim().toLowerCase() === String(entry).trim().toLowerCase());
+};
+
+/**
+ * Guess a column mapping from the header row
+ */
+export const detectCsvMapping = (headers) => {
+    const mapping = {};
+    const normalized = headers.map(h => h.trim().toLowerCase());
+
+    for (const [field, aliases] of Object.entries(HEADER_ALIASES)) {
+        const index = normalized.findIndex(h => aliases.includes(h));
+        if (index !== -1) mapping[field] = index;
+    }
+
+    return mapping;
+};
+
+/**
+ * Parse a CSV statement
+ * @param {string} text - File contents
+ * @param {Object} profile - Saved ImportProfile (or null to auto-detect headers)
+ * @returns {{ rows: Array, errors: Array }}
+ */
+export const parseCsvStatement = (text, profile = null) => {
+    const delimiter = profile?.delimiter || ',';
+    const allRows = splitCsv(text, delimiter).slice(profile?.skipRows || 0);
+    const errors = [];
+
+    if (allRows.length === 0) return { rows: [], errors: [{ line: 0, error: 'File is empty' }] };
+
+    const hasHeader = profile ? profile.hasHeader !== false : true;
+    const headers = hasHeader ? allRows[0] : [];
+    const dataRows = hasHeader ? allRows.slice(1) : allRows;
+
+    const columns = {};
+    const mapping = profile?.mapping ? { ...profile.mapping } : detectCsvMapping(headers);
+    for (const field of Object.keys(HEADER_ALIASES)) {
+        columns[field] = resolveColumn(headers, mapping[field]);
+    }
+
+    if (columns.date === -1 || (columns.amount === -1 && columns.debit === -1 && columns.credit === -1)) {
+        return {
+            rows: [],
+            errors: [{ line: 0, error: 'Could not find date and amount columns. Save a column mapping profile for this bank.' }]
+        };
+    }
+
+    const cellAt = (cells, index) => (index >= 0 && index < cells.length ? cells.at(index).trim() : '');
+    const debitNegative = (profile?.amountSign || 'debit_negative') === 'debit_negative';
+    const rows = [];
+
+    dataRows.forEach((cells, idx) => {
+        const line = idx + 1 + (hasHeader ? 1 : 0) + (profile?.skipRows || 0);
+        const date = parseStatementDate(cellAt(cells, columns.date), profile?.dateFormat);
+
+        let amount = null;
+        if (columns.debit !== -1 || columns.credit !== -1) {
+            const debit = parseStatementAmount(cellAt(cells, columns.debit)) || 0;
+            const credit = parseStatementAmount(cellAt(cells, columns.credit)) || 0;
+            amount = Math.abs(credit) - Math.abs(debit);
+        }
+        if (!amount && columns.amount !== -1) {
+            amount = parseStatementAmount(cellAt(cells, columns.amount));
+            const typeCell = cellAt(cells, columns.type).toLowerCase();
+            if (amount !== null && typeCell) {
+                amount = /^(dr|debit|d)\b/.test(typeCell) ? -Math.abs(amount) : Math.abs(amount);
+            } else if (amount !== null && !debitNegative) {
+                amount = -amount;
+            }
+        }
+
+        if (!date) {
+            errors.push({ line, error: `Invalid date: "${cellAt(cells, columns.date)}"` });
+            return;
+        }
+        if (!amount) {
+            errors.push({ line, error: 'Missing or zero amount' });
+            return;
+        }
+
+        rows.push({
+            line,
+            date,
+            amount,
+            description: cellAt(cells, columns.description),
+            merchant: cellAt(cells, columns.merchant) || null,
+            category: cellAt(cells, columns.category) || null,
+            reference: cellAt(cells, columns.reference) || null,
+            balance: parseStatementAmount(cellAt(cells, columns.balance)),
+            currency: profile?.currency || null
+        });
+    });
+
+    return { rows, errors };
+};
+
+/**
+ * Read the leaf tag values of an OFX fragment (SGML style, closing tags optional)
+ * @returns {Map<string, string>} Upper-cased tag name -> first value
+ */
+const readOfxTags = (fragment) => {
+    const tags = new Map();
+    for (const match of fragment.matchAll(/<([A-Za-z0-9.]+)>([^<\r\n]*)/g)) {
+        const name = match[1].toUpperCase();
+        const value = match[2].trim();
+        if (value && !tags.has(name)) tags.set(name, value);
+    }
+    return tags;
+};
+
+/**
+ * Parse OFX date: YYYYMMDD[HHMMSS[.XXX]][[+-]offset:TZ]
+ */
+const parseOfxDate = (value) => {
+    if (!value || !/^\d{8}/.test(value)) return null;
+    const part = (from, to) => parseInt(value.slice(from, to), 10) || 0;
+    const offsetMatch = value.match(/\[([+-]?\d{1,2})/);
+    const offset = offsetMatch ? parseInt(offsetMatch[1], 10) : 0;
+    return new Date(Date.UTC(part(0, 4), part(4, 6) - 1, part(6, 8), part(8, 10) - offset, part(10, 12), part(12, 14)));
+};
+
+/**
+ * Parse an OFX (1.x SGML or 2.x XML) statement
+ * @returns {{ rows: Array, errors: Array }}
+ */
+export const parseOfxStatement = (text) => {
+    const rows = [];
+    const errors = [];
+    const currency = readOfxTags(text).get('CURDEF') || null;
+    const blocks = text.split(/<STMTTRN>/i).slice(1);
+
+    if (blocks.length === 0) {
+        return { rows, errors: [{ line: 0, error: 'No <STMTTRN> entries found in OFX file' }] };
+    }
+
+    blocks.forEach((rawBlock, idx) => {
+        const tags = readOfxTags(rawBlock.split(/<\/STMTTRN>/i)[0]);
+        const date = parseOfxDate(tags.get('DTPOSTED'));
+        const amount = parseStatementAmount(tags.get('TRNAMT'));
+
+        if (!date || !amount) {
+            errors.push({ line: idx + 1, error: 'Transaction missing DTPOSTED or TRNAMT' });
+            return;
+        }
+
+        const name = tags.get('NAME') || null;
+        const memo = tags.get('MEMO') || null;
+
+        rows.push({
+            line: idx + 1,
+            date,
+            amount,
+            description: [name, memo].filter(Boolean).join(' - '),
+            merchant: name,
+            category: null,
+            reference: tags.get('FITID') || tags.get('REFNUM') || tags.get('CHECKNUM') || null,
+            balance: null,
+            currency
+        });
+    });
+
+    return { rows, errors };
+};
+
+/**
+ * Parse a QIF statement (!Type:Bank / !Type:CCard)
+ * @returns {{ rows: Array, errors: Array }}
+ */
+export const parseQifStatement = (text, profile = null) => {
+    const rows = [];
+    const errors = [];
+    let entry = {};
+    let entryIndex = 0;
+
+    const flush = () => {
+        entryIndex++;
+        if (Object.keys(entry).length === 0) return;
+
+        const date = parseStatementDate(entry.D, profile?.dateFormat);
+        const amount = parseStatementAmount(entry.T ?? entry.U);
+
+        if (!date || !amount) {
+            errors.push({ line: entryIndex, error: 'Entry missing date (D) or amount (T)' });
+        } else {
+            rows.push({
+                line: entryIndex,
+                date,
+                amount,
+                description: [entry.P, entry.M].filter(Boolean).join(' - '),
+                merchant: entry.P || null,
+                category: entry.L ? entry.L.replace(/^\[|\]$/g, '') : null,
+                reference: entry.N || null,
+                balance: null,
+                currency: profile?.currency || null
+            });
+        }
+        entry = {};
+    };
+
+    for (const rawLine of text.split(/\r?\n/)) {
+        const line = rawLine.trim();
+        if (!line || line.startsWith('!')) continue;
+
+        if (line === '^') {
+            flush();
+            continue;
+        }
+
+        const code = line.charAt(0);
+        // Split lines (S/E/$) belong to the parent entry; keep the parent's values
+        if (['D', 'T', 'U', 'P', 'M', 'L', 'N'].includes(code) && entry[code] === undefined) {
+            entry[code] = line.slice(1).trim();
+        }
+    }
+    flush();
+
+    return { rows, errors };
+};
+
+// Statement text (from a PDF) rows: "05/09/2026 [05/09/2026] SWIGGY BANGALORE 450.00 [Dr] [12,340.00]"
+const TEXT_ROW_DATE_REGEX = /^(\d{1,2}[/-]\d{1,2}[/-]\d{2,4}|\d{1,2}[ -][A-Za-z]{3}[ -]\d{2,4}|\d{4}-\d{2}-\d{2})\s+/;
+const TEXT_AMOUNT_REGEX = /^(-?[0-9,]*[0-9]\.[0-9]{2})(cr|dr)?\.?$/i;
+const TEXT_MARKER_REGEX = /^(cr|dr)\.?$/i;
+const TEXT_OPENING_BALANCE_REGEX = /\b(?:opening balance|balance b\/f|balance brought forward)\b/i;
+const TEXT_SUMMARY_REGEX = /\b(?:closing balance|balance c\/f|total|sub-total)\b/i;
+
+/**
+ * Amounts at the end of a statement text line, in order
+ * @returns {{ amounts: Array<{value: number, marker: string|null}>, rest: string }} rest: the text before them
+ */
+const splitTrailingAmounts = (line) => {
+    const words = line.split(' ');
+    const amounts = [];
+
+    while (words.length > 0) {
+        let marker = null;
+        if (TEXT_MARKER_REGEX.test(words.at(-1)) && words.length > 1) {
+            marker = words.at(-1);
+        }
+        const match = (marker ? words.at(-2) : words.at(-1)).match(TEXT_AMOUNT_REGEX);
+        if (!match) break;
+
+        words.splice(marker ? -2 : -1);
+        amounts.unshift({
+            value: Math.abs(parseStatementAmount(match[1])),
+            marker: (match[2] || marker)?.slice(0, 2).toLowerCase() || null
+        });
+    }
+
+    return { amounts, rest: words.join(' ') };
+};
+
+/**
+ * The transaction amount and its direction from a line's trailing amounts:
+ *   one amount             "450.00 [Dr]"                      - amount
+ *   two amounts            "450.00 [Dr] 12,340.00"            - amount, balance
+ *   three or more amounts  "450.00 0.00 12,340.00"            - withdrawal, deposit, balance
+ * @returns {{ value: number, sign: number|null }} sign is null when only the balance can tell
+ */
+const readTextAmount = (amounts) => {
+    if (amounts.length >= 3) {
+        const [withdrawal, deposit] = amounts.slice(-3, -1);
+        return withdrawal.value ? { value: withdrawal.value, sign: -1 } : { value: deposit.value, sign: 1 };
+    }
+    const { value, marker } = amounts.at(0);
+    return { value, sign: marker ? (marker === 'cr' ? 1 : -1) : null };
+};
+
+/**
+ * Parse statement text extracted from a PDF, one transaction per line starting with a date.
+ * When a line ends with two or more amounts the last is the running balance, and its change
+ * gives the sign; otherwise the withdrawal/deposit column or a Cr/Dr marker does, and unmarked
+ * amounts are debits.
+ * @returns {{ rows: Array, errors: Array }}
+ */
+export const parseTextStatement = (text) => {
+    const rows = [];
+    const errors = [];
+    let previousBalance = null;
+
+    String(text || '').split(/\r?\n/).forEach((rawLine, idx) => {
+        const line = rawLine.replace(/\s+/g, ' ').trim();
+        const { amounts, rest } = splitTrailingAmounts(line);
+        if (amounts.length === 0) return;
+
+        const balance = amounts.length > 1 ? amounts.at(-1).value : null;
+
+        if (TEXT_OPENING_BALANCE_REGEX.test(line)) {
+            previousBalance = amounts.at(-1).value;
+            return;
+        }
+
+        const dateMatch = line.match(TEXT_ROW_DATE_REGEX);
+        if (!dateMatch || TEXT_SUMMARY_REGEX.test(line)) return;
+
+        const date = parseStatementDate(dateMatch[1]);
+        if (!date) {
+            errors.push({ line: idx + 1, error: `Unrecognised date "${dateMatch[1]}"` });
+            return;
+        }
+
+        // A second (value) date after the transaction date is not part of the description
+        const description = rest
+            .slice(dateMatch[0].length)
+            .replace(TEXT_ROW_DATE_REGEX, '')
+            .trim();
+        const { value, sign: columnSign } = readTextAmount(amounts);
+        if (!value || !description) return;
+
+        let sign = columnSign ?? -1;
+        if (balance !== null && previousBalance !== null) {
+            const change = Math.round((balance - previousBalance) * 100) / 100;
+            if (Math.abs(Math.abs(change) - value) < 0.01) sign = change > 0 ? 1 : -1;
+        }
+        if (balance !== null) previousBalance = balance;
+
+        rows.push({
+            line: idx + 1,
+            date,
+            amount: sign * value,
+            description,
+            merchant: null,
+            category: null,
+            reference: null,
+            balance,
+            currency: null
+        });
+    });
+
+    return { rows, errors };
+};
+
+/**
+ * Parse a statement in any supported file format
+ * @param {string} format - csv | ofx | qif
+ * @param {string} content - File contents
+ * @param {Object} profile - Optional ImportProfile
+ */
+export const parseStatement = (format, content, profile = null) => {
+    switch (format) {
+        case 'csv':
+            return parseCsvStatement(content, profile);
+        case 'ofx':
+            return parseOfxStatement(content);
+        case 'qif':
+            return parseQifStatement(content, profile);
+        default:
+            throw new Error(`Unsupported statement format: ${format}`);
+    }
+};
@@ -0,0 +1,118 @@
+import moment from 'moment-timezone';
+
+/**
+ * Statement password helper
+ * Banks protect statement PDFs with a password built from customer details, e.g. HDFC cards:
+ * first 4 letters of the name + DDMM of birth. Users describe theirs as a template:
+ *   {NAME4}{DOB:DDMM}    -> "RAHU0512"   (token case sets the letter case: {name4} -> "rahu")
+ *   {DOB:DDMMYYYY}{CARD4} -> "051219901234" (one candidate per credit card on file)
+ *   {PAN} / {pan}, {MOBILE4} (last 4 digits), {CUSTOMER_ID}; other text is kept as is
+ */
+
+export const SECRET_FIELDS = ['name', 'dob', 'pan', 'mobile', 'customerId'];
+export const MAX_PASSWORD_CANDIDATES = 10;
+
+const TOKEN_REGEX = /\{([A-Za-z_]+)([0-9]*)(:?)([^}]*)\}/g; // {TOKEN<length>:<format>}
+const DOB_FORMAT_REGEX = /^[DMY./ -]+$/;
+const DEFAULT_DOB_FORMAT = 'DDMMYYYY';
+
+// Token -> secret it reads (CARD reads the user's card numbers instead)
+const TOKEN_FIELDS = new Map([
+    ['NAME', 'name'],
+    ['DOB', 'dob'],
+    ['PAN', 'pan'],
+    ['MOBILE', 'mobile'],
+    ['CUSTOMER_ID', 'customerId'],
+    ['CARD', null]
+]);
+
+const applyCase = (token, value) => {
+    if (!/[A-Z]/.test(token)) return value.toLowerCase();
+    if (!/[a-z]/.test(token)) return value.toUpperCase();
+    return value;
+};
+
+/**
+ * Check a template
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validatePasswordTemplate = (template) => {
+    if (typeof template !== 'string' || !template.trim()) return 'template is required';
+    if (template.length > 100) return 'template is too long';
+
+    for (const [text, token, , colon, format] of template.matchAll(TOKEN_REGEX)) {
+        const name = token.toUpperCase();
+        if (!TOKEN_FIELDS.has(name) || (format && !colon)) return `Unknown template token ${text}`;
+        if (format && (name !== 'DOB' || !DOB_FORMAT_REGEX.test(format))) {
+            return `Invalid format in {${token}:${format}}; only DOB takes a format such as DDMM or DD-MM-YYYY`;
+        }
+    }
+    return null;
+};
+
+/**
+ * Secrets a template needs, e.g. ['name', 'dob']
+ */
+export const requiredSecrets = (template) => [...new Set(
+    [...String(template || '').matchAll(TOKEN_REGEX)]
+        .map(([, token]) => TOKEN_FIELDS.get(token.toUpperCase()))
+        .filter(Boolean)
+)];
+
+const tokenValue = (token, length, format, secrets) => {
+    const name = token.toUpperCase();
+    const field = TOKEN_FIELDS.get(name);
+    const raw = field ? String(new Map(Object.entries(secrets || {})).get(field) ?? '').trim() : '';
+    if (field && !raw) return null;
+
+    switch (name) {
+        case 'NAME': {
+            const letters = raw.replace(/[^A-Za-z]/g, '');
+            return applyCase(token, length ? letters.slice(0, Number(length)) : letters);
+        }
+        case 'DOB': {
+            const dob = moment(raw, ['YYYY-MM-DD', 'DD/MM/YYYY', 'DD-MM-YYYY'], true);
+            return dob.isValid() ? dob.format(format || DEFAULT_DOB_FORMAT) : null;
+        }
+        case 'MOBILE': {
+            const digits = raw.replace(/[^0-9]/g, '');
+            return length ? digits.slice(-Number(length)) : digits.slice(-10);
+        }
+        default:
+            return applyCase(token, raw);
+    }
+};
+
+/**
+ * Passwords to try for a template
+ * @param {string} template
+ * @param {Object} secrets - { name, dob, pan, mobile, customerId }
+ * @param {string[]} [cardNumbers] - Last digits of the user's credit cards, for {CARD4}
+ * @returns {string[]} Empty when a secret the template needs is missing
+ */
+export const expandPasswordTemplate = (template, secrets, cardNumbers = []) => {
+    let candidates = [''];
+    let last = 0;
+
+    for (const match of String(template || '').matchAll(TOKEN_REGEX)) {
+        const [text, token, length, , format] = match;
+        const literal = template.slice(last, match.index);
+        last = match.index + text.length;
+
+        let values;
+        if (token.toUpperCase() === 'CARD') {
+            values = cardNumbers.map(number => String(number).slice(-(Number(length) || 4)));
+        } else {
+            const value = tokenValue(token, length, format, secrets);
+            values = value ? [value] : [];
+        }
+        if (values.length === 0) return [];
+
+        candidates = candidates.flatMap(prefix => values.map(value => `${prefix}${literal}${value}`));
+    }
+
+    const tail = String(template || '').slice(last);
+    return [...new Set(candidates.map(candidate => `${candidate}${tail}`))]
+        .filter(Boolean)
+        .slice(0, MAX_PASSWORD_CANDIDATES);
+};
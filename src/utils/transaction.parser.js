@@ -1,4 +1,186 @@
+import moment from 'moment-timezone';
 import { classifyCategory } from './category.classifier.js';
+import { normalizeCurrency, DEFAULT_CURRENCY } from './currency.helper.js';
+
+const TIMEZONE = 'Asia/Kolkata';
+const DAY_MS = 24 * 60 * 60 * 1000;
+// A parsed date further from the receive time than this is more likely a misread than a delayed alert
+const MAX_MESSAGE_DELAY_DAYS = 31;
+
+// Foreign currency amounts: "USD 25.00", "$25", "25.00 USD"
+const FOREIGN_PREFIX_REGEX = /(?:\b(USD|EUR|GBP|AED|DHS|SGD|JPY|AUD|CAD|CHF|THB|MYR|LKR|NPR|SAR|QAR)\b\.?|(US\$|S\$|A\$|C\$|\$|€|£|¥))\s*([0-9][0-9,]*\.?[0-9]{0,2})/i;
+const FOREIGN_SUFFIX_REGEX = /\b([0-9][0-9,]*\.?[0-9]{0,2})\s*(USD|EUR|GBP|AED|DHS|SGD|JPY|AUD|CAD|CHF|THB|MYR|LKR|NPR|SAR|QAR)\b/i;
+
+/**
+ * Find the first foreign-currency amount in a message
+ * @returns {{ index: number, amount: string, currency: string }|null}
+ */
+const matchForeignAmount = (message) => {
+    const candidates = [];
+
+    const prefix = message.match(FOREIGN_PREFIX_REGEX);
+    if (prefix) candidates.push({ index: prefix.index, amount: prefix[3], currency: normalizeCurrency(prefix[1] || prefix[2]) });
+
+    const suffix = message.match(FOREIGN_SUFFIX_REGEX);
+    if (suffix) candidates.push({ index: suffix.index, amount: suffix[1], currency: normalizeCurrency(suffix[2]) });
+
+    return candidates.sort((a, b) => a.index - b.index)[0] || null;
+};
+
+/**
+ * Detect payment method from message keywords
+ * @param {string} text - Message or statement narration
+ * @returns {string} upi | card | netbanking | wallet | cash | other
+ */
+export const detectPaymentMethod = (text) => {
+    if (/\bUPI\b/i.test(text)) return 'upi';
+    if (/\b(?:card|visa|master|maestro|rupay)\b/i.test(text)) return 'card';
+    if (/\b(?:net\s*banking|netbanking|NEFT|RTGS|IMPS)\b/i.test(text)) return 'netbanking';
+    if (/\b(?:wallet|paytm|phonepe|gpay|googlepay)\b/i.test(text)) return 'wallet';
+    if (/\b(?:cash|ATM|withdrawal)\b/i.test(text)) return 'cash';
+    return 'other';
+};
+
+// "Card xx1234", "credit card ending 1234", "A/c XX1234", "a/c no. XXXXXX1234", "Acct *1234"
+const CARD_NUMBER_REGEX = /\bcard\b[^0-9xX*]{0,20}[xX*]*(\d{4})\b/i;
+const ACCOUNT_NUMBER_REGEX = /\b(?:a\/c|acct|account|ac)\b[^0-9xX*]{0,15}[xX*]*(\d{3,4})\b/i;
+// "Avl Bal Rs 5,000.00", "Available balance: INR 1,234", "Bal: Rs.2,300"
+const AVAILABLE_BALANCE_REGEX = /\b(?:avl|avail|available)\.?\s*bal(?:ance)?\b[^0-9]{0,12}([0-9][0-9,]*\.?[0-9]{0,2})/i;
+const BALANCE_REGEX = /\bbal(?:ance)?\s*[:-]\s*(?:rs|inr|₹)?\.?\s*([0-9][0-9,]*\.?[0-9]{0,2})/i;
+
+/**
+ * Extract account / card last-4 digits and the bank-reported balance
+ * @param {string} text - Message or email text
+ * @returns {{ accountNumber: string|null, accountType: string|null, balance: number|null }}
+ */
+export const extractAccountInfo = (text) => {
+    if (!text) return { accountNumber: null, accountType: null, balance: null };
+
+    let accountNumber = null;
+    let accountType = null;
+
+    const cardMatch = text.match(CARD_NUMBER_REGEX);
+    const accountMatch = text.match(ACCOUNT_NUMBER_REGEX);
+
+    if (cardMatch && (!accountMatch || cardMatch.index < accountMatch.index)) {
+        accountNumber = cardMatch[1];
+        // Debit cards draw from a bank account
+        accountType = /\bdebit\s+card\b/i.test(text) ? 'bank' : 'credit_card';
+    } else if (accountMatch) {
+        accountNumber = accountMatch[1];
+        accountType = 'bank';
+    }
+
+    const balanceMatch = text.match(AVAILABLE_BALANCE_REGEX) || text.match(BALANCE_REGEX);
+    const balance = balanceMatch ? parseFloat(balanceMatch[1].replace(/,/g, '')) : null;
+
+    return {
+        accountNumber,
+        accountType,
+        balance: Number.isFinite(balance) ? balance : null
+    };
+};
+
+// Date formats in Indian bank alerts: 12-10-2025, 12/10/25, 12.10.2025, 12-Oct-25, 12Oct25, 12 Oct 2025, 2025-10-12, 12-10
+// (strict parsing: single-letter tokens don't accept a leading zero, so both forms are listed)
+const MESSAGE_DATE_FORMATS = [
+    'DD-MM-YYYY', 'D-M-YYYY', 'DD/MM/YYYY', 'D/M/YYYY', 'DD.MM.YYYY', 'D.M.YYYY',
+    'DD-MM-YY', 'D-M-YY', 'DD/MM/YY', 'D/M/YY', 'DD.MM.YY', 'D.M.YY',
+    'DD-MMM-YYYY', 'D-MMM-YYYY', 'DD-MMM-YY', 'D-MMM-YY', 'DD/MMM/YY', 'DD/MMM/YYYY',
+    'DDMMMYYYY', 'DDMMMYY', 'DMMMYY',
+    'DD MMM YYYY', 'D MMM YYYY', 'DD MMM YY', 'D MMM YY', 'DD MMM, YYYY', 'D MMM, YYYY',
+    'DD MMMM YYYY', 'D MMMM YYYY',
+    'YYYY-MM-DD', 'DD-MM', 'D-M', 'DD/MM', 'D/M'
+];
+const MESSAGE_TIME_FORMATS = ['HH:mm:ss', 'H:mm:ss', 'HH:mm', 'H:mm', 'hh:mm:ss a', 'h:mm:ss a', 'hh:mm a', 'h:mm a'];
+
+// Checked in order; the first date token found wins
+const DATE_TOKEN_REGEXES = [
+    /\b([0-9]{4}-[0-9]{2}-[0-9]{2})\b/,
+    /\b([0-9]{1,2}[-/.][0-9]{1,2}[-/.][0-9]{2,4})\b/,
+    /\b([0-9]{1,2}[-/ ]?(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*[-/ ,]{0,2}[0-9]{2,4})\b/i,
+    /\bon\s+([0-9]{1,2}[-/][0-9]{1,2})\b(?![-/.0-9])/i
+];
+// Time right after the date: "12/10/2025 14:32", "12-Oct-25 at 2:32 PM", "2024-03-12:14:05:22"
+const TIME_AFTER_DATE_REGEX = /^[\s,:@-]*(?:at)?\s*([0-9]{1,2}:[0-9]{2}:?[0-9]{0,2})\s*([ap]m)?\b/i;
+
+// "UPI Ref No 412345678901", "UPI Reference No. 4123...", "IMPS Ref: 4123...", "UTR HDFCN52024...",
+// "RRN 4123...", "Ref#4123...", "Info: UPI/4123...", "UPI/DR/4123.../NAME". The reference must
+// contain a digit, so a word after the keyword is skipped rather than taken.
+const REFERENCE_REGEX = /\b(?:(?:upi|imps|neft)\s*ref(?:erence)?|ref(?:erence)?|rrn|utr|txn\s*id|transaction\s*id|by\s+upi)\b\.?\s*(?:no|number|num)?\.?\s*(?:is)?[\s:.#-]*((?=[A-Za-z]*[0-9])[A-Za-z0-9]{6,22})\b/i;
+const UPI_NARRATION_REFERENCE_REGEX = /\bupi\/(?:(?:cr|dr|p2a|p2m)\/)?([0-9]{6,22})\b/i;
+
+/**
+ * Parse a date (and optional time) token from an alert, in IST.
+ * Dates without a year resolve to the most recent such day.
+ * @returns {Date|null}
+ */
+export const parseMessageTimestamp = (date, time) => {
+    if (!date) return null;
+    const day = moment.tz(date.trim().replace(/\s+/g, ' '), MESSAGE_DATE_FORMATS, true, TIMEZONE);
+    if (!day.isValid()) return null;
+
+    if (day.isAfter(moment().tz(TIMEZONE).add(1, 'day'))) day.subtract(1, 'year');
+
+    const clock = time ? moment(time.trim(), MESSAGE_TIME_FORMATS, true) : null;
+    if (clock?.isValid()) {
+        day.set({ hour: clock.hour(), minute: clock.minute(), second: clock.second() });
+    }
+    return day.toDate();
+};
+
+/**
+ * Find the transaction date (and time, when given) in a message
+ * @returns {{ timestamp: Date|null, hasTime: boolean }}
+ */
+export const extractTransactionDate = (text) => {
+    if (!text) return { timestamp: null, hasTime: false };
+
+    for (const regex of DATE_TOKEN_REGEXES) {
+        const match = text.match(regex);
+        if (!match) continue;
+
+        const after = text.slice(match.index + match[0].length, match.index + match[0].length + 20);
+        const timeMatch = after.match(TIME_AFTER_DATE_REGEX);
+        const time = timeMatch ? [timeMatch[1].replace(/:$/, ''), timeMatch[2]].filter(Boolean).join(' ') : null;
+
+        const timestamp = parseMessageTimestamp(match[1], time);
+        if (timestamp) return { timestamp, hasTime: !!time };
+    }
+    return { timestamp: null, hasTime: false };
+};
+
+/**
+ * Find a UPI / IMPS / NEFT reference number in a message
+ * @returns {string|null}
+ */
+export const extractReference = (text) => {
+    const match = text?.match(REFERENCE_REGEX) || text?.match(UPI_NARRATION_REFERENCE_REGEX);
+    return match ? match[1] : null;
+};
+
+/**
+ * When the transaction happened: the date in the message when it is plausible, else when
+ * the message arrived. A date without a time on the day the message arrived keeps the
+ * arrival time; an earlier date is taken as the start of that day.
+ * @param {{ timestamp?: Date, hasTime?: boolean }} parsed - Parser output
+ * @param {Date|string|number} [receivedAt] - When the SMS / email arrived
+ * @returns {Date}
+ */
+export const resolveTransactionTime = (parsed, receivedAt) => {
+    const received = receivedAt ? new Date(receivedAt) : new Date();
+    const timestamp = parsed?.timestamp ? new Date(parsed.timestamp) : null;
+    if (Number.isNaN(received.getTime())) return timestamp || new Date();
+    if (!timestamp) return received;
+
+    const delay = received.getTime() - timestamp.getTime();
+    if (delay < -DAY_MS || delay > MAX_MESSAGE_DELAY_DAYS * DAY_MS) return received;
+
+    if (!parsed.hasTime && moment(timestamp).tz(TIMEZONE).isSame(moment(received).tz(TIMEZONE), 'day')) {
+        return received;
+    }
+    return timestamp;
+};
 
 /**
  * Parses transaction details from a message string (SMS or Email body)
@@ -12,10 +194,15 @@ export const parseTransactionMessage = (message) => {
     // Matches: Rs. 100, Rs.70.00, INR 100, ₹100, 100.00 Rs, 510 deduction, etc.
     const amountMatch = message.match(/(?:Rs\.?\s*|INR\.?\s*|₹\s*)([0-9,]+(?:\.[0-9]{1,2})?)|([0-9,]+(?:\.[0-9]{1,2})?)[\s]*(?:Rs|INR|₹)|\b([0-9,]+(?:\.[0-9]{1,2})?)[\s]+(?:deduction|debited|credited|spent|paid|withdrawn)/im);
 
-    if (!amountMatch) return { error: 'Could not parse transaction amount' };
+    // A foreign amount wins when it appears before any rupee amount (e.g. "USD 25.00 spent ... Avl bal Rs 5,000")
+    const foreignMatch = matchForeignAmount(message);
+    const useForeign = foreignMatch && (!amountMatch || foreignMatch.index < amountMatch.index);
+
+    if (!amountMatch && !useForeign) return { error: 'Could not parse transaction amount' };
 
-    const amountStr = (amountMatch[1] || amountMatch[2] || amountMatch[3]).replace(/,/g, '');
+    const amountStr = (useForeign ? foreignMatch.amount : (amountMatch[1] || amountMatch[2] || amountMatch[3])).replace(/,/g, '');
     const amount = parseFloat(amountStr);
+    const currency = useForeign ? foreignMatch.currency : DEFAULT_CURRENCY;
 
     if (!amount || amount <= 0) {
         return { error: 'Could not parse valid transaction amount' };
@@ -40,18 +227,7 @@ export const parseTransactionMessage = (message) => {
     merchant = merchant.replace(/[\.\,\;\:]+$/, '').trim();
 
     // 3. Payment Method Detection
-    let detectedPaymentMethod = 'other';
-    if (/\bUPI\b/i.test(message)) {
-        detectedPaymentMethod = 'upi';
-    } else if (/\b(?:card|visa|master|maestro|rupay)\b/i.test(message)) {
-        detectedPaymentMethod = 'card';
-    } else if (/\b(?:net\s*banking|netbanking|NEFT|RTGS|IMPS)\b/i.test(message)) {
-        detectedPaymentMethod = 'netbanking';
-    } else if (/\b(?:wallet|paytm|phonepe|gpay|googlepay)\b/i.test(message)) {
-        detectedPaymentMethod = 'wallet';
-    } else if (/\b(?:cash|ATM|withdrawal)\b/i.test(message)) {
-        detectedPaymentMethod = 'cash';
-    }
+    const detectedPaymentMethod = detectPaymentMethod(message);
 
     // 4. Transaction Type Detection & Final Amount
     const { category, subCategory } = classifyCategory(message + ' ' + merchant);
@@ -100,15 +276,28 @@ export const parseTransactionMessage = (message) => {
         }
     }
 
+    // 6. Account / card and reported balance
+    const { accountNumber, accountType, balance } = extractAccountInfo(message);
+
+    // 7. When it happened and the bank's reference number
+    const { timestamp, hasTime } = extractTransactionDate(message);
+    const reference = extractReference(message);
+
     return {
         amount: finalAmount,
-        currency: 'INR',
+        currency,
         merchant,
         paymentMethod: detectedPaymentMethod,
         category,
         subCategory,
         type,
         location,
+        accountNumber,
+        accountType,
+        balance,
+        reference,
+        timestamp,
+        hasTime,
         isParsed: true
     };
 };
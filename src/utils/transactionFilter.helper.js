@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+
+// Transaction kinds that are neither income nor expense
+export const NON_SPEND_KINDS = ['transfer', 'ignored'];
+
+/**
+ * Error thrown for malformed filter params; routes translate it into a 400 response
+ */
+export class TransactionFilterError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'TransactionFilterError';
+        this.statusCode = 400;
+    }
+}
+
+const parseFilterDate = (value, name) => {
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+        throw new TransactionFilterError(`${name} must be a valid date`);
+    }
+    return date;
+};
+
+/**
+ * Tags from the query string: comma separated, repeated (?tags=a&tags=b) or both
+ */
+const parseTagList = (tags) => [].concat(tags)
+    .flatMap(value => String(value).split(','))
+    .map(tag => tag.trim())
+    .filter(Boolean);
+
+/**
+ * Build the Transaction query filter shared by search and export
+ * Query params: start, end (dates), category, tags (comma separated or repeated), source, account (id), kind, q (text search)
+ * @throws {TransactionFilterError} When a param other than tags is repeated, start or end is not a date,
+ *   or account is not an id
+ */
+export const buildTransactionFilter = (userId, { start, end, category, tags, source, account, kind, q } = {}) => {
+    const repeated = Object.entries({ start, end, category, source, account, kind, q }).find(([, value]) => Array.isArray(value));
+    if (repeated) throw new TransactionFilterError(`${repeated[0]} must be given once`);
+
+    const filter = { user: userId };
+
+    if (start || end) {
+        filter.timestamp = {};
+        if (start) filter.timestamp.$gte = parseFilterDate(start, 'start');
+        if (end) filter.timestamp.$lte = parseFilterDate(end, 'end');
+        if (start && end && filter.timestamp.$gte > filter.timestamp.$lte) {
+            throw new TransactionFilterError('start must not be after end');
+        }
+    }
+
+    if (category) filter.category = category;
+    if (source) filter.source = source;
+    if (account) {
+        if (!mongoose.Types.ObjectId.isValid(account)) throw new TransactionFilterError('Invalid account id');
+        filter.account = account;
+    }
+    if (kind === 'transfer' || kind === 'ignored') filter.kind = kind;
+    if (kind === 'standard') filter.kind = { $nin: NON_SPEND_KINDS };
+    if (tags) {
+        const tagList = parseTagList(tags);
+        if (tagList.length > 0) filter.tags = { $in: tagList };
+    }
+    if (q) filter.$text = { $search: q };
+
+    return filter;
+};
+
+/**
+ * Match for income/expense aggregates: transfers between own accounts and ignored
+ * transactions are neither (legacy documents have no kind, so match on "not transfer/ignored")
+ */
+export const excludeTransfers = (filter = {}) => ({ ...filter, kind: { $nin: NON_SPEND_KINDS } });
@@ -0,0 +1,65 @@
+/**
+ * Fake Pub/Sub publisher for Gmail push notifications.
+ *
+ * POSTs a notification to the push endpoint exactly as a Pub/Sub push subscription would,
+ * so push handling can be exercised locally without a Google Cloud project. The server needs
+ * GMAIL_PUBSUB_TOPIC (any value) and GMAIL_PUSH_TOKEN set; the mailbox must belong to a user
+ * with Gmail connected, and the historyId must be past the one stored for them.
+ * tests/gmail/pushEndpoint.js (part of npm test) uses it against the app with a faked user lookup.
+ *
+ * Usage: npm run gmail:fake-push -- --email someone@gmail.com --history 123456
+ *          [--url http://localhost:8000/api/v1/gmail/push] [--token $GMAIL_PUSH_TOKEN] [--repeat 3]
+ */
+import { fileURLToPath } from 'url';
+import { encodePushMessage } from '../../src/utils/gmailPush.helper.js';
+
+const DEFAULT_URL = `http://localhost:${process.env.PORT || 8000}/api/v1/gmail/push`;
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => (args.includes(`--${name}`) ? args[args.indexOf(`--${name}`) + 1] : fallback);
+
+/**
+ * Publish one Gmail notification to the push endpoint
+ * @returns {Promise<number>} HTTP status of the endpoint's response
+ */
+export const publishGmailNotification = async ({ url = DEFAULT_URL, token, emailAddress, historyId, messageId }) => {
+    const endpoint = new URL(url);
+    if (token) endpoint.searchParams.set('token', token);
+
+    const response = await fetch(endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(encodePushMessage({ emailAddress, historyId }, { messageId }))
+    });
+    return response.status;
+};
+
+const main = async () => {
+    const emailAddress = option('email');
+    const historyId = option('history', String(Date.now()));
+    const repeat = Number(option('repeat', 1));
+
+    if (!emailAddress) {
+        console.error('Usage: npm run gmail:fake-push -- --email someone@gmail.com [--history 123456] [--url ...] [--token ...] [--repeat n]');
+        process.exit(1);
+    }
+
+    for (let i = 0; i < repeat; i++) {
+        const status = await publishGmailNotification({
+            url: option('url', DEFAULT_URL),
+            token: option('token', process.env.GMAIL_PUSH_TOKEN),
+            emailAddress,
+            historyId,
+            messageId: `fake-${Date.now()}-${i}`
+        });
+        console.log(`${emailAddress} historyId=${historyId} -> HTTP ${status}`);
+    }
+};
+
+// Run as a script; importing only provides publishGmailNotification
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    main().catch(error => {
+        console.error(error.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,118 @@
+/**
+ * Gmail push regression checks.
+ *
+ * Starts the app on a free port and sends notifications through the fake Pub/Sub publisher:
+ * push token rejection, historyId handling (only notifications past the stored historyId queue
+ * a sync) and the polling fallback when push is not configured. Needs no database or Google
+ * project: the user lookup and the sync are replaced by in-memory fakes for the run.
+ *
+ * Usage: npm test (or node tests/gmail/pushEndpoint.js)
+ */
+import assert from 'assert';
+import { app } from '../../src/app.js';
+import { User } from '../../src/models/User.model.js';
+import { multiUserGmailPoller } from '../../src/services/multiUserGmailPoller.service.js';
+import { gmailWatchService } from '../../src/services/gmailWatch.service.js';
+import { jobQueue } from '../../src/services/jobQueue.service.js';
+import { publishGmailNotification } from './fakePubSubPublisher.js';
+
+const PUSH_TOKEN = 'test-push-token';
+const MAILBOX = 'connected@example.com';
+const STORED_HISTORY_ID = '5000';
+
+const mailboxes = new Map([[MAILBOX, { _id: 'user-1', email: MAILBOX, gmailIntegration: { historyId: STORED_HISTORY_ID } }]]);
+const synced = [];
+
+User.findOne = (filter) => ({ select: async () => mailboxes.get(filter['gmailIntegration.authorizedEmail']) || null });
+multiUserGmailPoller.syncUser = async (userId) => synced.push(userId);
+
+const configurePush = (enabled) => {
+    process.env.GMAIL_PUBSUB_TOPIC = enabled ? 'projects/local/topics/gmail' : '';
+    process.env.GMAIL_PUSH_TOKEN = enabled ? PUSH_TOKEN : '';
+};
+
+const checks = [
+    ['push is rejected when not configured', async (url) => {
+        configurePush(false);
+        assert.strictEqual(await publishGmailNotification({ url, token: PUSH_TOKEN, emailAddress: MAILBOX, historyId: 6000 }), 404);
+        assert.deepStrictEqual(synced, []);
+    }],
+    ['a missing or wrong token is rejected', async (url) => {
+        configurePush(true);
+        assert.strictEqual(await publishGmailNotification({ url, emailAddress: MAILBOX, historyId: 6000 }), 401);
+        assert.strictEqual(await publishGmailNotification({ url, token: 'wrong', emailAddress: MAILBOX, historyId: 6000 }), 401);
+        assert.deepStrictEqual(synced, []);
+    }],
+    ['a historyId at or before the stored one is acknowledged without a sync', async (url) => {
+        configurePush(true);
+        assert.strictEqual(await publishGmailNotification({ url, token: PUSH_TOKEN, emailAddress: MAILBOX, historyId: 4999 }), 204);
+        assert.strictEqual(await publishGmailNotification({ url, token: PUSH_TOKEN, emailAddress: MAILBOX, historyId: STORED_HISTORY_ID }), 204);
+        assert.deepStrictEqual(synced, []);
+    }],
+    ['an unknown mailbox is acknowledged without a sync', async (url) => {
+        configurePush(true);
+        assert.strictEqual(await publishGmailNotification({ url, token: PUSH_TOKEN, emailAddress: 'stranger@example.com', historyId: 6000 }), 204);
+        assert.deepStrictEqual(synced, []);
+    }],
+    ['a newer historyId syncs the mailbox', async (url) => {
+        configurePush(true);
+        assert.strictEqual(await publishGmailNotification({ url, token: PUSH_TOKEN, emailAddress: MAILBOX, historyId: 5001 }), 204);
+        assert.deepStrictEqual(synced, ['user-1']);
+    }],
+    ['without push, only the poller is scheduled and it polls every mailbox', async () => {
+        configurePush(false);
+        process.env.GMAIL_ENABLED = 'true';
+        gmailWatchService.start();
+        multiUserGmailPoller.start();
+        try {
+            assert.strictEqual(jobQueue.schedules.has('gmail-watch'), false);
+            assert.strictEqual(jobQueue.schedules.has('gmail-sweep'), false);
+            assert.deepStrictEqual(jobQueue.schedules.get('gmail-poll')?.payload, { sweep: true });
+        } finally {
+            multiUserGmailPoller.stop();
+            gmailWatchService.stop();
+        }
+    }],
+    ['with push, watched mailboxes are left to push between sweeps', async () => {
+        configurePush(true);
+        gmailWatchService.start();
+        multiUserGmailPoller.start();
+        try {
+            assert.strictEqual(jobQueue.schedules.has('gmail-watch'), true);
+            assert.deepStrictEqual(jobQueue.schedules.get('gmail-poll')?.payload, { sweep: false });
+            assert.deepStrictEqual(jobQueue.schedules.get('gmail-sweep')?.payload, { sweep: true });
+        } finally {
+            multiUserGmailPoller.stop();
+            gmailWatchService.stop();
+        }
+    }]
+];
+
+const main = async () => {
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const url = `http://127.0.0.1:${server.address().port}/api/v1/gmail/push`;
+
+    let failed = 0;
+    for (const [name, check] of checks) {
+        synced.length = 0;
+        try {
+            await check(url);
+            console.log(`  ✓ ${name}`);
+        } catch (error) {
+            failed += 1;
+            console.log(`  ✗ ${name}\n    ${error.message.split('\n').join('\n    ')}`);
+        }
+    }
+    server.close();
+
+    if (failed > 0) {
+        console.log(`\n${failed} of ${checks.length} Gmail push checks failed`);
+        process.exit(1);
+    }
+    console.log(`\nAll Gmail push checks passed`);
+    process.exit(0);
+};
+
+main();
@@ -0,0 +1,143 @@
+/**
+ * Golden-corpus regression harness for the SMS / email parsers.
+ *
+ * Runs every case in tests/parsers/fixtures/*.json through the bank parser registry
+ * (which falls back to the generic parser) and compares the fields listed in
+ * `expected`; fields that are not listed are not checked. Prints accuracy per bank and
+ * a field-level diff for every failing case, and exits 1 on any failure.
+ *
+ * Fixture case: { id, channel: 'sms'|'email', sender?, from?, subject?, text, expected }
+ * Statement case: { id, channel: 'statement', text, expected } runs the text through the PDF
+ * statement text parser; expected lists rowCount, errorCount and row fields as "rows.<n>.<field>".
+ * A fixture may also list user parsing rules ({ _id, name, senders, patterns, ... }) under `rules`;
+ * they are passed to the registry as the user's rules for every case in the file.
+ * Fixtures must be anonymized: fake names, masked account numbers, made-up references.
+ *
+ * Usage: npm test [-- --bank hdfc] [-- --verbose]
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseTransaction } from '../../src/utils/bankParser.registry.js';
+import { defineUserRuleParser, ruleMatchesSource } from '../../src/utils/bankParsers/userRule.helper.js';
+import { parseTextStatement } from '../../src/utils/statement.parser.js';
+
+const FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures');
+const AMOUNT_TOLERANCE = 0.005;
+
+const args = process.argv.slice(2);
+const bankFilter = args.includes('--bank') ? args[args.indexOf('--bank') + 1] : null;
+const verbose = args.includes('--verbose');
+
+const loadFixtures = () => fs.readdirSync(FIXTURES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .sort()
+    .map(file => {
+        const fixture = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, file), 'utf8'));
+        return { ...fixture, file };
+    })
+    .filter(fixture => !bankFilter || fixture.bank === bankFilter);
+
+const normalize = (value) => {
+    if (value instanceof Date) return value.toISOString();
+    return value === undefined ? null : value;
+};
+
+const matches = (expected, actual) => {
+    if (typeof expected === 'number' && typeof actual === 'number') {
+        return Math.abs(expected - actual) <= AMOUNT_TOLERANCE;
+    }
+    return expected === actual;
+};
+
+/**
+ * @returns {Array<{field: string, expected: *, actual: *}>} Mismatched fields
+ */
+const diffCase = (expected, parsed) => Object.entries(expected)
+    .map(([field, value]) => ({ field, expected: value, actual: normalize(parsed[field]) }))
+    .filter(({ expected: value, actual }) => !matches(value, actual));
+
+/**
+ * Statement rows flattened to the fields a case can list
+ */
+const runStatementCase = (testCase) => {
+    const { rows, errors } = parseTextStatement(testCase.text);
+    const parsed = Object.fromEntries([
+        ['parsedBy', 'text-statement'],
+        ['rowCount', rows.length],
+        ['errorCount', errors.length],
+        ...rows.flatMap((row, index) => Object.entries(row).map(([field, value]) => [`rows.${index}.${field}`, value]))
+    ]);
+    return { parsed, diffs: diffCase(testCase.expected, parsed) };
+};
+
+const runCase = (testCase, rules = []) => {
+    if (testCase.channel === 'statement') return runStatementCase(testCase);
+
+    const source = { sender: testCase.sender, from: testCase.from };
+    const parsed = parseTransaction(testCase.text, {
+        ...source,
+        subject: testCase.subject,
+        userRules: rules.filter(rule => ruleMatchesSource(rule.senders, source)).map(defineUserRuleParser)
+    });
+    return { parsed, diffs: diffCase(testCase.expected, parsed) };
+};
+
+const pct = (passed, total) => (total ? `${((passed / total) * 100).toFixed(1)}%` : '-');
+
+const main = () => {
+    const fixtures = loadFixtures();
+    if (fixtures.length === 0) {
+        console.error(bankFilter ? `No fixtures for bank "${bankFilter}"` : 'No fixtures found');
+        process.exit(1);
+    }
+
+    const rows = [];
+    const failures = [];
+    let fieldsChecked = 0;
+    let fieldsPassed = 0;
+
+    for (const fixture of fixtures) {
+        let passed = 0;
+        for (const testCase of fixture.cases) {
+            const { parsed, diffs } = runCase(testCase, fixture.rules);
+            const checked = Object.keys(testCase.expected).length;
+            fieldsChecked += checked;
+            fieldsPassed += checked - diffs.length;
+
+            if (diffs.length === 0) {
+                passed += 1;
+                if (verbose) console.log(`  ✓ ${testCase.id} (${parsed.parsedBy || parsed.error})`);
+            } else {
+                failures.push({ bank: fixture.bank, testCase, parsed, diffs });
+            }
+        }
+        rows.push({ bank: fixture.bank, total: fixture.cases.length, passed });
+    }
+
+    console.log('\nParser corpus results\n');
+    console.log(`  ${'bank'.padEnd(12)}${'cases'.padStart(7)}${'passed'.padStart(8)}${'accuracy'.padStart(10)}`);
+    for (const row of rows) {
+        console.log(`  ${row.bank.padEnd(12)}${String(row.total).padStart(7)}${String(row.passed).padStart(8)}${pct(row.passed, row.total).padStart(10)}`);
+    }
+
+    const total = rows.reduce((sum, r) => sum + r.total, 0);
+    const passed = rows.reduce((sum, r) => sum + r.passed, 0);
+    console.log(`  ${'total'.padEnd(12)}${String(total).padStart(7)}${String(passed).padStart(8)}${pct(passed, total).padStart(10)}`);
+    console.log(`\n  field accuracy: ${fieldsPassed}/${fieldsChecked} (${pct(fieldsPassed, fieldsChecked)})\n`);
+
+    for (const { bank, testCase, parsed, diffs } of failures) {
+        console.log(`✗ [${bank}] ${testCase.id} (parsedBy: ${parsed.parsedBy || parsed.error || 'none'})`);
+        for (const { field, expected, actual } of diffs) {
+            console.log(`    ${field}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+        }
+    }
+
+    if (failures.length > 0) {
+        console.log(`\n${failures.length} of ${total} cases failed`);
+        process.exit(1);
+    }
+    console.log('All parser cases passed');
+};
+
+main();